@@ -0,0 +1,329 @@
+/**
+ * Clase para capacitores
+ * Modela condiciones iniciales, ESR, resistencia de fuga y límites de voltaje
+ */
+class Capacitor extends Component {
+    constructor(x, y, options = {}) {
+        super('capacitor', x, y, {
+            width: 20,
+            height: 30,
+            value: 0.000001,
+            unit: 'F',
+            color: '#9b59b6',
+            ...options
+        });
+
+        // Propiedades específicas de capacitores
+        this.isPolarized = options.isPolarized || false; // Electrolítico / tántalo
+        this.initialVoltage = options.initialVoltage || 0; // V en t = 0
+        this.esr = options.esr || 0; // Resistencia serie equivalente (Ω)
+        this.leakageResistance = options.leakageResistance || Infinity; // Resistencia de fuga en paralelo (Ω)
+        this.voltageRating = options.voltageRating || 50; // Voltaje máximo (V)
+        this.tolerance = options.tolerance || 10; // Porcentaje de tolerancia
+        this.dielectric = options.dielectric || (this.isPolarized ? 'electrolytic' : 'ceramic');
+
+        // Estado eléctrico
+        this.voltage = this.initialVoltage;
+        this.storedEnergy = this.calculateStoredEnergy();
+        this.isOvervoltage = false;
+
+        // Historial para análisis transitorio
+        this.voltageHistory = [];
+    }
+
+    /**
+     * Dibuja el capacitor con su símbolo característico
+     */
+    drawComponent(ctx, options = {}) {
+        const gap = 4;
+        const plateHeight = this.height * 0.8;
+
+        // Líneas de conexión
+        ctx.strokeStyle = '#2c3e50';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(-this.width/2 - 10, 0);
+        ctx.lineTo(-gap, 0);
+        ctx.moveTo(gap, 0);
+        ctx.lineTo(this.width/2 + 10, 0);
+        ctx.stroke();
+
+        if (this.isPolarized) {
+            this.drawPolarizedPlates(ctx, gap, plateHeight);
+        } else {
+            this.drawPlates(ctx, gap, plateHeight);
+        }
+
+        // Indicador de carga almacenada
+        if (Math.abs(this.voltage) > 0.001) {
+            this.drawChargeIndicator(ctx, gap, plateHeight);
+        }
+
+        // Indicador de sobrevoltaje o polaridad invertida
+        if (this.isOvervoltage || this.isReverseBiased()) {
+            this.drawOvervoltageIndicator(ctx);
+        }
+    }
+
+    /**
+     * Dibuja placas paralelas (no polarizado)
+     */
+    drawPlates(ctx, gap, plateHeight) {
+        ctx.strokeStyle = this.color;
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.moveTo(-gap, -plateHeight/2);
+        ctx.lineTo(-gap, plateHeight/2);
+        ctx.moveTo(gap, -plateHeight/2);
+        ctx.lineTo(gap, plateHeight/2);
+        ctx.stroke();
+    }
+
+    /**
+     * Dibuja placa recta y placa curva (polarizado), con el terminal positivo a la izquierda
+     */
+    drawPolarizedPlates(ctx, gap, plateHeight) {
+        ctx.strokeStyle = this.color;
+        ctx.lineWidth = 3;
+
+        // Placa positiva recta
+        ctx.beginPath();
+        ctx.moveTo(-gap, -plateHeight/2);
+        ctx.lineTo(-gap, plateHeight/2);
+        ctx.stroke();
+
+        // Placa negativa curva
+        ctx.beginPath();
+        ctx.moveTo(gap + 3, -plateHeight/2);
+        ctx.quadraticCurveTo(gap - 2, 0, gap + 3, plateHeight/2);
+        ctx.stroke();
+
+        // Signo de polaridad
+        ctx.fillStyle = '#2c3e50';
+        ctx.font = 'bold 10px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillText('+', -gap - 7, -plateHeight/2 + 4);
+    }
+
+    /**
+     * Dibuja indicador de carga (nivel proporcional al voltaje nominal)
+     */
+    drawChargeIndicator(ctx, gap, plateHeight) {
+        const level = Math.min(1, Math.abs(this.voltage) / this.voltageRating);
+        const barHeight = plateHeight * level;
+
+        ctx.fillStyle = this.voltage > 0 ? 'rgba(231, 76, 60, 0.35)' : 'rgba(52, 152, 219, 0.35)';
+        ctx.fillRect(-gap + 2, plateHeight/2 - barHeight, 2 * gap - 4, barHeight);
+    }
+
+    /**
+     * Dibuja indicador de sobrevoltaje
+     */
+    drawOvervoltageIndicator(ctx) {
+        ctx.strokeStyle = '#e74c3c';
+        ctx.lineWidth = 2;
+        ctx.setLineDash([2, 2]);
+        ctx.strokeRect(-this.width/2 - 2, -this.height/2 - 2,
+                      this.width + 4, this.height + 4);
+        ctx.setLineDash([]);
+
+        ctx.fillStyle = '#e74c3c';
+        ctx.font = 'bold 8px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillText('!', this.width/2, -this.height/2);
+    }
+
+    /**
+     * Calcula la impedancia: ESR + (1/jωC ∥ R_fuga)
+     */
+    calculateImpedance(frequency = 0) {
+        const esr = this.esr || 0;
+        const leakage = this.leakageResistance === undefined ? Infinity : this.leakageResistance;
+
+        if (frequency === 0) {
+            // En DC solo conduce la resistencia de fuga
+            return { real: isFinite(leakage) ? leakage + esr : Infinity, imaginary: 0 };
+        }
+
+        const Xc = -1 / (2 * Math.PI * frequency * this.value);
+
+        if (!isFinite(leakage)) {
+            return { real: esr, imaginary: Xc };
+        }
+
+        // Paralelo de R_fuga con jXc: (R · jX) / (R + jX)
+        const denominator = leakage * leakage + Xc * Xc;
+        return {
+            real: esr + (leakage * Xc * Xc) / denominator,
+            imaginary: (leakage * leakage * Xc) / denominator
+        };
+    }
+
+    /**
+     * Calcula la energía almacenada: E = ½CV²
+     */
+    calculateStoredEnergy(voltage = this.voltage) {
+        return 0.5 * this.value * voltage * voltage;
+    }
+
+    /**
+     * Calcula la carga almacenada: Q = CV
+     */
+    getCharge(voltage = this.voltage) {
+        return this.value * voltage;
+    }
+
+    /**
+     * Calcula la constante de tiempo con una resistencia externa
+     */
+    getTimeConstant(resistance = 0) {
+        return (resistance + this.esr) * this.value;
+    }
+
+    /**
+     * Potencia disipada en la ESR y en la resistencia de fuga
+     */
+    calculateDissipatedPower(voltage = this.voltage, current = this.current) {
+        const esrLoss = current * current * this.esr;
+        const leakageLoss = isFinite(this.leakageResistance) && this.leakageResistance > 0 ?
+                            voltage * voltage / this.leakageResistance : 0;
+        return esrLoss + leakageLoss;
+    }
+
+    /**
+     * Indica si un capacitor polarizado tiene polaridad invertida
+     */
+    isReverseBiased() {
+        return this.isPolarized && this.voltage < -Math.min(1, this.voltageRating * 0.02);
+    }
+
+    /**
+     * Establece el voltaje actual y actualiza energía y advertencias
+     */
+    setVoltage(voltage) {
+        this.voltage = voltage;
+        this.storedEnergy = this.calculateStoredEnergy();
+
+        const wasOvervoltage = this.isOvervoltage;
+        this.isOvervoltage = Math.abs(voltage) > this.voltageRating;
+
+        if (this.isOvervoltage && !wasOvervoltage) {
+            this.emit('overvoltage', { component: this, voltage });
+        }
+    }
+
+    /**
+     * Restablece las condiciones iniciales
+     */
+    resetToInitialConditions() {
+        this.current = 0;
+        this.power = 0;
+        this.voltageHistory = [];
+        this.setVoltage(this.initialVoltage);
+    }
+
+    /**
+     * Verifica si el capacitor está dentro de sus límites
+     */
+    checkLimits() {
+        const warnings = [];
+        const magnitude = Math.abs(this.voltage);
+
+        if (magnitude > this.voltageRating) {
+            warnings.push(`Voltaje excede el nominal: ${magnitude.toFixed(2)}V > ${this.voltageRating}V`);
+        } else if (magnitude > this.voltageRating * 0.8) {
+            warnings.push(`Voltaje cerca del nominal: ${magnitude.toFixed(2)}V (recomendado < 80% de ${this.voltageRating}V)`);
+        }
+
+        if (this.isReverseBiased()) {
+            warnings.push(`Polaridad invertida en capacitor polarizado: ${this.voltage.toFixed(2)}V`);
+        }
+
+        if (Math.abs(this.initialVoltage) > this.voltageRating) {
+            warnings.push(`Voltaje inicial excede el nominal: ${this.initialVoltage}V`);
+        }
+
+        return warnings;
+    }
+
+    /**
+     * Actualiza propiedades específicas de capacitores
+     */
+    updateProperties(properties) {
+        super.updateProperties(properties);
+
+        if (properties.initialVoltage !== undefined && this.current === 0) {
+            this.setVoltage(this.initialVoltage);
+        }
+
+        if (properties.value !== undefined || properties.voltage !== undefined) {
+            this.setVoltage(this.voltage);
+        }
+    }
+
+    /**
+     * Análisis específico del capacitor
+     */
+    analyze() {
+        return {
+            type: 'capacitor',
+            value: this.value,
+            isPolarized: this.isPolarized,
+            dielectric: this.dielectric,
+            voltage: this.voltage,
+            current: this.current,
+            charge: this.getCharge(),
+            storedEnergy: this.calculateStoredEnergy(),
+            initialVoltage: this.initialVoltage,
+            esr: this.esr,
+            leakageResistance: this.leakageResistance,
+            dissipatedPower: this.calculateDissipatedPower(),
+            voltageRating: this.voltageRating,
+            tolerance: this.tolerance,
+            warnings: this.checkLimits()
+        };
+    }
+
+    /**
+     * Convierte a JSON con propiedades específicas
+     */
+    toJSON() {
+        const base = super.toJSON();
+        return {
+            ...base,
+            isPolarized: this.isPolarized,
+            initialVoltage: this.initialVoltage,
+            esr: this.esr,
+            leakageResistance: this.leakageResistance,
+            voltageRating: this.voltageRating,
+            tolerance: this.tolerance,
+            dielectric: this.dielectric
+        };
+    }
+
+    /**
+     * Crea un capacitor desde JSON
+     */
+    static fromJSON(data) {
+        const capacitor = new Capacitor(data.x, data.y, {
+            width: data.width,
+            height: data.height,
+            rotation: data.rotation,
+            value: data.value,
+            unit: data.unit,
+            label: data.label,
+            color: data.color,
+            isPolarized: data.isPolarized,
+            initialVoltage: data.initialVoltage,
+            esr: data.esr,
+            leakageResistance: data.leakageResistance,
+            voltageRating: data.voltageRating,
+            tolerance: data.tolerance,
+            dielectric: data.dielectric
+        });
+
+        capacitor.id = data.id;
+
+        return capacitor;
+    }
+}
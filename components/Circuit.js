@@ -0,0 +1,811 @@
+/**
+ * Modelo del circuito
+ * Mantiene las colecciones de componentes y cables, su conectividad y la serialización
+ */
+class Circuit {
+    constructor(options = {}) {
+        this.id = `circuit_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        this.name = options.name || 'Circuito sin título';
+        this.description = options.description || '';
+
+        // Colecciones principales (el resto de la aplicación las recorre como arrays)
+        this.components = [];
+        this.wires = [];
+
+        // Índices para búsqueda rápida por ID
+        this.componentMap = new Map();
+        this.wireMap = new Map();
+
+        // Conectividad: ID de componente -> Set de IDs de cables conectados
+        this.connections = new Map();
+
+        // Listeners registrados en cada elemento (para poder retirarlos)
+        this.elementListeners = new Map();
+
+        // Metadatos
+        this.createdAt = new Date();
+        this.lastModified = new Date();
+
+        // Eventos
+        this.eventListeners = new Map();
+        this.isBatchUpdate = false;
+        this.isGroupTransform = false; // Los cables se ajustan una vez al final de la operación de grupo
+    }
+
+    /**
+     * Añade un componente al circuito
+     */
+    addComponent(component) {
+        if (!component || !component.id || typeof component.getConnectionPoints !== 'function') {
+            console.warn('Componente inválido, no se añadió al circuito');
+            return false;
+        }
+
+        if (this.componentMap.has(component.id)) {
+            console.warn(`El componente ${component.id} ya existe en el circuito`);
+            return false;
+        }
+
+        this.components.push(component);
+        this.componentMap.set(component.id, component);
+        this.connections.set(component.id, new Set());
+        this.attachComponentListeners(component);
+
+        // Reconectar cables que ya apuntaban a este componente (p. ej. al restaurar)
+        this.wires.forEach(wire => {
+            if (wire.startComponent === component.id || wire.endComponent === component.id) {
+                this.connections.get(component.id).add(wire.id);
+            }
+        });
+
+        this.touch();
+        this.emit('componentAdded', { circuit: this, component });
+        this.emitChange('componentAdded', component);
+        return true;
+    }
+
+    /**
+     * Elimina un componente del circuito
+     * Los cables conectados se desconectan, o se eliminan si options.removeConnectedWires
+     */
+    removeComponent(componentOrId, options = {}) {
+        const component = this.resolveComponent(componentOrId);
+        if (!component) return null;
+
+        const wireIds = Array.from(this.connections.get(component.id) || []);
+        wireIds.forEach(wireId => {
+            const wire = this.wireMap.get(wireId);
+            if (!wire) return;
+
+            if (options.removeConnectedWires) {
+                this.removeWire(wire);
+            } else {
+                if (wire.startComponent === component.id) wire.startComponent = null;
+                if (wire.endComponent === component.id) wire.endComponent = null;
+            }
+        });
+
+        this.detachListeners(component.id);
+        this.components.splice(this.components.indexOf(component), 1);
+        this.componentMap.delete(component.id);
+        this.connections.delete(component.id);
+
+        this.touch();
+        this.emit('componentRemoved', { circuit: this, component });
+        this.emitChange('componentRemoved', component);
+        return component;
+    }
+
+    /**
+     * Añade un cable al circuito
+     */
+    addWire(wire) {
+        if (!wire || !wire.id || !wire.start || !wire.end) {
+            console.warn('Cable inválido, no se añadió al circuito');
+            return false;
+        }
+
+        if (this.wireMap.has(wire.id)) {
+            console.warn(`El cable ${wire.id} ya existe en el circuito`);
+            return false;
+        }
+
+        // Rechazar cables de longitud cero
+        if (this.pointsMatch(wire.start, wire.end)) {
+            return false;
+        }
+
+        // Rechazar cables duplicados entre los mismos puntos
+        const duplicate = this.wires.some(existing =>
+            (this.pointsMatch(existing.start, wire.start) && this.pointsMatch(existing.end, wire.end)) ||
+            (this.pointsMatch(existing.start, wire.end) && this.pointsMatch(existing.end, wire.start))
+        );
+        if (duplicate) {
+            return false;
+        }
+
+        this.resolveWireTerminals(wire);
+        this.wires.push(wire);
+        this.wireMap.set(wire.id, wire);
+        this.registerWireConnections(wire);
+        this.attachWireListeners(wire);
+
+        this.touch();
+        this.emit('wireAdded', { circuit: this, wire });
+        this.emitChange('wireAdded', wire);
+        return true;
+    }
+
+    /**
+     * Elimina un cable del circuito
+     */
+    removeWire(wireOrId) {
+        const wire = typeof wireOrId === 'string' ? this.wireMap.get(wireOrId) : wireOrId;
+        if (!wire || !this.wireMap.has(wire.id)) return null;
+
+        this.unregisterWireConnections(wire);
+        this.detachListeners(wire.id);
+        this.wires.splice(this.wires.indexOf(wire), 1);
+        this.wireMap.delete(wire.id);
+
+        // Limpiar referencias de otros cables unidos a este
+        this.wires.forEach(other => {
+            if (other.startWire === wire.id) other.startWire = null;
+            if (other.endWire === wire.id) other.endWire = null;
+        });
+
+        this.touch();
+        this.emit('wireRemoved', { circuit: this, wire });
+        this.emitChange('wireRemoved', wire);
+        return wire;
+    }
+
+    /**
+     * Registra las conexiones de un cable con sus componentes extremos
+     */
+    registerWireConnections(wire) {
+        [wire.startComponent, wire.endComponent].forEach(componentId => {
+            if (componentId && this.connections.has(componentId)) {
+                this.connections.get(componentId).add(wire.id);
+            }
+        });
+    }
+
+    /**
+     * Asigna el terminal más cercano a los extremos conectados sin terminal (cables de versiones anteriores)
+     */
+    resolveWireTerminals(wire) {
+        [['startComponent', 'startTerminal', 'start'], ['endComponent', 'endTerminal', 'end']].forEach(([componentKey, terminalKey, pointKey]) => {
+            const component = this.componentMap.get(wire[componentKey]);
+            if (!component || wire[terminalKey] !== 'default') return;
+
+            const point = wire[pointKey];
+            const nearest = component.getConnectionPoints().reduce((best, terminal) =>
+                !best || Math.hypot(terminal.x - point.x, terminal.y - point.y) < Math.hypot(best.x - point.x, best.y - point.y) ?
+                terminal : best, null);
+            if (nearest) wire[terminalKey] = nearest.terminal;
+        });
+    }
+
+    /**
+     * Lleva los extremos de los cables conectados a los terminales actuales del componente
+     */
+    updateAttachedWires(component) {
+        const terminals = component.getConnectionPoints();
+        const terminalPoint = name => terminals.find(point => point.terminal === name) || null;
+
+        this.getWiresForComponent(component).forEach(wire => {
+            const start = wire.startComponent === component.id ? terminalPoint(wire.startTerminal) : null;
+            const end = wire.endComponent === component.id ? terminalPoint(wire.endTerminal) : null;
+            if ((!start || this.pointsMatch(start, wire.start)) && (!end || this.pointsMatch(end, wire.end))) return;
+
+            wire.moveEndpoints(start || wire.start, end || wire.end);
+            this.emit('wireChanged', { circuit: this, wire });
+            this.emitChange('wireChanged', wire);
+        });
+    }
+
+    /**
+     * Elimina las conexiones de un cable
+     */
+    unregisterWireConnections(wire) {
+        this.connections.forEach(wireIds => wireIds.delete(wire.id));
+    }
+
+    /**
+     * Reconstruye la tabla de conectividad desde cero
+     */
+    rebuildConnections() {
+        this.connections.clear();
+        this.components.forEach(component => {
+            this.connections.set(component.id, new Set());
+        });
+        this.wires.forEach(wire => this.registerWireConnections(wire));
+    }
+
+    /**
+     * Búsqueda por ID
+     */
+    getComponentById(id) {
+        return this.componentMap.get(id) || null;
+    }
+
+    getWireById(id) {
+        return this.wireMap.get(id) || null;
+    }
+
+    getElementById(id) {
+        return this.getComponentById(id) || this.getWireById(id);
+    }
+
+    /**
+     * Obtiene los cables conectados a un componente
+     */
+    getWiresForComponent(componentOrId) {
+        const component = this.resolveComponent(componentOrId);
+        if (!component) return [];
+
+        return Array.from(this.connections.get(component.id) || [])
+            .map(wireId => this.wireMap.get(wireId))
+            .filter(Boolean);
+    }
+
+    /**
+     * Obtiene los componentes conectados directamente (por un cable) a un componente
+     */
+    getConnectedComponents(componentOrId) {
+        const component = this.resolveComponent(componentOrId);
+        if (!component) return [];
+
+        const connected = new Set();
+        this.getWiresForComponent(component).forEach(wire => {
+            [wire.startComponent, wire.endComponent].forEach(otherId => {
+                if (otherId && otherId !== component.id && this.componentMap.has(otherId)) {
+                    connected.add(this.componentMap.get(otherId));
+                }
+            });
+        });
+
+        return Array.from(connected);
+    }
+
+    /**
+     * Obtiene los terminales de un componente que no tienen ningún cable conectado
+     */
+    getUnconnectedTerminals(componentOrId) {
+        const component = this.resolveComponent(componentOrId);
+        if (!component) return [];
+
+        const wires = this.getWiresForComponent(component);
+        return component.getConnectionPoints().filter(point =>
+            !wires.some(wire =>
+                (wire.startComponent === component.id && this.pointsMatch(wire.start, point)) ||
+                (wire.endComponent === component.id && this.pointsMatch(wire.end, point))
+            )
+        );
+    }
+
+    /**
+     * Resuelve un componente a partir de la instancia o su ID
+     */
+    resolveComponent(componentOrId) {
+        if (!componentOrId) return null;
+        const id = typeof componentOrId === 'string' ? componentOrId : componentOrId.id;
+        return this.componentMap.get(id) || null;
+    }
+
+    /**
+     * Compara dos puntos con una pequeña tolerancia
+     */
+    pointsMatch(p1, p2, tolerance = 0.5) {
+        return Math.abs(p1.x - p2.x) <= tolerance && Math.abs(p1.y - p2.y) <= tolerance;
+    }
+
+    /**
+     * Suscribe el circuito a los eventos de un componente
+     */
+    attachComponentListeners(component) {
+        if (typeof component.on !== 'function') return;
+
+        const handlers = {};
+        ['moved', 'rotated', 'propertyChanged'].forEach(event => {
+            handlers[event] = () => {
+                if (!this.isGroupTransform) {
+                    this.updateAttachedWires(component);
+                }
+                this.touch();
+                this.emit('componentChanged', { circuit: this, component, change: event });
+                this.emitChange(event, component);
+            };
+            component.on(event, handlers[event]);
+        });
+
+        this.elementListeners.set(component.id, { element: component, handlers });
+    }
+
+    /**
+     * Suscribe el circuito a los eventos de un cable
+     */
+    attachWireListeners(wire) {
+        if (typeof wire.on !== 'function') return;
+
+        const handlers = {
+            propertiesUpdated: () => {
+                this.unregisterWireConnections(wire);
+                this.registerWireConnections(wire);
+                this.touch();
+                this.emit('wireChanged', { circuit: this, wire });
+                this.emitChange('wireChanged', wire);
+            }
+        };
+        wire.on('propertiesUpdated', handlers.propertiesUpdated);
+
+        this.elementListeners.set(wire.id, { element: wire, handlers });
+    }
+
+    /**
+     * Retira los listeners registrados en un elemento
+     */
+    detachListeners(elementId) {
+        const entry = this.elementListeners.get(elementId);
+        if (!entry) return;
+
+        if (typeof entry.element.off === 'function') {
+            Object.entries(entry.handlers).forEach(([event, handler]) => {
+                entry.element.off(event, handler);
+            });
+        } else if (entry.element.eventListeners) {
+            // Wire no implementa off(): retirar directamente del mapa de listeners
+            Object.entries(entry.handlers).forEach(([event, handler]) => {
+                const listeners = entry.element.eventListeners.get(event) || [];
+                const index = listeners.indexOf(handler);
+                if (index > -1) listeners.splice(index, 1);
+            });
+        }
+
+        this.elementListeners.delete(elementId);
+    }
+
+    /**
+     * Agrupa varias modificaciones emitiendo un único evento 'changed'
+     */
+    batch(callback) {
+        const wasBatching = this.isBatchUpdate;
+        this.isBatchUpdate = true;
+
+        try {
+            callback(this);
+        } finally {
+            this.isBatchUpdate = wasBatching;
+        }
+
+        if (!wasBatching) {
+            this.emit('changed', { circuit: this, reason: 'batch' });
+        }
+    }
+
+    /**
+     * Emite el evento genérico de cambio (salvo durante una actualización por lotes)
+     */
+    emitChange(reason, element = null) {
+        if (this.isBatchUpdate) return;
+        this.emit('changed', { circuit: this, reason, element });
+    }
+
+    touch() {
+        this.lastModified = new Date();
+    }
+
+    /**
+     * Elimina todos los componentes y cables
+     */
+    clear() {
+        this.elementListeners.forEach((entry, elementId) => this.detachListeners(elementId));
+        this.components.forEach(component => component.dispose());
+        this.wires.forEach(wire => wire.dispose());
+
+        this.components = [];
+        this.wires = [];
+        this.componentMap.clear();
+        this.wireMap.clear();
+        this.connections.clear();
+
+        this.touch();
+        this.emit('cleared', { circuit: this });
+        this.emitChange('cleared');
+    }
+
+    /**
+     * Indica si el circuito está vacío
+     */
+    isEmpty() {
+        return this.components.length === 0 && this.wires.length === 0;
+    }
+
+    /**
+     * Calcula el rectángulo que contiene los elementos indicados (todos por defecto) y puntos sueltos
+     */
+    getBounds(components = this.components, wires = this.wires, points = []) {
+        if (components.length === 0 && wires.length === 0 && points.length === 0) return null;
+
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        const include = (x, y) => {
+            minX = Math.min(minX, x);
+            minY = Math.min(minY, y);
+            maxX = Math.max(maxX, x);
+            maxY = Math.max(maxY, y);
+        };
+
+        components.forEach(component => {
+            const halfSize = Math.max(component.width, component.height) / 2 + 10;
+            include(component.x - halfSize, component.y - halfSize);
+            include(component.x + halfSize, component.y + halfSize);
+        });
+
+        wires.forEach(wire => {
+            wire.path.forEach(point => include(point.x, point.y));
+        });
+
+        points.forEach(point => include(point.x, point.y));
+
+        return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+    }
+
+    /**
+     * Obtiene estadísticas del circuito
+     */
+    getStatistics() {
+        const componentCounts = {};
+        this.components.forEach(component => {
+            componentCounts[component.type] = (componentCounts[component.type] || 0) + 1;
+        });
+
+        return {
+            componentCount: this.components.length,
+            wireCount: this.wires.length,
+            componentCounts,
+            unconnectedComponents: this.components.filter(c => this.getWiresForComponent(c).length === 0).length,
+            lastModified: this.lastModified
+        };
+    }
+
+    /**
+     * Desplaza un grupo de componentes y cables
+     */
+    moveElements(components, wires, dx, dy) {
+        this.transformGroup(components, wires, point => ({ x: point.x + dx, y: point.y + dy }), 0);
+    }
+
+    /**
+     * Rota un grupo de componentes y cables 90° en sentido horario alrededor de center
+     */
+    rotateElements(components, wires, center) {
+        this.transformGroup(components, wires,
+            point => ({ x: center.x - (point.y - center.y), y: center.y + (point.x - center.x) }), Math.PI / 2);
+    }
+
+    /**
+     * Aplica una transformación rígida a un grupo: los cables internos (cada extremo suelto o en un
+     * componente del grupo) se transforman enteros; los seleccionados que llegan a un componente
+     * que no se mueve solo mueven sus otros extremos, y los que salen del grupo se ajustan a los nuevos terminales
+     */
+    transformGroup(components, wires, transform, rotation) {
+        const ids = new Set(components.map(component => component.id));
+        const staysFixed = componentId => componentId && !ids.has(componentId);
+        const internal = wire => !staysFixed(wire.startComponent) && !staysFixed(wire.endComponent);
+
+        const rigid = new Set([...wires, ...this.wires.filter(wire =>
+            ids.has(wire.startComponent) && ids.has(wire.endComponent))].filter(internal));
+        const anchored = wires.filter(wire => !internal(wire));
+
+        this.batch(() => {
+            this.isGroupTransform = true;
+            try {
+                rigid.forEach(wire => wire.transformPoints(transform));
+                anchored.forEach(wire => wire.moveEndpoints(
+                    staysFixed(wire.startComponent) ? wire.start : transform(wire.start),
+                    staysFixed(wire.endComponent) ? wire.end : transform(wire.end)));
+                components.forEach(component => {
+                    const position = transform(component);
+                    component.moveTo(position.x, position.y);
+                    if (rotation) component.rotate(rotation);
+                });
+            } finally {
+                this.isGroupTransform = false;
+            }
+
+            components.forEach(component => this.updateAttachedWires(component));
+        });
+        this.touch();
+    }
+
+    /**
+     * Serializa un fragmento: los componentes indicados, los cables indicados
+     * y los cables cuyos dos extremos están en esos componentes
+     */
+    toFragment(components, wires = []) {
+        const componentIds = new Set(components.map(component => component.id));
+        const fragmentWires = this.wires.filter(wire => wires.includes(wire) ||
+            (componentIds.has(wire.startComponent) && componentIds.has(wire.endComponent)));
+
+        return {
+            format: 'circuit-fragment',
+            version: Circuit.FORMAT_VERSION,
+            components: components.map(component => component.toJSON()),
+            wires: fragmentWires.map(wire => wire.toJSON()),
+            bounds: this.getBounds(components, fragmentWires)
+        };
+    }
+
+    /**
+     * Inserta un fragmento desplazado (dx, dy) con IDs y etiquetas nuevos
+     * Las conexiones internas se conservan; los cables que apuntaban fuera quedan sueltos
+     */
+    addFragment(fragment, dx = 0, dy = 0) {
+        if (!fragment || !Array.isArray(fragment.components) || !Array.isArray(fragment.wires)) {
+            throw new Error('Fragmento de circuito inválido');
+        }
+
+        const move = point => ({ x: point.x + dx, y: point.y + dy });
+        const componentIds = new Map();
+        const wireIds = new Map();
+        const added = { components: [], wires: [] };
+
+        this.batch(() => {
+            fragment.components.forEach(data => {
+                const component = Circuit.createComponentFromJSON({
+                    ...data,
+                    ...move(data),
+                    id: Circuit.createElementId(data.type),
+                    label: this.createUniqueLabel(data.label, data.type)
+                });
+                if (component && this.addComponent(component)) {
+                    componentIds.set(data.id, component.id);
+                    added.components.push(component);
+                }
+            });
+
+            const wires = fragment.wires.map(data => {
+                const wire = Wire.fromJSON({
+                    ...data,
+                    id: Circuit.createElementId('wire'),
+                    start: move(data.start),
+                    end: move(data.end),
+                    path: (data.path || []).map(move),
+                    startComponent: componentIds.get(data.startComponent) || null,
+                    endComponent: componentIds.get(data.endComponent) || null
+                });
+                wireIds.set(data.id, wire.id);
+                return wire;
+            });
+
+            wires.forEach(wire => {
+                wire.startWire = wireIds.get(wire.startWire) || null;
+                wire.endWire = wireIds.get(wire.endWire) || null;
+                if (this.addWire(wire)) {
+                    added.wires.push(wire);
+                }
+            });
+        });
+
+        return added;
+    }
+
+    /**
+     * Etiqueta libre a partir de otra: R1 -> R2 (o la siguiente sin usar); sin número, la automática
+     */
+    createUniqueLabel(label, type) {
+        const used = new Set(this.components.map(component => component.label));
+        const match = /^(.*?)(\d+)$/.exec(label || '');
+
+        if (!match) {
+            let candidate;
+            do {
+                Component.counters[type] = (Component.counters[type] || 0) + 1;
+                candidate = `${type}_${Component.counters[type]}`;
+            } while (used.has(candidate));
+            return candidate;
+        }
+
+        let index = parseInt(match[2], 10) + 1;
+        while (used.has(`${match[1]}${index}`)) index++;
+
+        if (match[1] === `${type}_` && (Component.counters[type] || 0) < index) {
+            Component.counters[type] = index;
+        }
+        return `${match[1]}${index}`;
+    }
+
+    /**
+     * Convierte el circuito a objeto serializable
+     */
+    toJSON() {
+        return {
+            version: Circuit.FORMAT_VERSION,
+            id: this.id,
+            name: this.name,
+            description: this.description,
+            components: this.components.map(component => component.toJSON()),
+            wires: this.wires.map(wire => wire.toJSON()),
+            createdAt: this.createdAt.toISOString(),
+            lastModified: this.lastModified.toISOString()
+        };
+    }
+
+    /**
+     * Reemplaza el contenido del circuito con los datos serializados
+     */
+    fromJSON(data) {
+        if (!data || !Array.isArray(data.components) || !Array.isArray(data.wires)) {
+            throw new Error('Datos de circuito inválidos');
+        }
+
+        this.batch(() => {
+            this.clear();
+
+            if (data.id) this.id = data.id;
+            this.name = data.name || this.name;
+            this.description = data.description || '';
+            if (data.createdAt) this.createdAt = new Date(data.createdAt);
+
+            data.components.forEach(componentData => {
+                const component = Circuit.createComponentFromJSON(componentData);
+                if (component) {
+                    this.addComponent(component);
+                }
+            });
+
+            data.wires.forEach(wireData => {
+                this.addWire(Wire.fromJSON(wireData));
+            });
+
+            if (data.lastModified) this.lastModified = new Date(data.lastModified);
+        });
+
+        Circuit.syncLabelCounters(this.components);
+        this.emit('loaded', { circuit: this });
+        return this;
+    }
+
+    /**
+     * Crea un circuito nuevo desde datos serializados
+     */
+    static fromJSON(data) {
+        return new Circuit().fromJSON(data);
+    }
+
+    /**
+     * ID nuevo con el mismo formato que los constructores de Component y Wire
+     */
+    static createElementId(prefix) {
+        return `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+
+    /**
+     * Lee un fragmento desde texto (portapapeles); null si no es un fragmento de circuito
+     */
+    static parseFragment(text) {
+        if (!text) return null;
+
+        try {
+            const data = JSON.parse(text);
+            return data && data.format === 'circuit-fragment' &&
+                   Array.isArray(data.components) && Array.isArray(data.wires) ? data : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Obtiene la clase concreta para un tipo de componente, si está cargada
+     */
+    static getComponentClass(type) {
+        const resolver = Circuit.componentClassResolvers[type];
+        if (!resolver) return null;
+
+        try {
+            return resolver();
+        } catch (error) {
+            // El script de la clase no se ha cargado
+            return null;
+        }
+    }
+
+    /**
+     * Reconstruye un componente usando el fromJSON de su subclase
+     */
+    static createComponentFromJSON(data) {
+        if (!data || !data.type) return null;
+
+        const ComponentClass = Circuit.getComponentClass(data.type);
+        let component;
+
+        if (ComponentClass && typeof ComponentClass.fromJSON === 'function' && ComponentClass !== Component) {
+            component = ComponentClass.fromJSON(data);
+        } else {
+            console.warn(`Clase no disponible para el tipo "${data.type}", se usa Component genérico`);
+            component = Component.fromJSON(data);
+        }
+
+        // Los fromJSON de las subclases no restauran los metadatos de la base
+        component.id = data.id || component.id;
+        if (data.createdAt) component.createdAt = new Date(data.createdAt);
+        if (data.lastModified) component.lastModified = new Date(data.lastModified);
+        if (data.properties && component.properties.size === 0) {
+            Object.entries(data.properties).forEach(([key, value]) => {
+                component.properties.set(key, value);
+            });
+        }
+
+        return component;
+    }
+
+    /**
+     * Ajusta los contadores de etiquetas para no repetir etiquetas ya usadas
+     */
+    static syncLabelCounters(components) {
+        components.forEach(component => {
+            const match = new RegExp(`^${component.type}_(\\d+)$`).exec(component.label || '');
+            if (!match) return;
+
+            const index = parseInt(match[1], 10);
+            if ((Component.counters[component.type] || 0) < index) {
+                Component.counters[component.type] = index;
+            }
+        });
+    }
+
+    /**
+     * Sistema de eventos
+     */
+    on(event, callback) {
+        if (!this.eventListeners.has(event)) {
+            this.eventListeners.set(event, []);
+        }
+        this.eventListeners.get(event).push(callback);
+    }
+
+    off(event, callback) {
+        if (this.eventListeners.has(event)) {
+            const listeners = this.eventListeners.get(event);
+            const index = listeners.indexOf(callback);
+            if (index > -1) {
+                listeners.splice(index, 1);
+            }
+        }
+    }
+
+    emit(event, data) {
+        if (this.eventListeners.has(event)) {
+            this.eventListeners.get(event).forEach(callback => {
+                try {
+                    callback(data);
+                } catch (error) {
+                    console.error(`Error in circuit event listener for ${event}:`, error);
+                }
+            });
+        }
+    }
+
+    /**
+     * Limpia recursos del circuito
+     */
+    dispose() {
+        this.clear();
+        this.eventListeners.clear();
+    }
+}
+
+// Versión del formato de serialización
+Circuit.FORMAT_VERSION = 1;
+
+// Resolución perezosa de clases: los scripts de componentes pueden no estar cargados
+Circuit.componentClassResolvers = {
+    'resistor': () => Resistor,
+    'voltage': () => VoltageSource,
+    'current': () => CurrentSource,
+    'capacitor': () => Capacitor,
+    'inductor': () => Inductor,
+    'diode': () => Diode,
+    'ground': () => Ground
+};
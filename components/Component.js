@@ -11,7 +11,7 @@ class Component {
         this.width = options.width || 40;
         this.height = options.height || 20;
         this.rotation = options.rotation || 0;
-        this.value = options.value || this.getDefaultValue();
+        this.value = options.value ?? this.getDefaultValue();
         this.unit = options.unit || this.getDefaultUnit();
         this.label = options.label || `${type}_${this.getNextIndex()}`;
         this.color = options.color || this.getDefaultColor();
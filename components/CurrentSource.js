@@ -0,0 +1,467 @@
+/**
+ * Clase para fuentes de corriente (DC, AC y pulsos)
+ * Maneja fuentes ideales y reales con conductancia interna en paralelo
+ */
+class CurrentSource extends Component {
+    constructor(x, y, options = {}) {
+        super('current', x, y, {
+            width: 40,
+            height: 40,
+            value: 0.001,
+            unit: 'A',
+            color: '#3498db',
+            ...options
+        });
+
+        // Propiedades específicas de fuentes de corriente
+        this.sourceType = options.sourceType || 'dc'; // 'dc', 'ac', 'pulse'
+        this.internalConductance = options.internalConductance || 0; // Siemens (en paralelo)
+        this.frequency = options.frequency || 60; // Hz para AC y pulsos
+        this.phase = options.phase || 0; // Radianes
+        this.amplitude = options.amplitude ?? this.value; // Amplitud para AC
+        this.offset = options.offset || 0; // Offset DC para AC
+        this.dutyCycle = options.dutyCycle || 0.5; // Para pulsos
+        this.lowValue = options.lowValue || 0; // Nivel bajo del pulso
+
+        // Límites de la fuente
+        this.complianceVoltage = options.complianceVoltage || 30; // Voltios
+        this.maxPower = options.maxPower || Infinity;
+
+        // Estado de operación
+        this.isEnabled = true;
+        this.outputCurrent = this.value;
+        this.terminalVoltage = 0;
+        this.isInCompliance = true;
+        this.efficiency = 0.95; // Eficiencia típica
+        this.temperature = 25;
+
+        // Para análisis temporal
+        this.timeStep = 0;
+        this.waveformData = [];
+    }
+
+    /**
+     * Dibuja la fuente de corriente
+     */
+    drawComponent(ctx, options = {}) {
+        // Líneas de conexión
+        ctx.strokeStyle = '#2c3e50';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(-this.width/2, 0);
+        ctx.lineTo(-this.width/2 - 10, 0);
+        ctx.moveTo(this.width/2, 0);
+        ctx.lineTo(this.width/2 + 10, 0);
+        ctx.stroke();
+
+        // Círculo de la fuente
+        ctx.fillStyle = this.color;
+        ctx.beginPath();
+        ctx.arc(0, 0, this.width/2, 0, 2 * Math.PI);
+        ctx.fill();
+
+        ctx.strokeStyle = '#2c3e50';
+        ctx.lineWidth = 2;
+        ctx.stroke();
+
+        // Flecha de dirección (del terminal izquierdo al derecho)
+        this.drawDirectionArrow(ctx);
+
+        // Indicador de forma de onda
+        switch (this.sourceType) {
+            case 'ac':
+                this.drawACSymbol(ctx);
+                break;
+            case 'pulse':
+                this.drawPulseSymbol(ctx);
+                break;
+        }
+
+        // Indicador de estado
+        if (!this.isEnabled) {
+            this.drawDisabledIndicator(ctx);
+        }
+
+        // Indicador de fuera de compliance
+        if (!this.isInCompliance || this.power > this.maxPower) {
+            this.drawOverloadIndicator(ctx);
+        }
+    }
+
+    /**
+     * Dibuja la flecha que indica el sentido de la corriente
+     */
+    drawDirectionArrow(ctx) {
+        const length = this.width * 0.55;
+        const headSize = 6;
+        const y = this.sourceType === 'dc' ? 0 : -this.width/8;
+
+        // Invertir la flecha si la corriente es negativa
+        const direction = this.value < 0 ? -1 : 1;
+
+        ctx.strokeStyle = 'white';
+        ctx.fillStyle = 'white';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(-direction * length/2, y);
+        ctx.lineTo(direction * (length/2 - headSize), y);
+        ctx.stroke();
+
+        // Punta de flecha
+        ctx.beginPath();
+        ctx.moveTo(direction * length/2, y);
+        ctx.lineTo(direction * (length/2 - headSize), y - headSize/2 - 1);
+        ctx.lineTo(direction * (length/2 - headSize), y + headSize/2 + 1);
+        ctx.closePath();
+        ctx.fill();
+    }
+
+    /**
+     * Dibuja símbolo de fuente AC
+     */
+    drawACSymbol(ctx) {
+        ctx.strokeStyle = 'white';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+
+        // Forma de onda senoidal pequeña bajo la flecha
+        const points = 8;
+        const amplitude = this.width/12;
+        const w = this.width * 0.4;
+        const y0 = this.width/5;
+
+        ctx.moveTo(-w/2, y0);
+        for (let i = 0; i <= points; i++) {
+            const x = -w/2 + (i / points) * w;
+            const y = y0 + amplitude * Math.sin((i / points) * 2 * Math.PI);
+            ctx.lineTo(x, y);
+        }
+        ctx.stroke();
+    }
+
+    /**
+     * Dibuja símbolo de fuente de pulsos
+     */
+    drawPulseSymbol(ctx) {
+        ctx.strokeStyle = 'white';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+
+        const w = this.width * 0.4;
+        const h = this.width/8;
+        const y0 = this.width/5;
+
+        // Forma de onda cuadrada
+        ctx.moveTo(-w/2, y0 + h/2);
+        ctx.lineTo(-w/4, y0 + h/2);
+        ctx.lineTo(-w/4, y0 - h/2);
+        ctx.lineTo(w/4, y0 - h/2);
+        ctx.lineTo(w/4, y0 + h/2);
+        ctx.lineTo(w/2, y0 + h/2);
+        ctx.stroke();
+    }
+
+    /**
+     * Dibuja indicador de fuente deshabilitada
+     */
+    drawDisabledIndicator(ctx) {
+        ctx.strokeStyle = '#95a5a6';
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.moveTo(-this.width/3, -this.width/3);
+        ctx.lineTo(this.width/3, this.width/3);
+        ctx.stroke();
+    }
+
+    /**
+     * Dibuja indicador de sobrecarga / fuera de compliance
+     */
+    drawOverloadIndicator(ctx) {
+        ctx.strokeStyle = '#e74c3c';
+        ctx.lineWidth = 3;
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.arc(0, 0, this.width/2 + 3, 0, 2 * Math.PI);
+        ctx.stroke();
+        ctx.setLineDash([]);
+    }
+
+    /**
+     * Calcula la corriente nominal de la fuente en un momento dado
+     */
+    getSourceCurrent(time = 0) {
+        if (!this.isEnabled) return 0;
+
+        switch (this.sourceType) {
+            case 'ac':
+                return this.amplitude * Math.sin(2 * Math.PI * this.frequency * time + this.phase) + this.offset;
+
+            case 'pulse':
+                const period = 1 / this.frequency;
+                const cycleTime = time % period;
+                return (cycleTime < period * this.dutyCycle) ? this.value : this.lowValue;
+
+            case 'dc':
+            default:
+                return this.value;
+        }
+    }
+
+    /**
+     * Calcula la corriente entregada al circuito en un momento dado
+     */
+    getOutputCurrent(time = 0) {
+        let current = this.getSourceCurrent(time);
+
+        // Parte de la corriente se deriva por la conductancia interna
+        if (this.internalConductance > 0 && this.terminalVoltage !== 0) {
+            current -= this.internalConductance * this.terminalVoltage;
+        }
+
+        // Sin compliance la fuente no puede sostener la corriente
+        if (!this.isInCompliance) {
+            current = this.complianceVoltage > 0 && this.terminalVoltage !== 0 ?
+                      current * (this.complianceVoltage / Math.abs(this.terminalVoltage)) :
+                      0;
+        }
+
+        this.outputCurrent = current;
+        return current;
+    }
+
+    /**
+     * Establece el voltaje en terminales y verifica el límite de compliance
+     */
+    setTerminalVoltage(voltage) {
+        this.terminalVoltage = voltage;
+        this.power = Math.abs(this.terminalVoltage * this.outputCurrent);
+
+        const wasInCompliance = this.isInCompliance;
+        this.isInCompliance = Math.abs(voltage) <= this.complianceVoltage;
+
+        if (wasInCompliance && !this.isInCompliance) {
+            this.emit('complianceExceeded', { component: this, voltage });
+        }
+
+        if (this.power > this.maxPower) {
+            this.isEnabled = false;
+            this.emit('overpower', { component: this, power: this.power });
+        }
+    }
+
+    /**
+     * Obtiene la impedancia interna equivalente (infinita para fuente ideal)
+     */
+    getInternalImpedance() {
+        if (this.internalConductance <= 0) {
+            return { real: Infinity, imaginary: 0 };
+        }
+        return { real: 1 / this.internalConductance, imaginary: 0 };
+    }
+
+    /**
+     * Genera forma de onda para análisis
+     */
+    generateWaveform(duration = 1, sampleRate = 1000) {
+        const samples = Math.floor(duration * sampleRate);
+        const dt = 1 / sampleRate;
+        const waveform = [];
+
+        for (let i = 0; i < samples; i++) {
+            const time = i * dt;
+            const current = this.getSourceCurrent(time);
+            waveform.push({ time, current });
+        }
+
+        this.waveformData = waveform;
+        return waveform;
+    }
+
+    /**
+     * Calcula parámetros RMS y promedio
+     */
+    calculateWaveformParameters() {
+        if (this.waveformData.length === 0) {
+            this.generateWaveform();
+        }
+
+        const currents = this.waveformData.map(point => point.current);
+        const n = currents.length;
+
+        const average = currents.reduce((sum, i) => sum + i, 0) / n;
+        const rms = Math.sqrt(currents.reduce((sum, i) => sum + i * i, 0) / n);
+        const peak = Math.max(...currents);
+        const valley = Math.min(...currents);
+
+        return {
+            average,
+            rms,
+            peak,
+            valley,
+            peakToPeak: peak - valley,
+            formFactor: rms / Math.abs(average),
+            crestFactor: peak / rms
+        };
+    }
+
+    /**
+     * Actualiza propiedades específicas
+     */
+    updateProperties(properties) {
+        super.updateProperties(properties);
+
+        if (properties.frequency !== undefined ||
+            properties.amplitude !== undefined ||
+            properties.sourceType !== undefined ||
+            properties.value !== undefined) {
+            this.waveformData = []; // Forzar recálculo
+        }
+    }
+
+    /**
+     * Análisis específico de la fuente
+     */
+    analyze() {
+        return {
+            type: 'current_source',
+            sourceType: this.sourceType,
+            nominalCurrent: this.value,
+            outputCurrent: this.outputCurrent,
+            terminalVoltage: this.terminalVoltage,
+            power: this.power,
+            efficiency: this.efficiency,
+            internalConductance: this.internalConductance,
+            frequency: this.frequency,
+            phase: this.phase,
+            waveformParameters: this.calculateWaveformParameters(),
+            isEnabled: this.isEnabled,
+            complianceVoltage: this.complianceVoltage,
+            isInCompliance: this.isInCompliance,
+            limits: {
+                complianceVoltage: this.complianceVoltage,
+                maxPower: this.maxPower
+            },
+            warnings: this.checkLimits()
+        };
+    }
+
+    /**
+     * Verifica límites de operación
+     */
+    checkLimits() {
+        const warnings = [];
+
+        if (!this.isInCompliance) {
+            warnings.push(`Voltaje fuera de compliance: ${Math.abs(this.terminalVoltage).toFixed(2)}V > ${this.complianceVoltage}V`);
+        } else if (Math.abs(this.terminalVoltage) > this.complianceVoltage * 0.9) {
+            warnings.push(`Voltaje cerca del límite de compliance: ${this.terminalVoltage.toFixed(2)}V`);
+        }
+
+        if (this.power > this.maxPower * 0.9) {
+            warnings.push(`Potencia cerca del límite: ${this.power.toFixed(2)}W`);
+        }
+
+        if (this.internalConductance > 0 && this.value !== 0) {
+            const shuntCurrent = this.internalConductance * this.terminalVoltage;
+            const regulation = Math.abs(shuntCurrent / this.value) * 100;
+            if (regulation > 5) {
+                warnings.push(`Regulación pobre: ${regulation.toFixed(1)}% de la corriente se deriva internamente`);
+            }
+        }
+
+        if (!this.isEnabled) {
+            warnings.push('Fuente deshabilitada por protección');
+        }
+
+        return warnings;
+    }
+
+    /**
+     * Habilita o deshabilita la fuente
+     */
+    enable(state = true) {
+        this.isEnabled = state;
+        if (!state) {
+            this.outputCurrent = 0;
+            this.terminalVoltage = 0;
+            this.power = 0;
+        }
+        this.emit('enableChanged', { component: this, enabled: state });
+    }
+
+    /**
+     * Reset de protecciones
+     */
+    resetProtection() {
+        this.isEnabled = true;
+        this.isInCompliance = true;
+        this.emit('protectionReset', { component: this });
+    }
+
+    /**
+     * Convierte a JSON con propiedades específicas
+     */
+    toJSON() {
+        const base = super.toJSON();
+        return {
+            ...base,
+            sourceType: this.sourceType,
+            internalConductance: this.internalConductance,
+            frequency: this.frequency,
+            phase: this.phase,
+            amplitude: this.amplitude,
+            offset: this.offset,
+            dutyCycle: this.dutyCycle,
+            lowValue: this.lowValue,
+            complianceVoltage: this.complianceVoltage,
+            maxPower: this.maxPower,
+            efficiency: this.efficiency,
+            isEnabled: this.isEnabled
+        };
+    }
+
+    /**
+     * Crea fuente de corriente desde JSON
+     */
+    static fromJSON(data) {
+        const source = new CurrentSource(data.x, data.y, {
+            width: data.width,
+            height: data.height,
+            rotation: data.rotation,
+            value: data.value,
+            unit: data.unit,
+            label: data.label,
+            color: data.color,
+            sourceType: data.sourceType,
+            internalConductance: data.internalConductance,
+            frequency: data.frequency,
+            phase: data.phase,
+            amplitude: data.amplitude,
+            offset: data.offset,
+            dutyCycle: data.dutyCycle,
+            lowValue: data.lowValue,
+            complianceVoltage: data.complianceVoltage,
+            maxPower: data.maxPower
+        });
+
+        source.id = data.id;
+        source.isEnabled = data.isEnabled !== false;
+        if (data.efficiency !== undefined) source.efficiency = data.efficiency;
+
+        return source;
+    }
+
+    /**
+     * Permite valores negativos (invierte el sentido)
+     */
+    allowsNegativeValues() {
+        return true;
+    }
+
+    /**
+     * Permite valor cero (fuente abierta)
+     */
+    allowsZeroValue() {
+        return true;
+    }
+}
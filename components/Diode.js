@@ -0,0 +1,620 @@
+/**
+ * Clase para diodos
+ * Modelo de Shockley con resistencia serie, ruptura inversa y variantes (silicio, Schottky, Zener, LED)
+ */
+class Diode extends Component {
+    constructor(x, y, options = {}) {
+        const variant = Diode.presets[options.variant] ? options.variant : 'silicon';
+        const preset = Diode.presets[variant];
+
+        super('diode', x, y, {
+            width: 30,
+            height: 20,
+            unit: 'V',
+            color: '#e67e22',
+            ...options
+        });
+
+        // Variante y parámetros del modelo de Shockley
+        this.variant = variant;
+        this.saturationCurrent = options.saturationCurrent || preset.saturationCurrent; // Is (A)
+        this.emissionCoefficient = options.emissionCoefficient || preset.emissionCoefficient; // n
+        this.seriesResistance = options.seriesResistance !== undefined ?
+                                options.seriesResistance : preset.seriesResistance; // Rs (Ω)
+        this.breakdownVoltage = options.breakdownVoltage || preset.breakdownVoltage; // BV (V, positivo)
+        this.breakdownCurrent = options.breakdownCurrent || preset.breakdownCurrent; // IBV (A)
+        this.temperature = options.temperature || 25; // °C
+
+        // Límites
+        this.maxCurrent = options.maxCurrent || preset.maxCurrent; // A
+        this.maxPower = options.maxPower || preset.maxPower; // W
+        this.nominalCurrent = options.nominalCurrent || preset.nominalCurrent; // A, punto para Vf nominal
+
+        // Propiedades de LED
+        this.ledColor = Diode.ledColors[options.ledColor] ? options.ledColor : 'red';
+        this.brightness = 0;
+        this.isLit = false;
+
+        if (variant === 'led' && !options.saturationCurrent) {
+            this.saturationCurrent = this.fitSaturationCurrent(Diode.ledColors[this.ledColor].forwardVoltage);
+        }
+
+        // El valor mostrado es el voltaje directo al punto nominal
+        if (options.value === undefined) {
+            this.value = Number(this.getForwardVoltage(this.nominalCurrent).toFixed(3));
+        }
+
+        // Estado de operación
+        this.region = 'off'; // 'forward', 'off', 'reverse', 'breakdown'
+        this.impedance = this.calculateImpedance();
+    }
+
+    /**
+     * Dibuja el diodo según su variante
+     */
+    drawComponent(ctx, options = {}) {
+        const half = this.height / 2;
+        const triangleWidth = this.height * 0.8;
+        const left = -triangleWidth / 2;
+        const right = triangleWidth / 2;
+
+        // Líneas de conexión
+        ctx.strokeStyle = '#2c3e50';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(-this.width/2 - 10, 0);
+        ctx.lineTo(left, 0);
+        ctx.moveTo(right, 0);
+        ctx.lineTo(this.width/2 + 10, 0);
+        ctx.stroke();
+
+        // Brillo del LED encendido (debajo del símbolo)
+        if (this.variant === 'led' && this.isLit) {
+            this.drawGlow(ctx);
+        }
+
+        // Triángulo (ánodo a la izquierda, cátodo a la derecha)
+        ctx.fillStyle = this.variant === 'led' && this.isLit ?
+                        Diode.ledColors[this.ledColor].hex : this.color;
+        ctx.beginPath();
+        ctx.moveTo(left, -half);
+        ctx.lineTo(right, 0);
+        ctx.lineTo(left, half);
+        ctx.closePath();
+        ctx.fill();
+        ctx.strokeStyle = '#2c3e50';
+        ctx.lineWidth = 2;
+        ctx.stroke();
+
+        // Barra del cátodo
+        this.drawCathodeBar(ctx, right, half);
+
+        if (this.variant === 'led') {
+            this.drawEmissionArrows(ctx);
+        }
+
+        // Indicador de sobrecarga
+        if (Math.abs(this.current) > this.maxCurrent || this.power > this.maxPower) {
+            this.drawOverloadIndicator(ctx);
+        }
+    }
+
+    /**
+     * Dibuja la barra del cátodo (recta, Zener o Schottky)
+     */
+    drawCathodeBar(ctx, x, half) {
+        ctx.strokeStyle = '#2c3e50';
+        ctx.lineWidth = 2.5;
+        ctx.beginPath();
+        ctx.moveTo(x, -half);
+        ctx.lineTo(x, half);
+
+        switch (this.variant) {
+            case 'zener':
+                // Extremos doblados en sentidos opuestos
+                ctx.moveTo(x, -half);
+                ctx.lineTo(x - 4, -half - 3);
+                ctx.moveTo(x, half);
+                ctx.lineTo(x + 4, half + 3);
+                break;
+            case 'schottky':
+                // Extremos en forma de S
+                ctx.moveTo(x, -half);
+                ctx.lineTo(x + 4, -half);
+                ctx.lineTo(x + 4, -half + 3);
+                ctx.moveTo(x, half);
+                ctx.lineTo(x - 4, half);
+                ctx.lineTo(x - 4, half - 3);
+                break;
+        }
+        ctx.stroke();
+    }
+
+    /**
+     * Dibuja las flechas de emisión de luz del LED
+     */
+    drawEmissionArrows(ctx) {
+        const color = this.isLit ? Diode.ledColors[this.ledColor].hex : '#2c3e50';
+        ctx.strokeStyle = color;
+        ctx.fillStyle = color;
+        ctx.lineWidth = 1.5;
+
+        [-2, 5].forEach(offsetX => {
+            const startX = offsetX;
+            const startY = -this.height/2 - 2;
+            const endX = startX + 6;
+            const endY = startY - 7;
+
+            ctx.beginPath();
+            ctx.moveTo(startX, startY);
+            ctx.lineTo(endX, endY);
+            ctx.stroke();
+
+            ctx.beginPath();
+            ctx.moveTo(endX, endY);
+            ctx.lineTo(endX - 4, endY + 1);
+            ctx.lineTo(endX - 1, endY + 4);
+            ctx.closePath();
+            ctx.fill();
+        });
+    }
+
+    /**
+     * Dibuja el halo de luz del LED, con intensidad según el brillo
+     */
+    drawGlow(ctx) {
+        const radius = this.width * (0.6 + 0.6 * this.brightness);
+        const gradient = ctx.createRadialGradient(0, 0, 2, 0, 0, radius);
+        const hex = Diode.ledColors[this.ledColor].hex;
+        const alpha = Math.round(40 + 160 * this.brightness).toString(16).padStart(2, '0');
+
+        gradient.addColorStop(0, `${hex}${alpha}`);
+        gradient.addColorStop(1, `${hex}00`);
+
+        ctx.fillStyle = gradient;
+        ctx.beginPath();
+        ctx.arc(0, 0, radius, 0, 2 * Math.PI);
+        ctx.fill();
+    }
+
+    /**
+     * Dibuja indicador de sobrecarga
+     */
+    drawOverloadIndicator(ctx) {
+        ctx.strokeStyle = '#e74c3c';
+        ctx.lineWidth = 2;
+        ctx.setLineDash([2, 2]);
+        ctx.strokeRect(-this.width/2 - 2, -this.height/2 - 2,
+                      this.width + 4, this.height + 4);
+        ctx.setLineDash([]);
+    }
+
+    /**
+     * Voltaje térmico Vt = kT/q
+     */
+    getThermalVoltage() {
+        const k = 1.380649e-23; // Constante de Boltzmann
+        const q = 1.602176634e-19; // Carga del electrón
+        return k * (this.temperature + 273.15) / q;
+    }
+
+    /**
+     * Corriente de la unión para un voltaje de unión (sin resistencia serie)
+     * Shockley en directa más ruptura exponencial en inversa
+     */
+    calculateJunctionCurrent(junctionVoltage) {
+        const nVt = this.emissionCoefficient * this.getThermalVoltage();
+
+        // Limitar el exponente para evitar desbordamiento numérico
+        const exponent = Math.min(junctionVoltage / nVt, 80);
+        let current = this.saturationCurrent * (Math.exp(exponent) - 1);
+
+        if (isFinite(this.breakdownVoltage)) {
+            const breakdownExponent = Math.min(-(junctionVoltage + this.breakdownVoltage) / nVt, 80);
+            current -= this.breakdownCurrent * Math.exp(breakdownExponent);
+        }
+
+        return current;
+    }
+
+    /**
+     * Conductancia dinámica de la unión dI/dV en un voltaje de unión
+     */
+    calculateJunctionConductance(junctionVoltage) {
+        const nVt = this.emissionCoefficient * this.getThermalVoltage();
+        const exponent = Math.min(junctionVoltage / nVt, 80);
+        let conductance = (this.saturationCurrent / nVt) * Math.exp(exponent);
+
+        if (isFinite(this.breakdownVoltage)) {
+            const breakdownExponent = Math.min(-(junctionVoltage + this.breakdownVoltage) / nVt, 80);
+            conductance += (this.breakdownCurrent / nVt) * Math.exp(breakdownExponent);
+        }
+
+        return conductance;
+    }
+
+    /**
+     * Corriente para un voltaje en terminales, resolviendo V = Vd + I·Rs por Newton
+     */
+    calculateCurrent(voltage) {
+        if (!this.seriesResistance) {
+            return this.calculateJunctionCurrent(voltage);
+        }
+
+        const nVt = this.emissionCoefficient * this.getThermalVoltage();
+        let vd = Math.min(voltage, this.getForwardVoltage(this.maxCurrent) - this.maxCurrent * this.seriesResistance);
+        if (isFinite(this.breakdownVoltage)) {
+            // Partir del codo de ruptura: más allá la exponencial está recortada y Newton avanza muy lento
+            vd = Math.max(vd, -this.breakdownVoltage);
+        }
+
+        for (let iter = 0; iter < 100; iter++) {
+            const id = this.calculateJunctionCurrent(vd);
+            const gd = this.calculateJunctionConductance(vd);
+            const f = vd + id * this.seriesResistance - voltage;
+            const df = 1 + gd * this.seriesResistance;
+
+            let step = f / df;
+            // Limitar el paso a unas pocas nVt para estabilidad
+            step = Math.max(-4 * nVt * 10, Math.min(4 * nVt * 10, step));
+            vd -= step;
+
+            if (Math.abs(step) < 1e-12) break;
+        }
+
+        return this.calculateJunctionCurrent(vd);
+    }
+
+    /**
+     * Modelo lineal equivalente en un voltaje de terminales: i ≈ g·v + Ieq
+     * (conductancia incluye la resistencia serie)
+     */
+    getCompanionModel(voltage) {
+        const current = this.calculateCurrent(voltage);
+        const junctionConductance = this.calculateJunctionConductance(voltage - current * this.seriesResistance);
+        const conductance = junctionConductance / (1 + this.seriesResistance * junctionConductance);
+
+        return {
+            conductance: conductance,
+            current: current - conductance * voltage
+        };
+    }
+
+    /**
+     * Voltaje crítico de la unión: por encima de él se limitan los pasos de Newton
+     */
+    getCriticalVoltage() {
+        const nVt = this.emissionCoefficient * this.getThermalVoltage();
+        return nVt * Math.log(nVt / (Math.SQRT2 * this.saturationCurrent));
+    }
+
+    /**
+     * Limita el cambio de voltaje entre iteraciones de Newton (pnjlim de SPICE)
+     * Se aplica sobre el voltaje de unión, en directa y en ruptura
+     */
+    limitVoltageStep(newVoltage, oldVoltage) {
+        const nVt = this.emissionCoefficient * this.getThermalVoltage();
+        const criticalVoltage = this.getCriticalVoltage();
+        const junction = voltage => voltage - this.seriesResistance * this.calculateCurrent(voltage);
+
+        const limit = (vNew, vOld) => {
+            if (vNew <= criticalVoltage || Math.abs(vNew - vOld) <= 2 * nVt) return vNew;
+            if (vOld > 0) {
+                const arg = 1 + (vNew - vOld) / nVt;
+                return arg > 0 ? vOld + nVt * Math.log(arg) : criticalVoltage;
+            }
+            return nVt * Math.log(vNew / nVt);
+        };
+
+        const newJunction = junction(newVoltage);
+        const oldJunction = junction(oldVoltage);
+        let limited = limit(newJunction, oldJunction);
+
+        // Ruptura: mismo criterio sobre el voltaje reflejado -(Vd + BV)
+        if (isFinite(this.breakdownVoltage) && newJunction < 0) {
+            const bv = this.breakdownVoltage;
+            limited = -limit(-(newJunction + bv), -(oldJunction + bv)) - bv;
+        }
+
+        if (limited === newJunction) return newVoltage;
+        return limited + this.seriesResistance * this.calculateJunctionCurrent(limited);
+    }
+
+    /**
+     * Voltaje en terminales para una corriente dada (inversa del modelo)
+     */
+    calculateVoltage(current) {
+        const nVt = this.emissionCoefficient * this.getThermalVoltage();
+        let junctionVoltage;
+
+        if (current > -this.saturationCurrent) {
+            junctionVoltage = nVt * Math.log(current / this.saturationCurrent + 1);
+        } else if (isFinite(this.breakdownVoltage)) {
+            // Región de ruptura: I ≈ -IBV·exp(-(V + BV)/nVt)
+            const reverse = Math.max(-current - this.saturationCurrent, this.breakdownCurrent * 1e-9);
+            junctionVoltage = -this.breakdownVoltage - nVt * Math.log(reverse / this.breakdownCurrent);
+        } else {
+            junctionVoltage = -Infinity;
+        }
+
+        return junctionVoltage + current * this.seriesResistance;
+    }
+
+    /**
+     * Voltaje directo en terminales a una corriente dada
+     */
+    getForwardVoltage(current = this.nominalCurrent) {
+        return this.calculateVoltage(current);
+    }
+
+    /**
+     * Calcula Is para obtener un voltaje directo dado a la corriente nominal
+     */
+    fitSaturationCurrent(forwardVoltage, current = this.nominalCurrent) {
+        const nVt = this.emissionCoefficient * this.getThermalVoltage();
+        const junctionVoltage = Math.max(forwardVoltage - current * this.seriesResistance, nVt);
+        return current / (Math.exp(junctionVoltage / nVt) - 1);
+    }
+
+    /**
+     * Calcula la impedancia como resistencia dinámica en el punto de operación
+     */
+    calculateImpedance(frequency = 0) {
+        if (!this.saturationCurrent) {
+            return { real: this.value || 0.7, imaginary: 0 };
+        }
+
+        const junctionVoltage = this.calculateVoltage(this.current || 0) - (this.current || 0) * this.seriesResistance;
+        const conductance = this.calculateJunctionConductance(isFinite(junctionVoltage) ? junctionVoltage : 0);
+
+        return {
+            real: this.seriesResistance + (conductance > 0 ? 1 / conductance : Infinity),
+            imaginary: 0
+        };
+    }
+
+    /**
+     * Determina la región de operación para un voltaje en terminales
+     */
+    getOperatingRegion(voltage = this.voltage) {
+        const nVt = this.emissionCoefficient * this.getThermalVoltage();
+
+        if (isFinite(this.breakdownVoltage) && voltage <= -this.breakdownVoltage + 5 * nVt) {
+            return 'breakdown';
+        }
+        if (voltage > 5 * nVt && this.calculateCurrent(voltage) > this.nominalCurrent * 0.01) {
+            return 'forward';
+        }
+        return voltage < 0 ? 'reverse' : 'off';
+    }
+
+    /**
+     * Establece el punto de operación y actualiza región y estado del LED
+     */
+    setOperatingPoint(voltage, current) {
+        this.voltage = voltage;
+        this.current = current;
+        this.power = Math.abs(voltage * current);
+        this.region = this.getOperatingRegion(voltage);
+
+        if (this.variant === 'led') {
+            const wasLit = this.isLit;
+            this.brightness = Math.max(0, Math.min(1, current / this.nominalCurrent));
+            this.isLit = current > this.nominalCurrent * 0.05;
+
+            if (wasLit !== this.isLit) {
+                this.emit('litChanged', { component: this, isLit: this.isLit });
+            }
+        }
+    }
+
+    /**
+     * Cambia la variante aplicando sus parámetros por defecto
+     */
+    setVariant(variant, ledColor = this.ledColor) {
+        const preset = Diode.presets[variant];
+        if (!preset) return;
+
+        this.variant = variant;
+        this.ledColor = Diode.ledColors[ledColor] ? ledColor : this.ledColor;
+        this.saturationCurrent = preset.saturationCurrent;
+        this.emissionCoefficient = preset.emissionCoefficient;
+        this.seriesResistance = preset.seriesResistance;
+        this.breakdownVoltage = preset.breakdownVoltage;
+        this.breakdownCurrent = preset.breakdownCurrent;
+        this.maxCurrent = preset.maxCurrent;
+        this.maxPower = preset.maxPower;
+        this.nominalCurrent = preset.nominalCurrent;
+
+        if (variant === 'led') {
+            this.saturationCurrent = this.fitSaturationCurrent(Diode.ledColors[this.ledColor].forwardVoltage);
+        } else {
+            this.brightness = 0;
+            this.isLit = false;
+        }
+
+        this.value = Number(this.getForwardVoltage(this.nominalCurrent).toFixed(3));
+        this.impedance = this.calculateImpedance();
+        this.lastModified = new Date();
+        this.emit('variantChanged', { component: this, variant });
+    }
+
+    /**
+     * Verifica si el diodo está dentro de sus límites
+     */
+    checkLimits() {
+        const warnings = [];
+
+        if (Math.abs(this.current) > this.maxCurrent) {
+            warnings.push(`Corriente excede el máximo: ${Math.abs(this.current).toFixed(3)}A > ${this.maxCurrent}A`);
+        }
+
+        if (this.power > this.maxPower) {
+            warnings.push(`Potencia excede el límite: ${this.power.toFixed(3)}W > ${this.maxPower}W`);
+        }
+
+        if (this.region === 'breakdown' && this.variant !== 'zener') {
+            warnings.push(`Diodo en ruptura inversa: ${this.voltage.toFixed(2)}V (BV = ${this.breakdownVoltage}V)`);
+        }
+
+        return warnings;
+    }
+
+    /**
+     * Actualiza propiedades específicas de diodos
+     */
+    updateProperties(properties) {
+        if (properties.variant !== undefined && properties.variant !== this.variant) {
+            this.setVariant(properties.variant, properties.ledColor);
+        } else if (properties.ledColor !== undefined && this.variant === 'led') {
+            this.setVariant('led', properties.ledColor);
+        }
+
+        super.updateProperties(properties);
+
+        // Editar el valor ajusta Is para que Vf nominal coincida
+        if (properties.value !== undefined) {
+            this.saturationCurrent = this.fitSaturationCurrent(this.value);
+            this.impedance = this.calculateImpedance();
+        }
+    }
+
+    /**
+     * Análisis específico del diodo
+     */
+    analyze() {
+        const analysis = {
+            type: 'diode',
+            variant: this.variant,
+            forwardVoltage: this.value,
+            voltage: this.voltage,
+            current: this.current,
+            power: this.power,
+            region: this.region,
+            saturationCurrent: this.saturationCurrent,
+            emissionCoefficient: this.emissionCoefficient,
+            seriesResistance: this.seriesResistance,
+            breakdownVoltage: this.breakdownVoltage,
+            thermalVoltage: this.getThermalVoltage(),
+            dynamicResistance: this.calculateImpedance().real,
+            warnings: this.checkLimits()
+        };
+
+        if (this.variant === 'led') {
+            analysis.ledColor = this.ledColor;
+            analysis.isLit = this.isLit;
+            analysis.brightness = this.brightness;
+        }
+
+        return analysis;
+    }
+
+    /**
+     * Convierte a JSON con propiedades específicas
+     */
+    toJSON() {
+        const base = super.toJSON();
+        return {
+            ...base,
+            variant: this.variant,
+            saturationCurrent: this.saturationCurrent,
+            emissionCoefficient: this.emissionCoefficient,
+            seriesResistance: this.seriesResistance,
+            breakdownVoltage: this.breakdownVoltage,
+            breakdownCurrent: this.breakdownCurrent,
+            temperature: this.temperature,
+            maxCurrent: this.maxCurrent,
+            maxPower: this.maxPower,
+            nominalCurrent: this.nominalCurrent,
+            ledColor: this.ledColor
+        };
+    }
+
+    /**
+     * Crea un diodo desde JSON
+     */
+    static fromJSON(data) {
+        const diode = new Diode(data.x, data.y, {
+            width: data.width,
+            height: data.height,
+            rotation: data.rotation,
+            value: data.value,
+            unit: data.unit,
+            label: data.label,
+            color: data.color,
+            variant: data.variant,
+            saturationCurrent: data.saturationCurrent,
+            emissionCoefficient: data.emissionCoefficient,
+            seriesResistance: data.seriesResistance,
+            breakdownVoltage: data.breakdownVoltage,
+            breakdownCurrent: data.breakdownCurrent,
+            temperature: data.temperature,
+            maxCurrent: data.maxCurrent,
+            maxPower: data.maxPower,
+            nominalCurrent: data.nominalCurrent,
+            ledColor: data.ledColor
+        });
+
+        diode.id = data.id;
+
+        return diode;
+    }
+}
+
+// Parámetros por variante (valores típicos de hojas de datos)
+Diode.presets = {
+    'silicon': {
+        name: 'Silicio (1N4148)',
+        saturationCurrent: 2.52e-9,
+        emissionCoefficient: 1.752,
+        seriesResistance: 0.568,
+        breakdownVoltage: 100,
+        breakdownCurrent: 1e-4,
+        maxCurrent: 0.3,
+        maxPower: 0.5,
+        nominalCurrent: 0.01
+    },
+    'schottky': {
+        name: 'Schottky (1N5819)',
+        saturationCurrent: 3.17e-5,
+        emissionCoefficient: 1.373,
+        seriesResistance: 0.051,
+        breakdownVoltage: 40,
+        breakdownCurrent: 1e-3,
+        maxCurrent: 1,
+        maxPower: 1.25,
+        nominalCurrent: 0.1
+    },
+    'zener': {
+        name: 'Zener (1N4733A, 5.1V)',
+        saturationCurrent: 1e-14,
+        emissionCoefficient: 1,
+        seriesResistance: 1,
+        breakdownVoltage: 5.1,
+        breakdownCurrent: 1e-3,
+        maxCurrent: 0.178,
+        maxPower: 1,
+        nominalCurrent: 0.01
+    },
+    'led': {
+        name: 'LED',
+        saturationCurrent: 1e-18, // Se ajusta según el color
+        emissionCoefficient: 2,
+        seriesResistance: 2,
+        breakdownVoltage: 5,
+        breakdownCurrent: 1e-5,
+        maxCurrent: 0.03,
+        maxPower: 0.1,
+        nominalCurrent: 0.02
+    }
+};
+
+// Colores de LED con su voltaje directo típico a la corriente nominal
+Diode.ledColors = {
+    'red': { name: 'Rojo', hex: '#e74c3c', forwardVoltage: 1.8 },
+    'orange': { name: 'Naranja', hex: '#e67e22', forwardVoltage: 1.9 },
+    'yellow': { name: 'Amarillo', hex: '#f1c40f', forwardVoltage: 2.0 },
+    'green': { name: 'Verde', hex: '#2ecc71', forwardVoltage: 2.1 },
+    'blue': { name: 'Azul', hex: '#3498db', forwardVoltage: 3.0 },
+    'white': { name: 'Blanco', hex: '#ecf0f1', forwardVoltage: 3.1 }
+};
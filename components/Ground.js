@@ -0,0 +1,233 @@
+/**
+ * Clase para tierras y etiquetas de red
+ * Componente de un solo terminal: las variantes de tierra definen el nodo de referencia
+ * y todos los símbolos con el mismo nombre de red quedan unidos sin necesidad de cables
+ */
+class Ground extends Component {
+    constructor(x, y, options = {}) {
+        const variant = Ground.variants[options.variant] ? options.variant : 'earth';
+
+        super('ground', x, y, {
+            width: 20,
+            height: 20,
+            value: 0,
+            unit: '',
+            color: '#34495e',
+            ...options
+        });
+
+        // Variante del símbolo y nombre de la red global
+        this.variant = variant;
+        this.netName = Ground.normalizeNetName(options.netName) || Ground.variants[variant].defaultNet;
+    }
+
+    /**
+     * Punto de conexión único en la parte superior del símbolo
+     */
+    getBaseConnectionPoints() {
+        return [
+            { x: 0, y: -this.height/2 - 10, terminal: 'ref' }
+        ];
+    }
+
+    /**
+     * Indica si el símbolo marca el nodo de referencia (0 V)
+     */
+    isReference() {
+        return this.variant !== 'net' || this.netName === 'GND';
+    }
+
+    /**
+     * Dibuja el símbolo según la variante
+     */
+    drawComponent(ctx, options = {}) {
+        const top = -this.height/2;
+
+        // Línea de conexión
+        ctx.strokeStyle = '#2c3e50';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(0, top - 10);
+        ctx.lineTo(0, top + (this.variant === 'net' ? 0 : this.height * 0.3));
+        ctx.stroke();
+
+        ctx.strokeStyle = this.color;
+        ctx.fillStyle = this.color;
+
+        switch (this.variant) {
+            case 'chassis':
+                this.drawChassisSymbol(ctx);
+                break;
+            case 'signal':
+                this.drawSignalSymbol(ctx);
+                break;
+            case 'net':
+                this.drawNetLabel(ctx);
+                break;
+            default:
+                this.drawEarthSymbol(ctx);
+        }
+    }
+
+    /**
+     * Tierra física: tres líneas horizontales decrecientes
+     */
+    drawEarthSymbol(ctx) {
+        const y = -this.height/2 + this.height * 0.3;
+        ctx.lineWidth = 2.5;
+        ctx.beginPath();
+        [1, 0.65, 0.3].forEach((scale, i) => {
+            const halfWidth = (this.width / 2) * scale;
+            ctx.moveTo(-halfWidth, y + i * 5);
+            ctx.lineTo(halfWidth, y + i * 5);
+        });
+        ctx.stroke();
+    }
+
+    /**
+     * Tierra de chasis: línea horizontal con trazos diagonales
+     */
+    drawChassisSymbol(ctx) {
+        const y = -this.height/2 + this.height * 0.3;
+        ctx.lineWidth = 2.5;
+        ctx.beginPath();
+        ctx.moveTo(-this.width/2, y);
+        ctx.lineTo(this.width/2, y);
+        [-this.width/2, 0, this.width/2].forEach(x => {
+            ctx.moveTo(x, y);
+            ctx.lineTo(x - 5, y + 8);
+        });
+        ctx.stroke();
+    }
+
+    /**
+     * Tierra de señal: triángulo hueco apuntando hacia abajo
+     */
+    drawSignalSymbol(ctx) {
+        const y = -this.height/2 + this.height * 0.3;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(-this.width/2, y);
+        ctx.lineTo(this.width/2, y);
+        ctx.lineTo(0, y + this.height * 0.6);
+        ctx.closePath();
+        ctx.stroke();
+    }
+
+    /**
+     * Etiqueta de red: banderín con el nombre de la red
+     */
+    drawNetLabel(ctx) {
+        const top = -this.height/2;
+        const halfWidth = this.width / 2;
+
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(0, top);
+        ctx.lineTo(halfWidth, top + 5);
+        ctx.lineTo(halfWidth, this.height/2);
+        ctx.lineTo(-halfWidth, this.height/2);
+        ctx.lineTo(-halfWidth, top + 5);
+        ctx.closePath();
+        ctx.stroke();
+
+        ctx.font = 'bold 8px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(this.netName.substring(0, 4), 0, 3);
+        ctx.textBaseline = 'alphabetic';
+    }
+
+    /**
+     * Dibuja el nombre de la red en lugar del valor
+     */
+    drawLabels(ctx, options) {
+        ctx.fillStyle = '#2c3e50';
+        ctx.font = '12px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillText(this.netName, 0, this.height/2 + 20);
+    }
+
+    /**
+     * La tierra no es una rama: impedancia nula
+     */
+    calculateImpedance(frequency = 0) {
+        return { real: 0, imaginary: 0 };
+    }
+
+    /**
+     * Actualiza propiedades específicas de tierras
+     */
+    updateProperties(properties) {
+        if (properties.netName !== undefined) {
+            properties = { ...properties, netName: Ground.normalizeNetName(properties.netName) || this.netName };
+        }
+        if (properties.variant !== undefined && !Ground.variants[properties.variant]) {
+            properties = { ...properties, variant: this.variant };
+        }
+
+        super.updateProperties(properties);
+    }
+
+    /**
+     * Análisis específico de la tierra
+     */
+    analyze() {
+        return {
+            type: 'ground',
+            variant: this.variant,
+            netName: this.netName,
+            isReference: this.isReference(),
+            voltage: this.voltage
+        };
+    }
+
+    /**
+     * Convierte a JSON con propiedades específicas
+     */
+    toJSON() {
+        const base = super.toJSON();
+        return {
+            ...base,
+            variant: this.variant,
+            netName: this.netName
+        };
+    }
+
+    /**
+     * Crea una tierra desde JSON
+     */
+    static fromJSON(data) {
+        const ground = new Ground(data.x, data.y, {
+            width: data.width,
+            height: data.height,
+            rotation: data.rotation,
+            value: data.value,
+            unit: data.unit,
+            label: data.label,
+            color: data.color,
+            variant: data.variant,
+            netName: data.netName
+        });
+
+        ground.id = data.id;
+
+        return ground;
+    }
+
+    /**
+     * Normaliza un nombre de red (sin espacios, en mayúsculas)
+     */
+    static normalizeNetName(name) {
+        if (typeof name !== 'string') return '';
+        return name.trim().replace(/\s+/g, '_').toUpperCase();
+    }
+}
+
+// Variantes disponibles y su red por defecto
+Ground.variants = {
+    'earth': { name: 'Tierra física', defaultNet: 'GND' },
+    'chassis': { name: 'Tierra de chasis', defaultNet: 'GND' },
+    'signal': { name: 'Tierra de señal', defaultNet: 'GND' },
+    'net': { name: 'Etiqueta de red', defaultNet: 'VCC' }
+};
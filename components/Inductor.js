@@ -0,0 +1,322 @@
+/**
+ * Clase para inductores
+ * Modela corriente inicial, resistencia del devanado, saturación y pérdidas en el núcleo
+ */
+class Inductor extends Component {
+    constructor(x, y, options = {}) {
+        super('inductor', x, y, {
+            width: 40,
+            height: 16,
+            value: 0.001,
+            unit: 'H',
+            color: '#2ecc71',
+            ...options
+        });
+
+        // Propiedades específicas de inductores
+        this.initialCurrent = options.initialCurrent || 0; // A en t = 0
+        this.dcResistance = options.dcResistance || 0; // Resistencia del devanado (Ω)
+        this.saturationCurrent = options.saturationCurrent || 1; // A
+        this.tolerance = options.tolerance || 10; // Porcentaje de tolerancia
+
+        // Pérdidas en el núcleo
+        this.coreMaterial = options.coreMaterial || 'air'; // 'air', 'ferrite', 'iron'
+        this.coreLossResistance = options.coreLossResistance || Infinity; // Resistencia equivalente en paralelo (Ω)
+
+        // Estado eléctrico
+        this.current = this.initialCurrent;
+        this.storedEnergy = this.calculateStoredEnergy();
+        this.isSaturated = false;
+        this.coreLoss = 0;
+
+        // Historial para análisis transitorio
+        this.currentHistory = [];
+    }
+
+    /**
+     * Dibuja el inductor con su bobina característica
+     */
+    drawComponent(ctx, options = {}) {
+        const turns = 4;
+        const turnWidth = this.width / turns;
+
+        // Líneas de conexión
+        ctx.strokeStyle = '#2c3e50';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(-this.width/2 - 10, 0);
+        ctx.lineTo(-this.width/2, 0);
+        ctx.moveTo(this.width/2, 0);
+        ctx.lineTo(this.width/2 + 10, 0);
+        ctx.stroke();
+
+        // Espiras (semicírculos)
+        ctx.strokeStyle = this.isSaturated ? '#e74c3c' : this.color;
+        ctx.lineWidth = 2.5;
+        ctx.beginPath();
+        for (let i = 0; i < turns; i++) {
+            const centerX = -this.width/2 + turnWidth * (i + 0.5);
+            ctx.arc(centerX, 0, turnWidth/2, Math.PI, 0, false);
+        }
+        ctx.stroke();
+
+        // Núcleo magnético
+        if (this.coreMaterial !== 'air') {
+            this.drawCore(ctx);
+        }
+
+        // Indicador de saturación
+        if (this.isSaturated) {
+            this.drawSaturationIndicator(ctx);
+        }
+    }
+
+    /**
+     * Dibuja las líneas del núcleo (continuas para hierro, discontinuas para ferrita)
+     */
+    drawCore(ctx) {
+        ctx.strokeStyle = '#2c3e50';
+        ctx.lineWidth = 1.5;
+        if (this.coreMaterial === 'ferrite') {
+            ctx.setLineDash([4, 3]);
+        }
+
+        ctx.beginPath();
+        ctx.moveTo(-this.width/2, -this.height/2 - 2);
+        ctx.lineTo(this.width/2, -this.height/2 - 2);
+        ctx.moveTo(-this.width/2, -this.height/2 - 5);
+        ctx.lineTo(this.width/2, -this.height/2 - 5);
+        ctx.stroke();
+        ctx.setLineDash([]);
+    }
+
+    /**
+     * Dibuja indicador de saturación
+     */
+    drawSaturationIndicator(ctx) {
+        ctx.strokeStyle = '#e74c3c';
+        ctx.lineWidth = 2;
+        ctx.setLineDash([2, 2]);
+        ctx.strokeRect(-this.width/2 - 2, -this.height/2 - 2,
+                      this.width + 4, this.height + 4);
+        ctx.setLineDash([]);
+
+        ctx.fillStyle = '#e74c3c';
+        ctx.font = 'bold 8px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillText('SAT', 0, this.height/2 + 6);
+    }
+
+    /**
+     * Calcula la impedancia: R_dc + (jωL ∥ R_núcleo)
+     */
+    calculateImpedance(frequency = 0) {
+        const dcr = this.dcResistance || 0;
+        const coreResistance = this.coreLossResistance === undefined ? Infinity : this.coreLossResistance;
+
+        // En DC el inductor es un cortocircuito salvo por el devanado
+        if (frequency === 0) {
+            return { real: dcr, imaginary: 0 };
+        }
+
+        const XL = 2 * Math.PI * frequency * this.getEffectiveInductance();
+
+        if (!isFinite(coreResistance)) {
+            return { real: dcr, imaginary: XL };
+        }
+
+        // Paralelo de R_núcleo con jXL: (R · jX) / (R + jX)
+        const denominator = coreResistance * coreResistance + XL * XL;
+        return {
+            real: dcr + (coreResistance * XL * XL) / denominator,
+            imaginary: (coreResistance * coreResistance * XL) / denominator
+        };
+    }
+
+    /**
+     * Inductancia efectiva: cae de forma inversamente proporcional a la corriente al saturar
+     */
+    getEffectiveInductance(current = this.current) {
+        const magnitude = Math.abs(current || 0);
+        if (!this.saturationCurrent || magnitude <= this.saturationCurrent) {
+            return this.value;
+        }
+        return this.value * (this.saturationCurrent / magnitude);
+    }
+
+    /**
+     * Calcula la energía almacenada: E = ½LI²
+     */
+    calculateStoredEnergy(current = this.current) {
+        return 0.5 * this.getEffectiveInductance(current) * current * current;
+    }
+
+    /**
+     * Calcula el flujo enlazado: λ = LI
+     */
+    getFluxLinkage(current = this.current) {
+        return this.getEffectiveInductance(current) * current;
+    }
+
+    /**
+     * Calcula la constante de tiempo con una resistencia externa
+     */
+    getTimeConstant(resistance = 0) {
+        const totalResistance = resistance + this.dcResistance;
+        return totalResistance > 0 ? this.value / totalResistance : Infinity;
+    }
+
+    /**
+     * Pérdidas en el devanado (cobre): P = I²·R_dc
+     */
+    calculateWindingLoss(current = this.current) {
+        return current * current * this.dcResistance;
+    }
+
+    /**
+     * Pérdidas en el núcleo: P = V²/R_núcleo sobre la parte inductiva
+     */
+    calculateCoreLoss(voltage = this.voltage, current = this.current) {
+        if (!isFinite(this.coreLossResistance) || this.coreLossResistance <= 0) {
+            return 0;
+        }
+        const inductiveVoltage = voltage - current * this.dcResistance;
+        return inductiveVoltage * inductiveVoltage / this.coreLossResistance;
+    }
+
+    /**
+     * Potencia total disipada (devanado + núcleo)
+     */
+    calculateDissipatedPower(voltage = this.voltage, current = this.current) {
+        return this.calculateWindingLoss(current) + this.calculateCoreLoss(voltage, current);
+    }
+
+    /**
+     * Establece la corriente actual y actualiza energía, pérdidas y saturación
+     */
+    setCurrent(current) {
+        this.current = current;
+        this.storedEnergy = this.calculateStoredEnergy();
+        this.coreLoss = this.calculateCoreLoss();
+
+        const wasSaturated = this.isSaturated;
+        this.isSaturated = Math.abs(current) > this.saturationCurrent;
+
+        if (this.isSaturated && !wasSaturated) {
+            this.emit('saturated', { component: this, current });
+        }
+    }
+
+    /**
+     * Restablece las condiciones iniciales
+     */
+    resetToInitialConditions() {
+        this.voltage = 0;
+        this.power = 0;
+        this.currentHistory = [];
+        this.setCurrent(this.initialCurrent);
+    }
+
+    /**
+     * Verifica si el inductor está dentro de sus límites
+     */
+    checkLimits() {
+        const warnings = [];
+        const magnitude = Math.abs(this.current);
+
+        if (magnitude > this.saturationCurrent) {
+            warnings.push(`Corriente excede la de saturación: ${magnitude.toFixed(3)}A > ${this.saturationCurrent}A ` +
+                          `(L efectiva ${this.formatValue(this.getEffectiveInductance())}H)`);
+        } else if (magnitude > this.saturationCurrent * 0.8) {
+            warnings.push(`Corriente cerca de saturación: ${magnitude.toFixed(3)}A`);
+        }
+
+        if (Math.abs(this.initialCurrent) > this.saturationCurrent) {
+            warnings.push(`Corriente inicial excede la de saturación: ${this.initialCurrent}A`);
+        }
+
+        return warnings;
+    }
+
+    /**
+     * Actualiza propiedades específicas de inductores
+     */
+    updateProperties(properties) {
+        super.updateProperties(properties);
+
+        if (properties.initialCurrent !== undefined && this.voltage === 0) {
+            this.setCurrent(this.initialCurrent);
+        }
+
+        if (properties.value !== undefined || properties.current !== undefined ||
+            properties.saturationCurrent !== undefined) {
+            this.setCurrent(this.current);
+        }
+    }
+
+    /**
+     * Análisis específico del inductor
+     */
+    analyze() {
+        return {
+            type: 'inductor',
+            value: this.value,
+            effectiveInductance: this.getEffectiveInductance(),
+            current: this.current,
+            voltage: this.voltage,
+            fluxLinkage: this.getFluxLinkage(),
+            storedEnergy: this.calculateStoredEnergy(),
+            initialCurrent: this.initialCurrent,
+            dcResistance: this.dcResistance,
+            saturationCurrent: this.saturationCurrent,
+            isSaturated: this.isSaturated,
+            coreMaterial: this.coreMaterial,
+            coreLossResistance: this.coreLossResistance,
+            windingLoss: this.calculateWindingLoss(),
+            coreLoss: this.calculateCoreLoss(),
+            tolerance: this.tolerance,
+            warnings: this.checkLimits()
+        };
+    }
+
+    /**
+     * Convierte a JSON con propiedades específicas
+     */
+    toJSON() {
+        const base = super.toJSON();
+        return {
+            ...base,
+            initialCurrent: this.initialCurrent,
+            dcResistance: this.dcResistance,
+            saturationCurrent: this.saturationCurrent,
+            tolerance: this.tolerance,
+            coreMaterial: this.coreMaterial,
+            coreLossResistance: this.coreLossResistance
+        };
+    }
+
+    /**
+     * Crea un inductor desde JSON
+     */
+    static fromJSON(data) {
+        const inductor = new Inductor(data.x, data.y, {
+            width: data.width,
+            height: data.height,
+            rotation: data.rotation,
+            value: data.value,
+            unit: data.unit,
+            label: data.label,
+            color: data.color,
+            initialCurrent: data.initialCurrent,
+            dcResistance: data.dcResistance,
+            saturationCurrent: data.saturationCurrent,
+            tolerance: data.tolerance,
+            coreMaterial: data.coreMaterial,
+            coreLossResistance: data.coreLossResistance
+        });
+
+        inductor.id = data.id;
+
+        return inductor;
+    }
+}
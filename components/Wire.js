@@ -103,6 +103,74 @@ class Wire {
         }
     }
 
+    /**
+     * Aplica una transformación de puntos a los extremos y a la ruta (mover o rotar con un grupo)
+     */
+    transformPoints(transform) {
+        this.start = { ...this.start, ...transform(this.start) };
+        this.end = { ...this.end, ...transform(this.end) };
+        this.path = this.path.map(point => transform(point));
+        this.length = this.calculateLength();
+        this.lastModified = new Date();
+    }
+
+    /**
+     * Lleva los extremos a nuevas posiciones (se movió o rotó el componente conectado)
+     * Los codos existentes (trazado ortogonal o del enrutador) se conservan: el primero y el último
+     * se desplazan para que los tramos hacia los extremos sigan siendo horizontales o verticales
+     */
+    moveEndpoints(start, end) {
+        const previous = this.path;
+        const axis = (a, b) => a.y === b.y ? 'h' : a.x === b.x ? 'v' : null;
+        const startAxis = axis(previous[0], previous[1]);
+        const endAxis = axis(previous[previous.length - 2], previous[previous.length - 1]);
+
+        this.start = { ...this.start, x: start.x, y: start.y };
+        this.end = { ...this.end, x: end.x, y: end.y };
+
+        const bends = previous.slice(1, -1).map(point => ({ x: point.x, y: point.y }));
+        if (bends.length === 0) {
+            this.calculatePath();
+            this.lastModified = new Date();
+            return;
+        }
+
+        const first = bends[0];
+        const last = bends[bends.length - 1];
+        if (startAxis === 'h') first.y = this.start.y;
+        if (startAxis === 'v') first.x = this.start.x;
+        if (endAxis === 'h' && !(last === first && startAxis === 'h')) last.y = this.end.y;
+        if (endAxis === 'v' && !(last === first && startAxis === 'v')) last.x = this.end.x;
+
+        // Los tramos que quedaron inclinados se cierran con un codo
+        const points = [this.start, ...bends, this.end];
+        this.path = [points[0]];
+        for (let i = 1; i < points.length; i++) {
+            const from = points[i - 1];
+            const to = points[i];
+            if (from.x !== to.x && from.y !== to.y) {
+                this.path.push({ x: to.x, y: from.y });
+            }
+            this.path.push(to);
+        }
+
+        if (this.snapToGrid) {
+            this.path = this.path.map(point => this.snapPointToGrid(point));
+        }
+
+        this.length = this.calculateLength();
+        this.lastModified = new Date();
+    }
+
+    /**
+     * Reemplaza la ruta por una calculada fuera (enrutador); los extremos se conservan
+     */
+    setPath(points) {
+        this.path = [this.start, ...points.slice(1, -1).map(point => ({ x: point.x, y: point.y })), this.end];
+        this.length = this.calculateLength();
+        this.lastModified = new Date();
+    }
+
     /**
      * Alinea un punto a la cuadrícula
      */
@@ -612,6 +680,53 @@ class Wire {
         };
     }
 
+    /**
+     * Crea un cable desde JSON
+     */
+    static fromJSON(data) {
+        const wire = new Wire(
+            {
+                ...data.start,
+                componentId: data.startComponent,
+                wireId: data.startWire,
+                terminal: data.startTerminal
+            },
+            {
+                ...data.end,
+                componentId: data.endComponent,
+                wireId: data.endWire,
+                terminal: data.endTerminal
+            },
+            {
+                resistance: data.resistance,
+                inductance: data.inductance,
+                capacitance: data.capacitance,
+                maxCurrent: data.maxCurrent,
+                color: data.color,
+                width: data.width,
+                orthogonal: data.orthogonal,
+                freeDrawing: data.freeDrawing,
+                snapToGrid: data.snapToGrid,
+                crossSection: data.crossSection,
+                material: data.material
+            }
+        );
+
+        wire.id = data.id;
+
+        // Conservar la ruta guardada (puede haber sido editada)
+        if (Array.isArray(data.path) && data.path.length >= 2) {
+            wire.path = data.path.map(point => ({ x: point.x, y: point.y }));
+            wire.length = wire.calculateLength();
+        }
+
+        wire.junctions = Array.isArray(data.junctions) ? data.junctions.map(j => ({ ...j })) : [];
+        if (data.createdAt) wire.createdAt = new Date(data.createdAt);
+        if (data.lastModified) wire.lastModified = new Date(data.lastModified);
+
+        return wire;
+    }
+
     /**
      * Sistema de eventos
      */
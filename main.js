@@ -13,13 +13,30 @@ class CircuitSimulatorApp {
         this.mode = 'select';
         this.isDrawing = false;
         this.startPoint = null;
-        this.mousePos = { x: 0, y: 0 };
-        this.selectedComponent = null;
-        this.clipboardComponent = null;
+        this.mousePos = { x: 0, y: 0 }; // Coordenadas del mundo (la vista puede tener zoom y desplazamiento)
+        this.viewDrag = null; // { x, y } último punto del arrastre de la vista (botón central o espacio)
+        this.spacePan = null; // { panned } mientras se mantiene pulsado el espacio
+        this.ignoreNextClick = false;
+        this.selection = new Set(); // Componentes y cables seleccionados
+        this.selectedComponent = null; // Último componente elegido: el que muestra el editor
+        this.marquee = null; // { start, end, additive } recuadro de selección en curso
+        this.dragState = null; // { origin, offset } arrastre del grupo en modo mover
+        this.nodeVoltages = [];
+        this.kirchhoffViolations = [];
+        this.ercFindings = [];
+        this.ercFinding = null; // Hallazgo del ERC resaltado en el lienzo
+        this.lastDCSweep = null;
+        this.lastDCSweepModified = null;
+        this.lastEquivalent = null;
+        this.reduction = null; // { results, index, playTimer } mientras se recorren los pasos de la reducción
+        this.renderFrameId = null;
+        this.clipboard = null; // Último fragmento copiado, por si el portapapeles del sistema no está disponible
         
         // Configuración
         this.config = {
-            snapDistance: 20,
+            snapDistance: 20, // px en pantalla
+            zoomStep: 1.25,
+            wheelZoomSensitivity: 0.0015,
             gridSize: 20,
             connectionRadius: 8,
             animationSpeed: 16,
@@ -54,6 +71,8 @@ class CircuitSimulatorApp {
         // Herramientas de análisis
         this.analyzer = new CircuitAnalyzer();
         this.visualizer = new CircuitVisualizer(this.canvas, this.ctx);
+        this.chartRenderer = new ChartRenderer(document.getElementById('chartCanvas'));
+        this.wireRouter = new WireRouter({ gridSize: this.config.gridSize });
         
         // Inicializar
         this.init();
@@ -67,6 +86,7 @@ class CircuitSimulatorApp {
         this.setupEventListeners();
         this.setupUI();
         this.loadSettings();
+        this.loadSharedCircuit();
         this.saveState(); // Estado inicial
         this.startRenderLoop();
         
@@ -134,6 +154,11 @@ class CircuitSimulatorApp {
         document.addEventListener('keydown', (e) => this.handleKeyDown(e));
         document.addEventListener('keyup', (e) => this.handleKeyUp(e));
         
+        // Portapapeles del sistema (Ctrl+C / Ctrl+X / Ctrl+V, también entre pestañas)
+        document.addEventListener('copy', (e) => this.handleCopy(e));
+        document.addEventListener('cut', (e) => this.handleCut(e));
+        document.addEventListener('paste', (e) => this.handlePaste(e));
+        
         // Eventos de la interfaz
         this.setupUIEventListeners();
     }
@@ -172,6 +197,17 @@ class CircuitSimulatorApp {
         this.setupElement('clearBtn', 'click', () => this.clearCircuit());
         this.setupElement('undoBtn', 'click', () => this.undo());
         this.setupElement('redoBtn', 'click', () => this.redo());
+        this.setupElement('duplicateBtn', 'click', () => this.duplicateSelection());
+        this.setupElement('copyBtn', 'click', () => this.copySelection());
+        this.setupElement('cutBtn', 'click', () => this.cutSelection());
+        this.setupElement('pasteBtn', 'click', () => this.pasteClipboard());
+        this.setupElement('rerouteWiresBtn', 'click', () => this.rerouteWires());
+        
+        // Vista
+        this.setupElement('zoomInBtn', 'click', () => this.zoomBy(this.config.zoomStep));
+        this.setupElement('zoomOutBtn', 'click', () => this.zoomBy(1 / this.config.zoomStep));
+        this.setupElement('zoomFitBtn', 'click', () => this.zoomToFit());
+        this.setupElement('zoomSelectionBtn', 'click', () => this.zoomToSelection());
         this.setupElement('updateComponentBtn', 'click', () => this.updateSelectedComponent());
         
         // Controles de configuración
@@ -194,10 +230,39 @@ class CircuitSimulatorApp {
         
         // Análisis avanzado
         this.setupElement('advancedAnalysisBtn', 'click', () => this.performAdvancedAnalysis());
+        this.setupElement('solutionStepsBtn', 'click', () => this.showSolutionSteps());
+        this.setupElement('ercBtn', 'click', () => this.runElectricalRulesCheck());
+        this.setupElement('resultsContent', 'click', (e) => {
+            const item = e.target.closest('[data-erc-finding]');
+            if (item) this.focusErcFinding(Number(item.dataset.ercFinding));
+        });
         this.setupElement('analysisType', 'change', (e) => {
             this.simulation.analysisType = e.target.value;
         });
         
+        // Barrido DC
+        this.setupElement('dcSweepBtn', 'click', () => this.runDCSweep());
+        ['dcSweepComponent', 'dcSweep2Component'].forEach(id => {
+            this.setupElement(id, 'focus', () => this.updateSweepComponentOptions(id));
+            this.setupElement(id, 'change', () => this.updateSweepParameterOptions(id));
+        });
+        
+        // Tolerancias
+        this.setupElement('monteCarloBtn', 'click', () => this.runMonteCarlo());
+        this.setupElement('sensitivityBtn', 'click', () => this.runSensitivityAnalysis());
+        
+        // Equivalentes
+        this.setupElement('theveninBtn', 'click', () => this.runTheveninAnalysis());
+        this.setupElement('insertEquivalentBtn', 'click', () => this.openEquivalentCircuit());
+        this.setupElement('theveninLoad', 'focus', () => this.updateSweepComponentOptions('theveninLoad'));
+        
+        // Reducción serie/paralelo
+        this.setupElement('reductionBtn', 'click', () => this.runReduction());
+        this.setupElement('reductionPrev', 'click', () => this.stepReduction(-1));
+        this.setupElement('reductionNext', 'click', () => this.stepReduction(1));
+        this.setupElement('reductionPlay', 'click', () => this.playReduction());
+        this.setupElement('reductionExit', 'click', () => this.exitReduction());
+        
         // Gráficos
         this.setupElement('showVIChart', 'click', () => this.showVIChart());
         this.setupElement('showPowerChart', 'click', () => this.showPowerChart());
@@ -219,7 +284,7 @@ class CircuitSimulatorApp {
      */
     setupUI() {
         this.updateModeIndicator();
-        this.updateComponentSelector();
+        this.updateSelectionInfo();
         this.updateSpeedDisplay();
         this.updateGridDisplay();
         this.updateCoordinatesDisplay();
@@ -231,13 +296,32 @@ class CircuitSimulatorApp {
     handleMouseDown(e) {
         this.mousePos = this.getMousePos(e);
         
+        // Botón central, o espacio + arrastre: desplazar la vista
+        if (e.button === 1 || this.spacePan) {
+            e.preventDefault();
+            this.viewDrag = { x: e.clientX, y: e.clientY };
+            this.canvas.style.cursor = 'grabbing';
+            return;
+        }
+        
+        // Un clic en el lienzo vuelve al circuito desde los pasos de la reducción
+        if (this.reduction) {
+            this.exitReduction();
+            return;
+        }
+        
+        if (this.ercFinding) {
+            this.ercFinding = null;
+            this.render();
+        }
+        
         switch (this.mode) {
             case 'wire':
                 this.startWireDrawing();
                 break;
             case 'move':
             case 'select':
-                this.startSelection();
+                this.startSelection(e);
                 break;
             case 'delete':
                 this.deleteAtPosition();
@@ -248,8 +332,17 @@ class CircuitSimulatorApp {
     }
 
     handleMouseMove(e) {
+        if (this.viewDrag) {
+            this.updateViewDrag(e);
+            return;
+        }
+        
         this.mousePos = this.getMousePos(e);
         
+        if (this.marquee) {
+            this.marquee.end = { ...this.mousePos };
+        }
+        
         if (this.isDrawing) {
             switch (this.mode) {
                 case 'wire':
@@ -267,6 +360,16 @@ class CircuitSimulatorApp {
     }
 
     handleMouseUp(e) {
+        if (this.viewDrag) {
+            this.finishViewDrag();
+            this.ignoreNextClick = e.button === 0;
+            return;
+        }
+        
+        if (this.marquee) {
+            this.finishMarquee();
+        }
+        
         if (this.isDrawing) {
             switch (this.mode) {
                 case 'wire':
@@ -283,12 +386,14 @@ class CircuitSimulatorApp {
     }
 
     handleClick(e) {
+        if (this.ignoreNextClick) {
+            this.ignoreNextClick = false;
+            return;
+        }
+        
         this.mousePos = this.getMousePos(e);
         
         switch (this.mode) {
-            case 'select':
-                this.selectComponent();
-                break;
             case 'rotate':
                 this.rotateComponent();
                 break;
@@ -313,9 +418,52 @@ class CircuitSimulatorApp {
         }
     }
 
+    /**
+     * Zoom con la rueda alrededor del cursor
+     */
     handleWheel(e) {
         e.preventDefault();
-        // Implementar zoom en versiones futuras
+        
+        const delta = e.deltaMode === 1 ? e.deltaY * 16 : e.deltaY; // deltaMode 1: líneas
+        this.visualizer.zoomAt(this.getScreenPos(e), Math.exp(-delta * this.config.wheelZoomSensitivity));
+        this.mousePos = this.getMousePos(e);
+        
+        this.updateZoomDisplay();
+        this.updateCoordinatesDisplay();
+        this.render();
+    }
+
+    /**
+     * Desplaza la vista siguiendo el arrastre
+     */
+    updateViewDrag(e) {
+        // El botón se soltó fuera del lienzo
+        if (e.buttons === 0) {
+            this.finishViewDrag();
+            return;
+        }
+        
+        this.visualizer.panBy(e.clientX - this.viewDrag.x, e.clientY - this.viewDrag.y);
+        this.viewDrag = { x: e.clientX, y: e.clientY };
+        if (this.spacePan) {
+            this.spacePan.panned = true;
+        }
+        
+        this.mousePos = this.getMousePos(e);
+        this.updateCoordinatesDisplay();
+        this.render();
+    }
+
+    /**
+     * Termina el arrastre de la vista
+     */
+    finishViewDrag() {
+        this.viewDrag = null;
+        if (this.spacePan) {
+            this.canvas.style.cursor = 'grab';
+        } else {
+            this.updateCanvasCursor();
+        }
     }
 
     handleContextMenu(e) {
@@ -327,6 +475,9 @@ class CircuitSimulatorApp {
      * Maneja eventos del teclado
      */
     handleKeyDown(e) {
+        // Las teclas escritas en un campo del panel son del campo, no atajos
+        if (this.isEditingText(e.target)) return;
+
         // Atajos de teclado
         const shortcuts = {
             'KeyR': () => this.setMode('resistor'),
@@ -337,12 +488,22 @@ class CircuitSimulatorApp {
             'KeyS': () => this.setMode('select'),
             'KeyM': () => this.setMode('move'),
             'KeyT': () => this.setMode('rotate'),
-            'Delete': () => this.setMode('delete'),
+            'Delete': () => this.selection.size > 0 ? this.deleteSelection() : this.setMode('delete'),
             'Escape': () => this.setMode('select'),
-            'Space': () => this.simulateOnce(),
-            'Enter': () => this.startSimulation()
+            'Enter': () => this.startSimulation(),
+            'KeyF': () => e.shiftKey ? this.zoomToSelection() : this.zoomToFit()
         };
         
+        // Espacio mantenido: arrastrar con el botón izquierdo desplaza la vista; sin arrastrar, simula al soltarlo
+        if (e.code === 'Space' && !e.ctrlKey) {
+            e.preventDefault();
+            if (!this.spacePan) {
+                this.spacePan = { panned: false };
+                this.canvas.style.cursor = 'grab';
+            }
+            return;
+        }
+        
         // Combinaciones con Ctrl
         if (e.ctrlKey) {
             const ctrlShortcuts = {
@@ -351,8 +512,7 @@ class CircuitSimulatorApp {
                 'KeyS': () => this.saveCircuit(),
                 'KeyO': () => this.loadCircuit(),
                 'KeyN': () => this.newCircuit(),
-                'KeyC': () => this.copyComponent(),
-                'KeyV': () => this.pasteComponent(),
+                'KeyD': () => this.duplicateSelection(),
                 'KeyA': () => this.selectAll()
             };
             
@@ -365,21 +525,30 @@ class CircuitSimulatorApp {
             shortcuts[e.code]();
         }
         
-        // Teclas de flecha para mover componentes
-        if (this.selectedComponent && ['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'].includes(e.code)) {
+        // Teclas de flecha para mover la selección
+        if (this.selection.size > 0 && ['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'].includes(e.code)) {
             e.preventDefault();
-            this.moveSelectedComponent(e.code);
+            this.moveSelection(e.code);
         }
     }
 
     handleKeyUp(e) {
-        // Manejar liberación de teclas si es necesario
+        if (e.code === 'Space' && this.spacePan) {
+            const panned = this.spacePan.panned;
+            this.spacePan = null;
+            if (!this.viewDrag) {
+                this.updateCanvasCursor();
+            }
+            if (!panned) {
+                this.simulateOnce();
+            }
+        }
     }
 
     /**
-     * Obtiene la posición del mouse relativa al canvas
+     * Obtiene la posición del mouse en píxeles del canvas
      */
-    getMousePos(e) {
+    getScreenPos(e) {
         const rect = this.canvas.getBoundingClientRect();
         return {
             x: e.clientX - rect.left,
@@ -387,6 +556,57 @@ class CircuitSimulatorApp {
         };
     }
 
+    /**
+     * Obtiene la posición del mouse en coordenadas del circuito
+     */
+    getMousePos(e) {
+        return this.visualizer.screenToWorld(this.getScreenPos(e));
+    }
+
+    /**
+     * Acerca o aleja alrededor del centro del lienzo
+     */
+    zoomBy(factor) {
+        this.visualizer.zoomAt({ x: this.visualizer.width / 2, y: this.visualizer.height / 2 }, factor);
+        this.updateZoomDisplay();
+        this.render();
+    }
+
+    /**
+     * Encuadra todo el circuito
+     */
+    zoomToFit() {
+        const bounds = this.circuit.getBounds();
+        if (bounds) {
+            this.visualizer.fitBounds(bounds);
+        } else {
+            this.visualizer.resetView();
+        }
+        this.updateZoomDisplay();
+        this.render();
+    }
+
+    /**
+     * Encuadra la selección (todo el circuito si no hay nada seleccionado)
+     */
+    zoomToSelection() {
+        if (this.selection.size === 0) {
+            this.zoomToFit();
+            return;
+        }
+        
+        this.visualizer.fitBounds(this.circuit.getBounds(this.getSelectedComponents(), this.getSelectedWires()));
+        this.updateZoomDisplay();
+        this.render();
+    }
+
+    updateZoomDisplay() {
+        const zoomInfo = document.getElementById('zoomInfo');
+        if (zoomInfo) {
+            zoomInfo.textContent = `Zoom: ${Math.round(this.visualizer.view.scale * 100)}%`;
+        }
+    }
+
     /**
      * Inicia el dibujo de un cable
      */
@@ -416,200 +636,729 @@ class CircuitSimulatorApp {
     }
 
     /**
-     * Inicia la selección de componente
+     * Inicia la selección: clic sobre un elemento (Shift lo añade o lo quita) o recuadro desde un punto vacío
+     * En modo mover, arrastrar un elemento seleccionado mueve todo el grupo
      */
-    startSelection() {
-        const component = this.getComponentAtPosition(this.mousePos);
+    startSelection(e) {
+        const element = this.getElementAtPosition(this.mousePos);
         
-        if (component) {
-            this.selectComponent(component);
-            if (this.mode === 'move') {
-                this.isDrawing = true;
-            }
-        } else {
-            this.selectComponent(null);
+        if (!element) {
+            this.marquee = { start: { ...this.mousePos }, end: { ...this.mousePos }, additive: e.shiftKey };
+            return;
         }
-    }
-
-    /**
-     * Selecciona un componente
-     */
-    selectComponent(component = null) {
-        // Deseleccionar componente anterior
-        if (this.selectedComponent) {
-            this.selectedComponent.isSelected = false;
+        
+        if (e.shiftKey) {
+            this.toggleSelection(element);
+            return;
         }
         
-        // Seleccionar nuevo componente
-        this.selectedComponent = component;
-        if (component) {
-            component.isSelected = true;
-            this.populateComponentEditor(component);
+        if (!this.selection.has(element)) {
+            this.setSelection([element]);
+        } else if (element.type !== 'wire' && element !== this.selectedComponent) {
+            this.selectedComponent = element;
+            this.populateComponentEditor(element);
         }
         
-        this.updateComponentSelector();
-        this.emit('componentSelected', { component });
+        if (this.mode === 'move') {
+            this.isDrawing = true;
+            this.dragState = { origin: { ...this.mousePos }, offset: { x: 0, y: 0 } };
+        }
     }
 
     /**
-     * Añade un componente al circuito
+     * Termina el recuadro de selección: elige los elementos que quedan completamente dentro
      */
-    addComponent() {
-        const ComponentClass = this.getComponentClass(this.mode);
-        if (!ComponentClass) return;
+    finishMarquee() {
+        const { start, end, additive } = this.marquee;
+        this.marquee = null;
         
-        const component = new ComponentClass(this.mousePos.x, this.mousePos.y);
+        const rect = this.getMarqueeRect(start, end);
+        const scale = this.visualizer.view.scale;
         
-        if (this.circuit.addComponent(component)) {
-            this.selectComponent(component);
-            this.saveState();
-            this.emit('componentAdded', { component });
+        // Sin arrastre es un clic en vacío
+        if (rect.width * scale < 3 && rect.height * scale < 3) {
+            if (!additive) this.setSelection([]);
+            return;
         }
+        
+        const inside = point => point.x >= rect.x && point.x <= rect.x + rect.width &&
+                                point.y >= rect.y && point.y <= rect.y + rect.height;
+        const found = [
+            ...this.circuit.components.filter(component => inside(component) && component.getConnectionPoints().every(inside)),
+            ...this.circuit.wires.filter(wire => wire.path.every(inside))
+        ];
+        
+        this.setSelection(additive ? [...this.selection, ...found] : found);
+    }
+
+    getMarqueeRect(start, end) {
+        return {
+            x: Math.min(start.x, end.x),
+            y: Math.min(start.y, end.y),
+            width: Math.abs(end.x - start.x),
+            height: Math.abs(end.y - start.y)
+        };
     }
 
     /**
-     * Obtiene la clase del componente según el tipo
+     * Selecciona un único componente (null deselecciona todo)
      */
-    getComponentClass(type) {
-        const classes = {
-            'resistor': Resistor,
-            'voltage': VoltageSource,
-            'current': CurrentSource,
-            'capacitor': Capacitor,
-            'inductor': Inductor,
-            'diode': Diode,
-            'ground': Ground
-        };
-        return classes[type];
+    selectComponent(component = null) {
+        this.setSelection(component ? [component] : []);
     }
 
     /**
-     * Busca el punto de conexión más cercano
+     * Reemplaza la selección; el último componente de la lista pasa al editor
      */
-    findNearestConnectionPoint(pos) {
-        let nearest = null;
-        let minDistance = this.config.snapDistance;
+    setSelection(elements) {
+        this.selection.forEach(element => {
+            element.isSelected = false;
+        });
         
-        // Buscar en componentes
-        this.circuit.components.forEach(component => {
-            const points = component.getConnectionPoints();
-            points.forEach(point => {
-                const distance = this.calculateDistance(pos, point);
-                if (distance < minDistance) {
-                    minDistance = distance;
-                    nearest = { ...point, componentId: component.id };
-                }
-            });
+        this.selection = new Set(elements);
+        this.selection.forEach(element => {
+            element.isSelected = true;
         });
         
-        // Buscar en cables (si está habilitado el dibujo libre)
-        if (document.getElementById('freeDrawing')?.checked) {
-            this.circuit.wires.forEach(wire => {
-                wire.path.forEach(point => {
-                    const distance = this.calculateDistance(pos, point);
-                    if (distance < minDistance) {
-                        minDistance = distance;
-                        nearest = { ...point, wireId: wire.id };
-                    }
-                });
-            });
+        const components = this.getSelectedComponents();
+        this.selectedComponent = components.length > 0 ? components[components.length - 1] : null;
+        if (this.selectedComponent) {
+            this.populateComponentEditor(this.selectedComponent);
         }
         
-        return nearest;
+        this.updateSelectionInfo();
+        this.emit('selectionChanged', { elements: Array.from(this.selection) });
+        this.emit('componentSelected', { component: this.selectedComponent });
+        this.render();
     }
 
     /**
-     * Calcula distancia entre dos puntos
+     * Añade o quita un elemento de la selección
      */
-    calculateDistance(p1, p2) {
-        const dx = p1.x - p2.x;
-        const dy = p1.y - p2.y;
-        return Math.sqrt(dx * dx + dy * dy);
+    toggleSelection(element) {
+        const elements = Array.from(this.selection);
+        if (this.selection.has(element)) {
+            this.setSelection(elements.filter(selected => selected !== element));
+        } else {
+            this.setSelection([...elements, element]);
+        }
+    }
+
+    selectAll() {
+        this.setSelection([...this.circuit.components, ...this.circuit.wires]);
+    }
+
+    getSelectedComponents() {
+        return Array.from(this.selection).filter(element => element.type !== 'wire');
+    }
+
+    getSelectedWires() {
+        return Array.from(this.selection).filter(element => element.type === 'wire');
     }
 
     /**
-     * Obtiene el componente en una posición
+     * Muestra cuántos elementos hay seleccionados
      */
-    getComponentAtPosition(pos) {
-        return this.circuit.components.find(component => 
-            component.containsPoint(pos.x, pos.y)
-        );
+    updateSelectionInfo() {
+        const info = document.getElementById('selectionInfo');
+        if (!info) return;
+        
+        const components = this.getSelectedComponents().length;
+        const wires = this.getSelectedWires().length;
+        info.textContent = this.selection.size === 0 ? 'Sin selección' :
+                           `Selección: ${components} componentes, ${wires} cables`;
     }
 
     /**
-     * Establece el modo de operación
+     * Carga en el editor las propiedades de un componente
      */
-    setMode(mode) {
-        this.mode = mode;
-        this.updateModeIndicator();
-        this.updateCanvasCursor();
+    populateComponentEditor(component) {
+        const set = (id, value) => {
+            const input = document.getElementById(id);
+            if (input) input.value = value;
+        };
         
-        // Cancelar operaciones en curso
-        this.isDrawing = false;
-        this.startPoint = null;
+        set('componentValue', component.value);
+        set('componentLabel', component.label);
+        set('componentUnit', component.unit || '');
+        set('componentColor', component.color || '#3498db');
         
-        this.emit('modeChanged', { mode });
+        // Campos propios del tipo
+        document.querySelectorAll('.editor-fields').forEach(group => {
+            group.hidden = group.dataset.type !== component.type;
+        });
+        
+        if (component.type === 'diode') {
+            this.fillCatalogOptions('diodeVariant', Diode.presets);
+            this.fillCatalogOptions('diodeLedColor', Diode.ledColors);
+            set('diodeVariant', component.variant);
+            set('diodeLedColor', component.ledColor);
+        }
+        
+        if (component.type === 'ground') {
+            this.fillCatalogOptions('groundVariant', Ground.variants);
+            set('groundVariant', component.variant);
+            set('groundNetName', component.netName);
+        }
+        
+        if (component.type === 'current') {
+            set('currentSourceType', component.sourceType);
+            set('currentFrequency', component.frequency);
+            set('currentAmplitude', component.amplitude);
+            set('currentOffset', component.offset);
+            set('currentPhase', component.phase);
+            set('currentDutyCycle', component.dutyCycle);
+            set('currentLowValue', component.lowValue);
+        }
+        
+        if (component.type === 'capacitor') {
+            set('capacitorInitialVoltage', component.initialVoltage);
+        }
+        
+        if (component.type === 'inductor') {
+            set('inductorInitialCurrent', component.initialCurrent);
+        }
     }
 
     /**
-     * Actualiza el cursor del canvas según el modo
+     * Rellena una sola vez un selector con las entradas de un catálogo { clave: { name } }
      */
-    updateCanvasCursor() {
-        const cursors = {
-            'select': 'default',
-            'move': 'grab',
-            'delete': 'crosshair',
-            'rotate': 'grab',
-            'wire': 'crosshair',
-            'resistor': 'copy',
-            'voltage': 'copy',
-            'current': 'copy',
-            'capacitor': 'copy',
-            'inductor': 'copy',
-            'diode': 'copy',
-            'ground': 'copy'
-        };
+    fillCatalogOptions(selectId, catalog) {
+        const select = document.getElementById(selectId);
+        if (!select || select.options.length > 0) return;
         
-        this.canvas.style.cursor = cursors[this.mode] || 'default';
+        Object.entries(catalog).forEach(([key, entry]) => select.appendChild(new Option(entry.name, key)));
     }
 
     /**
-     * Inicia la simulación continua
+     * Propiedades propias del tipo que el editor cambia respecto al componente principal
      */
-    startSimulation() {
-        if (this.simulation.isRunning) return;
-        
-        this.simulation.isRunning = true;
-        this.simulation.step = 0;
+    readTypeFields(component) {
+        const properties = {};
+        const compare = (key, id) => {
+            const value = document.getElementById(id)?.value;
+            if (value && value !== component[key]) properties[key] = value;
+        };
+        const compareNumber = (key, id) => {
+            const value = parseFloat(document.getElementById(id)?.value);
+            if (!isNaN(value) && value !== component[key]) properties[key] = value;
+        };
         
-        this.simulation.interval = setInterval(() => {
-            this.runSimulationStep();
-        }, this.simulation.speed);
+        switch (component.type) {
+            case 'diode':
+                compare('variant', 'diodeVariant');
+                compare('ledColor', 'diodeLedColor');
+                break;
+            case 'ground':
+                compare('variant', 'groundVariant');
+                compare('netName', 'groundNetName');
+                break;
+            case 'current':
+                compare('sourceType', 'currentSourceType');
+                compareNumber('frequency', 'currentFrequency');
+                compareNumber('amplitude', 'currentAmplitude');
+                compareNumber('offset', 'currentOffset');
+                compareNumber('phase', 'currentPhase');
+                compareNumber('dutyCycle', 'currentDutyCycle');
+                compareNumber('lowValue', 'currentLowValue');
+                break;
+            case 'capacitor':
+                compareNumber('initialVoltage', 'capacitorInitialVoltage');
+                break;
+            case 'inductor':
+                compareNumber('initialCurrent', 'inductorInitialCurrent');
+                break;
+        }
         
-        this.updateSimulationButtons();
-        this.emit('simulationStarted');
+        return properties;
     }
 
     /**
-     * Pausa la simulación
+     * Aplica el editor a la selección: valor y unidad a los componentes del mismo tipo que el del editor,
+     * color a todos si se cambió y etiqueta solo con un componente seleccionado
      */
-    pauseSimulation() {
-        if (!this.simulation.isRunning) return;
+    updateSelectedComponent() {
+        const components = this.getSelectedComponents();
+        const primary = this.selectedComponent;
+        if (!primary) {
+            this.updateResults('Seleccione uno o más componentes');
+            return;
+        }
         
-        this.simulation.isRunning = false;
-        clearInterval(this.simulation.interval);
-        this.simulation.interval = null;
+        const value = parseFloat(document.getElementById('componentValue')?.value);
+        const label = document.getElementById('componentLabel')?.value.trim();
+        const unit = document.getElementById('componentUnit')?.value;
+        const color = document.getElementById('componentColor')?.value;
+        const typeProperties = this.readTypeFields(primary);
+        
+        // Un preset de diodo nuevo trae su propio Vf nominal, salvo que también se edite el valor
+        const keepPresetValue = primary.type === 'diode' && Object.keys(typeProperties).length > 0 &&
+                                value === primary.value;
+        
+        this.circuit.batch(() => {
+            components.forEach(component => {
+                const properties = {};
+                if (component.type === primary.type) {
+                    if (!isNaN(value) && !keepPresetValue) properties.value = value;
+                    if (unit) properties.unit = unit;
+                    Object.assign(properties, typeProperties);
+                }
+                if (color && color !== primary.color) properties.color = color;
+                if (label && components.length === 1) properties.label = label;
+                component.updateProperties(properties);
+            });
+        });
         
-        this.updateSimulationButtons();
-        this.emit('simulationPaused');
+        if (label && components.length > 1 && label !== primary.label) {
+            this.updateResults('⚠️ La etiqueta solo se cambia con un único componente seleccionado');
+        }
+        
+        this.populateComponentEditor(primary);
+        this.saveState();
+        this.emit('selectionEdited', { components });
+        this.render();
     }
 
     /**
-     * Reinicia la simulación
+     * Mueve el grupo siguiendo el arrastre (desplazamiento alineado a la cuadrícula si está activa)
      */
-    resetSimulation() {
-        this.pauseSimulation();
-        this.simulation.step = 0;
+    updateComponentPosition() {
+        if (!this.dragState) return;
+        
+        const grid = document.getElementById('snapToGrid')?.checked ? this.config.gridSize : 0;
+        const snap = value => grid ? Math.round(value / grid) * grid : value;
+        const offset = {
+            x: snap(this.mousePos.x - this.dragState.origin.x),
+            y: snap(this.mousePos.y - this.dragState.origin.y)
+        };
+        
+        const dx = offset.x - this.dragState.offset.x;
+        const dy = offset.y - this.dragState.offset.y;
+        if (dx !== 0 || dy !== 0) {
+            this.circuit.moveElements(this.getSelectedComponents(), this.getSelectedWires(), dx, dy);
+            this.dragState.offset = offset;
+        }
+    }
+
+    /**
+     * Termina el arrastre: un único paso de historial para todo el grupo
+     */
+    finishComponentMove() {
+        const moved = this.dragState && (this.dragState.offset.x !== 0 || this.dragState.offset.y !== 0);
+        this.dragState = null;
+        
+        if (moved) {
+            this.saveState();
+            this.emit('selectionMoved', { elements: Array.from(this.selection) });
+        }
+    }
+
+    /**
+     * Mueve la selección una celda de la cuadrícula con las flechas
+     */
+    moveSelection(code) {
+        const step = this.config.gridSize;
+        const deltas = {
+            'ArrowUp': [0, -step],
+            'ArrowDown': [0, step],
+            'ArrowLeft': [-step, 0],
+            'ArrowRight': [step, 0]
+        };
+        
+        this.circuit.moveElements(this.getSelectedComponents(), this.getSelectedWires(), ...deltas[code]);
+        this.saveState();
+        this.render();
+    }
+
+    /**
+     * Rota el elemento bajo el cursor, o todo el grupo si forma parte de la selección
+     */
+    rotateComponent() {
+        const element = this.getElementAtPosition(this.mousePos);
+        if (!element) return;
+        
+        if (!this.selection.has(element)) {
+            this.setSelection([element]);
+        }
+        this.rotateSelection();
+    }
+
+    /**
+     * Rota la selección 90° alrededor de su centro (un componente solo gira sobre sí mismo)
+     */
+    rotateSelection() {
+        const components = this.getSelectedComponents();
+        const wires = this.getSelectedWires();
+        if (components.length === 0 && wires.length === 0) return;
+        
+        let center;
+        if (components.length === 1 && wires.length === 0) {
+            center = { x: components[0].x, y: components[0].y };
+        } else {
+            const bounds = this.circuit.getBounds(components, wires);
+            const grid = this.config.gridSize;
+            center = {
+                x: Math.round((bounds.x + bounds.width / 2) / grid) * grid,
+                y: Math.round((bounds.y + bounds.height / 2) / grid) * grid
+            };
+        }
+        
+        this.circuit.rotateElements(components, wires, center);
+        this.saveState();
+        this.emit('selectionRotated', { elements: Array.from(this.selection) });
+    }
+
+    /**
+     * Elimina el elemento bajo el cursor, o todo el grupo si forma parte de la selección
+     */
+    deleteAtPosition() {
+        const element = this.getElementAtPosition(this.mousePos);
+        if (!element) return;
+        
+        if (!this.selection.has(element)) {
+            this.setSelection([element]);
+        }
+        this.deleteSelection();
+    }
+
+    /**
+     * Elimina los componentes y cables seleccionados en un solo paso de historial
+     * Los cables conectados a un componente eliminado se eliminan con él (quedarían sueltos)
+     */
+    deleteSelection() {
+        const components = this.getSelectedComponents();
+        const wires = this.getSelectedWires();
+        if (components.length === 0 && wires.length === 0) return;
+        
+        this.circuit.batch(() => {
+            wires.forEach(wire => this.circuit.removeWire(wire));
+            components.forEach(component => this.circuit.removeComponent(component, { removeConnectedWires: true }));
+        });
+        
+        this.setSelection([]);
+        this.saveState();
+        this.emit('selectionDeleted', { components, wires });
+    }
+
+    /**
+     * Reordena los cables seleccionados (todos si la selección no tiene cables) rodeando los componentes
+     */
+    rerouteWires() {
+        const selected = this.getSelectedWires();
+        const wires = selected.length > 0 ? selected : this.circuit.wires.slice();
+        if (wires.length === 0) return;
+        
+        let result;
+        this.circuit.batch(() => {
+            result = this.wireRouter.rerouteWires(this.circuit, wires);
+        });
+        this.circuit.touch();
+        this.render();
+        
+        if (result.routed.length > 0) {
+            this.saveState();
+        }
+        
+        const failed = result.failed.length > 0 ?
+                       ` (${result.failed.length} sin ruta libre, se dejaron como estaban)` : '';
+        this.updateResults(`🧭 ${result.routed.length} cable(s) reordenado(s)${failed}`);
+        this.emit('wiresRerouted', result);
+    }
+
+    /**
+     * Eventos del portapapeles: se ignoran mientras se escribe en un campo del panel
+     */
+    handleCopy(e) {
+        if (this.isEditingText(e.target) || this.selection.size === 0) return;
+        
+        e.preventDefault();
+        this.copySelection(e.clipboardData);
+    }
+
+    handleCut(e) {
+        if (this.isEditingText(e.target) || this.selection.size === 0) return;
+        
+        e.preventDefault();
+        this.cutSelection(e.clipboardData);
+    }
+
+    handlePaste(e) {
+        if (this.isEditingText(e.target)) return;
+        
+        const fragment = Circuit.parseFragment(e.clipboardData ? e.clipboardData.getData('text/plain') : '');
+        if (!fragment) return;
+        
+        e.preventDefault();
+        this.pasteFragment(fragment);
+    }
+
+    isEditingText(target) {
+        return !!target && (['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable);
+    }
+
+    /**
+     * Copia la selección (con los cables entre sus componentes) como JSON al portapapeles del sistema
+     * clipboardData: el del evento copy/cut; sin él (botones) se usa la API asíncrona del navegador
+     */
+    copySelection(clipboardData = null) {
+        if (this.selection.size === 0) return false;
+        
+        this.clipboard = this.circuit.toFragment(this.getSelectedComponents(), this.getSelectedWires());
+        const text = JSON.stringify(this.clipboard);
+        
+        if (clipboardData) {
+            clipboardData.setData('text/plain', text);
+        } else if (navigator.clipboard && navigator.clipboard.writeText) {
+            navigator.clipboard.writeText(text).catch(error => {
+                console.warn('No se pudo escribir en el portapapeles del sistema:', error.message);
+            });
+        }
+        
+        this.emit('selectionCopied', { fragment: this.clipboard });
+        return true;
+    }
+
+    /**
+     * Copia la selección y la elimina
+     */
+    cutSelection(clipboardData = null) {
+        if (this.copySelection(clipboardData)) {
+            this.deleteSelection();
+        }
+    }
+
+    /**
+     * Pega desde el portapapeles del sistema (o el último fragmento copiado en esta pestaña)
+     */
+    async pasteClipboard() {
+        let fragment = null;
+        
+        try {
+            if (navigator.clipboard && navigator.clipboard.readText) {
+                fragment = Circuit.parseFragment(await navigator.clipboard.readText());
+            }
+        } catch (error) {
+            console.warn('No se pudo leer el portapapeles del sistema:', error.message);
+        }
+        
+        fragment = fragment || this.clipboard;
+        if (fragment) {
+            this.pasteFragment(fragment);
+        }
+    }
+
+    /**
+     * Pega un fragmento centrado en el cursor (desplazamiento alineado a la cuadrícula)
+     */
+    pasteFragment(fragment) {
+        if (!fragment.bounds) return;
+        
+        const grid = this.config.gridSize;
+        const center = {
+            x: fragment.bounds.x + fragment.bounds.width / 2,
+            y: fragment.bounds.y + fragment.bounds.height / 2
+        };
+        
+        try {
+            this.insertFragment(fragment,
+                Math.round((this.mousePos.x - center.x) / grid) * grid,
+                Math.round((this.mousePos.y - center.y) / grid) * grid);
+        } catch (error) {
+            console.error('Paste error:', error);
+            this.updateResults(`Error al pegar: ${error.message}`);
+        }
+    }
+
+    /**
+     * Duplica la selección una celda abajo a la derecha
+     */
+    duplicateSelection() {
+        if (this.selection.size === 0) return;
+        
+        const fragment = this.circuit.toFragment(this.getSelectedComponents(), this.getSelectedWires());
+        this.insertFragment(fragment, this.config.gridSize, this.config.gridSize);
+    }
+
+    /**
+     * Inserta un fragmento con IDs y etiquetas nuevos y lo deja seleccionado
+     */
+    insertFragment(fragment, dx, dy) {
+        const added = this.circuit.addFragment(fragment, dx, dy);
+        this.setSelection([...added.components, ...added.wires]);
+        this.saveState();
+        this.emit('fragmentInserted', added);
+    }
+
+    /**
+     * Añade un componente al circuito
+     */
+    addComponent() {
+        const ComponentClass = this.getComponentClass(this.mode);
+        if (!ComponentClass) return;
+        
+        const component = new ComponentClass(this.mousePos.x, this.mousePos.y);
+        
+        if (this.circuit.addComponent(component)) {
+            this.selectComponent(component);
+            this.saveState();
+            this.emit('componentAdded', { component });
+        }
+    }
+
+    /**
+     * Obtiene la clase del componente según el tipo
+     */
+    getComponentClass(type) {
+        const classes = {
+            'resistor': Resistor,
+            'voltage': VoltageSource,
+            'current': CurrentSource,
+            'capacitor': Capacitor,
+            'inductor': Inductor,
+            'diode': Diode,
+            'ground': Ground
+        };
+        return classes[type];
+    }
+
+    /**
+     * Busca el punto de conexión más cercano
+     */
+    findNearestConnectionPoint(pos) {
+        let nearest = null;
+        let minDistance = this.config.snapDistance / this.visualizer.view.scale;
+        
+        // Buscar en componentes
+        this.circuit.components.forEach(component => {
+            const points = component.getConnectionPoints();
+            points.forEach(point => {
+                const distance = this.calculateDistance(pos, point);
+                if (distance < minDistance) {
+                    minDistance = distance;
+                    nearest = { ...point, componentId: component.id };
+                }
+            });
+        });
+        
+        // Buscar en cables (si está habilitado el dibujo libre)
+        if (document.getElementById('freeDrawing')?.checked) {
+            this.circuit.wires.forEach(wire => {
+                wire.path.forEach(point => {
+                    const distance = this.calculateDistance(pos, point);
+                    if (distance < minDistance) {
+                        minDistance = distance;
+                        nearest = { ...point, wireId: wire.id };
+                    }
+                });
+            });
+        }
+        
+        return nearest;
+    }
+
+    /**
+     * Calcula distancia entre dos puntos
+     */
+    calculateDistance(p1, p2) {
+        const dx = p1.x - p2.x;
+        const dy = p1.y - p2.y;
+        return Math.sqrt(dx * dx + dy * dy);
+    }
+
+    /**
+     * Obtiene el componente o, si no hay ninguno, el cable en una posición
+     */
+    getElementAtPosition(pos) {
+        return this.getComponentAtPosition(pos) ||
+               this.circuit.wires.find(wire => wire.isNearPoint(pos.x, pos.y, 5 / this.visualizer.view.scale)) ||
+               null;
+    }
+
+    /**
+     * Obtiene el componente en una posición
+     */
+    getComponentAtPosition(pos) {
+        return this.circuit.components.find(component => 
+            component.containsPoint(pos.x, pos.y)
+        );
+    }
+
+    /**
+     * Establece el modo de operación
+     */
+    setMode(mode) {
+        this.mode = mode;
+        this.updateModeIndicator();
+        this.updateCanvasCursor();
+        
+        // Cancelar operaciones en curso
+        this.isDrawing = false;
+        this.startPoint = null;
+        this.marquee = null;
+        this.finishComponentMove();
+        
+        this.emit('modeChanged', { mode });
+    }
+
+    /**
+     * Actualiza el cursor del canvas según el modo
+     */
+    updateCanvasCursor() {
+        const cursors = {
+            'select': 'default',
+            'move': 'grab',
+            'delete': 'crosshair',
+            'rotate': 'grab',
+            'wire': 'crosshair',
+            'resistor': 'copy',
+            'voltage': 'copy',
+            'current': 'copy',
+            'capacitor': 'copy',
+            'inductor': 'copy',
+            'diode': 'copy',
+            'ground': 'copy'
+        };
+        
+        this.canvas.style.cursor = cursors[this.mode] || 'default';
+    }
+
+    /**
+     * Inicia la simulación continua
+     */
+    startSimulation() {
+        if (this.simulation.isRunning) return;
+        
+        this.simulation.isRunning = true;
+        this.simulation.step = 0;
+        
+        this.simulation.interval = setInterval(() => {
+            this.runSimulationStep();
+        }, this.simulation.speed);
+        
+        this.updateSimulationButtons();
+        this.emit('simulationStarted');
+    }
+
+    /**
+     * Pausa la simulación
+     */
+    pauseSimulation() {
+        if (!this.simulation.isRunning) return;
+        
+        this.simulation.isRunning = false;
+        clearInterval(this.simulation.interval);
+        this.simulation.interval = null;
+        
+        this.updateSimulationButtons();
+        this.emit('simulationPaused');
+    }
+
+    /**
+     * Reinicia la simulación
+     */
+    resetSimulation() {
+        this.pauseSimulation();
+        this.simulation.step = 0;
         this.simulation.data = [];
         
         // Limpiar datos de simulación
@@ -619,141 +1368,1245 @@ class CircuitSimulatorApp {
             comp.power = 0;
         });
         
-        this.circuit.wires.forEach(wire => {
-            wire.current = 0;
-            wire.voltage = 0;
-            wire.power = 0;
+        this.circuit.wires.forEach(wire => {
+            wire.current = 0;
+            wire.voltage = 0;
+            wire.power = 0;
+        });
+        
+        this.nodeVoltages = [];
+        this.kirchhoffViolations = [];
+        this.ercFinding = null;
+        
+        this.updateResults('Simulación reiniciada');
+        this.render();
+        this.emit('simulationReset');
+    }
+
+    /**
+     * Ejecuta una simulación única
+     */
+    async simulateOnce() {
+        try {
+            let analysis;
+            if (this.simulation.analysisType === 'ac') {
+                analysis = await this.analyzer.analyzeAC(this.circuit, this.getAnalysisFrequency());
+            } else if (this.simulation.analysisType === 'transient') {
+                analysis = await this.analyzer.analyzeTransient(this.circuit, this.getTransientOptions());
+            } else if (this.simulation.analysisType === 'dc_mesh') {
+                analysis = await this.analyzer.analyzeCircuit(this.circuit, { method: 'mesh' });
+            } else {
+                analysis = await this.analyzer.analyzeCircuit(this.circuit);
+            }
+            
+            if (analysis.isValid) {
+                this.applySimulationResults(analysis);
+                this.updateResults(this.formatSimulationResults(analysis));
+                if (analysis.analysisType === 'transient') {
+                    this.drawWaveformChart(analysis);
+                }
+                this.render();
+                this.emit('simulationCompleted', { analysis });
+            } else {
+                // El ERC señala qué componentes causan el fallo
+                const erc = await this.analyzer.checkElectricalRules(this.circuit);
+                this.ercFindings = erc.findings;
+                this.updateResults(`Error: ${analysis.error}${erc.findings.length > 0 ? this.formatErcResults(erc) : ''}`);
+                this.emit('simulationError', { error: analysis.error });
+            }
+        } catch (error) {
+            console.error('Simulation error:', error);
+            this.updateResults(`Error de simulación: ${error.message}`);
+        }
+    }
+
+    /**
+     * Ejecuta el análisis seleccionado en #analysisType
+     */
+    performAdvancedAnalysis() {
+        return this.simulateOnce();
+    }
+
+    /**
+     * Ejecuta un paso de simulación
+     */
+    runSimulationStep() {
+        this.simulateOnce();
+        this.simulation.step++;
+        
+        // Actualizar display en tiempo real
+        if (this.simulation.step % 5 === 0) {
+            this.updateRealTimeDisplay();
+        }
+    }
+
+    /**
+     * Aplica los resultados de simulación a los componentes
+     */
+    applySimulationResults(analysis) {
+        // Aplicar corrientes y voltajes a componentes
+        Object.entries(analysis.componentValues).forEach(([id, values]) => {
+            const component = this.circuit.components.find(c => c.id === id);
+            if (component) {
+                component.current = values.current || 0;
+                component.voltage = values.voltage || 0;
+                component.power = values.power || 0;
+            }
+        });
+        
+        // Aplicar corrientes a cables
+        Object.entries(analysis.currentFlow).forEach(([id, current]) => {
+            const wire = this.circuit.wires.find(w => w.id === id);
+            if (wire) {
+                wire.current = current;
+                wire.power = Math.abs(current * current * wire.resistance);
+            }
+        });
+
+        // Voltajes de nodo para la superposición del visualizador
+        this.nodeVoltages = Object.entries(analysis.nodeVoltages || {})
+            .filter(([id]) => analysis.nodeLocations && analysis.nodeLocations[id])
+            .map(([id, voltage]) => ({
+                id,
+                voltage,
+                ...analysis.nodeLocations[id]
+            }));
+
+        // Nodos donde no se cumple la LCK o que pertenecen a una malla que no cumple la LVK
+        this.kirchhoffViolations = [];
+        if (analysis.kirchhoff) {
+            analysis.kirchhoff.currentLaw.nodes.filter(node => !node.isValid).forEach(node => {
+                this.kirchhoffViolations.push({ x: node.x, y: node.y, law: 'LCK' });
+            });
+            analysis.kirchhoff.voltageLaw.meshes.filter(mesh => !mesh.isValid).forEach(mesh => {
+                mesh.nodeIds
+                    .map(id => analysis.nodeLocations[id])
+                    .filter(location => location && !this.kirchhoffViolations.some(marked => marked.x === location.x && marked.y === location.y))
+                    .forEach(location => this.kirchhoffViolations.push({ x: location.x, y: location.y, law: 'LVK' }));
+            });
+        }
+    }
+
+    /**
+     * Formatea los resultados de simulación
+     */
+    formatSimulationResults(analysis) {
+        if (analysis.analysisType === 'ac') {
+            return this.formatACResults(analysis);
+        }
+        if (analysis.analysisType === 'transient') {
+            return this.formatTransientResults(analysis);
+        }
+
+        return `
+            <h5>✅ Simulación Exitosa</h5>
+            <div class="result-item">
+                <span>Tipo de Circuito:</span>
+                <span>${analysis.circuitType || 'Desconocido'}</span>
+            </div>
+            <div class="result-item">
+                <span>Resistencia Total:</span>
+                <span>${analysis.totalResistance?.toFixed(2) || 'N/A'} Ω</span>
+            </div>
+            <div class="result-item">
+                <span>Corriente Total:</span>
+                <span>${analysis.totalCurrent?.toFixed(4) || 'N/A'} A</span>
+            </div>
+            <div class="result-item">
+                <span>Potencia Total:</span>
+                <span>${analysis.totalPower?.toFixed(2) || 'N/A'} W</span>
+            </div>
+            <div class="result-item">
+                <span>Componentes:</span>
+                <span>${this.circuit.components.length}</span>
+            </div>
+            <div class="result-item">
+                <span>Conexiones:</span>
+                <span>${this.circuit.wires.length}</span>
+            </div>
+            ${analysis.convergence && analysis.method === 'newton_raphson' ? `
+            <div class="result-item">
+                <span>Iteraciones Newton-Raphson:</span>
+                <span>${analysis.convergence.iterations} (${analysis.convergence.strategy})</span>
+            </div>` : ''}
+            ${analysis.meshAnalysis ? this.formatMeshResults(analysis.meshAnalysis) : ''}
+            ${analysis.kirchhoff ? this.formatKirchhoffResults(analysis.kirchhoff) : ''}
+        `;
+    }
+
+    /**
+     * Formatea las corrientes de malla, las supermallas y el contraste con el MNA
+     */
+    formatMeshResults(meshAnalysis) {
+        const check = meshAnalysis.check;
+        const meshRows = meshAnalysis.meshCurrents.map((current, index) => `
+            <div class="result-item">
+                <span>I<sub>M${index + 1}</sub>:</span>
+                <span>${current.toExponential(4)} A</span>
+            </div>
+        `).join('');
+        const supermeshRows = meshAnalysis.supermeshes.map(supermesh => `
+            <div class="result-item">
+                <span>Supermalla (${supermesh.label}):</span>
+                <span>${supermesh.meshIds.length} mallas</span>
+            </div>
+        `).join('');
+
+        return `
+            <h6>🔄 Corrientes de malla (${meshAnalysis.meshCount})</h6>
+            ${meshRows}
+            ${supermeshRows}
+            <div class="result-item">
+                <span>${check.isValid ? '✅' : '❌'} Contraste con MNA:</span>
+                <span>${check.error || `ΔV ${check.voltageDifference.toExponential(2)} V, ΔI ${check.currentDifference.toExponential(2)} A`}</span>
+            </div>
+        `;
+    }
+
+    /**
+     * Formatea los residuos de la LCK por nodo y de la LVK por malla
+     */
+    formatKirchhoffResults(kirchhoff) {
+        const row = (label, residual, unit, isValid) => `
+            <div class="result-item">
+                <span>${isValid ? '✅' : '❌'} ${label}:</span>
+                <span>${residual.toExponential(2)} ${unit}</span>
+            </div>
+        `;
+        const nodeRows = kirchhoff.currentLaw.nodes
+            .map(node => row(`LCK ${node.name}`, node.residual, 'A', node.isValid)).join('');
+        const meshRows = kirchhoff.voltageLaw.meshes
+            .map(mesh => row(`LVK ${mesh.path}`, mesh.residual, 'V', mesh.isValid)).join('');
+
+        return `
+            <h6>${kirchhoff.isValid ? '✅ Leyes de Kirchhoff verificadas' : '❌ La solución no cumple las leyes de Kirchhoff'}</h6>
+            ${nodeRows}
+            ${meshRows}
+        `;
+    }
+
+    /**
+     * Formatea los resultados del análisis AC (amplitudes pico y fases)
+     */
+    formatACResults(analysis) {
+        const nodeRows = Object.entries(analysis.nodePhasors).map(([id, phasor]) => `
+            <div class="result-item">
+                <span>V(${analysis.nodeNames[id]}):</span>
+                <span>${Complex.format(phasor)} V</span>
+            </div>
+        `).join('');
+
+        const componentRows = Object.entries(analysis.componentValues).map(([id, values]) => {
+            const component = this.circuit.getComponentById(id);
+            return `
+                <div class="result-item">
+                    <span>${component ? component.label : id}:</span>
+                    <span>${Complex.format(values.voltagePhasor)} V, ${Complex.format(values.currentPhasor)} A</span>
+                </div>
+            `;
+        }).join('');
+
+        const warnings = analysis.warnings.map(warning => `<div class="result-item">⚠️ ${warning}</div>`).join('');
+
+        return `
+            <h5>✅ Análisis AC a ${analysis.frequency} Hz</h5>
+            <h6>Voltajes de nodo</h6>
+            ${nodeRows}
+            <h6>Componentes (voltaje, corriente)</h6>
+            ${componentRows}
+            ${warnings}
+        `;
+    }
+
+    /**
+     * Formatea los resultados del análisis transitorio (valores al tiempo final)
+     */
+    formatTransientResults(analysis) {
+        const nodeRows = Object.entries(analysis.nodeVoltages).map(([id, voltage]) => `
+            <div class="result-item">
+                <span>V(${analysis.nodeNames[id]}):</span>
+                <span>${voltage.toFixed(4)} V</span>
+            </div>
+        `).join('');
+
+        const componentRows = Object.entries(analysis.componentValues).map(([id, values]) => {
+            const component = this.circuit.getComponentById(id);
+            return `
+                <div class="result-item">
+                    <span>${component ? component.label : id}:</span>
+                    <span>${values.voltage.toFixed(4)} V, ${values.current.toFixed(6)} A</span>
+                </div>
+            `;
+        }).join('');
+
+        const warnings = analysis.warnings.map(warning => `<div class="result-item">⚠️ ${warning}</div>`).join('');
+        const methodName = analysis.method === 'trapezoidal' ? 'trapezoidal' : 'Euler implícito';
+
+        return `
+            <h5>✅ Análisis Transitorio (${methodName})</h5>
+            <div class="result-item">
+                <span>Tiempo simulado:</span>
+                <span>${(analysis.stopTime * 1000).toFixed(3)} ms en ${analysis.steps} pasos</span>
+            </div>
+            <h6>Voltajes de nodo en t final</h6>
+            ${nodeRows}
+            <h6>Componentes en t final (voltaje, corriente)</h6>
+            ${componentRows}
+            ${warnings}
+        `;
+    }
+
+    /**
+     * Opciones del análisis transitorio desde el panel (tiempos en ms)
+     */
+    getTransientOptions() {
+        const readMs = (id, fallback) => {
+            const input = document.getElementById(id);
+            const value = parseFloat(input ? input.value : '');
+            return (value > 0 ? value : fallback) / 1000;
+        };
+        const methodInput = document.getElementById('integrationMethod');
+        const initialConditionsInput = document.getElementById('useInitialConditions');
+
+        return {
+            stopTime: readMs('stopTime', 100),
+            timeStep: readMs('timeStep', 1),
+            method: methodInput ? methodInput.value : 'trapezoidal',
+            useInitialConditions: initialConditionsInput ? initialConditionsInput.checked : false
+        };
+    }
+
+    /**
+     * Ejecuta el barrido DC configurado y muestra las curvas V-I
+     */
+    async runDCSweep() {
+        try {
+            const sweep = await this.analyzer.dcSweep(this.circuit, this.getDCSweepOptions());
+
+            if (sweep.isValid) {
+                this.lastDCSweep = sweep;
+                this.lastDCSweepModified = this.circuit.lastModified.getTime();
+                this.updateResults(this.formatDCSweepResults(sweep));
+                this.drawVIChart(sweep);
+                this.emit('dcSweepCompleted', { sweep });
+            } else {
+                this.updateResults(`Error: ${sweep.error}`);
+            }
+        } catch (error) {
+            console.error('DC sweep error:', error);
+            this.updateResults(`Error en barrido DC: ${error.message}`);
+        }
+    }
+
+    /**
+     * Gráfico V-I del último barrido DC (lo repite si el circuito cambió)
+     */
+    async showVIChart() {
+        if (!this.lastDCSweep || this.lastDCSweepModified !== this.circuit.lastModified.getTime()) {
+            return this.runDCSweep();
+        }
+        this.drawVIChart(this.lastDCSweep);
+    }
+
+    /**
+     * Dibuja las curvas V-I del componente seleccionado (o del barrido) en #chartCanvas
+     */
+    drawVIChart(sweep) {
+        const firstPoint = sweep.curves.length > 0 ? sweep.curves[0].points[0] : null;
+        if (!firstPoint) return;
+
+        const selectedId = this.selectedComponent ? this.selectedComponent.id : null;
+        const componentId = selectedId && firstPoint.componentValues[selectedId] ?
+                            selectedId : sweep.primary.componentId;
+        const component = this.circuit.getComponentById(componentId);
+
+        this.chartRenderer.drawVICurves(sweep, componentId, component ? component.label : componentId);
+    }
+
+    /**
+     * Opciones del barrido DC desde el panel
+     */
+    getDCSweepOptions() {
+        const read = id => {
+            const input = document.getElementById(id);
+            return input ? input.value : '';
+        };
+        const nestedInput = document.getElementById('dcSweepNested');
+        const sweepFrom = prefix => ({
+            componentId: read(`${prefix}Component`),
+            parameter: read(`${prefix}Parameter`) || 'value',
+            start: parseFloat(read(`${prefix}Start`)),
+            stop: parseFloat(read(`${prefix}Stop`)),
+            step: parseFloat(read(`${prefix}Step`))
+        });
+
+        return {
+            primary: sweepFrom('dcSweep'),
+            secondary: nestedInput && nestedInput.checked ? sweepFrom('dcSweep2') : null
+        };
+    }
+
+    /**
+     * Rellena un selector de barrido con los componentes del circuito
+     */
+    updateSweepComponentOptions(selectId) {
+        const select = document.getElementById(selectId);
+        if (!select) return;
+
+        const current = select.value;
+        const placeholder = select.options.length > 0 ? select.options[0].textContent : '';
+
+        select.innerHTML = '';
+        select.appendChild(new Option(placeholder, ''));
+        this.circuit.components
+            .filter(component => component.type !== 'ground')
+            .forEach(component => select.appendChild(new Option(component.label, component.id)));
+
+        select.value = this.circuit.getComponentById(current) ? current : '';
+    }
+
+    /**
+     * Rellena el selector de parámetro con los parámetros numéricos del componente elegido
+     */
+    updateSweepParameterOptions(componentSelectId) {
+        const parameterSelect = document.getElementById(componentSelectId.replace('Component', 'Parameter'));
+        const componentSelect = document.getElementById(componentSelectId);
+        if (!parameterSelect || !componentSelect) return;
+
+        const component = this.circuit.getComponentById(componentSelect.value);
+        parameterSelect.innerHTML = '';
+        if (!component) return;
+
+        this.getSweepableParameters(component).forEach(parameter => {
+            parameterSelect.appendChild(new Option(parameter, parameter));
         });
+    }
+
+    /**
+     * Parámetros numéricos de un componente que tiene sentido barrer
+     * (se excluyen posición, geometría y valores calculados por la simulación)
+     */
+    getSweepableParameters(component) {
+        const excluded = ['x', 'y', 'width', 'height', 'rotation', 'current', 'voltage', 'power', 'brightness'];
+        const data = component.toJSON();
+
+        // En el diodo el valor mostrado (Vf nominal) es derivado del modelo
+        if (component.type === 'diode') {
+            excluded.push('value');
+        }
+
+        return Object.keys(data).filter(key =>
+            !excluded.includes(key) && typeof data[key] === 'number' && isFinite(data[key]) &&
+            typeof component[key] === 'number'
+        );
+    }
+
+    /**
+     * Formatea el resumen del barrido DC
+     */
+    formatDCSweepResults(sweep) {
+        const describe = definition => {
+            const values = definition.values;
+            return `${definition.label}.${definition.parameter}: ${values[0]} → ${values[values.length - 1]} ${definition.unit} (${values.length} puntos)`;
+        };
+        const iterations = sweep.curves.reduce((sum, curve) =>
+            sum + curve.points.reduce((total, point) => total + point.iterations, 0), 0);
+        const warnings = sweep.warnings.map(warning => `<div class="result-item">⚠️ ${warning}</div>`).join('');
+
+        return `
+            <h5>✅ Barrido DC</h5>
+            <div class="result-item">
+                <span>Barrido:</span>
+                <span>${describe(sweep.primary)}</span>
+            </div>
+            ${sweep.secondary ? `
+            <div class="result-item">
+                <span>Anidado:</span>
+                <span>${describe(sweep.secondary)}</span>
+            </div>` : ''}
+            <div class="result-item">
+                <span>Iteraciones Newton-Raphson:</span>
+                <span>${iterations}</span>
+            </div>
+            ${warnings}
+        `;
+    }
+
+    /**
+     * Ejecuta el análisis de Monte Carlo y muestra el histograma de la primera medición
+     */
+    async runMonteCarlo() {
+        try {
+            const measurements = this.parseMeasurements(document.getElementById('monteCarloMeasurements')?.value);
+            if (measurements.error) {
+                this.updateResults(`Error: ${measurements.error}`);
+                return;
+            }
+
+            const results = await this.analyzer.monteCarloAnalysis(this.circuit, measurements, {
+                runs: parseInt(document.getElementById('monteCarloRuns')?.value || '200', 10),
+                distribution: document.getElementById('monteCarloDistribution')?.value || 'uniform'
+            });
+
+            if (results.isValid) {
+                this.updateResults(this.formatMonteCarloResults(results));
+                this.chartRenderer.drawHistogram(results.measurements[0]);
+                this.emit('monteCarloCompleted', { results });
+            } else {
+                this.updateResults(`Error: ${results.error}`);
+            }
+        } catch (error) {
+            console.error('Monte Carlo error:', error);
+            this.updateResults(`Error en Monte Carlo: ${error.message}`);
+        }
+    }
+
+    /**
+     * Ejecuta el análisis de sensibilidad y peor caso sobre las mediciones del panel de tolerancias
+     */
+    async runSensitivityAnalysis() {
+        try {
+            const measurements = this.parseMeasurements(document.getElementById('monteCarloMeasurements')?.value);
+            if (measurements.error) {
+                this.updateResults(`Error: ${measurements.error}`);
+                return;
+            }
+
+            const results = await this.analyzer.sensitivityAnalysis(this.circuit, measurements);
+
+            if (results.isValid) {
+                this.updateResults(this.formatSensitivityResults(results));
+                this.emit('sensitivityCompleted', { results });
+            } else {
+                this.updateResults(`Error: ${results.error}`);
+            }
+        } catch (error) {
+            console.error('Sensitivity error:', error);
+            this.updateResults(`Error en análisis de sensibilidad: ${error.message}`);
+        }
+    }
+
+    /**
+     * Verifica las reglas eléctricas y muestra los hallazgos
+     */
+    async runElectricalRulesCheck() {
+        try {
+            const erc = await this.analyzer.checkElectricalRules(this.circuit);
+            this.ercFindings = erc.findings;
+            this.ercFinding = null;
+
+            if (erc.error) {
+                this.updateResults(`Error: ${erc.error}`);
+            } else {
+                this.updateResults(this.formatErcResults(erc));
+            }
+            this.render();
+        } catch (error) {
+            console.error('ERC error:', error);
+            this.updateResults(`Error en la verificación de reglas: ${error.message}`);
+        }
+    }
+
+    /**
+     * Encuadra y resalta en el lienzo los elementos de un hallazgo del ERC
+     */
+    focusErcFinding(index) {
+        const finding = this.ercFindings[index];
+        if (!finding) return;
+
+        this.ercFinding = finding;
+        const bounds = this.circuit.getBounds(
+            finding.componentIds.map(id => this.circuit.getComponentById(id)).filter(Boolean),
+            finding.wireIds.map(id => this.circuit.getWireById(id)).filter(Boolean),
+            finding.points
+        );
+        if (bounds) {
+            this.visualizer.fitBounds(bounds, 80);
+            this.updateZoomDisplay();
+        }
         
-        this.updateResults('Simulación reiniciada');
+        document.querySelectorAll('#resultsContent [data-erc-finding]').forEach(element => {
+            element.classList.toggle('active', Number(element.dataset.ercFinding) === index);
+        });
         this.render();
-        this.emit('simulationReset');
     }
 
     /**
-     * Ejecuta una simulación única
+     * Formatea los hallazgos del ERC agrupados por severidad (cada uno se resalta al hacer clic)
+     */
+    formatErcResults(erc) {
+        const group = (severity, title) => {
+            const items = erc.findings
+                .map((finding, index) => ({ finding, index }))
+                .filter(({ finding }) => finding.severity === severity)
+                .map(({ finding, index }) => {
+                    const labels = finding.componentIds
+                        .map(id => this.circuit.getComponentById(id))
+                        .filter(Boolean)
+                        .map(component => component.label);
+                    return `
+                        <div class="solution-line erc-finding" data-erc-finding="${index}">
+                            ${severity === 'error' ? '❌' : '⚠️'} ${finding.message}
+                            ${labels.length > 0 ? `<small>(${labels.join(', ')})</small>` : ''}
+                        </div>
+                    `;
+                }).join('');
+            return items ? `<h6>${title}</h6>${items}` : '';
+        };
+
+        if (erc.findings.length === 0) {
+            return '<h5>✅ Reglas eléctricas verificadas: sin hallazgos</h5>';
+        }
+
+        return `
+            <h5>🧪 Reglas eléctricas: ${erc.errorCount} errores, ${erc.warningCount} advertencias</h5>
+            ${group('error', 'Errores')}
+            ${group('warning', 'Advertencias')}
+            <p>Haga clic en un hallazgo para resaltarlo en el lienzo.</p>
+        `;
+    }
+
+    /**
+     * Muestra la solución DC paso a paso en el panel de resultados
+     */
+    async showSolutionSteps() {
+        try {
+            const explanation = await this.analyzer.explainSolution(this.circuit);
+
+            if (explanation.isValid) {
+                this.updateResults(this.formatSolutionSteps(explanation));
+            } else {
+                this.updateResults(`Error: ${explanation.error}`);
+            }
+        } catch (error) {
+            console.error('Solution steps error:', error);
+            this.updateResults(`Error generando la solución: ${error.message}`);
+        }
+    }
+
+    /**
+     * Formatea los pasos de la solución como HTML
+     */
+    formatSolutionSteps(explanation) {
+        const number = value => this.analyzer.solutionExplainer.formatNumber(value);
+        const lines = items => items.map(item => `<div class="solution-line">${item}</div>`).join('');
+
+        const sections = explanation.steps.map((step, index) => {
+            let body = '';
+
+            switch (step.type) {
+                case 'nodes':
+                    body = `
+                        <p>Referencia (0 V): <strong>${step.reference || '—'}</strong>. Incógnitas: un voltaje por cada otro nodo.</p>
+                        ${lines(step.nodes.map(node => `<strong>${node.name}</strong> (${node.symbol}): ${node.components.join(', ') || '—'}`))}
+                    `;
+                    break;
+
+                case 'kirchhoff':
+                    body = `
+                        <p>Suma de corrientes que salen de cada nodo:</p>
+                        ${lines(step.nodeEquations.map(equation => `LCK ${equation.node}: ${equation.text}`))}
+                        ${step.branchEquations.length > 0 ? `<p>Ramas con corriente incógnita:</p>${lines(step.branchEquations.map(equation => `${equation.element}: ${equation.text}`))}` : ''}
+                        <p>Donde:</p>
+                        ${lines(step.definitions)}
+                    `;
+                    break;
+
+                case 'matrix':
+                    body = this.formatMatrixTable(step.matrix, step.rightHandSide, step.equations, step.unknowns, number);
+                    break;
+
+                case 'elimination':
+                    body = step.steps.map(column => {
+                        const operations = [];
+                        if (column.swappedWith !== null) {
+                            operations.push(`F${column.column + 1} ↔ F${column.swappedWith + 1} (pivote de mayor magnitud)`);
+                        }
+                        operations.push(`Pivote en columna ${step.unknowns[column.column]}: ${number(column.pivot)}`);
+                        column.operations.forEach(operation => {
+                            operations.push(`F${operation.row + 1} ← F${operation.row + 1} − (${number(operation.factor)})·F${column.column + 1}`);
+                        });
+
+                        const snapshot = step.showSnapshots ?
+                            this.formatMatrixTable(column.augmented.map(row => row.slice(0, -1)),
+                                                   column.augmented.map(row => row[row.length - 1]),
+                                                   column.augmented.map((row, rowIndex) => `F${rowIndex + 1}`),
+                                                   step.unknowns, number) : '';
+                        return `${lines(operations)}${snapshot}`;
+                    }).join('');
+                    break;
+
+                case 'substitution':
+                    body = lines(step.lines);
+                    break;
+
+                case 'currents':
+                    body = lines(step.currents.map(current => current.text));
+                    break;
+            }
+
+            return `<div class="solution-step"><h6>${index + 1}. ${step.title}</h6>${body}</div>`;
+        }).join('');
+        const warnings = explanation.warnings.map(warning => `<div class="result-item">⚠️ ${warning}</div>`).join('');
+
+        return `
+            <h5>📝 Solución paso a paso</h5>
+            ${warnings}
+            ${sections}
+        `;
+    }
+
+    /**
+     * Tabla [A | b] con etiquetas de filas (ecuaciones) y columnas (incógnitas)
+     */
+    formatMatrixTable(matrix, rightHandSide, rowLabels, columnLabels, format) {
+        const header = columnLabels.map(label => `<th>${label}</th>`).join('');
+        const rows = matrix.map((row, index) => `
+            <tr>
+                <th>${rowLabels[index]}</th>
+                ${row.map(value => `<td>${format(value)}</td>`).join('')}
+                <td class="solution-rhs">${format(rightHandSide[index])}</td>
+            </tr>
+        `).join('');
+
+        return `
+            <table class="solution-matrix">
+                <tr><th></th>${header}<th class="solution-rhs">b</th></tr>
+                ${rows}
+            </table>
+        `;
+    }
+
+    /**
+     * Calcula el equivalente de Thévenin/Norton y dibuja el circuito equivalente en #chartCanvas
      */
-    simulateOnce() {
+    async runTheveninAnalysis() {
         try {
-            const analysis = this.analyzer.analyzeCircuit(this.circuit);
-            
-            if (analysis.isValid) {
-                this.applySimulationResults(analysis);
-                this.updateResults(this.formatSimulationResults(analysis));
-                this.render();
-                this.emit('simulationCompleted', { analysis });
+            const results = await this.analyzer.theveninEquivalent(this.circuit, {
+                componentId: document.getElementById('theveninLoad')?.value || null,
+                positive: document.getElementById('theveninPositive')?.value,
+                negative: document.getElementById('theveninNegative')?.value || 'GND',
+                frequency: parseFloat(document.getElementById('theveninFrequency')?.value) || 0
+            });
+
+            if (results.isValid) {
+                this.lastEquivalent = results;
+                this.updateResults(this.formatTheveninResults(results));
+                this.chartRenderer.drawCircuitPreview(results.equivalentCircuit, results.equivalentCircuit.name);
+                this.emit('theveninCompleted', { results });
             } else {
-                this.updateResults(`Error: ${analysis.error}`);
-                this.emit('simulationError', { error: analysis.error });
+                this.updateResults(`Error: ${results.error}`);
             }
         } catch (error) {
-            console.error('Simulation error:', error);
-            this.updateResults(`Error de simulación: ${error.message}`);
+            console.error('Thevenin error:', error);
+            this.updateResults(`Error calculando el equivalente: ${error.message}`);
         }
     }
 
     /**
-     * Ejecuta un paso de simulación
+     * Reemplaza el circuito por el último equivalente calculado (se puede deshacer)
      */
-    runSimulationStep() {
-        this.simulateOnce();
-        this.simulation.step++;
-        
-        // Actualizar display en tiempo real
-        if (this.simulation.step % 5 === 0) {
-            this.updateRealTimeDisplay();
+    openEquivalentCircuit() {
+        if (!this.lastEquivalent) {
+            this.updateResults('Calcule primero un equivalente de Thévenin/Norton');
+            return;
+        }
+
+        // Hoja nueva: otra pestaña de la aplicación recibe el equivalente por localStorage
+        const key = `equivalente_${Date.now()}`;
+        try {
+            localStorage.setItem(key, JSON.stringify(this.lastEquivalent.equivalentCircuit.toJSON()));
+        } catch (error) {
+            this.updateResults(`Error al preparar el equivalente: ${error.message}`);
+            return;
+        }
+
+        const tab = window.open(`${window.location.pathname}#${key}`, '_blank');
+        if (!tab) {
+            localStorage.removeItem(key);
+            this.updateResults('⚠️ El navegador bloqueó la pestaña nueva: permita ventanas emergentes para abrir el equivalente');
+            return;
         }
+
+        this.updateResults('📄 Equivalente abierto en una pestaña nueva; el circuito actual no se modificó');
     }
 
     /**
-     * Aplica los resultados de simulación a los componentes
+     * Carga el circuito que otra pestaña dejó para esta (equivalente de Thévenin/Norton)
      */
-    applySimulationResults(analysis) {
-        // Aplicar corrientes y voltajes a componentes
-        Object.entries(analysis.componentValues).forEach(([id, values]) => {
-            const component = this.circuit.components.find(c => c.id === id);
-            if (component) {
-                component.current = values.current || 0;
-                component.voltage = values.voltage || 0;
-                component.power = values.power || 0;
+    loadSharedCircuit() {
+        const key = window.location.hash.slice(1);
+        if (!key.startsWith('equivalente_')) return;
+
+        const data = localStorage.getItem(key);
+        localStorage.removeItem(key);
+        window.history.replaceState(null, '', window.location.pathname);
+        if (!data) return;
+
+        try {
+            this.circuit.fromJSON(JSON.parse(data));
+            document.title = `Equivalente - ${document.title}`;
+            console.log('📄 Equivalente cargado en esta pestaña');
+        } catch (error) {
+            console.error('❌ Error al cargar el equivalente:', error);
+        }
+    }
+
+    /**
+     * Formatea V_th, Z_th e I_N (módulo y fase en AC)
+     */
+    formatTheveninResults(results) {
+        const isAC = results.frequency > 0;
+        const format = (value, unit) => {
+            if (value === null) return '—';
+            if (!isAC) return `${value.real.toFixed(4)} ${unit}`;
+            const phasor = Complex.toPhasor(value);
+            return `${phasor.magnitude.toFixed(4)} ${unit} ∠ ${phasor.phase.toFixed(2)}°`;
+        };
+        const impedance = results.thevenin.impedance;
+        const warnings = results.warnings.map(warning => `<div class="result-item">⚠️ ${warning}</div>`).join('');
+        const seenFrom = results.removedComponent ?
+                         `vista por ${results.removedComponent.label}` :
+                         `entre ${results.terminals.positive.name} y ${results.terminals.negative.name}`;
+
+        return `
+            <h5>✅ Equivalente ${seenFrom} (${isAC ? `${results.frequency} Hz` : 'DC'})</h5>
+            <div class="result-item">
+                <span>V<sub>th</sub> (circuito abierto):</span>
+                <span>${format(results.thevenin.voltage, 'V')}</span>
+            </div>
+            <div class="result-item">
+                <span>${isAC ? 'Z' : 'R'}<sub>th</sub>:</span>
+                <span>${isAC ? `${format(impedance, 'Ω')} (${Complex.format(impedance)} Ω)` : format(impedance, 'Ω')}</span>
+            </div>
+            <div class="result-item">
+                <span>I<sub>N</sub> (cortocircuito):</span>
+                <span>${format(results.norton.current, 'A')}</span>
+            </div>
+            <div class="result-item">
+                <span>Método:</span>
+                <span>${results.method === 'open_short' ? 'V<sub>oc</sub> / I<sub>sc</sub>' : 'fuente de prueba'}</span>
+            </div>
+            ${warnings}
+        `;
+    }
+
+    /**
+     * Reduce la red a una resistencia equivalente y muestra los pasos sobre el lienzo
+     */
+    async runReduction() {
+        try {
+            const results = await this.analyzer.reduceResistance(this.circuit, {
+                positive: document.getElementById('reductionPositive')?.value,
+                negative: document.getElementById('reductionNegative')?.value || 'GND'
+            });
+
+            if (results.isValid) {
+                this.exitReduction();
+                this.reduction = { results, index: 0, playTimer: null };
+                this.updateResults(this.formatReductionResults(results));
+                this.render();
+                this.emit('reductionCompleted', { results });
+            } else {
+                this.updateResults(`Error: ${results.error}`);
             }
-        });
-        
-        // Aplicar corrientes a cables
-        Object.entries(analysis.currentFlow).forEach(([id, current]) => {
-            const wire = this.circuit.wires.find(w => w.id === id);
-            if (wire) {
-                wire.current = current;
-                wire.power = Math.abs(current * current * wire.resistance);
+        } catch (error) {
+            console.error('Reduction error:', error);
+            this.updateResults(`Error en la reducción: ${error.message}`);
+        }
+    }
+
+    /**
+     * Avanza o retrocede un paso de la reducción
+     */
+    stepReduction(delta) {
+        if (!this.reduction) return false;
+
+        const last = this.reduction.results.snapshots.length - 1;
+        const index = Math.max(0, Math.min(last, this.reduction.index + delta));
+        if (index === this.reduction.index) return false;
+
+        this.reduction.index = index;
+        this.highlightReductionStep();
+        this.render();
+        return true;
+    }
+
+    /**
+     * Recorre los pasos de forma animada desde el actual (desde el inicio si ya terminó); otro clic pausa
+     */
+    playReduction() {
+        if (!this.reduction) return;
+
+        if (this.reduction.playTimer) {
+            clearInterval(this.reduction.playTimer);
+            this.reduction.playTimer = null;
+            return;
+        }
+
+        if (this.reduction.index === this.reduction.results.snapshots.length - 1) {
+            this.reduction.index = 0;
+            this.highlightReductionStep();
+            this.render();
+        }
+
+        this.reduction.playTimer = setInterval(() => {
+            if (!this.stepReduction(1)) {
+                clearInterval(this.reduction.playTimer);
+                this.reduction.playTimer = null;
             }
+        }, 1200);
+    }
+
+    /**
+     * Sale de los pasos de la reducción y vuelve a dibujar el circuito
+     */
+    exitReduction() {
+        if (!this.reduction) return;
+
+        if (this.reduction.playTimer) {
+            clearInterval(this.reduction.playTimer);
+        }
+        this.reduction = null;
+        this.render();
+    }
+
+    /**
+     * Marca en el panel de resultados el paso que se está mostrando
+     */
+    highlightReductionStep() {
+        document.querySelectorAll('#resultsContent .reduction-step').forEach(element => {
+            element.classList.toggle('active', Number(element.dataset.step) === this.reduction.index);
         });
     }
 
     /**
-     * Formatea los resultados de simulación
+     * Formatea la resistencia equivalente y la lista de pasos
      */
-    formatSimulationResults(analysis) {
+    formatReductionResults(results) {
+        const steps = results.snapshots.map((snapshot, index) => `
+            <div class="solution-line reduction-step${index === 0 ? ' active' : ''}" data-step="${index}">
+                ${index}. ${snapshot.description}
+            </div>
+        `).join('');
+        const warnings = results.warnings.map(warning => `<div class="result-item">⚠️ ${warning}</div>`).join('');
+
         return `
-            <h5>✅ Simulación Exitosa</h5>
+            <h5>✅ Resistencia equivalente entre ${results.terminals.positive} y ${results.terminals.negative}</h5>
             <div class="result-item">
-                <span>Tipo de Circuito:</span>
-                <span>${analysis.circuitType || 'Desconocido'}</span>
+                <span>R<sub>eq</sub>:</span>
+                <span>${this.visualizer.formatResistance(results.equivalentResistance)}</span>
+            </div>
+            ${warnings}
+            <div class="solution-step">
+                <h6>Pasos (◀ ▶ para recorrerlos en el lienzo; clic en el lienzo para salir)</h6>
+                ${steps}
             </div>
+        `;
+    }
+
+    /**
+     * Interpreta mediciones del tipo "V(OUT) 4.5 5.5; I(R1) 0 0.01" (límites opcionales)
+     */
+    parseMeasurements(text) {
+        const measurements = [];
+        const entries = String(text || '').split(';').map(entry => entry.trim()).filter(Boolean);
+
+        for (const entry of entries) {
+            const match = entry.match(/^([VvIi])\(\s*([^)]+?)\s*\)\s*(\S+)?\s*(\S+)?$/);
+            if (!match) {
+                return { error: `Medición no reconocida: "${entry}" (use V(nodo) o I(componente) con límites opcionales)` };
+            }
+
+            const limit = value => value === undefined ? null : parseFloat(value);
+            const min = limit(match[3]);
+            const max = limit(match[4]);
+            if ((min !== null && isNaN(min)) || (max !== null && isNaN(max))) {
+                return { error: `Límites inválidos en "${entry}"` };
+            }
+
+            measurements.push({
+                type: match[1].toUpperCase() === 'V' ? 'node' : 'current',
+                target: match[2],
+                min: min,
+                max: max
+            });
+        }
+
+        if (measurements.length === 0) {
+            return { error: 'Indique al menos una medición, por ejemplo V(OUT)' };
+        }
+        return measurements;
+    }
+
+    /**
+     * Formatea las estadísticas y el rendimiento del análisis de Monte Carlo
+     */
+    formatMonteCarloResults(results) {
+        const format = value => Math.abs(value) >= 0.01 || value === 0 ? value.toFixed(4) : value.toExponential(3);
+        const rows = results.measurements.map(measurement => {
+            const limits = measurement.min !== null || measurement.max !== null ?
+                           ` · dentro de [${measurement.min ?? '-∞'}, ${measurement.max ?? '∞'}]: ${(measurement.passRate * 100).toFixed(1)}%` : '';
+            const stats = measurement.statistics;
+            return `
+                <div class="result-item">
+                    <span>${measurement.label}:</span>
+                    <span>μ = ${format(stats.mean)} ${measurement.unit}, σ = ${format(stats.stdDev)} ${measurement.unit}</span>
+                </div>
+                <div class="result-item">
+                    <span></span>
+                    <span>rango ${format(stats.min)} … ${format(stats.max)}${limits}</span>
+                </div>
+            `;
+        }).join('');
+        const warnings = results.warnings.map(warning => `<div class="result-item">⚠️ ${warning}</div>`).join('');
+
+        return `
+            <h5>✅ Monte Carlo (${results.runs} corridas, ${results.distribution === 'gaussian' ? 'gaussiana' : 'uniforme'})</h5>
             <div class="result-item">
-                <span>Resistencia Total:</span>
-                <span>${analysis.totalResistance?.toFixed(2) || 'N/A'} Ω</span>
+                <span>Componentes variados:</span>
+                <span>${results.components.map(component => `${component.label} ±${component.tolerance}%`).join(', ')}</span>
             </div>
+            ${rows}
             <div class="result-item">
-                <span>Corriente Total:</span>
-                <span>${analysis.totalCurrent?.toFixed(4) || 'N/A'} A</span>
+                <span>Rendimiento (todas las mediciones en límites):</span>
+                <span>${(results.yield * 100).toFixed(1)}%</span>
             </div>
+            ${warnings}
+        `;
+    }
+
+    /**
+     * Formatea sensibilidades (∂salida/∂valor y normalizada %/%) y el peor caso de cada medición
+     */
+    formatSensitivityResults(results) {
+        const format = value => Math.abs(value) >= 0.01 || value === 0 ? value.toFixed(4) : value.toExponential(3);
+        const describeCorner = extreme => extreme.corner.length > 0 ?
+            extreme.corner.map(entry => `${entry.label} ${entry.deviation > 0 ? '+' : ''}${(entry.deviation * 100).toFixed(1)}%`).join(', ') :
+            'valores nominales';
+
+        const sections = results.measurements.map(measurement => {
+            const rows = measurement.sensitivities.map(entry => `
+                <div class="result-item">
+                    <span>${entry.label}${entry.tolerance > 0 ? ` (±${entry.tolerance}%)` : ''}:</span>
+                    <span>${format(entry.absolute)} ${measurement.unit}/${entry.unit || 'u'} · ${entry.normalized === null ? '—' : format(entry.normalized)} %/%</span>
+                </div>
+            `).join('');
+            const worstCase = measurement.worstCase;
+            const limits = measurement.min !== null || measurement.max !== null ?
+                           (worstCase.withinLimits ? ' ✅ dentro de límites' : ' ❌ fuera de límites') : '';
+            const extreme = (name, entry) => `
+                <div class="result-item">
+                    <span>${name}:</span>
+                    <span>${entry.converged ? `${format(entry.value)} ${measurement.unit}` : 'sin convergencia'} (${describeCorner(entry)})</span>
+                </div>
+            `;
+
+            return `
+                <h5>${measurement.label} nominal = ${format(measurement.nominal)} ${measurement.unit}</h5>
+                ${rows}
+                ${extreme('Peor caso mínimo', worstCase.min)}
+                ${extreme('Peor caso máximo', worstCase.max)}
+                ${limits ? `<div class="result-item">${limits}</div>` : ''}
+            `;
+        }).join('');
+        const warnings = results.warnings.map(warning => `<div class="result-item">⚠️ ${warning}</div>`).join('');
+
+        return `
+            <h5>✅ Sensibilidad y peor caso</h5>
+            ${sections}
+            ${warnings}
+        `;
+    }
+
+    /**
+     * Dibuja las formas de onda de voltaje de nodo en #chartCanvas
+     */
+    drawWaveformChart(analysis) {
+        this.chartRenderer.drawWaveforms(analysis);
+    }
+
+    /**
+     * Ejecuta el barrido en frecuencia configurado y dibuja el diagrama de Bode
+     */
+    async analyzeFrequencyResponse() {
+        try {
+            const sweep = await this.analyzer.frequencySweep(this.circuit, this.getSweepOptions());
+
+            if (sweep.isValid) {
+                this.chartRenderer.drawBodePlot(sweep);
+                this.updateResults(this.formatFrequencyResponse(sweep));
+                this.emit('frequencySweepCompleted', { sweep });
+            } else {
+                this.updateResults(`Error: ${sweep.error}`);
+            }
+        } catch (error) {
+            console.error('Frequency sweep error:', error);
+            this.updateResults(`Error en barrido de frecuencia: ${error.message}`);
+        }
+    }
+
+    /**
+     * Muestra la respuesta en frecuencia en el panel de gráficos
+     */
+    showFrequencyResponse() {
+        return this.analyzeFrequencyResponse();
+    }
+
+    /**
+     * Opciones del barrido en frecuencia desde el panel
+     */
+    getSweepOptions() {
+        const read = (id, fallback) => {
+            const input = document.getElementById(id);
+            return input && input.value !== '' ? input.value : fallback;
+        };
+
+        return {
+            sweepType: read('sweepType', 'decade'),
+            startFrequency: parseFloat(read('sweepStart', 10)),
+            stopFrequency: parseFloat(read('sweepStop', 100000)),
+            points: parseInt(read('sweepPoints', 20), 10),
+            inputProbe: read('inputProbe', ''),
+            outputProbe: read('outputProbe', 'OUT')
+        };
+    }
+
+    /**
+     * Formatea el resumen del barrido en frecuencia
+     */
+    formatFrequencyResponse(sweep) {
+        const format = frequency => this.chartRenderer.formatFrequency(frequency);
+        const first = sweep.responses[0];
+        const margin = (value, unit) => value === null ? 'sin margen definido' : `${value.toFixed(1)}${unit}`;
+        const markerRows = [
+            ...sweep.markers.cutoff.map(marker => `
+                <div class="result-item">
+                    <span>Corte -3 dB:</span>
+                    <span>${format(marker.frequency)}</span>
+                </div>
+            `),
+            ...sweep.markers.gainCrossover.map(marker => `
+                <div class="result-item">
+                    <span>Cruce de ganancia (0 dB):</span>
+                    <span>${format(marker.frequency)} (MF ${margin(marker.phaseMargin, '°')})</span>
+                </div>
+            `),
+            ...sweep.markers.phaseCrossover.map(marker => `
+                <div class="result-item">
+                    <span>Cruce de fase (-180°):</span>
+                    <span>${format(marker.frequency)} (MG ${margin(marker.gainMargin, ' dB')})</span>
+                </div>
+            `)
+        ].join('');
+
+        const warnings = sweep.warnings.map(warning => `<div class="result-item">⚠️ ${warning}</div>`).join('');
+
+        return `
+            <h5>✅ Respuesta en Frecuencia V(${sweep.outputName}) / V(${sweep.inputName})</h5>
             <div class="result-item">
-                <span>Potencia Total:</span>
-                <span>${analysis.totalPower?.toFixed(2) || 'N/A'} W</span>
+                <span>Barrido:</span>
+                <span>${format(first.frequency)} – ${format(sweep.responses[sweep.responses.length - 1].frequency)}, ${sweep.responses.length} puntos</span>
             </div>
             <div class="result-item">
-                <span>Componentes:</span>
-                <span>${this.circuit.components.length}</span>
+                <span>Ganancia máxima:</span>
+                <span>${sweep.markers.referenceGainDb.toFixed(2)} dB</span>
             </div>
             <div class="result-item">
-                <span>Conexiones:</span>
-                <span>${this.circuit.wires.length}</span>
+                <span>Retardo de grupo (${format(first.frequency)}):</span>
+                <span>${(first.groupDelay * 1e6).toFixed(2)} µs</span>
             </div>
+            ${markerRows}
+            ${warnings}
         `;
     }
 
+    /**
+     * Frecuencia de análisis ingresada en #frequency
+     */
+    getAnalysisFrequency() {
+        const input = document.getElementById('frequency');
+        const frequency = parseFloat(input ? input.value : '');
+        return frequency > 0 ? frequency : 60;
+    }
+
     /**
      * Loop principal de renderizado
+     * Solo dibuja cuando el visualizador está marcado como sucio o hay animación activa
      */
     startRenderLoop() {
-        const renderFrame = () => {
-            this.render();
-            requestAnimationFrame(renderFrame);
+        const renderFrame = (timestamp) => {
+            if (this.visualizer.shouldRender(timestamp, this.config)) {
+                const startTime = performance.now();
+                this.drawFrame();
+                this.visualizer.completeFrame(timestamp, startTime);
+            }
+            this.renderFrameId = requestAnimationFrame(renderFrame);
         };
-        requestAnimationFrame(renderFrame);
+        this.renderFrameId = requestAnimationFrame(renderFrame);
     }
 
     /**
-     * Renderiza el circuito
+     * Solicita un repintado; varias llamadas en el mismo frame se agrupan
      */
     render() {
+        this.visualizer.invalidate();
+    }
+
+    /**
+     * Dibuja un frame completo del circuito
+     */
+    drawFrame() {
         // Limpiar canvas
         this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
         
+        // Todo se dibuja en coordenadas del circuito con el zoom y desplazamiento de la vista
+        this.ctx.save();
+        this.visualizer.applyViewTransform();
+        this.drawScene();
+        this.ctx.restore();
+    }
+
+    /**
+     * Dibuja la cuadrícula y el circuito (o el paso de la reducción)
+     */
+    drawScene() {
         // Dibujar cuadrícula
         if (this.config.showGrid) {
             this.visualizer.drawGrid(this.config.gridSize);
         }
         
+        // Pasos de la reducción en lugar del circuito
+        if (this.reduction) {
+            this.visualizer.drawReductionSnapshot(this.reduction.results.snapshots[this.reduction.index], {
+                index: this.reduction.index,
+                total: this.reduction.results.snapshots.length
+            });
+            return;
+        }
+        
         // Dibujar componentes y cables
         this.visualizer.drawCircuit(this.circuit, {
             showConnectionPoints: this.config.showConnectionPoints,
             showCurrentFlow: this.config.showCurrentFlow,
             showVoltageNodes: this.config.showVoltageNodes,
             animateCurrentFlow: this.config.animateCurrentFlow,
-            selectedComponent: this.selectedComponent
+            selectedComponent: this.selectedComponent,
+            nodeVoltages: this.nodeVoltages
         });
         
+        if (this.kirchhoffViolations.length > 0) {
+            this.visualizer.drawKirchhoffViolations(this.kirchhoffViolations);
+        }
+        
+        if (this.ercFinding) {
+            this.visualizer.drawErcFinding(this.circuit, this.ercFinding);
+        }
+        
+        if (this.marquee) {
+            this.visualizer.drawSelectionBox(this.getMarqueeRect(this.marquee.start, this.marquee.end));
+        }
+        
         // Dibujar preview si está dibujando
         if (this.isDrawing && this.mode === 'wire') {
             this.visualizer.drawWirePreview(this.startPoint, this.mousePos, {
@@ -801,6 +2654,28 @@ class CircuitSimulatorApp {
         }
     }
 
+    /**
+     * Resalta el componente o cable bajo el cursor
+     */
+    updateHoverEffects() {
+        const pos = this.mousePos;
+        this.visualizer.setHoveredElement(this.getElementAtPosition(pos));
+    }
+
+    /**
+     * Actualiza la vista previa del cable en construcción
+     */
+    updateWirePreview() {
+        this.render();
+    }
+
+    /**
+     * Aplica cambios en las opciones de visualización
+     */
+    updateVisualization() {
+        this.render();
+    }
+
     updateCoordinatesDisplay() {
         const coords = document.getElementById('coordinates');
         if (coords) {
@@ -859,7 +2734,7 @@ class CircuitSimulatorApp {
             this.history.currentIndex--;
             const state = JSON.parse(this.history.states[this.history.currentIndex]);
             this.circuit.fromJSON(state);
-            this.selectedComponent = null;
+            this.setSelection([]);
             this.render();
             this.updateUndoRedoButtons();
         }
@@ -870,7 +2745,7 @@ class CircuitSimulatorApp {
             this.history.currentIndex++;
             const state = JSON.parse(this.history.states[this.history.currentIndex]);
             this.circuit.fromJSON(state);
-            this.selectedComponent = null;
+            this.setSelection([]);
             this.render();
             this.updateUndoRedoButtons();
         }
@@ -889,9 +2764,11 @@ class CircuitSimulatorApp {
      */
     dispose() {
         this.pauseSimulation();
+        this.exitReduction();
         this.eventListeners.clear();
         this.circuit.dispose();
         this.analyzer.dispose();
+        cancelAnimationFrame(this.renderFrameId);
         this.visualizer.dispose();
     }
 }
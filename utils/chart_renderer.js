@@ -0,0 +1,438 @@
+/**
+ * Renderizador de gráficos del panel de resultados
+ * Dibuja formas de onda y diagramas de Bode en #chartCanvas
+ */
+class ChartRenderer {
+    constructor(canvas) {
+        this.canvas = canvas || null;
+        this.ctx = canvas ? canvas.getContext('2d') : null;
+
+        this.margin = { left: 40, right: 8, top: 8, bottom: 18 };
+        this.colors = ['#e74c3c', '#3498db', '#27ae60', '#f39c12', '#9b59b6', '#1abc9c'];
+        this.axisColor = '#95a5a6';
+        this.textColor = '#2c3e50';
+        this.font = '10px Arial';
+    }
+
+    /**
+     * Limpia el canvas
+     */
+    clear() {
+        if (!this.ctx) return;
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    }
+
+    /**
+     * Crea un panel con sus escalas
+     * options: { top, height, xMin, xMax, yMin, yMax, logX }
+     */
+    createPane(options) {
+        const left = this.margin.left;
+        const width = this.canvas.width - this.margin.left - this.margin.right;
+        const { top, height, logX } = options;
+        const range = this.niceRange(options.yMin, options.yMax);
+
+        const xMin = logX ? Math.log10(options.xMin) : options.xMin;
+        const xMax = logX ? Math.log10(options.xMax) : options.xMax;
+        const xSpan = xMax - xMin || 1;
+
+        return {
+            left, top, width, height, logX,
+            xMin: options.xMin,
+            xMax: options.xMax,
+            yMin: range.min,
+            yMax: range.max,
+            yStep: range.step,
+            toX: x => left + ((logX ? Math.log10(x) : x) - xMin) / xSpan * width,
+            toY: y => top + (1 - (y - range.min) / (range.max - range.min)) * height
+        };
+    }
+
+    /**
+     * Dibuja el marco, la grilla horizontal y las etiquetas del eje Y de un panel
+     */
+    drawPaneFrame(pane, yLabel, formatY = value => value.toFixed(1)) {
+        const ctx = this.ctx;
+
+        ctx.strokeStyle = this.axisColor;
+        ctx.lineWidth = 1;
+        ctx.strokeRect(pane.left, pane.top, pane.width, pane.height);
+
+        ctx.fillStyle = this.textColor;
+        ctx.font = this.font;
+        ctx.textAlign = 'right';
+
+        ctx.strokeStyle = '#ecf0f1';
+        for (let y = pane.yMin; y <= pane.yMax + pane.yStep * 1e-6; y += pane.yStep) {
+            const py = pane.toY(y);
+            ctx.beginPath();
+            ctx.moveTo(pane.left + 1, py);
+            ctx.lineTo(pane.left + pane.width - 1, py);
+            ctx.stroke();
+            ctx.fillText(formatY(y), pane.left - 3, py + 3);
+        }
+
+        // Décadas como grilla vertical en escala logarítmica
+        if (pane.logX) {
+            for (let decade = Math.ceil(Math.log10(pane.xMin)); Math.pow(10, decade) <= pane.xMax; decade++) {
+                const px = pane.toX(Math.pow(10, decade));
+                ctx.beginPath();
+                ctx.moveTo(px, pane.top + 1);
+                ctx.lineTo(px, pane.top + pane.height - 1);
+                ctx.stroke();
+            }
+        }
+
+        ctx.save();
+        ctx.translate(9, pane.top + pane.height / 2);
+        ctx.rotate(-Math.PI / 2);
+        ctx.textAlign = 'center';
+        ctx.fillText(yLabel, 0, 0);
+        ctx.restore();
+    }
+
+    /**
+     * Dibuja una serie como polilínea (omite valores no finitos)
+     */
+    drawSeries(pane, xs, ys, color) {
+        const ctx = this.ctx;
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+
+        let penDown = false;
+        ys.forEach((y, i) => {
+            if (!isFinite(y)) {
+                penDown = false;
+                return;
+            }
+            const px = pane.toX(xs[i]);
+            const py = Math.max(pane.top, Math.min(pane.top + pane.height, pane.toY(y)));
+            if (penDown) {
+                ctx.lineTo(px, py);
+            } else {
+                ctx.moveTo(px, py);
+                penDown = true;
+            }
+        });
+        ctx.stroke();
+    }
+
+    /**
+     * Dibuja una línea vertical punteada con etiqueta
+     */
+    drawVerticalMarker(pane, x, color, label) {
+        if (x < pane.xMin || x > pane.xMax) return;
+
+        const ctx = this.ctx;
+        const px = pane.toX(x);
+
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 1;
+        ctx.setLineDash([3, 3]);
+        ctx.beginPath();
+        ctx.moveTo(px, pane.top);
+        ctx.lineTo(px, pane.top + pane.height);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        if (label) {
+            ctx.fillStyle = color;
+            ctx.font = this.font;
+            ctx.textAlign = px > pane.left + pane.width - 40 ? 'right' : 'left';
+            ctx.fillText(label, px + (ctx.textAlign === 'left' ? 2 : -2), pane.top + 10);
+        }
+    }
+
+    /**
+     * Dibuja una línea horizontal punteada
+     */
+    drawHorizontalMarker(pane, y, color) {
+        if (y < pane.yMin || y > pane.yMax) return;
+
+        const ctx = this.ctx;
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 1;
+        ctx.setLineDash([2, 3]);
+        ctx.beginPath();
+        ctx.moveTo(pane.left, pane.toY(y));
+        ctx.lineTo(pane.left + pane.width, pane.toY(y));
+        ctx.stroke();
+        ctx.setLineDash([]);
+    }
+
+    /**
+     * Etiqueta del eje X centrada bajo el último panel
+     */
+    drawXLabel(pane, text) {
+        const ctx = this.ctx;
+        ctx.fillStyle = this.textColor;
+        ctx.font = this.font;
+        ctx.textAlign = 'center';
+        ctx.fillText(text, pane.left + pane.width / 2, this.canvas.height - 4);
+    }
+
+    /**
+     * Leyenda en la esquina superior izquierda de un panel
+     */
+    drawLegend(pane, labels) {
+        const ctx = this.ctx;
+        ctx.font = this.font;
+        ctx.textAlign = 'left';
+        labels.forEach((label, index) => {
+            ctx.fillStyle = this.colors[index % this.colors.length];
+            ctx.fillText(label, pane.left + 4, pane.top + 12 + index * 11);
+        });
+    }
+
+    /**
+     * Formas de onda de voltaje de nodo de un análisis transitorio
+     */
+    drawWaveforms(analysis) {
+        if (!this.ctx) return;
+
+        const time = analysis.waveforms.time;
+        const series = Object.entries(analysis.waveforms.nodes)
+            .filter(([id]) => !(analysis.nodeLocations[id] && analysis.nodeLocations[id].isGround));
+        const values = series.flatMap(([, samples]) => samples);
+        const endTime = time[time.length - 1] || 1;
+
+        this.clear();
+        const pane = this.createPane({
+            top: this.margin.top,
+            height: this.canvas.height - this.margin.top - this.margin.bottom,
+            xMin: 0,
+            xMax: endTime,
+            yMin: Math.min(0, ...values),
+            yMax: Math.max(0, ...values)
+        });
+
+        this.drawPaneFrame(pane, 'V', value => this.formatAxisValue(value));
+        this.drawHorizontalMarker(pane, 0, this.axisColor);
+        series.forEach(([, samples], index) => {
+            this.drawSeries(pane, time, samples, this.colors[index % this.colors.length]);
+        });
+        this.drawLegend(pane, series.map(([id]) => analysis.nodeNames[id]));
+        this.drawXLabel(pane, `t (0 – ${(endTime * 1000).toFixed(1)} ms)`);
+    }
+
+    /**
+     * Curvas V-I de un componente a partir de un barrido DC (una curva por valor del barrido anidado)
+     */
+    drawVICurves(sweep, componentId, componentLabel) {
+        if (!this.ctx) return;
+
+        const curves = sweep.curves.map(curve => ({
+            label: curve.secondaryValue === null ?
+                   componentLabel :
+                   `${sweep.secondary.label}.${sweep.secondary.parameter}=${this.formatAxisValue(curve.secondaryValue)}${sweep.secondary.unit}`,
+            voltages: curve.points.map(point => point.componentValues[componentId].voltage),
+            currents: curve.points.map(point => point.componentValues[componentId].current)
+        }));
+
+        const voltages = curves.flatMap(curve => curve.voltages);
+        const currents = curves.flatMap(curve => curve.currents);
+        const voltageRange = this.niceRange(Math.min(0, ...voltages), Math.max(0, ...voltages));
+
+        this.clear();
+        const pane = this.createPane({
+            top: this.margin.top,
+            height: this.canvas.height - this.margin.top - this.margin.bottom,
+            xMin: voltageRange.min,
+            xMax: voltageRange.max,
+            yMin: Math.min(0, ...currents),
+            yMax: Math.max(0, ...currents)
+        });
+
+        this.drawPaneFrame(pane, 'I (A)', value => this.formatAxisValue(value));
+        this.drawHorizontalMarker(pane, 0, this.axisColor);
+        this.drawVerticalMarker(pane, 0, this.axisColor);
+        curves.forEach((curve, index) => {
+            this.drawSeries(pane, curve.voltages, curve.currents, this.colors[index % this.colors.length]);
+        });
+        this.drawLegend(pane, curves.map(curve => curve.label));
+        this.drawXLabel(pane, `V ${componentLabel} (${this.formatAxisValue(voltageRange.min)} – ${this.formatAxisValue(voltageRange.max)} V)`);
+    }
+
+    /**
+     * Histograma de una medición de Monte Carlo con la media y los límites marcados
+     */
+    drawHistogram(measurement) {
+        if (!this.ctx || measurement.histogram.bins.length === 0) return;
+
+        const bins = measurement.histogram.bins;
+        const limits = [measurement.min, measurement.max].filter(limit => limit !== undefined && limit !== null);
+        const xMin = Math.min(bins[0].from, ...limits);
+        const xMax = Math.max(bins[bins.length - 1].to, ...limits);
+
+        this.clear();
+        const pane = this.createPane({
+            top: this.margin.top,
+            height: this.canvas.height - this.margin.top - this.margin.bottom,
+            xMin: xMin,
+            xMax: xMax > xMin ? xMax : xMin + 1,
+            yMin: 0,
+            yMax: Math.max(...bins.map(bin => bin.count))
+        });
+
+        this.drawPaneFrame(pane, 'Corridas', value => value.toFixed(0));
+
+        const ctx = this.ctx;
+        bins.forEach(bin => {
+            const inside = limits.length === 0 ||
+                           ((measurement.min === undefined || measurement.min === null || bin.to >= measurement.min) &&
+                            (measurement.max === undefined || measurement.max === null || bin.from <= measurement.max));
+            const left = pane.toX(bin.from);
+            const right = pane.toX(bin.to);
+            const top = pane.toY(bin.count);
+
+            ctx.fillStyle = inside ? '#3498db' : '#e74c3c';
+            ctx.fillRect(left + 0.5, top, Math.max(1, right - left - 1), pane.top + pane.height - top);
+        });
+
+        this.drawVerticalMarker(pane, measurement.statistics.mean, '#27ae60', `μ ${this.formatAxisValue(measurement.statistics.mean)}`);
+        limits.forEach(limit => this.drawVerticalMarker(pane, limit, '#e67e22'));
+        this.drawXLabel(pane, `${measurement.label} (${measurement.unit})  σ = ${this.formatAxisValue(measurement.statistics.stdDev)}`);
+    }
+
+    /**
+     * Vista previa de un circuito escalada para ocupar el canvas
+     */
+    drawCircuitPreview(circuit, caption) {
+        if (!this.ctx) return;
+
+        this.clear();
+        const bounds = circuit.getBounds();
+        if (!bounds) return;
+
+        const ctx = this.ctx;
+        const padding = 10;
+        const captionHeight = caption ? 14 : 0;
+        const scale = Math.min(
+            (this.canvas.width - 2 * padding) / (bounds.width || 1),
+            (this.canvas.height - 2 * padding - captionHeight) / (bounds.height || 1),
+            1.5
+        );
+
+        ctx.save();
+        ctx.translate(
+            (this.canvas.width - bounds.width * scale) / 2 - bounds.x * scale,
+            padding + captionHeight + (this.canvas.height - 2 * padding - captionHeight - bounds.height * scale) / 2 - bounds.y * scale
+        );
+        ctx.scale(scale, scale);
+        circuit.wires.forEach(wire => wire.draw(ctx));
+        circuit.components.forEach(component => component.draw(ctx));
+        ctx.restore();
+
+        if (caption) {
+            ctx.fillStyle = this.textColor;
+            ctx.font = this.font;
+            ctx.textAlign = 'center';
+            ctx.fillText(caption, this.canvas.width / 2, padding + 4);
+        }
+    }
+
+    /**
+     * Diagrama de Bode en dos paneles: ganancia (dB) y fase (°)
+     * Marca los puntos de -3 dB y los cruces de ganancia (0 dB) y de fase (-180°)
+     */
+    drawBodePlot(sweep) {
+        if (!this.ctx) return;
+
+        const frequencies = sweep.responses.map(response => response.frequency);
+        const gains = sweep.responses.map(response => response.gainDb);
+        const phases = sweep.responses.map(response => response.phase);
+        const finiteGains = gains.filter(gain => isFinite(gain));
+        const logX = sweep.sweepType !== 'linear';
+
+        const plotHeight = this.canvas.height - this.margin.top - this.margin.bottom;
+        const gap = 10;
+        const paneHeight = (plotHeight - gap) / 2;
+        const xRange = { xMin: frequencies[0], xMax: frequencies[frequencies.length - 1], logX };
+
+        this.clear();
+
+        const gainPane = this.createPane({
+            ...xRange,
+            top: this.margin.top,
+            height: paneHeight,
+            yMin: Math.min(...finiteGains, sweep.markers.referenceGainDb - 6),
+            yMax: Math.max(...finiteGains, 0)
+        });
+        const phasePane = this.createPane({
+            ...xRange,
+            top: this.margin.top + paneHeight + gap,
+            height: paneHeight,
+            yMin: Math.min(...phases),
+            yMax: Math.max(...phases)
+        });
+
+        this.drawPaneFrame(gainPane, 'dB', value => value.toFixed(0));
+        this.drawPaneFrame(phasePane, '°', value => value.toFixed(0));
+
+        this.drawHorizontalMarker(gainPane, sweep.markers.referenceGainDb - 3, '#f39c12');
+        this.drawHorizontalMarker(phasePane, -180, this.axisColor);
+
+        this.drawSeries(gainPane, frequencies, gains, this.colors[1]);
+        this.drawSeries(phasePane, frequencies, phases, this.colors[0]);
+
+        sweep.markers.cutoff.forEach(marker => {
+            this.drawVerticalMarker(gainPane, marker.frequency, '#f39c12', `-3dB ${this.formatFrequency(marker.frequency)}`);
+            this.drawVerticalMarker(phasePane, marker.frequency, '#f39c12');
+        });
+        sweep.markers.gainCrossover.forEach(marker => {
+            this.drawVerticalMarker(gainPane, marker.frequency, '#9b59b6', `0dB ${this.formatFrequency(marker.frequency)}`);
+            this.drawVerticalMarker(phasePane, marker.frequency, '#9b59b6');
+        });
+        sweep.markers.phaseCrossover.forEach(marker => {
+            this.drawVerticalMarker(phasePane, marker.frequency, '#27ae60', `-180° ${this.formatFrequency(marker.frequency)}`);
+        });
+
+        this.drawXLabel(phasePane, `f (${this.formatFrequency(xRange.xMin)} – ${this.formatFrequency(xRange.xMax)})`);
+    }
+
+    /**
+     * Rango con paso "redondo" (1, 2 o 5 × 10ⁿ) que cubre [min, max]
+     */
+    niceRange(min, max, ticks = 4) {
+        if (!isFinite(min) || !isFinite(max)) {
+            min = -1;
+            max = 1;
+        }
+        if (max - min < 1e-12) {
+            const pad = Math.abs(max) > 1e-12 ? Math.abs(max) * 0.1 : 1;
+            min -= pad;
+            max += pad;
+        }
+
+        const rawStep = (max - min) / ticks;
+        const magnitude = Math.pow(10, Math.floor(Math.log10(rawStep)));
+        const step = [1, 2, 5, 10].map(factor => factor * magnitude).find(candidate => candidate >= rawStep);
+
+        return {
+            min: Math.floor(min / step) * step,
+            max: Math.ceil(max / step) * step,
+            step: step
+        };
+    }
+
+    /**
+     * Formatea una frecuencia con prefijo (Hz, kHz, MHz)
+     */
+    formatFrequency(frequency) {
+        if (frequency >= 1e6) return `${Number((frequency / 1e6).toPrecision(3))}MHz`;
+        if (frequency >= 1e3) return `${Number((frequency / 1e3).toPrecision(3))}kHz`;
+        return `${Number(frequency.toPrecision(3))}Hz`;
+    }
+
+    /**
+     * Formatea un valor del eje Y con la precisión justa
+     */
+    formatAxisValue(value) {
+        const magnitude = Math.abs(value);
+        if (magnitude === 0) return '0';
+        if (magnitude >= 100) return value.toFixed(0);
+        if (magnitude >= 1) return value.toFixed(1);
+        return value.toPrecision(2);
+    }
+}
@@ -33,28 +33,11 @@ class CircuitMatrixBuilder {
 
             // Construir según el método seleccionado
             switch (method) {
-                case 'nodal':
-                case 'nodal_modified':
-                    this.buildNodalMatrices(circuit, nodeAnalysis, matrices);
-                    break;
-                
                 case 'mesh':
                 case 'mesh_modified':
                     this.buildMeshMatrices(circuit, nodeAnalysis, matrices);
                     break;
                 
-                case 'series':
-                    this.buildSeriesMatrices(circuit, nodeAnalysis, matrices);
-                    break;
-                
-                case 'parallel':
-                    this.buildParallelMatrices(circuit, nodeAnalysis, matrices);
-                    break;
-                
-                case 'ladder':
-                    this.buildLadderMatrices(circuit, nodeAnalysis, matrices);
-                    break;
-                
                 default:
                     return { isValid: false, error: `Método no soportado: ${method}` };
             }
@@ -95,178 +78,105 @@ class CircuitMatrixBuilder {
         });
 
         matrices.groundNodeId = groundNodeId;
+        matrices.nodeOrder = nodeAnalysis.nodes.map(node => node.id);
         matrices.nodeCount = matrices.nodeIndexMap.size;
         matrices.branchCount = matrices.branchIndexMap.size;
     }
 
     /**
-     * Construye matrices para análisis nodal
-     */
-    buildNodalMatrices(circuit, nodeAnalysis, matrices) {
-        const n = matrices.nodeCount; // Número de nodos (sin ground)
-        
-        console.log('⚡ Construyendo matrices para análisis nodal...');
-
-        // Matriz de admitancia G [n x n]
-        matrices.admittanceMatrix = this.createMatrix(n, n);
-        
-        // Vector de corrientes inyectadas I [n x 1]
-        matrices.rightHandSide = new Array(n).fill(0);
-
-        // Llenar matriz de admitancia y vector de corrientes
-        nodeAnalysis.branches.forEach(branch => {
-            this.addBranchToNodalMatrix(branch, matrices, nodeAnalysis);
-        });
-
-        // Manejar fuentes de voltaje (análisis nodal modificado)
-        const voltageSourceCount = this.handleVoltageSourcesNodal(circuit, nodeAnalysis, matrices);
-
-        // La matriz del sistema es la matriz de admitancia (para análisis nodal puro)
-        matrices.systemMatrix = matrices.admittanceMatrix;
-        
-        matrices.dimensions = {
-            rows: n,
-            cols: n,
-            variables: n,
-            voltageSourceCount: voltageSourceCount
-        };
-
-        this.logMatrix('Matriz de Admitancia', matrices.admittanceMatrix);
-        this.logVector('Vector de Corrientes', matrices.rightHandSide);
-    }
-
-    /**
-     * Añade una rama a la matriz nodal
+     * Construye matrices para análisis de mallas
+     * Z·J = E con el signo de cada rama según la orientación de la malla; las fuentes de corriente
+     * ideales (y las ramas abiertas en DC) se resuelven con supermallas
      */
-    addBranchToNodalMatrix(branch, matrices, nodeAnalysis) {
-        const startNodeIndex = matrices.nodeIndexMap.get(branch.startNodeId);
-        const endNodeIndex = matrices.nodeIndexMap.get(branch.endNodeId);
-
-        // Calcular admitancia de la rama
-        const admittance = this.calculateAdmittance(branch.impedance);
-
-        // Solo procesar si la admitancia es finita
-        if (!isFinite(admittance.real)) return;
+    buildMeshMatrices(circuit, nodeAnalysis, matrices) {
+        console.log('🔄 Construyendo matrices para análisis de mallas...');
 
-        const G = matrices.admittanceMatrix;
-        const I = matrices.rightHandSide;
+        const meshes = nodeAnalysis.topology.meshes;
+        const m = meshes.length; // Número de mallas independientes
 
-        // Caso 1: Ambos nodos son internos (no ground)
-        if (startNodeIndex !== undefined && endNodeIndex !== undefined) {
-            // Términos diagonales (auto-admitancia)
-            G[startNodeIndex][startNodeIndex] += admittance.real;
-            G[endNodeIndex][endNodeIndex] += admittance.real;
-            
-            // Términos cruzados (mutua-admitancia)
-            G[startNodeIndex][endNodeIndex] -= admittance.real;
-            G[endNodeIndex][startNodeIndex] -= admittance.real;
-        }
-        // Caso 2: Un nodo es ground
-        else if (startNodeIndex !== undefined) {
-            // Solo el nodo de inicio es interno
-            G[startNodeIndex][startNodeIndex] += admittance.real;
-        }
-        else if (endNodeIndex !== undefined) {
-            // Solo el nodo final es interno
-            G[endNodeIndex][endNodeIndex] += admittance.real;
+        if (m === 0) {
+            throw new Error('No se encontraron mallas independientes para análisis');
         }
 
-        // Manejar fuentes de corriente
-        if (branch.type === 'current') {
-            const current = branch.component.value;
-            
-            if (startNodeIndex !== undefined) {
-                I[startNodeIndex] -= current; // Corriente sale del nodo
-            }
-            if (endNodeIndex !== undefined) {
-                I[endNodeIndex] += current; // Corriente entra al nodo
-            }
-        }
-    }
+        const models = new Map(nodeAnalysis.branches.map(branch => [branch.id, this.getMeshBranchModel(branch)]));
+        const currentBranches = nodeAnalysis.branches.filter(branch => models.get(branch.id).idealCurrent !== null);
+        const orientations = meshes.map(mesh => new Map(mesh.branches.map((branch, index) => [branch.id, mesh.orientations[index]])));
 
-    /**
-     * Maneja fuentes de voltaje en análisis nodal
-     */
-    handleVoltageSourcesNodal(circuit, nodeAnalysis, matrices) {
-        const voltageSources = nodeAnalysis.branches.filter(b => b.type === 'voltage');
-        
-        if (voltageSources.length === 0) return 0;
+        // Filas LVK: impedancias de malla, voltaje desconocido de cada fuente de corriente y fuentes de voltaje
+        const rows = meshes.map((mesh, i) => {
+            const row = new Array(m + currentBranches.length).fill(0);
+            let rhs = 0;
 
-        console.log(`🔋 Manejando ${voltageSources.length} fuentes de voltaje...`);
+            mesh.branches.forEach((branch, index) => {
+                const orientation = mesh.orientations[index];
+                const model = models.get(branch.id);
 
-        // Para análisis nodal modificado, expandir el sistema
-        const originalSize = matrices.nodeCount;
-        const newSize = originalSize + voltageSources.length;
+                if (model.idealCurrent !== null) {
+                    row[m + currentBranches.indexOf(branch)] += orientation;
+                    return;
+                }
 
-        // Expandir matriz de admitancia
-        const expandedMatrix = this.createMatrix(newSize, newSize);
-        const expandedRHS = new Array(newSize).fill(0);
+                orientations.forEach((other, j) => {
+                    if (other.has(branch.id)) {
+                        row[j] += orientation * other.get(branch.id) * model.impedance;
+                    }
+                });
+                rhs -= orientation * model.sourceVoltage;
+            });
 
-        // Copiar matriz original
-        for (let i = 0; i < originalSize; i++) {
-            for (let j = 0; j < originalSize; j++) {
-                expandedMatrix[i][j] = matrices.admittanceMatrix[i][j];
+            return { row, rhs, isConstraint: false };
+        });
+
+        // Supermallas: se suman las mallas que comparten la fuente para eliminar su voltaje
+        // y una de ellas se reemplaza por la restricción de corriente de la fuente
+        matrices.supermeshes = [];
+        currentBranches.forEach((branch, s) => {
+            const column = m + s;
+            const involved = rows.filter(entry => !entry.isConstraint && Math.abs(entry.row[column]) > this.tolerance);
+            const current = models.get(branch.id).idealCurrent;
+
+            if (involved.length === 0) {
+                if (current !== 0) {
+                    throw new Error(`La fuente de corriente ${branch.component.label} no forma parte de ninguna malla (corte de fuentes de corriente)`);
+                }
+                return;
             }
-            expandedRHS[i] = matrices.rightHandSide[i];
-        }
 
-        // Añadir ecuaciones para fuentes de voltaje
-        voltageSources.forEach((source, idx) => {
-            const sourceRow = originalSize + idx;
-            const startNodeIndex = matrices.nodeIndexMap.get(source.startNodeId);
-            const endNodeIndex = matrices.nodeIndexMap.get(source.endNodeId);
+            const [pivot, ...others] = involved;
+            others.forEach(entry => {
+                const factor = entry.row[column] / pivot.row[column];
+                entry.row = entry.row.map((value, k) => value - factor * pivot.row[k]);
+                entry.rhs -= factor * pivot.rhs;
+            });
 
-            // Ecuación de restricción: V_start - V_end = V_source
-            if (startNodeIndex !== undefined) {
-                expandedMatrix[sourceRow][startNodeIndex] = 1;
-                expandedMatrix[startNodeIndex][sourceRow] = 1;
-            }
-            if (endNodeIndex !== undefined) {
-                expandedMatrix[sourceRow][endNodeIndex] = -1;
-                expandedMatrix[endNodeIndex][sourceRow] = -1;
+            pivot.row = new Array(m + currentBranches.length).fill(0);
+            orientations.forEach((other, j) => {
+                if (other.has(branch.id)) pivot.row[j] = other.get(branch.id);
+            });
+            pivot.rhs = current;
+            pivot.isConstraint = true;
+
+            if (others.length > 0) {
+                matrices.supermeshes.push({
+                    branchId: branch.id,
+                    label: branch.component ? branch.component.label : branch.id,
+                    meshIds: involved.map(entry => meshes[rows.indexOf(entry)].id)
+                });
             }
-
-            expandedRHS[sourceRow] = source.component.value;
         });
 
-        matrices.systemMatrix = expandedMatrix;
-        matrices.rightHandSide = expandedRHS;
-        matrices.dimensions.rows = newSize;
-        matrices.dimensions.cols = newSize;
-
-        return voltageSources.length;
-    }
-
-    /**
-     * Construye matrices para análisis de mallas
-     */
-    buildMeshMatrices(circuit, nodeAnalysis, matrices) {
-        console.log('🔄 Construyendo matrices para análisis de mallas...');
-
-        const meshes = nodeAnalysis.topology.meshes;
-        const m = meshes.length; // Número de mallas independientes
-
-        if (m === 0) {
-            throw new Error('No se encontraron mallas independientes para análisis');
-        }
-
-        // Matriz de impedancia Z [m x m]
-        matrices.systemMatrix = this.createMatrix(m, m);
-        
-        // Vector de voltajes E [m x 1]
-        matrices.rightHandSide = new Array(m).fill(0);
-
-        // Construir matriz de impedancia de mallas
-        this.buildMeshImpedanceMatrix(meshes, nodeAnalysis.branches, matrices);
-
-        // Construir vector de voltajes de mallas
-        this.buildMeshVoltageVector(meshes, nodeAnalysis.branches, matrices);
+        matrices.systemMatrix = rows.map(entry => entry.row.slice(0, m));
+        matrices.rightHandSide = rows.map(entry => entry.rhs);
+        matrices.meshes = meshes;
+        matrices.branchModels = models;
+        matrices.branches = nodeAnalysis.branches;
 
         matrices.dimensions = {
             rows: m,
             cols: m,
             variables: m,
-            meshCount: m
+            meshCount: m,
+            supermeshCount: matrices.supermeshes.length
         };
 
         this.logMatrix('Matriz de Impedancia de Mallas', matrices.systemMatrix);
@@ -274,160 +184,213 @@ class CircuitMatrixBuilder {
     }
 
     /**
-     * Construye la matriz de impedancia para análisis de mallas
+     * Modelo DC de una rama para mallas: V_rama = Z·I + sourceVoltage (de inicio a fin),
+     * o corriente fija idealCurrent de inicio a fin si su impedancia es infinita
      */
-    buildMeshImpedanceMatrix(meshes, branches, matrices) {
-        const Z = matrices.systemMatrix;
-
-        meshes.forEach((mesh_i, i) => {
-            meshes.forEach((mesh_j, j) => {
-                if (i === j) {
-                    // Elemento diagonal: suma de todas las impedancias en la malla i
-                    Z[i][j] = mesh_i.branches.reduce((sum, branch) => {
-                        return sum + (branch.impedance.real || 0);
-                    }, 0);
-                } else {
-                    // Elemento no diagonal: impedancia compartida entre mallas i y j
-                    const sharedBranches = this.findSharedBranches(mesh_i, mesh_j);
-                    Z[i][j] = sharedBranches.reduce((sum, branch) => {
-                        return sum + (branch.impedance.real || 0);
-                    }, 0);
-                }
-            });
-        });
-    }
+    getMeshBranchModel(branch) {
+        const impedance = branch.impedance ? branch.impedance.real : 0;
 
-    /**
-     * Encuentra ramas compartidas entre dos mallas
-     */
-    findSharedBranches(mesh1, mesh2) {
-        return mesh1.branches.filter(branch1 =>
-            mesh2.branches.some(branch2 => branch1.id === branch2.id)
-        );
-    }
+        if (branch.type === 'voltage') {
+            return { impedance, sourceVoltage: branch.component.value, idealCurrent: null };
+        }
 
-    /**
-     * Construye el vector de voltajes para análisis de mallas
-     */
-    buildMeshVoltageVector(meshes, branches, matrices) {
-        const E = matrices.rightHandSide;
-
-        meshes.forEach((mesh, i) => {
-            E[i] = mesh.branches.reduce((sum, branch) => {
-                if (branch.type === 'voltage') {
-                    // Determinar polaridad de la fuente en la malla
-                    const polarity = this.getVoltageSourcePolarity(branch, mesh);
-                    return sum + polarity * branch.component.value;
-                }
-                return sum;
-            }, 0);
-        });
-    }
+        if (branch.type === 'current') {
+            // Con impedancia interna finita se usa el equivalente de Thévenin
+            return isFinite(impedance) ?
+                   { impedance, sourceVoltage: -impedance * branch.component.value, idealCurrent: null } :
+                   { impedance: Infinity, sourceVoltage: 0, idealCurrent: branch.component.value };
+        }
 
-    /**
-     * Determina la polaridad de una fuente de voltaje en una malla
-     */
-    getVoltageSourcePolarity(voltageSource, mesh) {
-        // Simplificación: asumir polaridad positiva
-        // En implementación completa, se determinaría según la dirección de la malla
-        return 1;
+        // Ramas abiertas en DC (capacitores ideales): corriente nula
+        return isFinite(impedance) ?
+               { impedance, sourceVoltage: 0, idealCurrent: null } :
+               { impedance: Infinity, sourceVoltage: 0, idealCurrent: 0 };
     }
 
     /**
-     * Construye matrices para circuitos en serie
+     * Calcula la admitancia desde impedancia
      */
-    buildSeriesMatrices(circuit, nodeAnalysis, matrices) {
-        console.log('🔗 Construyendo matrices para circuito en serie...');
-
-        const voltageSources = nodeAnalysis.branches.filter(b => b.type === 'voltage');
-        const resistors = nodeAnalysis.branches.filter(b => b.type === 'resistor');
+    calculateAdmittance(impedance) {
+        const real = impedance.real || 0;
+        const imag = impedance.imaginary || 0;
 
-        if (voltageSources.length === 0) {
-            throw new Error('Circuito serie sin fuente de voltaje');
+        // Impedancia infinita (circuito abierto): admitancia nula
+        if (!isFinite(real) || !isFinite(imag)) {
+            return { real: 0, imaginary: 0 };
         }
 
-        // Para circuito serie, solo necesitamos resolver I = V_total / R_total
-        const totalVoltage = voltageSources.reduce((sum, vs) => sum + vs.component.value, 0);
-        const totalResistance = resistors.reduce((sum, r) => sum + r.impedance.real, 0);
+        const denominator = real * real + imag * imag;
 
-        // Sistema 1x1 trivial
-        matrices.systemMatrix = [[totalResistance]];
-        matrices.rightHandSide = [totalVoltage];
+        if (denominator < this.tolerance) {
+            return { real: Infinity, imaginary: 0 };
+        }
 
-        matrices.dimensions = {
-            rows: 1,
-            cols: 1,
-            variables: 1,
-            totalResistance: totalResistance,
-            totalVoltage: totalVoltage
+        return {
+            real: real / denominator,
+            imaginary: -imag / denominator
         };
     }
 
     /**
-     * Construye matrices para circuitos en paralelo
+     * Construye el sistema MNA fasorial (complejo) para análisis AC en estado estacionario
+     * Incógnitas: voltajes de nodo (sin ground) seguidos de las corrientes de las ramas
+     * que no admiten estampado por admitancia (fuentes de voltaje ideales, impedancia nula)
+     * options.sweep: en un barrido las fuentes son estímulo y no se advierte su frecuencia propia
      */
-    buildParallelMatrices(circuit, nodeAnalysis, matrices) {
-        console.log('🔀 Construyendo matrices para circuito en paralelo...');
+    buildACMatrices(circuit, nodeAnalysis, frequency, options = {}) {
+        try {
+            console.log(`🌊 Construyendo sistema MNA complejo a ${frequency} Hz...`);
 
-        const voltageSources = nodeAnalysis.branches.filter(b => b.type === 'voltage');
-        const resistors = nodeAnalysis.branches.filter(b => b.type === 'resistor');
+            const matrices = {
+                isValid: true,
+                isComplex: true,
+                method: 'mna_ac',
+                frequency: frequency,
+                omega: 2 * Math.PI * frequency,
+                systemMatrix: null,
+                rightHandSide: null,
+                nodeIndexMap: new Map(),
+                branchIndexMap: new Map(),
+                branchCurrentIndex: new Map(), // branchId → fila de su corriente
+                branchAdmittances: new Map(),
+                sourcePhasors: new Map(),
+                dimensions: {},
+                warnings: []
+            };
 
-        if (voltageSources.length === 0) {
-            throw new Error('Circuito paralelo sin fuente de voltaje');
-        }
+            this.createIndexMappings(nodeAnalysis, matrices);
 
-        const sourceVoltage = voltageSources[0].component.value;
+            // Sin fuentes AC, cada fuente actúa como excitación de amplitud igual a su valor
+            const branches = nodeAnalysis.branches;
+            const hasACSources = branches.some(branch => this.isACSource(branch.component));
+            if (!hasACSources && !options.sweep) {
+                matrices.warnings.push('No hay fuentes AC: se usa el valor de cada fuente como amplitud de excitación');
+            }
 
-        // Para circuito paralelo, el voltaje es el mismo en todas las ramas
-        // Sistema simple: cada corriente = V / R
-        const n = resistors.length;
-        matrices.systemMatrix = this.createMatrix(n, n);
-        matrices.rightHandSide = new Array(n).fill(sourceVoltage);
+            branches.forEach(branch => {
+                const component = branch.component;
+                if (!options.sweep && this.isACSource(component) && Math.abs(component.frequency - frequency) > 1e-9) {
+                    matrices.warnings.push(`${component.label}: frecuencia propia ${component.frequency} Hz distinta de la de análisis (${frequency} Hz)`);
+                }
+                if (branch.type === 'voltage' || branch.type === 'current') {
+                    matrices.sourcePhasors.set(branch.id, this.getSourcePhasor(component, !hasACSources));
+                }
+                matrices.branchAdmittances.set(branch.id, this.calculateAdmittance(branch.impedance));
+            });
 
-        // Matriz diagonal con resistencias
-        resistors.forEach((resistor, i) => {
-            matrices.systemMatrix[i][i] = resistor.impedance.real || 1;
-        });
+            // Asignar filas extra
+            const n = matrices.nodeCount;
+            let size = n;
+            branches.forEach(branch => {
+                if (branch.type !== 'current' && !isFinite(matrices.branchAdmittances.get(branch.id).real)) {
+                    matrices.branchCurrentIndex.set(branch.id, size++);
+                }
+            });
 
-        matrices.dimensions = {
-            rows: n,
-            cols: n,
-            variables: n,
-            sourceVoltage: sourceVoltage
-        };
+            const A = Complex.createMatrix(size, size);
+            const z = Complex.createVector(size);
+            const one = Complex.create(1, 0);
+            const minusOne = Complex.create(-1, 0);
+
+            branches.forEach(branch => {
+                const startIndex = matrices.nodeIndexMap.get(branch.startNodeId);
+                const endIndex = matrices.nodeIndexMap.get(branch.endNodeId);
+                const source = matrices.sourcePhasors.get(branch.id);
+
+                // Rama con corriente como incógnita: V_start - V_end = V_fuente (0 si es cortocircuito)
+                if (matrices.branchCurrentIndex.has(branch.id)) {
+                    const row = matrices.branchCurrentIndex.get(branch.id);
+                    if (startIndex !== undefined) {
+                        Complex.addTo(A, startIndex, row, one);
+                        Complex.addTo(A, row, startIndex, one);
+                    }
+                    if (endIndex !== undefined) {
+                        Complex.addTo(A, endIndex, row, minusOne);
+                        Complex.addTo(A, row, endIndex, minusOne);
+                    }
+                    z[row] = branch.type === 'voltage' ? source : Complex.create();
+                    return;
+                }
+
+                const admittance = matrices.branchAdmittances.get(branch.id);
+                this.stampComplexAdmittance(A, startIndex, endIndex, admittance);
+
+                // Inyección de corriente: fuente de corriente o equivalente de Norton de una fuente real
+                let injection = null;
+                if (branch.type === 'current') {
+                    injection = Complex.negate(source); // La corriente sale del nodo de inicio
+                } else if (branch.type === 'voltage') {
+                    injection = Complex.multiply(source, admittance);
+                }
+
+                if (injection) {
+                    if (startIndex !== undefined) {
+                        z[startIndex] = Complex.add(z[startIndex], injection);
+                    }
+                    if (endIndex !== undefined) {
+                        z[endIndex] = Complex.subtract(z[endIndex], injection);
+                    }
+                }
+            });
+
+            matrices.systemMatrix = A;
+            matrices.rightHandSide = z;
+            matrices.dimensions = {
+                rows: size,
+                cols: size,
+                variables: size,
+                voltageSourceCount: size - n
+            };
+
+            console.log(`✅ Sistema MNA complejo construido: ${size}x${size}`);
+            return matrices;
+
+        } catch (error) {
+            console.error('❌ Error construyendo sistema AC:', error);
+            return {
+                isValid: false,
+                error: `Error en construcción de matrices AC: ${error.message}`
+            };
+        }
     }
 
     /**
-     * Construye matrices para circuitos escalera
+     * Estampa una admitancia compleja entre dos nodos (undefined = ground)
      */
-    buildLadderMatrices(circuit, nodeAnalysis, matrices) {
-        console.log('🪜 Construyendo matrices para circuito escalera...');
+    stampComplexAdmittance(A, startIndex, endIndex, admittance) {
+        if (admittance.real === 0 && admittance.imaginary === 0) return;
 
-        // Para circuitos escalera, usar análisis nodal estándar
-        // pero optimizado para la estructura específica
-        this.buildNodalMatrices(circuit, nodeAnalysis, matrices);
-
-        // Marcar como método escalera para optimizaciones posteriores
-        matrices.method = 'ladder';
-        matrices.dimensions.isLadder = true;
+        if (startIndex !== undefined) {
+            Complex.addTo(A, startIndex, startIndex, admittance);
+        }
+        if (endIndex !== undefined) {
+            Complex.addTo(A, endIndex, endIndex, admittance);
+        }
+        if (startIndex !== undefined && endIndex !== undefined) {
+            Complex.addTo(A, startIndex, endIndex, Complex.negate(admittance));
+            Complex.addTo(A, endIndex, startIndex, Complex.negate(admittance));
+        }
     }
 
     /**
-     * Calcula la admitancia desde impedancia
+     * Indica si un componente es una fuente senoidal
      */
-    calculateAdmittance(impedance) {
-        const real = impedance.real || 0;
-        const imag = impedance.imaginary || 0;
-        const denominator = real * real + imag * imag;
+    isACSource(component) {
+        return !!component && ['voltage', 'current'].includes(component.type) &&
+               component.sourceType === 'ac';
+    }
 
-        if (denominator < this.tolerance) {
-            return { real: Infinity, imaginary: 0 };
+    /**
+     * Fasor de excitación de una fuente (amplitud pico, fase en radianes)
+     */
+    getSourcePhasor(component, useValueAsAmplitude = false) {
+        if (!component || component.isEnabled === false) {
+            return Complex.create();
         }
-
-        return {
-            real: real / denominator,
-            imaginary: -imag / denominator
-        };
+        if (component.sourceType === 'ac') {
+            return Complex.fromPolar(component.amplitude, component.phase || 0);
+        }
+        return useValueAsAmplitude ? Complex.create(component.value, 0) : Complex.create();
     }
 
     /**
@@ -0,0 +1,624 @@
+/**
+ * Motor de renderizado del circuito
+ * Dibuja cuadrícula, componentes, cables y superposiciones (voltajes de nodo, flujo de corriente)
+ * Solo repinta cuando algo cambió o hay una animación activa
+ */
+class CircuitVisualizer {
+    constructor(canvas, ctx) {
+        this.canvas = canvas;
+        this.ctx = ctx;
+        this.width = canvas ? canvas.clientWidth || canvas.width : 0;
+        this.height = canvas ? canvas.clientHeight || canvas.height : 0;
+
+        // Estado de repintado
+        this.isDirty = true;
+        this.animationInterval = 1000 / 30; // ms entre frames de animación
+        this.lastFrameTime = 0;
+
+        // Elementos resaltados
+        this.hoveredElement = null;
+
+        // Caché de la cuadrícula
+        this.gridCache = null;
+
+        // Vista: pantalla = mundo · scale + offset
+        this.view = { scale: 1, offsetX: 0, offsetY: 0 };
+        this.minScale = 0.1;
+        this.maxScale = 8;
+        this.minGridSpacing = 4; // px en pantalla por debajo de los cuales no se dibujan las líneas menores
+
+        // Estilo
+        this.colors = {
+            grid: '#ecf0f1',
+            gridMajor: '#d5dbdb',
+            preview: '#3498db',
+            previewEndpoint: '#27ae60',
+            nodeLabel: '#ffffff',
+            groundNode: '#7f8c8d',
+            reductionEdge: '#2c3e50',
+            reductionHighlight: '#e67e22',
+            reductionTerminal: '#c0392b',
+            violation: '#e74c3c',
+            ercWarning: '#f39c12'
+        };
+
+        // Estadísticas de rendimiento
+        this.stats = {
+            framesDrawn: 0,
+            framesSkipped: 0,
+            lastFrameDuration: 0
+        };
+    }
+
+    /**
+     * Marca el lienzo para repintar en el próximo frame
+     */
+    invalidate() {
+        this.isDirty = true;
+    }
+
+    /**
+     * Indica si hay animaciones que requieren repintado continuo
+     */
+    isAnimating(options = {}) {
+        return !!options.animateCurrentFlow;
+    }
+
+    /**
+     * Decide si el frame actual debe dibujarse (frame-skip cuando está inactivo)
+     */
+    shouldRender(timestamp, options = {}) {
+        if (this.isDirty) {
+            return true;
+        }
+
+        if (this.isAnimating(options) && timestamp - this.lastFrameTime >= this.animationInterval) {
+            return true;
+        }
+
+        this.stats.framesSkipped++;
+        return false;
+    }
+
+    /**
+     * Registra el fin de un frame dibujado
+     */
+    completeFrame(timestamp, startTime) {
+        this.isDirty = false;
+        this.lastFrameTime = timestamp;
+        this.stats.framesDrawn++;
+        this.stats.lastFrameDuration = performance.now() - startTime;
+    }
+
+    /**
+     * Actualiza el tamaño lógico del lienzo
+     */
+    updateCanvasSize(width, height) {
+        this.width = width;
+        this.height = height;
+        this.gridCache = null;
+        this.invalidate();
+    }
+
+    /**
+     * Aplica la transformación de la vista al contexto (dibujar después en coordenadas del mundo)
+     */
+    applyViewTransform() {
+        this.ctx.translate(this.view.offsetX, this.view.offsetY);
+        this.ctx.scale(this.view.scale, this.view.scale);
+    }
+
+    /**
+     * Convierte un punto de la pantalla (px del lienzo) a coordenadas del mundo
+     */
+    screenToWorld(point) {
+        return {
+            x: (point.x - this.view.offsetX) / this.view.scale,
+            y: (point.y - this.view.offsetY) / this.view.scale
+        };
+    }
+
+    /**
+     * Convierte un punto del mundo a píxeles del lienzo
+     */
+    worldToScreen(point) {
+        return {
+            x: point.x * this.view.scale + this.view.offsetX,
+            y: point.y * this.view.scale + this.view.offsetY
+        };
+    }
+
+    /**
+     * Rectángulo del mundo visible en el lienzo
+     */
+    getVisibleBounds() {
+        const topLeft = this.screenToWorld({ x: 0, y: 0 });
+        return {
+            x: topLeft.x,
+            y: topLeft.y,
+            width: this.width / this.view.scale,
+            height: this.height / this.view.scale
+        };
+    }
+
+    /**
+     * Acerca o aleja manteniendo fijo el punto de pantalla indicado (el cursor)
+     */
+    zoomAt(screenPoint, factor) {
+        const scale = Math.max(this.minScale, Math.min(this.maxScale, this.view.scale * factor));
+        const anchor = this.screenToWorld(screenPoint);
+
+        this.view.scale = scale;
+        this.view.offsetX = screenPoint.x - anchor.x * scale;
+        this.view.offsetY = screenPoint.y - anchor.y * scale;
+        this.invalidate();
+    }
+
+    /**
+     * Desplaza la vista en píxeles de pantalla
+     */
+    panBy(dx, dy) {
+        this.view.offsetX += dx;
+        this.view.offsetY += dy;
+        this.invalidate();
+    }
+
+    /**
+     * Encuadra un rectángulo del mundo centrado en el lienzo, con un margen en píxeles
+     * maxScale limita el acercamiento en rectángulos pequeños (un solo componente)
+     */
+    fitBounds(bounds, padding = 40, maxScale = 2) {
+        if (!bounds) return;
+
+        const width = Math.max(bounds.width, 1);
+        const height = Math.max(bounds.height, 1);
+        const scale = Math.max(this.minScale, Math.min(maxScale, this.maxScale,
+            (this.width - 2 * padding) / width, (this.height - 2 * padding) / height));
+
+        this.view.scale = scale;
+        this.view.offsetX = this.width / 2 - (bounds.x + bounds.width / 2) * scale;
+        this.view.offsetY = this.height / 2 - (bounds.y + bounds.height / 2) * scale;
+        this.invalidate();
+    }
+
+    /**
+     * Vuelve a la vista sin zoom ni desplazamiento
+     */
+    resetView() {
+        this.view = { scale: 1, offsetX: 0, offsetY: 0 };
+        this.invalidate();
+    }
+
+    /**
+     * Dibuja la cuadrícula de fondo en el área visible (líneas mayores cada 5 celdas)
+     * Se llama con la transformación de la vista aplicada
+     */
+    drawGrid(gridSize = 20) {
+        if (!gridSize || gridSize <= 0) return;
+
+        const visible = this.getVisibleBounds();
+        if (!this.gridCache || this.gridCache.gridSize !== gridSize ||
+            this.gridCache.x !== visible.x || this.gridCache.y !== visible.y ||
+            this.gridCache.width !== visible.width || this.gridCache.height !== visible.height) {
+            this.gridCache = this.buildGridPaths(gridSize, visible);
+        }
+
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.lineWidth = 1 / this.view.scale;
+
+        ctx.strokeStyle = this.colors.grid;
+        if (gridSize * this.view.scale >= this.minGridSpacing) {
+            this.strokeGridLines(this.gridCache.minor);
+        }
+
+        ctx.strokeStyle = this.colors.gridMajor;
+        this.strokeGridLines(this.gridCache.major);
+
+        ctx.restore();
+    }
+
+    /**
+     * Precalcula las líneas de la cuadrícula para el área visible
+     */
+    buildGridPaths(gridSize, visible) {
+        const minor = [];
+        const major = [];
+        const right = visible.x + visible.width;
+        const bottom = visible.y + visible.height;
+        const half = 0.5 / this.view.scale; // Medio píxel para líneas nítidas
+
+        for (let i = Math.floor(visible.x / gridSize); i * gridSize <= right; i++) {
+            const x = i * gridSize + half;
+            (i % 5 === 0 ? major : minor).push([x, visible.y, x, bottom]);
+        }
+        for (let i = Math.floor(visible.y / gridSize); i * gridSize <= bottom; i++) {
+            const y = i * gridSize + half;
+            (i % 5 === 0 ? major : minor).push([visible.x, y, right, y]);
+        }
+
+        return { gridSize, ...visible, minor, major };
+    }
+
+    /**
+     * Traza un conjunto de líneas en un solo path
+     */
+    strokeGridLines(lines) {
+        const ctx = this.ctx;
+        ctx.beginPath();
+        lines.forEach(([x1, y1, x2, y2]) => {
+            ctx.moveTo(x1, y1);
+            ctx.lineTo(x2, y2);
+        });
+        ctx.stroke();
+    }
+
+    /**
+     * Dibuja el circuito completo: cables, componentes y superposiciones
+     */
+    drawCircuit(circuit, options = {}) {
+        if (!circuit) return;
+
+        const ctx = this.ctx;
+
+        // Cables primero para que los componentes queden encima
+        circuit.wires.forEach(wire => {
+            wire.showCurrentDirection = !!options.showCurrentFlow;
+            wire.animateCurrentFlow = !!options.animateCurrentFlow;
+            wire.draw(ctx, {
+                showConnectionPoints: false,
+                showWireInfo: true
+            });
+        });
+
+        // La selección se refleja mediante component.isSelected (gestionado por la aplicación)
+        circuit.components.forEach(component => {
+            component.draw(ctx, {
+                showConnectionPoints: options.showConnectionPoints,
+                showAnalysis: options.showCurrentFlow || options.showVoltageNodes
+            });
+        });
+
+        if (options.showVoltageNodes && options.nodeVoltages) {
+            this.drawVoltageNodes(options.nodeVoltages);
+        }
+
+        if (this.hoveredElement && options.showConnectionPoints) {
+            this.drawHoverConnectionPoints(this.hoveredElement);
+        }
+    }
+
+    /**
+     * Dibuja el voltaje de cada nodo con un color entre el mínimo (azul) y el máximo (rojo)
+     * nodeVoltages: [{ id, voltage, x, y, isGround }]
+     */
+    drawVoltageNodes(nodeVoltages) {
+        if (!nodeVoltages.length) return;
+
+        const voltages = nodeVoltages.map(node => node.voltage);
+        const minVoltage = Math.min(...voltages);
+        const maxVoltage = Math.max(...voltages);
+        const range = maxVoltage - minVoltage || 1;
+        const ctx = this.ctx;
+
+        ctx.save();
+        ctx.font = 'bold 10px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+
+        nodeVoltages.forEach(node => {
+            const ratio = (node.voltage - minVoltage) / range;
+            const text = node.isGround ? '0V' : `${this.formatVoltage(node.voltage)}V`;
+            const boxWidth = ctx.measureText(text).width + 8;
+            const boxX = node.x + 6;
+            const boxY = node.y - 20;
+
+            ctx.fillStyle = node.isGround ? this.colors.groundNode : this.getVoltageColor(ratio);
+            ctx.beginPath();
+            ctx.arc(node.x, node.y, 5, 0, 2 * Math.PI);
+            ctx.fill();
+
+            ctx.globalAlpha = 0.9;
+            ctx.fillRect(boxX, boxY, boxWidth, 14);
+            ctx.globalAlpha = 1;
+
+            ctx.fillStyle = this.colors.nodeLabel;
+            ctx.fillText(text, boxX + boxWidth / 2, boxY + 7);
+        });
+
+        ctx.restore();
+    }
+
+    /**
+     * Marca los nodos donde la solución no cumple las leyes de Kirchhoff
+     * violations: [{ x, y, law: 'LCK' | 'LVK' }]
+     */
+    drawKirchhoffViolations(violations) {
+        const ctx = this.ctx;
+
+        ctx.save();
+        ctx.strokeStyle = this.colors.violation;
+        ctx.fillStyle = this.colors.violation;
+        ctx.lineWidth = 2;
+        ctx.setLineDash([4, 3]);
+        ctx.font = 'bold 10px Arial';
+        ctx.textAlign = 'center';
+
+        violations.forEach(violation => {
+            ctx.beginPath();
+            ctx.arc(violation.x, violation.y, 12, 0, 2 * Math.PI);
+            ctx.stroke();
+            ctx.fillText(violation.law, violation.x, violation.y + 24);
+        });
+
+        ctx.setLineDash([]);
+        ctx.restore();
+    }
+
+    /**
+     * Resalta los componentes, cables y nodos de un hallazgo del ERC
+     * finding: { severity, componentIds, wireIds, points }
+     */
+    drawErcFinding(circuit, finding) {
+        const ctx = this.ctx;
+
+        ctx.save();
+        ctx.strokeStyle = finding.severity === 'error' ? this.colors.violation : this.colors.ercWarning;
+        ctx.lineWidth = 2;
+        ctx.setLineDash([6, 4]);
+
+        finding.componentIds.forEach(id => {
+            const component = circuit.getComponentById(id);
+            if (!component) return;
+            const halfSize = Math.max(component.width, component.height) / 2 + 10;
+            ctx.strokeRect(component.x - halfSize, component.y - halfSize, 2 * halfSize, 2 * halfSize);
+        });
+
+        ctx.lineWidth = 6;
+        ctx.globalAlpha = 0.5;
+        finding.wireIds.forEach(id => {
+            const wire = circuit.wires.find(candidate => candidate.id === id);
+            if (!wire) return;
+            ctx.beginPath();
+            wire.path.forEach((point, index) => index === 0 ? ctx.moveTo(point.x, point.y) : ctx.lineTo(point.x, point.y));
+            ctx.stroke();
+        });
+
+        ctx.lineWidth = 2;
+        ctx.globalAlpha = 1;
+        finding.points.forEach(point => {
+            ctx.beginPath();
+            ctx.arc(point.x, point.y, 10, 0, 2 * Math.PI);
+            ctx.stroke();
+        });
+
+        ctx.setLineDash([]);
+        ctx.restore();
+    }
+
+    /**
+     * Recuadro de selección (coordenadas del mundo)
+     */
+    drawSelectionBox(rect) {
+        const ctx = this.ctx;
+
+        ctx.save();
+        ctx.fillStyle = 'rgba(52, 152, 219, 0.1)';
+        ctx.strokeStyle = this.colors.preview;
+        ctx.lineWidth = 1 / this.view.scale;
+        ctx.setLineDash([4 / this.view.scale, 3 / this.view.scale]);
+        ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+        ctx.strokeRect(rect.x, rect.y, rect.width, rect.height);
+        ctx.restore();
+    }
+
+    /**
+     * Dibuja una instantánea de la reducción serie/paralelo en lugar del circuito
+     * snapshot: { description, nodes [{ id, name, x, y, isTerminal }], edges [{ id, label, resistance, a, b }], highlight }
+     */
+    drawReductionSnapshot(snapshot, options = {}) {
+        if (!snapshot) return;
+
+        const ctx = this.ctx;
+        const positions = new Map(snapshot.nodes.map(node => [node.id, node]));
+        const pairs = new Map();
+
+        ctx.save();
+        ctx.font = '11px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+
+        snapshot.edges.forEach(edge => {
+            const start = positions.get(edge.a);
+            const end = positions.get(edge.b);
+            if (!start || !end) return;
+
+            // Las ramas en paralelo se separan con un arco a cada lado de la recta
+            const key = [edge.a, edge.b].sort().join('|');
+            const index = pairs.get(key) || 0;
+            pairs.set(key, index + 1);
+
+            const dx = end.x - start.x;
+            const dy = end.y - start.y;
+            const length = Math.hypot(dx, dy) || 1;
+            const offset = index === 0 ? 0 : Math.ceil(index / 2) * 30 * (index % 2 ? 1 : -1);
+            const middle = {
+                x: (start.x + end.x) / 2 - dy / length * offset,
+                y: (start.y + end.y) / 2 + dx / length * offset
+            };
+            const isHighlighted = snapshot.highlight.includes(edge.id);
+
+            ctx.strokeStyle = isHighlighted ? this.colors.reductionHighlight : this.colors.reductionEdge;
+            ctx.lineWidth = isHighlighted ? 3 : 2;
+            ctx.beginPath();
+            ctx.moveTo(start.x, start.y);
+            ctx.quadraticCurveTo(2 * middle.x - (start.x + end.x) / 2, 2 * middle.y - (start.y + end.y) / 2, end.x, end.y);
+            ctx.stroke();
+
+            this.drawResistorSymbol(middle, Math.atan2(dy, dx), isHighlighted);
+
+            ctx.fillStyle = isHighlighted ? this.colors.reductionHighlight : this.colors.reductionEdge;
+            ctx.fillText(`${edge.label} = ${this.formatResistance(edge.resistance)}`, middle.x, middle.y - 16);
+        });
+
+        snapshot.nodes.forEach(node => {
+            ctx.fillStyle = node.isTerminal ? this.colors.reductionTerminal : this.colors.groundNode;
+            ctx.beginPath();
+            ctx.arc(node.x, node.y, node.isTerminal ? 6 : 4, 0, 2 * Math.PI);
+            ctx.fill();
+            ctx.fillText(node.name, node.x, node.y + 16);
+        });
+
+        // Descripción del paso en la parte superior, fuera de la transformación de la vista
+        ctx.scale(1 / this.view.scale, 1 / this.view.scale);
+        ctx.translate(-this.view.offsetX, -this.view.offsetY);
+        const caption = options.total ? `Paso ${options.index}/${options.total - 1}: ${snapshot.description}` : snapshot.description;
+        ctx.font = 'bold 13px Arial';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+        ctx.fillRect(8, 8, Math.min(ctx.measureText(caption).width + 16, this.width - 16), 24);
+        ctx.fillStyle = this.colors.reductionEdge;
+        ctx.fillText(caption, 16, 14, this.width - 32);
+
+        ctx.restore();
+    }
+
+    /**
+     * Zigzag de resistencia centrado en point y orientado según angle
+     */
+    drawResistorSymbol(point, angle, isHighlighted) {
+        const ctx = this.ctx;
+
+        ctx.save();
+        ctx.translate(point.x, point.y);
+        ctx.rotate(angle);
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(-16, -7, 32, 14);
+        ctx.strokeStyle = isHighlighted ? this.colors.reductionHighlight : this.colors.reductionEdge;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(-16, 0);
+        for (let i = 0; i < 6; i++) {
+            ctx.lineTo(-13 + i * 5.2, i % 2 ? 6 : -6);
+        }
+        ctx.lineTo(16, 0);
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    /**
+     * Formatea una resistencia con prefijo SI
+     */
+    formatResistance(resistance) {
+        if (!isFinite(resistance)) return '∞ Ω';
+        if (Math.abs(resistance) >= 1e6) return `${parseFloat((resistance / 1e6).toPrecision(4))} MΩ`;
+        if (Math.abs(resistance) >= 1e3) return `${parseFloat((resistance / 1e3).toPrecision(4))} kΩ`;
+        return `${parseFloat(resistance.toPrecision(4))} Ω`;
+    }
+
+    /**
+     * Interpola de azul (0) a rojo (1)
+     */
+    getVoltageColor(ratio) {
+        const r = Math.round(52 + (231 - 52) * ratio);
+        const g = Math.round(152 + (76 - 152) * ratio);
+        const b = Math.round(219 + (60 - 219) * ratio);
+        return `rgb(${r}, ${g}, ${b})`;
+    }
+
+    /**
+     * Formatea un voltaje para la superposición
+     */
+    formatVoltage(voltage) {
+        if (Math.abs(voltage) >= 100) return voltage.toFixed(0);
+        if (Math.abs(voltage) >= 1) return voltage.toFixed(2);
+        return voltage.toFixed(3);
+    }
+
+    /**
+     * Resalta los terminales del elemento bajo el cursor
+     */
+    drawHoverConnectionPoints(element) {
+        const points = typeof element.getConnectionPoints === 'function' ?
+                       element.getConnectionPoints() : [element.start, element.end];
+        const ctx = this.ctx;
+
+        ctx.save();
+        ctx.strokeStyle = '#9b59b6';
+        ctx.lineWidth = 2;
+        points.forEach(point => {
+            ctx.beginPath();
+            ctx.arc(point.x, point.y, 7, 0, 2 * Math.PI);
+            ctx.stroke();
+        });
+        ctx.restore();
+    }
+
+    /**
+     * Establece el elemento bajo el cursor; solo invalida si cambió
+     */
+    setHoveredElement(element) {
+        if (element === this.hoveredElement) return;
+
+        if (this.hoveredElement) {
+            this.hoveredElement.isHighlighted = false;
+        }
+
+        this.hoveredElement = element || null;
+
+        if (this.hoveredElement) {
+            this.hoveredElement.isHighlighted = true;
+        }
+
+        this.invalidate();
+    }
+
+    /**
+     * Dibuja la vista previa del cable en construcción
+     */
+    drawWirePreview(start, end, options = {}) {
+        if (!start || !end) return;
+
+        const ctx = this.ctx;
+        const path = [start];
+
+        if (options.orthogonal) {
+            // Misma forma en L que Wire.calculateOrthogonalPath
+            const dx = Math.abs(end.x - start.x);
+            const dy = Math.abs(end.y - start.y);
+            path.push(dx > dy ? { x: end.x, y: start.y } : { x: start.x, y: end.y });
+        }
+        path.push(end);
+
+        ctx.save();
+        ctx.strokeStyle = this.colors.preview;
+        ctx.lineWidth = 2;
+        ctx.setLineDash([6, 4]);
+        ctx.beginPath();
+        ctx.moveTo(path[0].x, path[0].y);
+        for (let i = 1; i < path.length; i++) {
+            ctx.lineTo(path[i].x, path[i].y);
+        }
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        // Extremo inicial anclado
+        ctx.fillStyle = this.colors.previewEndpoint;
+        ctx.beginPath();
+        ctx.arc(start.x, start.y, 4, 0, 2 * Math.PI);
+        ctx.fill();
+        ctx.restore();
+    }
+
+    /**
+     * Limpia recursos
+     */
+    dispose() {
+        this.setHoveredElement(null);
+        this.gridCache = null;
+        this.canvas = null;
+        this.ctx = null;
+        console.log('🎨 Visualizador de circuitos desconectado');
+    }
+}
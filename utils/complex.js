@@ -0,0 +1,124 @@
+/**
+ * Aritmética de números complejos para análisis fasorial
+ * Usa la misma forma { real, imaginary } que las impedancias de los componentes
+ */
+class Complex {
+    /**
+     * Crea un número complejo
+     */
+    static create(real = 0, imaginary = 0) {
+        return { real, imaginary };
+    }
+
+    /**
+     * Crea un número complejo desde magnitud y fase (radianes)
+     */
+    static fromPolar(magnitude, phase = 0) {
+        return {
+            real: magnitude * Math.cos(phase),
+            imaginary: magnitude * Math.sin(phase)
+        };
+    }
+
+    static add(a, b) {
+        return { real: a.real + b.real, imaginary: a.imaginary + b.imaginary };
+    }
+
+    static subtract(a, b) {
+        return { real: a.real - b.real, imaginary: a.imaginary - b.imaginary };
+    }
+
+    static multiply(a, b) {
+        return {
+            real: a.real * b.real - a.imaginary * b.imaginary,
+            imaginary: a.real * b.imaginary + a.imaginary * b.real
+        };
+    }
+
+    static divide(a, b) {
+        const denominator = b.real * b.real + b.imaginary * b.imaginary;
+        if (denominator === 0) {
+            throw new Error('División compleja por cero');
+        }
+        return {
+            real: (a.real * b.real + a.imaginary * b.imaginary) / denominator,
+            imaginary: (a.imaginary * b.real - a.real * b.imaginary) / denominator
+        };
+    }
+
+    static scale(a, factor) {
+        return { real: a.real * factor, imaginary: a.imaginary * factor };
+    }
+
+    static negate(a) {
+        return { real: -a.real, imaginary: -a.imaginary };
+    }
+
+    static conjugate(a) {
+        return { real: a.real, imaginary: -a.imaginary };
+    }
+
+    static reciprocal(a) {
+        return Complex.divide({ real: 1, imaginary: 0 }, a);
+    }
+
+    /**
+     * Módulo |a|
+     */
+    static magnitude(a) {
+        return Math.hypot(a.real, a.imaginary);
+    }
+
+    /**
+     * Argumento en radianes
+     */
+    static phase(a) {
+        return Math.atan2(a.imaginary, a.real);
+    }
+
+    /**
+     * Fasor con magnitud, fase en grados y valor eficaz (amplitudes pico)
+     */
+    static toPhasor(a) {
+        const magnitude = Complex.magnitude(a);
+        return {
+            real: a.real,
+            imaginary: a.imaginary,
+            magnitude: magnitude,
+            phase: Complex.phase(a) * 180 / Math.PI,
+            rms: magnitude / Math.SQRT2
+        };
+    }
+
+    /**
+     * Crea una matriz compleja de ceros
+     */
+    static createMatrix(rows, cols) {
+        return Array.from({ length: rows }, () =>
+            Array.from({ length: cols }, () => ({ real: 0, imaginary: 0 }))
+        );
+    }
+
+    /**
+     * Crea un vector complejo de ceros
+     */
+    static createVector(size) {
+        return Array.from({ length: size }, () => ({ real: 0, imaginary: 0 }));
+    }
+
+    /**
+     * Suma b sobre la entrada matrix[i][j] (para estampar)
+     */
+    static addTo(matrix, i, j, b) {
+        matrix[i][j].real += b.real;
+        matrix[i][j].imaginary += b.imaginary;
+    }
+
+    /**
+     * Formatea un fasor como texto "M∠θ°"
+     */
+    static format(a, digits = 4) {
+        const phasor = a.magnitude !== undefined ? a : Complex.toPhasor(a);
+        return `${phasor.magnitude.toPrecision(digits)}∠${phasor.phase.toFixed(1)}°`;
+    }
+}
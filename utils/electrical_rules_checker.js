@@ -0,0 +1,256 @@
+/**
+ * Verificación de reglas eléctricas (ERC)
+ * Detecta antes de resolver los errores de conexión que dejan el sistema singular o indeterminado
+ */
+class ElectricalRulesChecker {
+    constructor(nodeAnalyzer) {
+        this.nodeAnalyzer = nodeAnalyzer || new NodeAnalyzer();
+        this.currentTolerance = 1e-12; // A de inyección neta aceptada en un corte
+        this.debugMode = false;
+    }
+
+    /**
+     * Revisa el circuito y devuelve los hallazgos
+     * Cada hallazgo: { rule, severity: 'error' | 'warning', message, componentIds, wireIds, points }
+     */
+    check(circuit) {
+        const nodeAnalysis = this.nodeAnalyzer.analyzeNodes(circuit);
+        const names = this.createNodeNames(nodeAnalysis.nodes);
+        const findings = [
+            ...this.checkGround(circuit),
+            ...this.checkShortedSources(nodeAnalysis, names),
+            ...this.checkVoltageLoops(nodeAnalysis),
+            ...this.checkFloatingTerminals(nodeAnalysis, names),
+            ...this.checkDCIsolatedNodes(nodeAnalysis, names)
+        ];
+
+        const errorCount = findings.filter(finding => finding.severity === 'error').length;
+        console.log(`🧪 ERC: ${errorCount} errores, ${findings.length - errorCount} advertencias`);
+
+        return {
+            isValid: errorCount === 0,
+            findings: findings,
+            errorCount: errorCount,
+            warningCount: findings.length - errorCount
+        };
+    }
+
+    /**
+     * Sin tierra el solucionador elige una referencia por su cuenta
+     */
+    checkGround(circuit) {
+        if (circuit.components.some(component => this.nodeAnalyzer.isReferenceComponent(component))) {
+            return [];
+        }
+
+        return [this.createFinding('missing_ground', 'warning',
+            'No hay tierra: se tomará un nodo cualquiera como referencia de 0 V')];
+    }
+
+    /**
+     * Fuentes con sus dos terminales en el mismo nodo
+     */
+    checkShortedSources(nodeAnalysis, names) {
+        return nodeAnalysis.branches
+            .filter(branch => branch.startNodeId === branch.endNodeId && ['voltage', 'current'].includes(branch.type))
+            .map(branch => {
+                const node = names.get(branch.startNodeId);
+                return branch.type === 'voltage' ?
+                       this.createFinding('shorted_source', 'error',
+                           `${branch.component.label} está en cortocircuito (ambos terminales en ${node})`, [branch]) :
+                       this.createFinding('shorted_source', 'warning',
+                           `${branch.component.label} está en cortocircuito (ambos terminales en ${node}) y no entrega corriente`, [branch]);
+            });
+    }
+
+    /**
+     * Lazos formados solo por fuentes de voltaje y cables: sus voltajes no pueden cumplir la LVK a la vez
+     */
+    checkVoltageLoops(nodeAnalysis) {
+        const findings = [];
+        const forest = [];
+        const root = new Map();
+        const find = id => {
+            while (root.has(id) && root.get(id) !== id) id = root.get(id);
+            return id;
+        };
+
+        nodeAnalysis.branches
+            .filter(branch => branch.type === 'voltage' && branch.startNodeId !== branch.endNodeId)
+            .forEach(branch => {
+                const a = find(branch.startNodeId);
+                const b = find(branch.endNodeId);
+
+                if (a !== b) {
+                    root.set(a, b);
+                    root.set(b, b);
+                    forest.push(branch);
+                    return;
+                }
+
+                const loop = [branch, ...this.findPath(forest, branch.endNodeId, branch.startNodeId)];
+                findings.push(this.createFinding('voltage_loop', 'error',
+                    `Lazo de fuentes de voltaje sin resistencia: ${loop.map(member => member.component.label).join(', ')}`, loop));
+            });
+
+        return findings;
+    }
+
+    /**
+     * Terminales que no se conectan con ningún otro elemento
+     */
+    checkFloatingTerminals(nodeAnalysis, names) {
+        const findings = [];
+
+        nodeAnalysis.nodes.forEach(node => {
+            if (node.isGround) return;
+
+            const incident = nodeAnalysis.branches.reduce((count, branch) =>
+                count + (branch.startNodeId === node.id) + (branch.endNodeId === node.id), 0);
+            if (incident > 1) return;
+
+            const points = node.points || [{ x: node.x, y: node.y }];
+            const branch = nodeAnalysis.branches.find(candidate =>
+                candidate.startNodeId === node.id || candidate.endNodeId === node.id);
+
+            if (branch) {
+                const label = branch.component ? branch.component.label : 'Cable';
+                findings.push(this.createFinding('floating_terminal', 'warning',
+                    `Terminal sin conectar: ${label} en ${names.get(node.id)} (no circula corriente)`, [branch], points));
+            } else if (node.wires.length > 0 || node.netNames.length > 0) {
+                findings.push({
+                    ...this.createFinding('floating_terminal', 'warning',
+                        `${names.get(node.id)} no conecta ningún componente`, [], points),
+                    wireIds: [...node.wires]
+                });
+            }
+        });
+
+        return findings;
+    }
+
+    /**
+     * Nodos sin camino conductor en DC hasta la referencia: cortes de fuentes de corriente
+     * o nodos conectados solo a capacitores
+     */
+    checkDCIsolatedNodes(nodeAnalysis, names) {
+        const findings = [];
+        const isConductive = branch => !branch.component ||
+            (branch.type !== 'current' && isFinite(this.nodeAnalyzer.getComponentImpedance(branch.component, 0).real));
+
+        // Grupos de nodos unidos por ramas que conducen en DC
+        const group = new Map(nodeAnalysis.nodes.map(node => [node.id, node.id]));
+        const find = id => {
+            while (group.get(id) !== id) id = group.get(id);
+            return id;
+        };
+        nodeAnalysis.branches.filter(isConductive).forEach(branch => {
+            group.set(find(branch.startNodeId), find(branch.endNodeId));
+        });
+
+        const groups = new Map();
+        nodeAnalysis.nodes.forEach(node => {
+            const key = find(node.id);
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(node);
+        });
+
+        // Referencia: el grupo con tierra o, si no hay, el más grande
+        const candidates = Array.from(groups.values());
+        const reference = candidates.find(members => members.some(node => node.isGround)) ||
+                          candidates.reduce((largest, members) => members.length > largest.length ? members : largest, []);
+
+        candidates.forEach(members => {
+            if (members === reference) return;
+
+            const ids = new Set(members.map(node => node.id));
+            const crossing = nodeAnalysis.branches.filter(branch =>
+                ids.has(branch.startNodeId) !== ids.has(branch.endNodeId));
+            if (crossing.length === 0) return; // Partes desconectadas: las reporta la validación de conectividad
+
+            const nodeList = members.map(node => names.get(node.id)).join(', ');
+            const points = members.map(node => ({ x: node.x, y: node.y }));
+            const sources = crossing.filter(branch => branch.type === 'current');
+            const capacitors = crossing.filter(branch => branch.type !== 'current');
+
+            if (sources.length === 0) {
+                findings.push(this.createFinding('capacitor_node', 'warning',
+                    `${nodeList} solo se conecta a través de capacitores (${capacitors.map(branch => branch.component.label).join(', ')}): su voltaje DC queda indeterminado`,
+                    capacitors, points));
+                return;
+            }
+
+            // Corriente neta que las fuentes inyectan en el grupo (cada fuente empuja de inicio a fin)
+            const injected = sources.reduce((sum, branch) =>
+                sum + (ids.has(branch.endNodeId) ? branch.component.value : -branch.component.value), 0);
+            const labels = sources.map(branch => branch.component.label).join(', ');
+
+            if (Math.abs(injected) > this.currentTolerance && capacitors.length === 0) {
+                findings.push(this.createFinding('current_cutset', 'error',
+                    `Corte de fuentes de corriente: ${labels} inyectan ${injected.toExponential(3)} A en ${nodeList} sin otro camino`,
+                    sources, points));
+            } else {
+                findings.push(this.createFinding('current_cutset', 'warning',
+                    `${nodeList} solo se conecta a través de ${labels}${capacitors.length > 0 ? ' y capacitores' : ''}: ` +
+                    (capacitors.length > 0 ? 'en DC los capacitores se cargan sin límite' : 'su voltaje queda indeterminado'),
+                    crossing, points));
+            }
+        });
+
+        return findings;
+    }
+
+    /**
+     * Camino entre dos nodos por un conjunto de ramas (búsqueda en anchura)
+     */
+    findPath(branches, fromId, toId) {
+        const previous = new Map([[fromId, null]]);
+        const queue = [fromId];
+
+        while (queue.length > 0 && !previous.has(toId)) {
+            const nodeId = queue.shift();
+            branches.forEach(branch => {
+                const next = branch.startNodeId === nodeId ? branch.endNodeId :
+                             branch.endNodeId === nodeId ? branch.startNodeId : null;
+                if (next !== null && !previous.has(next)) {
+                    previous.set(next, { nodeId, branch });
+                    queue.push(next);
+                }
+            });
+        }
+
+        const path = [];
+        for (let step = previous.get(toId); step; step = previous.get(step.nodeId)) {
+            path.unshift(step.branch);
+        }
+        return path;
+    }
+
+    /**
+     * Nombre legible de cada nodo: red, GND o N1, N2...
+     */
+    createNodeNames(nodes) {
+        const names = new Map();
+        let unnamed = 0;
+
+        nodes.forEach(node => {
+            names.set(node.id, node.isGround ? 'GND' : ((node.netNames && node.netNames[0]) || `N${++unnamed}`));
+        });
+
+        return names;
+    }
+
+    /**
+     * Hallazgo con los componentes (o cables con resistencia) de las ramas indicadas
+     */
+    createFinding(rule, severity, message, branches = [], points = []) {
+        return {
+            rule: rule,
+            severity: severity,
+            message: message,
+            componentIds: branches.filter(branch => branch.component).map(branch => branch.component.id),
+            wireIds: branches.filter(branch => branch.wireId).map(branch => branch.wireId),
+            points: points
+        };
+    }
+}
@@ -19,7 +19,7 @@ class EquationSolver {
             // Validar entrada
             this.validateInput(matrices);
 
-            const { systemMatrix, rightHandSide, method } = matrices;
+            const { systemMatrix, rightHandSide } = matrices;
             
             // Seleccionar método de solución óptimo
             const solverMethod = this.selectSolverMethod(matrices);
@@ -54,14 +54,6 @@ class EquationSolver {
                     solution = this.cramerRule(systemMatrix, rightHandSide);
                     break;
                 
-                case 'series_simple':
-                    solution = this.solveSeriesCircuit(matrices);
-                    break;
-                
-                case 'parallel_simple':
-                    solution = this.solveParallelCircuit(matrices);
-                    break;
-                
                 default:
                     solution = this.gaussianElimination(systemMatrix, rightHandSide);
             }
@@ -74,6 +66,7 @@ class EquationSolver {
             const result = {
                 isValid: solution.isValid,
                 error: solution.error,
+                values: solution.values,
                 nodeVoltages: this.extractNodeVoltages(solution.values, matrices),
                 branchCurrents: this.extractBranchCurrents(solution.values, matrices),
                 solverMethod: solverMethod,
@@ -129,15 +122,7 @@ class EquationSolver {
      */
     selectSolverMethod(matrices) {
         const n = matrices.systemMatrix.length;
-        const { method, conditioning } = matrices;
-
-        // Casos especiales para circuitos simples
-        if (method === 'series') {
-            return 'series_simple';
-        }
-        if (method === 'parallel') {
-            return 'parallel_simple';
-        }
+        const { conditioning } = matrices;
 
         // Para sistemas pequeños (n ≤ 3), usar regla de Cramer
         if (n <= 3 && conditioning && Math.abs(conditioning.determinant) > this.tolerance) {
@@ -165,10 +150,15 @@ class EquationSolver {
 
     /**
      * Eliminación gaussiana con pivoteo parcial
+     * trace (opcional): recibe los pasos en trace.elimination y trace.substitution
      */
-    gaussianElimination(A, b) {
+    gaussianElimination(A, b, trace = null) {
         const n = A.length;
         const augmented = A.map((row, i) => [...row, b[i]]);
+        if (trace) {
+            trace.elimination = [];
+            trace.substitution = [];
+        }
 
         try {
             // Fase de eliminación hacia adelante
@@ -192,11 +182,24 @@ class EquationSolver {
                 }
 
                 // Eliminación
+                const operations = [];
                 for (let k = i + 1; k < n; k++) {
                     const factor = augmented[k][i] / augmented[i][i];
+                    if (factor === 0) continue;
                     for (let j = i; j <= n; j++) {
                         augmented[k][j] -= factor * augmented[i][j];
                     }
+                    operations.push({ row: k, factor: factor });
+                }
+
+                if (trace) {
+                    trace.elimination.push({
+                        column: i,
+                        swappedWith: maxRow !== i ? maxRow : null,
+                        pivot: augmented[i][i],
+                        operations: operations,
+                        augmented: augmented.map(row => [...row])
+                    });
                 }
             }
 
@@ -208,6 +211,18 @@ class EquationSolver {
                     x[i] -= augmented[i][j] * x[j];
                 }
                 x[i] /= augmented[i][i];
+
+                if (trace) {
+                    trace.substitution.push({
+                        index: i,
+                        rightHandSide: augmented[i][n],
+                        terms: augmented[i].slice(i + 1, n)
+                            .map((coefficient, offset) => ({ index: i + 1 + offset, coefficient: coefficient, value: x[i + 1 + offset] }))
+                            .filter(term => term.coefficient !== 0),
+                        pivot: augmented[i][i],
+                        value: x[i]
+                    });
+                }
             }
 
             return {
@@ -268,6 +283,76 @@ class EquationSolver {
                 }
             }
 
+            // Resolver Ly = b (sustitución hacia adelante)
+            const y = new Array(n);
+            for (let i = 0; i < n; i++) {
+                y[i] = b[i];
+                for (let j = 0; j < i; j++) {
+                    y[i] -= L[i][j] * y[j];
+                }
+            }
+
+            // Resolver Ux = y (sustitución hacia atrás)
+            const x = new Array(n);
+            for (let i = n - 1; i >= 0; i--) {
+                x[i] = y[i];
+                for (let j = i + 1; j < n; j++) {
+                    x[i] -= U[i][j] * x[j];
+                }
+                x[i] /= U[i][i];
+            }
+
+            return {
+                isValid: true,
+                values: x,
+                method: 'lu_decomposition',
+                decomposition: { L, U }
+            };
+
+        } catch (error) {
+            return {
+                isValid: false,
+                error: `Error en descomposición LU: ${error.message}`,
+                values: new Array(n).fill(0)
+            };
+        }
+    }
+
+    /**
+     * Descomposición de Cholesky (para matrices simétricas definidas positivas)
+     */
+    choleskyDecomposition(A, b) {
+        const n = A.length;
+
+        try {
+            // Crear matriz L (triangular inferior)
+            const L = this.createMatrix(n, n);
+
+            // Descomposición de Cholesky: A = L * L^T
+            for (let i = 0; i < n; i++) {
+                for (let j = 0; j <= i; j++) {
+                    if (i === j) {
+                        // Elemento diagonal
+                        let sum = 0;
+                        for (let k = 0; k < j; k++) {
+                            sum += L[j][k] * L[j][k];
+                        }
+                        L[j][j] = Math.sqrt(A[j][j] - sum);
+                        
+                        if (L[j][j] <= 0) {
+                            throw new Error('Matriz no es definida positiva');
+                        }
+                    } else {
+                        // Elemento bajo la diagonal
+                        let sum = 0;
+                        for (let k = 0; k < j; k++) {
+                            sum += L[i][k] * L[j][k];
+                        }
+                        L[i][j] = (A[i][j] - sum) / L[j][j];
+                    }
+                }
+            }
+
             // Resolver Ly = b
             const y = new Array(n);
             for (let i = 0; i < n; i++) {
@@ -465,57 +550,157 @@ class EquationSolver {
     }
 
     /**
-     * Solución para circuitos en serie (caso especial)
+     * Resuelve un sistema complejo Ax = b (análisis fasorial AC)
      */
-    solveSeriesCircuit(matrices) {
-        const { dimensions } = matrices;
-        const totalResistance = dimensions.totalResistance;
-        const totalVoltage = dimensions.totalVoltage;
+    solveComplex(matrices) {
+        try {
+            console.log('🧮 Resolviendo sistema complejo...');
+
+            this.validateInput(matrices);
+
+            const { systemMatrix, rightHandSide } = matrices;
+            const startTime = performance.now();
+
+            const solution = this.complexLUDecomposition(systemMatrix, rightHandSide);
+            const solveTime = performance.now() - startTime;
+
+            if (!solution.isValid) {
+                return { isValid: false, error: solution.error };
+            }
+
+            const residual = this.calculateComplexResidual(systemMatrix, rightHandSide, solution.values);
+            const result = {
+                isValid: true,
+                values: solution.values,
+                solverMethod: 'complex_lu',
+                residual: residual,
+                solveTime: solveTime,
+                warnings: []
+            };
+
+            if (residual > this.tolerance * 1000 * (this.complexVectorNorm(rightHandSide) + 1)) {
+                result.warnings.push(`Verificación falló: residual = ${residual.toExponential(3)}`);
+            }
 
-        if (totalResistance <= 0) {
+            console.log(`✅ Sistema complejo resuelto en ${solveTime.toFixed(2)}ms, residual: ${residual.toExponential(3)}`);
+            return result;
+
+        } catch (error) {
+            console.error('❌ Error resolviendo sistema complejo:', error);
             return {
                 isValid: false,
-                error: 'Resistencia total inválida en circuito serie'
+                error: `Error en solucionador complejo: ${error.message}`
             };
         }
+    }
 
-        const current = totalVoltage / totalResistance;
+    /**
+     * Descomposición LU compleja con pivoteo parcial (PA = LU)
+     */
+    complexLUDecomposition(A, b) {
+        const n = A.length;
 
-        return {
-            isValid: true,
-            values: [current],
-            method: 'series_analytical',
-            seriesAnalysis: {
-                totalCurrent: current,
-                totalResistance: totalResistance,
-                totalVoltage: totalVoltage
+        try {
+            const U = A.map(row => row.map(value => ({ ...value })));
+            const L = Complex.createMatrix(n, n);
+            const permutation = Array.from({ length: n }, (_, i) => i);
+
+            // Escala para la tolerancia relativa del pivote
+            let scale = 0;
+            U.forEach(row => row.forEach(value => {
+                scale = Math.max(scale, Complex.magnitude(value));
+            }));
+
+            for (let i = 0; i < n; i++) {
+                // Pivoteo parcial por módulo
+                let maxRow = i;
+                for (let k = i + 1; k < n; k++) {
+                    if (Complex.magnitude(U[k][i]) > Complex.magnitude(U[maxRow][i])) {
+                        maxRow = k;
+                    }
+                }
+
+                if (maxRow !== i) {
+                    [U[i], U[maxRow]] = [U[maxRow], U[i]];
+                    [L[i], L[maxRow]] = [L[maxRow], L[i]];
+                    [permutation[i], permutation[maxRow]] = [permutation[maxRow], permutation[i]];
+                }
+
+                if (Complex.magnitude(U[i][i]) <= this.tolerance * scale) {
+                    throw new Error(`Matriz singular: pivote nulo en posición (${i}, ${i})`);
+                }
+
+                for (let k = i + 1; k < n; k++) {
+                    const factor = Complex.divide(U[k][i], U[i][i]);
+                    L[k][i] = factor;
+                    for (let j = i; j < n; j++) {
+                        U[k][j] = Complex.subtract(U[k][j], Complex.multiply(factor, U[i][j]));
+                    }
+                }
             }
-        };
+
+            for (let i = 0; i < n; i++) {
+                L[i][i] = Complex.create(1, 0);
+            }
+
+            // Resolver Ly = Pb (sustitución hacia adelante)
+            const y = new Array(n);
+            for (let i = 0; i < n; i++) {
+                y[i] = { ...b[permutation[i]] };
+                for (let j = 0; j < i; j++) {
+                    y[i] = Complex.subtract(y[i], Complex.multiply(L[i][j], y[j]));
+                }
+            }
+
+            // Resolver Ux = y (sustitución hacia atrás)
+            const x = new Array(n);
+            for (let i = n - 1; i >= 0; i--) {
+                let sum = y[i];
+                for (let j = i + 1; j < n; j++) {
+                    sum = Complex.subtract(sum, Complex.multiply(U[i][j], x[j]));
+                }
+                x[i] = Complex.divide(sum, U[i][i]);
+            }
+
+            return {
+                isValid: true,
+                values: x,
+                method: 'complex_lu',
+                decomposition: { L, U, permutation }
+            };
+
+        } catch (error) {
+            return {
+                isValid: false,
+                error: `Error en descomposición LU compleja: ${error.message}`,
+                values: Complex.createVector(n)
+            };
+        }
     }
 
     /**
-     * Solución para circuitos en paralelo (caso especial)
+     * Calcula el residual ||Ax - b|| para sistemas complejos
      */
-    solveParallelCircuit(matrices) {
-        const { systemMatrix, rightHandSide, dimensions } = matrices;
-        const sourceVoltage = dimensions.sourceVoltage;
-
-        // En paralelo, cada corriente = V / R
-        const currents = systemMatrix.map((row, i) => {
-            const resistance = row[i]; // Elemento diagonal
-            return resistance > 0 ? sourceVoltage / resistance : 0;
-        });
+    calculateComplexResidual(A, b, x) {
+        let residual = 0;
 
-        return {
-            isValid: true,
-            values: currents,
-            method: 'parallel_analytical',
-            parallelAnalysis: {
-                branchCurrents: currents,
-                sourceVoltage: sourceVoltage,
-                totalCurrent: currents.reduce((sum, i) => sum + i, 0)
+        for (let i = 0; i < A.length; i++) {
+            let sum = Complex.create();
+            for (let j = 0; j < A.length; j++) {
+                sum = Complex.add(sum, Complex.multiply(A[i][j], x[j]));
             }
-        };
+            const diff = Complex.subtract(sum, b[i]);
+            residual += diff.real * diff.real + diff.imaginary * diff.imaginary;
+        }
+
+        return Math.sqrt(residual);
+    }
+
+    /**
+     * Norma euclídea de un vector complejo
+     */
+    complexVectorNorm(vector) {
+        return Math.sqrt(vector.reduce((sum, v) => sum + v.real * v.real + v.imaginary * v.imaginary, 0));
     }
 
     /**
@@ -561,53 +746,71 @@ class EquationSolver {
     }
 
     /**
-     * Extrae voltajes de nodo de la solución
+     * Extrae voltajes de nodo de la solución, en el orden de los nodos del análisis (ground = 0 V)
      */
     extractNodeVoltages(solution, matrices) {
-        const { method, nodeIndexMap } = matrices;
-        const nodeVoltages = new Array(nodeIndexMap.size + 1).fill(0); // +1 para ground
+        const { nodeIndexMap, nodeOrder } = matrices;
+
+        if (matrices.meshes) {
+            const voltages = this.recoverMeshNodeVoltages(solution, matrices);
+            return nodeOrder.map(nodeId => voltages.get(nodeId) || 0);
+        }
 
         // Mapear solución a voltajes de nodo
-        nodeIndexMap.forEach((index, nodeId) => {
-            if (index < solution.length) {
-                nodeVoltages[index] = solution[index];
-            }
+        return nodeOrder.map(nodeId => {
+            const index = nodeIndexMap.get(nodeId);
+            return index !== undefined && index < solution.length ? solution[index] : 0;
         });
+    }
 
-        // Ground siempre es 0V
-        if (matrices.groundNodeId !== undefined) {
-            nodeVoltages[nodeVoltages.length - 1] = 0;
-        }
+    /**
+     * Voltajes de nodo a partir de las corrientes de malla: se recorre el circuito desde tierra
+     * por las ramas de voltaje conocido (V_inicio - V_fin = Z·I + V_fuente)
+     */
+    recoverMeshNodeVoltages(solution, matrices) {
+        const currents = this.extractBranchCurrents(solution, matrices);
+        const voltages = new Map();
+        const known = matrices.branches.filter(branch => matrices.branchModels.get(branch.id).idealCurrent === null);
+        const references = [matrices.groundNodeId, ...matrices.nodeOrder].filter(nodeId => nodeId !== null && nodeId !== undefined);
+
+        references.forEach(reference => {
+            if (voltages.has(reference)) return;
+            voltages.set(reference, 0);
+            const queue = [reference];
+
+            while (queue.length > 0) {
+                const nodeId = queue.shift();
+                known.forEach(branch => {
+                    const model = matrices.branchModels.get(branch.id);
+                    const drop = model.impedance * currents.get(branch.id) + model.sourceVoltage;
+
+                    if (branch.startNodeId === nodeId && !voltages.has(branch.endNodeId)) {
+                        voltages.set(branch.endNodeId, voltages.get(nodeId) - drop);
+                        queue.push(branch.endNodeId);
+                    } else if (branch.endNodeId === nodeId && !voltages.has(branch.startNodeId)) {
+                        voltages.set(branch.startNodeId, voltages.get(nodeId) + drop);
+                        queue.push(branch.startNodeId);
+                    }
+                });
+            }
+        });
 
-        return nodeVoltages;
+        return voltages;
     }
 
     /**
      * Extrae corrientes de rama de la solución
      */
     extractBranchCurrents(solution, matrices) {
-        const { method } = matrices;
         const branchCurrents = new Map();
+        matrices.branchIndexMap.forEach((index, branchId) => branchCurrents.set(branchId, 0));
 
-        if (method === 'series') {
-            // En serie, todas las ramas tienen la misma corriente
-            const current = solution[0] || 0;
-            matrices.branchIndexMap.forEach((index, branchId) => {
-                branchCurrents.set(branchId, current);
-            });
-        } else if (method === 'parallel') {
-            // En paralelo, cada rama tiene su propia corriente
-            matrices.branchIndexMap.forEach((index, branchId) => {
-                branchCurrents.set(branchId, solution[index] || 0);
+        // Corriente de rama = suma con signo de las corrientes de las mallas que la recorren
+        (matrices.meshes || []).forEach((mesh, i) => {
+            mesh.branches.forEach((branch, k) => {
+                branchCurrents.set(branch.id, branchCurrents.get(branch.id) + mesh.orientations[k] * (solution[i] || 0));
             });
-        } else {
-            // Para métodos nodal/mesh, calcular corrientes desde voltajes
-            // Esta es una simplificación - en implementación completa se calcularían
-            // las corrientes usando las leyes de Kirchhoff
-            matrices.branchIndexMap.forEach((index, branchId) => {
-                branchCurrents.set(branchId, 0); // Placeholder
-            });
-        }
+        });
 
         return branchCurrents;
     }
@@ -807,75 +1010,4 @@ class EquationSolver {
             debugMode: this.debugMode
         };
     }
-} (sustitución hacia adelante)
-            const y = new Array(n);
-            for (let i = 0; i < n; i++) {
-                y[i] = b[i];
-                for (let j = 0; j < i; j++) {
-                    y[i] -= L[i][j] * y[j];
-                }
-            }
-
-            // Resolver Ux = y (sustitución hacia atrás)
-            const x = new Array(n);
-            for (let i = n - 1; i >= 0; i--) {
-                x[i] = y[i];
-                for (let j = i + 1; j < n; j++) {
-                    x[i] -= U[i][j] * x[j];
-                }
-                x[i] /= U[i][i];
-            }
-
-            return {
-                isValid: true,
-                values: x,
-                method: 'lu_decomposition',
-                decomposition: { L, U }
-            };
-
-        } catch (error) {
-            return {
-                isValid: false,
-                error: `Error en descomposición LU: ${error.message}`,
-                values: new Array(n).fill(0)
-            };
-        }
-    }
-
-    /**
-     * Descomposición de Cholesky (para matrices simétricas definidas positivas)
-     */
-    choleskyDecomposition(A, b) {
-        const n = A.length;
-
-        try {
-            // Crear matriz L (triangular inferior)
-            const L = this.createMatrix(n, n);
-
-            // Descomposición de Cholesky: A = L * L^T
-            for (let i = 0; i < n; i++) {
-                for (let j = 0; j <= i; j++) {
-                    if (i === j) {
-                        // Elemento diagonal
-                        let sum = 0;
-                        for (let k = 0; k < j; k++) {
-                            sum += L[j][k] * L[j][k];
-                        }
-                        L[j][j] = Math.sqrt(A[j][j] - sum);
-                        
-                        if (L[j][j] <= 0) {
-                            throw new Error('Matriz no es definida positiva');
-                        }
-                    } else {
-                        // Elemento bajo la diagonal
-                        let sum = 0;
-                        for (let k = 0; k < j; k++) {
-                            sum += L[i][k] * L[j][k];
-                        }
-                        L[i][j] = (A[i][j] - sum) / L[j][j];
-                    }
-                }
-            }
-
-            // Resolver Ly = b
-            const y
\ No newline at end of file
+}
@@ -85,7 +85,8 @@ class NodeAnalyzer {
                         components: [],
                         wires: [],
                         type: 'junction',
-                        isGround: false
+                        isGround: false,
+                        netNames: []
                     });
                 }
                 
@@ -97,10 +98,15 @@ class NodeAnalyzer {
                     terminalName: point.terminal || `T${terminalIndex}`
                 });
 
-                // Marcar como ground si el componente es ground
+                // Marcar como ground si el componente es una referencia
                 if (component.type === 'ground') {
-                    node.isGround = true;
-                    node.type = 'ground';
+                    if (this.isReferenceComponent(component)) {
+                        node.isGround = true;
+                        node.type = 'ground';
+                    }
+                    if (component.netName && !node.netNames.includes(component.netName)) {
+                        node.netNames.push(component.netName);
+                    }
                 }
             });
         });
@@ -119,7 +125,8 @@ class NodeAnalyzer {
                         components: [],
                         wires: [],
                         type: 'wire_terminal',
-                        isGround: false
+                        isGround: false,
+                        netNames: []
                     });
                 }
                 
@@ -142,7 +149,8 @@ class NodeAnalyzer {
                             components: [],
                             wires: [],
                             type: 'wire_junction',
-                            isGround: false
+                            isGround: false,
+                            netNames: []
                         });
                     }
                     
@@ -197,6 +205,26 @@ class NodeAnalyzer {
             }
         });
 
+        // Unir nodos que comparten nombre de red (tierras y etiquetas globales)
+        const netRoots = new Map();
+        physicalNodes.forEach((node, index) => {
+            (node.netNames || []).forEach(netName => {
+                if (netRoots.has(netName)) {
+                    unionFind.union(netRoots.get(netName), index);
+                } else {
+                    netRoots.set(netName, index);
+                }
+            });
+        });
+
+        // Todas las tierras fijan 0 V: forman un único nodo de referencia aunque sus redes se llamen distinto
+        const referenceIndex = physicalNodes.findIndex(node => node.isGround);
+        physicalNodes.forEach((node, index) => {
+            if (node.isGround && index !== referenceIndex) {
+                unionFind.union(referenceIndex, index);
+            }
+        });
+
         // Agrupar nodos por componente conectado
         const electricalNodeGroups = new Map();
         
@@ -221,11 +249,13 @@ class NodeAnalyzer {
             // Combinar componentes y cables
             const allComponents = [];
             const allWires = new Set();
+            const netNames = new Set();
             let isGround = false;
 
             nodeGroup.forEach(physNode => {
                 allComponents.push(...physNode.components);
                 physNode.wires.forEach(wireId => allWires.add(wireId));
+                (physNode.netNames || []).forEach(netName => netNames.add(netName));
                 if (physNode.isGround) isGround = true;
             });
 
@@ -234,6 +264,8 @@ class NodeAnalyzer {
                 x: avgX,
                 y: avgY,
                 physicalNodes: nodeGroup.map(n => n.id),
+                points: nodeGroup.map(n => ({ x: n.x, y: n.y })),
+                netNames: Array.from(netNames),
                 components: allComponents,
                 wires: Array.from(allWires),
                 connections: [], // Se llenará después
@@ -267,7 +299,8 @@ class NodeAnalyzer {
      */
     classifyNodeType(components, wireCount) {
         if (components.length === 0 && wireCount === 0) return 'isolated';
-        if (components.some(c => c.component.type === 'ground')) return 'ground';
+        if (components.some(c => this.isReferenceComponent(c.component))) return 'ground';
+        if (components.some(c => c.component.type === 'ground')) return 'named_net';
         if (components.length > 0 && wireCount === 0) return 'component_terminal';
         if (components.length === 0 && wireCount > 0) return 'wire_junction';
         if (components.length + wireCount === 2) return 'simple_connection';
@@ -320,12 +353,23 @@ class NodeAnalyzer {
 
     /**
      * Encuentra el nodo eléctrico en una posición
+     * Compara con cada nodo físico del grupo, ya que los nodos unidos por
+     * cables o por nombre de red pueden estar lejos de su posición promedio
      */
     findElectricalNodeAtPosition(electricalNodes, x, y) {
-        return electricalNodes.find(node => 
-            Math.abs(node.x - x) < this.tolerance && 
-            Math.abs(node.y - y) < this.tolerance
-        );
+        const matches = point =>
+            Math.abs(point.x - x) < this.tolerance &&
+            Math.abs(point.y - y) < this.tolerance;
+
+        return electricalNodes.find(node => (node.points || [node]).some(matches));
+    }
+
+    /**
+     * Indica si un componente fija el nodo de referencia
+     */
+    isReferenceComponent(component) {
+        if (component.type !== 'ground') return false;
+        return typeof component.isReference === 'function' ? component.isReference() : true;
     }
 
     /**
@@ -400,16 +444,33 @@ class NodeAnalyzer {
             case 'resistor':
                 return { real: component.value, imaginary: 0 };
             case 'capacitor':
+                // Incluye ESR y resistencia de fuga si el componente las modela
+                if (typeof component.calculateImpedance === 'function') {
+                    return component.calculateImpedance(frequency);
+                }
                 if (frequency === 0) return { real: Infinity, imaginary: 0 };
                 const Xc = -1 / (2 * Math.PI * frequency * component.value);
                 return { real: 0, imaginary: Xc };
             case 'inductor':
+                // Incluye resistencia del devanado y pérdidas en el núcleo si el componente las modela
+                if (typeof component.calculateImpedance === 'function') {
+                    return component.calculateImpedance(frequency);
+                }
                 const XL = 2 * Math.PI * frequency * component.value;
                 return { real: 0, imaginary: XL };
             case 'voltage':
-            case 'current':
                 return { real: component.internalResistance || 0, imaginary: 0 };
+            case 'current':
+                // Conductancia interna en paralelo (fuente ideal: impedancia infinita)
+                if (typeof component.getInternalImpedance === 'function') {
+                    return component.getInternalImpedance();
+                }
+                return { real: Infinity, imaginary: 0 };
             case 'diode':
+                // Resistencia dinámica en el punto de operación del modelo de Shockley
+                if (typeof component.calculateImpedance === 'function') {
+                    return component.calculateImpedance(frequency);
+                }
                 return { real: component.forwardResistance || 0.7, imaginary: 0 };
             default:
                 return { real: 0, imaginary: 0 };
@@ -529,76 +590,199 @@ class NodeAnalyzer {
     }
 
     /**
-     * Encuentra mallas independientes en el circuito
+     * Encuentra un conjunto independiente de mallas con la orientación de cada rama
+     * En esquemas planares se usan las ventanas del dibujo; si no, la base de ciclos fundamentales
+     * Cada malla: { id, type: 'window' | 'fundamental', branches, orientations (+1 si la malla
+     * recorre la rama de inicio a fin, -1 al revés), nodes (en orden de recorrido) }
      */
     findMeshes(nodes, branches) {
-        const meshes = [];
-        const visitedBranches = new Set();
-
-        // Algoritmo simplificado de búsqueda de ciclos
-        branches.forEach(startBranch => {
-            if (visitedBranches.has(startBranch.id)) return;
-
-            const mesh = this.findMeshFromBranch(startBranch, branches, visitedBranches);
-            if (mesh.length > 2) {
-                meshes.push({
-                    id: `mesh_${meshes.length}`,
-                    branches: mesh,
-                    nodes: this.getNodesFromBranches(mesh)
-                });
-            }
-        });
+        const meshes = this.findWindowMeshes(nodes, branches) || this.findFundamentalCycles(nodes, branches);
 
-        return meshes;
+        return meshes.map((mesh, index) => ({ id: `mesh_${index}`, ...mesh }));
     }
 
     /**
-     * Encuentra una malla comenzando desde una rama específica
+     * Base de ciclos fundamentales: un árbol generador y un lazo por cada rama fuera del árbol
+     * El árbol prefiere ramas de impedancia finita, así las fuentes de corriente quedan como cuerdas
      */
-    findMeshFromBranch(startBranch, allBranches, visitedBranches) {
-        const mesh = [startBranch];
-        let currentNode = startBranch.endNodeId;
-        const startNode = startBranch.startNodeId;
+    findFundamentalCycles(nodes, branches) {
+        const isCurrentLike = branch => branch.type === 'current' || !isFinite(branch.impedance.real);
+        const ordered = [...branches.filter(branch => !isCurrentLike(branch)), ...branches.filter(isCurrentLike)];
+
+        // Kruskal sin pesos para elegir las ramas del árbol
+        const root = new Map(nodes.map(node => [node.id, node.id]));
+        const find = id => {
+            while (root.get(id) !== id) id = root.get(id);
+            return id;
+        };
+        const treeBranches = new Set();
+        ordered.forEach(branch => {
+            const a = find(branch.startNodeId);
+            const b = find(branch.endNodeId);
+            if (a !== b) {
+                root.set(a, b);
+                treeBranches.add(branch);
+            }
+        });
 
-        visitedBranches.add(startBranch.id);
+        // Árbol con raíz en tierra: padre y profundidad de cada nodo
+        const parent = new Map();
+        const depth = new Map();
+        const roots = [...nodes.filter(node => node.isGround), ...nodes.filter(node => !node.isGround)];
+        roots.forEach(start => {
+            if (depth.has(start.id)) return;
+            depth.set(start.id, 0);
+            const queue = [start.id];
+            while (queue.length > 0) {
+                const current = queue.shift();
+                treeBranches.forEach(branch => {
+                    const next = branch.startNodeId === current ? branch.endNodeId :
+                                 branch.endNodeId === current ? branch.startNodeId : null;
+                    if (next === null || depth.has(next)) return;
+                    parent.set(next, { nodeId: current, branch });
+                    depth.set(next, depth.get(current) + 1);
+                    queue.push(next);
+                });
+            }
+        });
 
-        // Seguir el camino hasta volver al nodo inicial
-        let iterations = 0;
-        const maxIterations = allBranches.length + 1;
+        return ordered.filter(branch => !treeBranches.has(branch)).map(chord => {
+            // El lazo sigue la cuerda de inicio a fin y vuelve por el árbol
+            const up = [];
+            const down = [];
+            let from = chord.endNodeId;
+            let to = chord.startNodeId;
+            while (from !== to) {
+                if (depth.get(from) >= depth.get(to)) {
+                    const link = parent.get(from);
+                    up.push({ branch: link.branch, orientation: link.branch.startNodeId === from ? 1 : -1, nodeId: link.nodeId });
+                    from = link.nodeId;
+                } else {
+                    const link = parent.get(to);
+                    down.unshift({ branch: link.branch, orientation: link.branch.startNodeId === link.nodeId ? 1 : -1, nodeId: to });
+                    to = link.nodeId;
+                }
+            }
 
-        while (currentNode !== startNode && iterations < maxIterations) {
-            // Buscar siguiente rama no visitada
-            const nextBranch = allBranches.find(branch => 
-                !visitedBranches.has(branch.id) &&
-                (branch.startNodeId === currentNode || branch.endNodeId === currentNode)
-            );
+            const path = [{ branch: chord, orientation: 1, nodeId: chord.endNodeId }, ...up, ...down];
+            return {
+                type: 'fundamental',
+                branches: path.map(step => step.branch),
+                orientations: path.map(step => step.orientation),
+                nodes: [chord.startNodeId, ...path.slice(0, -1).map(step => step.nodeId)]
+            };
+        });
+    }
 
-            if (!nextBranch) break;
+    /**
+     * Mallas como ventanas del esquema: se recorren las caras del grafo dibujado, ordenando las
+     * ramas de cada nodo por el ángulo hacia su componente. Devuelve null si el dibujo no es planar
+     */
+    findWindowMeshes(nodes, branches) {
+        const positions = new Map(nodes.map(node => [node.id, node]));
+        const loops = branches.filter(branch => branch.startNodeId === branch.endNodeId);
+        const edges = branches.filter(branch => branch.startNodeId !== branch.endNodeId);
+
+        // Punto de paso de cada rama: centro del componente o punto medio del cable
+        const waypoint = branch => {
+            if (branch.component) return { x: branch.component.x, y: branch.component.y };
+            if (branch.wire) {
+                return { x: (branch.wire.start.x + branch.wire.end.x) / 2, y: (branch.wire.start.y + branch.wire.end.y) / 2 };
+            }
+            const start = positions.get(branch.startNodeId);
+            const end = positions.get(branch.endNodeId);
+            return { x: (start.x + end.x) / 2, y: (start.y + end.y) / 2 };
+        };
 
-            mesh.push(nextBranch);
-            visitedBranches.add(nextBranch.id);
+        // Semiaristas salientes de cada nodo ordenadas por ángulo
+        const rotation = new Map(nodes.map(node => [node.id, []]));
+        edges.forEach(branch => {
+            const point = waypoint(branch);
+            [[branch.startNodeId, branch.endNodeId], [branch.endNodeId, branch.startNodeId]].forEach(([from, to]) => {
+                const origin = positions.get(from);
+                const target = point.x === origin.x && point.y === origin.y ? positions.get(to) : point;
+                rotation.get(from).push({ branch, from, to, point, angle: Math.atan2(target.y - origin.y, target.x - origin.x) });
+            });
+        });
+        rotation.forEach(list => list.sort((a, b) => a.angle - b.angle || (a.branch.id < b.branch.id ? -1 : 1)));
 
-            // Avanzar al siguiente nodo
-            currentNode = nextBranch.startNodeId === currentNode ? 
-                         nextBranch.endNodeId : 
-                         nextBranch.startNodeId;
+        // Recorrido de caras: tras llegar a un nodo se sale por la rama anterior a la de llegada
+        const visited = new Set();
+        const key = half => `${half.branch.id}:${half.from}`;
+        const faces = [];
+        rotation.forEach(list => list.forEach(first => {
+            if (visited.has(key(first))) return;
+            const face = [];
+            let half = first;
+            while (!visited.has(key(half))) {
+                visited.add(key(half));
+                face.push(half);
+                const around = rotation.get(half.to);
+                const twin = around.findIndex(candidate => candidate.branch === half.branch && candidate.to === half.from);
+                half = around[(twin - 1 + around.length) % around.length];
+            }
+            faces.push(face);
+        }));
 
-            iterations++;
+        // Fórmula de Euler por componente conexa: C = R - N + 2 solo si el recorrido es planar
+        const component = new Map();
+        nodes.forEach(node => {
+            if (component.has(node.id) || rotation.get(node.id).length === 0) return;
+            const stack = [node.id];
+            component.set(node.id, node.id);
+            while (stack.length > 0) {
+                rotation.get(stack.pop()).forEach(half => {
+                    if (component.has(half.to)) return;
+                    component.set(half.to, node.id);
+                    stack.push(half.to);
+                });
+            }
+        });
+        const componentCount = new Set(component.values()).size;
+        if (faces.length !== edges.length - component.size + 2 * componentCount) {
+            return null;
         }
 
-        return mesh;
-    }
+        // La cara de mayor área de cada componente es la exterior
+        const area = face => face.reduce((sum, half) => {
+            const points = [positions.get(half.from), half.point, positions.get(half.to)];
+            return sum + (points[0].x * points[1].y - points[1].x * points[0].y) +
+                         (points[1].x * points[2].y - points[2].x * points[1].y);
+        }, 0) / 2;
+        const outer = new Map();
+        faces.forEach(face => {
+            const group = component.get(face[0].from);
+            const current = outer.get(group);
+            if (!current || Math.abs(area(face)) > Math.abs(area(current))) outer.set(group, face);
+        });
+        const outerFaces = new Set(outer.values());
+
+        const windows = faces.filter(face => !outerFaces.has(face)).map(face => {
+            // Sentido horario en pantalla; las ramas recorridas en ambos sentidos no forman parte de la malla
+            const sign = area(face) < 0 ? -1 : 1;
+            const net = new Map();
+            face.forEach(half => {
+                const orientation = half.from === half.branch.startNodeId ? sign : -sign;
+                net.set(half.branch, (net.get(half.branch) || 0) + orientation);
+            });
+            const members = Array.from(net.entries()).filter(([, orientation]) => orientation !== 0);
+            const nodeIds = [...new Set(face.filter(half => net.get(half.branch) !== 0).map(half => half.from))];
 
-    /**
-     * Obtiene nodos de una lista de ramas
-     */
-    getNodesFromBranches(branches) {
-        const nodeIds = new Set();
-        branches.forEach(branch => {
-            nodeIds.add(branch.startNodeId);
-            nodeIds.add(branch.endNodeId);
+            return {
+                type: 'window',
+                branches: members.map(([branch]) => branch),
+                orientations: members.map(([, orientation]) => orientation),
+                nodes: sign > 0 ? nodeIds : [nodeIds[0], ...nodeIds.slice(1).reverse()]
+            };
         });
-        return Array.from(nodeIds);
+
+        // Cada rama con ambos extremos en el mismo nodo es una malla por sí sola
+        return [...windows, ...loops.map(branch => ({
+            type: 'window',
+            branches: [branch],
+            orientations: [1],
+            nodes: [branch.startNodeId]
+        }))];
     }
 
     /**
@@ -716,7 +900,8 @@ class NodeAnalyzer {
             return { isConnected: false, reason: 'No hay componentes' };
         }
 
-        if (circuit.wires.length === 0) {
+        const hasNetSymbols = circuit.components.some(comp => comp.type === 'ground');
+        if (circuit.wires.length === 0 && !hasNetSymbols) {
             return { isConnected: false, reason: 'No hay conexiones' };
         }
 
@@ -733,6 +918,36 @@ class NodeAnalyzer {
             }
         });
 
+        // Terminales que coinciden en posición (p. ej. una tierra sobre un terminal)
+        const terminalOwners = new Map();
+        circuit.components.forEach(comp => {
+            comp.getConnectionPoints().forEach(point => {
+                const key = this.generateNodeKey(point.x, point.y);
+                const ownerId = terminalOwners.get(key);
+                if (ownerId && ownerId !== comp.id) {
+                    componentGraph.get(ownerId).add(comp.id);
+                    componentGraph.get(comp.id).add(ownerId);
+                } else {
+                    terminalOwners.set(key, comp.id);
+                }
+            });
+        });
+
+        // Las tierras y etiquetas con el mismo nombre de red están conectadas entre sí
+        const netMembers = new Map();
+        circuit.components.forEach(comp => {
+            if (comp.type !== 'ground' || !comp.netName) return;
+            // Las referencias comparten el nodo de 0 V
+            const net = this.isReferenceComponent(comp) ? 'GND' : comp.netName;
+            if (netMembers.has(net)) {
+                const firstId = netMembers.get(net);
+                componentGraph.get(firstId).add(comp.id);
+                componentGraph.get(comp.id).add(firstId);
+            } else {
+                netMembers.set(net, comp.id);
+            }
+        });
+
         // BFS para verificar conectividad
         const visited = new Set();
         const queue = [circuit.components[0].id];
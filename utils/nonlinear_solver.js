@@ -0,0 +1,413 @@
+/**
+ * Solucionador no lineal por Newton-Raphson sobre MNA
+ * Re-linealiza los dispositivos no lineales (diodos) en cada iteración y usa
+ * limitación de voltaje, gmin stepping y source stepping para asegurar convergencia
+ */
+class NonlinearSolver {
+    constructor(matrixBuilder, equationSolver) {
+        this.matrixBuilder = matrixBuilder || new CircuitMatrixBuilder();
+        this.equationSolver = equationSolver || new EquationSolver();
+
+        this.maxIterations = 100;
+        this.absoluteVoltageTolerance = 1e-6; // V
+        this.absoluteCurrentTolerance = 1e-12; // A
+        this.relativeTolerance = 1e-3;
+        this.gmin = 1e-12; // Conductancia mínima de cada nodo a tierra
+        this.gminStart = 1e-2; // Primer valor del gmin stepping
+        this.sourceStepStart = 0.1; // Primer incremento del source stepping
+        this.minSourceStep = 1e-4;
+        this.debugMode = false;
+    }
+
+    /**
+     * Prepara los elementos del circuito con sus índices de nodo
+     */
+    createSystem(nodeAnalysis) {
+        const mappings = { nodeIndexMap: new Map(), branchIndexMap: new Map() };
+        this.matrixBuilder.createIndexMappings(nodeAnalysis, mappings);
+
+        const elements = nodeAnalysis.branches.map(branch => ({
+            branch: branch,
+            component: branch.component || null,
+            kind: this.getElementKind(branch),
+            startIndex: mappings.nodeIndexMap.get(branch.startNodeId),
+            endIndex: mappings.nodeIndexMap.get(branch.endNodeId)
+        }));
+
+        return {
+            nodes: nodeAnalysis.nodes,
+            nodeIndexMap: mappings.nodeIndexMap,
+            nodeCount: mappings.nodeCount,
+            elements: elements
+        };
+    }
+
+    /**
+     * Clasifica una rama según su modelo
+     */
+    getElementKind(branch) {
+        if (branch.component && typeof branch.component.getCompanionModel === 'function') {
+            return 'nonlinear';
+        }
+        if (['capacitor', 'inductor', 'voltage', 'current'].includes(branch.type)) {
+            return branch.type;
+        }
+        return 'resistive';
+    }
+
+    /**
+     * Indica si el sistema contiene dispositivos no lineales
+     */
+    hasNonlinearElements(system) {
+        return system.elements.some(element => element.kind === 'nonlinear');
+    }
+
+    /**
+     * Modelo DC de un elemento linealizado en un voltaje
+     * options: { sourceFactor (0-1), time (si se omite se usa el valor nominal de las fuentes) }
+     */
+    getElementStamp(element, voltage, options = {}) {
+        const component = element.component;
+        const sourceFactor = options.sourceFactor === undefined ? 1 : options.sourceFactor;
+        const time = options.time;
+
+        switch (element.kind) {
+            case 'voltage': {
+                const value = time !== undefined && typeof component.getOutputVoltage === 'function' ?
+                              component.getOutputVoltage(time) : component.value;
+                return { type: 'branch', voltage: sourceFactor * value, resistance: component.internalResistance || 0 };
+            }
+
+            case 'current': {
+                const value = time !== undefined && typeof component.getSourceCurrent === 'function' ?
+                              component.getSourceCurrent(time) : component.value;
+                const conductance = component.internalConductance > 0 ? component.internalConductance : 0;
+                return { type: 'norton', conductance, current: sourceFactor * value };
+            }
+
+            case 'capacitor': {
+                // Circuito abierto salvo la resistencia de fuga (en serie con la ESR)
+                const leakage = isFinite(component.leakageResistance) && component.leakageResistance > 0 ?
+                                1 / component.leakageResistance : 0;
+                return this.seriesNorton(leakage, 0, component.esr || 0);
+            }
+
+            case 'inductor':
+                // Cortocircuito salvo la resistencia del devanado
+                return { type: 'branch', voltage: 0, resistance: component.dcResistance || 0 };
+
+            case 'nonlinear': {
+                const model = component.getCompanionModel(voltage || 0);
+                return { type: 'norton', conductance: model.conductance, current: model.current };
+            }
+
+            default: {
+                const admittance = this.matrixBuilder.calculateAdmittance(element.branch.impedance || { real: 0 });
+                if (!isFinite(admittance.real)) {
+                    return { type: 'branch', voltage: 0, resistance: 0 }; // Cortocircuito
+                }
+                return { type: 'norton', conductance: admittance.real, current: 0 };
+            }
+        }
+    }
+
+    /**
+     * Equivalente Norton (G, I) en serie con una resistencia r
+     */
+    seriesNorton(conductance, current, resistance, extra = {}) {
+        const factor = 1 + resistance * conductance;
+        return {
+            type: 'norton',
+            conductance: conductance / factor,
+            current: current / factor,
+            seriesResistance: resistance,
+            ...extra
+        };
+    }
+
+    /**
+     * Ensambla y resuelve el sistema MNA real para un conjunto de modelos lineales
+     * Norton: i = G·v + I | Rama: v = V + R·i (la corriente es incógnita)
+     */
+    solveLinear(system, stamps, gmin = this.gmin) {
+        const { A, b, rows } = this.assembleLinear(system, stamps, gmin);
+
+        const solution = this.equationSolver.gaussianElimination(A, b);
+        if (!solution.isValid) {
+            return { isValid: false, error: solution.error };
+        }
+
+        const x = solution.values;
+        const nodeVoltage = index => index === undefined ? 0 : x[index];
+        const branchValues = new Map();
+
+        system.elements.forEach((element, index) => {
+            const stamp = stamps[index];
+            const voltage = nodeVoltage(element.startIndex) - nodeVoltage(element.endIndex);
+            const current = stamp.type === 'branch' ?
+                            x[rows[index]] :
+                            stamp.conductance * voltage + stamp.current;
+
+            branchValues.set(element.branch.id, { voltage, current });
+        });
+
+        return {
+            isValid: true,
+            nodeVoltages: system.nodes.map(node => nodeVoltage(system.nodeIndexMap.get(node.id))),
+            branchValues: branchValues,
+            stamps: stamps
+        };
+    }
+
+    /**
+     * Ensambla la matriz MNA A·x = b; rows[i] es la fila de la corriente del elemento i (modelo de rama)
+     */
+    assembleLinear(system, stamps, gmin = this.gmin) {
+        const n = system.nodeCount;
+
+        let size = n;
+        const rows = stamps.map(stamp => stamp.type === 'branch' ? size++ : null);
+
+        const A = this.equationSolver.createMatrix(size, size);
+        const b = new Array(size).fill(0);
+
+        for (let i = 0; i < n; i++) {
+            A[i][i] += gmin;
+        }
+
+        system.elements.forEach((element, index) => {
+            const stamp = stamps[index];
+            const s = element.startIndex;
+            const e = element.endIndex;
+
+            if (stamp.type === 'branch') {
+                const row = rows[index];
+                if (s !== undefined) {
+                    A[s][row] += 1;
+                    A[row][s] += 1;
+                }
+                if (e !== undefined) {
+                    A[e][row] -= 1;
+                    A[row][e] -= 1;
+                }
+                A[row][row] -= stamp.resistance;
+                b[row] = stamp.voltage;
+                return;
+            }
+
+            if (stamp.conductance !== 0) {
+                if (s !== undefined) A[s][s] += stamp.conductance;
+                if (e !== undefined) A[e][e] += stamp.conductance;
+                if (s !== undefined && e !== undefined) {
+                    A[s][e] -= stamp.conductance;
+                    A[e][s] -= stamp.conductance;
+                }
+            }
+
+            // Corriente independiente que circula de inicio a fin
+            if (stamp.current !== 0) {
+                if (s !== undefined) b[s] -= stamp.current;
+                if (e !== undefined) b[e] += stamp.current;
+            }
+        });
+
+        return { A, b, rows, size };
+    }
+
+    /**
+     * Iteración de Newton-Raphson
+     * getStamp(element, voltage) devuelve el modelo lineal del elemento en el voltaje de linealización
+     * options: { initialGuess (Map rama → voltaje), gmin, maxIterations }
+     */
+    iterate(system, getStamp, options = {}) {
+        const gmin = options.gmin === undefined ? this.gmin : options.gmin;
+        const maxIterations = options.maxIterations || this.maxIterations;
+        const nonlinear = system.elements.filter(element => element.kind === 'nonlinear');
+        const guess = new Map();
+
+        nonlinear.forEach(element => {
+            const id = element.branch.id;
+            guess.set(id, options.initialGuess && options.initialGuess.has(id) ? options.initialGuess.get(id) : 0);
+        });
+
+        let point = null;
+
+        for (let iteration = 1; iteration <= maxIterations; iteration++) {
+            const stamps = system.elements.map(element => getStamp(element, guess.get(element.branch.id)));
+            point = this.solveLinear(system, stamps, gmin);
+            if (!point.isValid) {
+                return { ...point, converged: false, iterations: iteration };
+            }
+
+            if (nonlinear.length === 0) {
+                return { ...point, converged: true, iterations: iteration };
+            }
+
+            let converged = true;
+
+            nonlinear.forEach(element => {
+                const id = element.branch.id;
+                const previous = guess.get(id);
+                const { voltage, current } = point.branchValues.get(id);
+
+                // Voltaje: la linealización coincide con la solución
+                const voltageTolerance = this.absoluteVoltageTolerance +
+                                         this.relativeTolerance * Math.max(Math.abs(voltage), Math.abs(previous));
+                if (Math.abs(voltage - previous) > voltageTolerance) {
+                    converged = false;
+                }
+
+                // Corriente: el modelo lineal coincide con el dispositivo real
+                const model = element.component.getCompanionModel(voltage);
+                const deviceCurrent = model.conductance * voltage + model.current;
+                const currentTolerance = this.absoluteCurrentTolerance +
+                                         this.relativeTolerance * Math.max(Math.abs(current), Math.abs(deviceCurrent));
+                if (Math.abs(deviceCurrent - current) > currentTolerance) {
+                    converged = false;
+                }
+
+                guess.set(id, this.limitVoltageStep(element, voltage, previous));
+            });
+
+            if (converged) {
+                return { ...point, converged: true, iterations: iteration };
+            }
+        }
+
+        return {
+            ...point,
+            converged: false,
+            iterations: maxIterations,
+            error: `Newton-Raphson no convergió en ${maxIterations} iteraciones`
+        };
+    }
+
+    /**
+     * Limita el paso de voltaje de un dispositivo entre iteraciones
+     */
+    limitVoltageStep(element, newVoltage, oldVoltage) {
+        if (typeof element.component.limitVoltageStep === 'function') {
+            return element.component.limitVoltageStep(newVoltage, oldVoltage);
+        }
+        return newVoltage;
+    }
+
+    /**
+     * Punto de operación DC: Newton directo, luego gmin stepping y por último source stepping
+     * options: { time, initialGuess }
+     */
+    solveOperatingPoint(system, options = {}) {
+        const attempts = [];
+        const stampAt = sourceFactor => (element, voltage) =>
+            this.getElementStamp(element, voltage, { sourceFactor, time: options.time });
+
+        const finish = (point, strategy) => {
+            const iterations = attempts.reduce((sum, attempt) => sum + attempt.iterations, 0);
+            return {
+                ...point,
+                isValid: point.isValid !== false && point.converged,
+                error: point.converged ? undefined : 'El punto de operación no convergió (Newton, gmin stepping y source stepping)',
+                convergence: {
+                    converged: point.converged,
+                    strategy: strategy,
+                    iterations: iterations,
+                    attempts: attempts
+                }
+            };
+        };
+
+        // 1. Newton-Raphson directo
+        let point = this.iterate(system, stampAt(1), { initialGuess: options.initialGuess });
+        attempts.push({ strategy: 'newton', converged: point.converged, iterations: point.iterations });
+        if (point.converged || !this.hasNonlinearElements(system)) {
+            return finish(point, 'newton');
+        }
+
+        console.log('⚠️ Newton sin convergencia, probando gmin stepping...');
+
+        // 2. Gmin stepping: conductancias grandes a tierra que se reducen por décadas
+        point = this.gminStepping(system, stampAt(1), attempts);
+        if (point.converged) {
+            return finish(point, 'gmin_stepping');
+        }
+
+        console.log('⚠️ Gmin stepping sin convergencia, probando source stepping...');
+
+        // 3. Source stepping: las fuentes crecen desde cero
+        point = this.sourceStepping(system, stampAt, attempts);
+        return finish(point, point.converged ? 'source_stepping' : 'failed');
+    }
+
+    /**
+     * Gmin stepping: resuelve con gmin decreciente usando cada solución como punto inicial
+     */
+    gminStepping(system, getStamp, attempts) {
+        let guess = null;
+        let iterations = 0;
+        let point = null;
+
+        for (let gmin = this.gminStart; gmin >= this.gmin * 0.999; gmin /= 10) {
+            point = this.iterate(system, getStamp, { gmin, initialGuess: guess });
+            iterations += point.iterations;
+            if (!point.converged) {
+                attempts.push({ strategy: 'gmin_stepping', converged: false, iterations, failedAt: gmin });
+                return point;
+            }
+            guess = this.getNonlinearVoltages(system, point);
+        }
+
+        attempts.push({ strategy: 'gmin_stepping', converged: true, iterations });
+        return point;
+    }
+
+    /**
+     * Source stepping: escala todas las fuentes de 0 a 1 con paso adaptativo
+     */
+    sourceStepping(system, stampAt, attempts) {
+        let factor = 0;
+        let step = this.sourceStepStart;
+        let guess = null;
+        let iterations = 0;
+        let point = this.iterate(system, stampAt(0));
+        iterations += point.iterations;
+
+        if (point.converged) {
+            guess = this.getNonlinearVoltages(system, point);
+
+            while (factor < 1) {
+                const nextFactor = Math.min(1, factor + step);
+                const trial = this.iterate(system, stampAt(nextFactor), { initialGuess: guess });
+                iterations += trial.iterations;
+
+                if (trial.converged) {
+                    factor = nextFactor;
+                    point = trial;
+                    guess = this.getNonlinearVoltages(system, trial);
+                    step = Math.min(step * 2, 0.5);
+                } else {
+                    step /= 2;
+                    if (step < this.minSourceStep) {
+                        point = trial;
+                        break;
+                    }
+                }
+            }
+        }
+
+        attempts.push({ strategy: 'source_stepping', converged: point.converged, iterations, sourceFactor: factor });
+        return point;
+    }
+
+    /**
+     * Voltajes de los dispositivos no lineales de una solución (punto inicial para la siguiente)
+     */
+    getNonlinearVoltages(system, point) {
+        const voltages = new Map();
+        system.elements.forEach(element => {
+            if (element.kind === 'nonlinear') {
+                voltages.set(element.branch.id, point.branchValues.get(element.branch.id).voltage);
+            }
+        });
+        return voltages;
+    }
+}
@@ -79,6 +79,10 @@ class OhmLawHelper {
                 case 'capacitor':
                 case 'inductor':
                     powerAnalysis.totalStored += Math.abs(power.stored || 0);
+                    // Pérdidas en elementos no ideales (ESR, fuga, devanado, núcleo)
+                    powerAnalysis.totalDissipated += power.dissipated;
+                    powerAnalysis.losses.core += power.coreLoss || 0;
+                    powerAnalysis.losses.resistive += power.dissipated - (power.coreLoss || 0);
                     break;
 
                 default:
@@ -131,12 +135,27 @@ class OhmLawHelper {
 
             case 'capacitor':
                 analysis.stored = 0.5 * component.value * voltage * voltage;
-                analysis.dissipated = 0; // Capacitor ideal
+                // Pérdidas en ESR y resistencia de fuga (cero en capacitor ideal)
+                analysis.dissipated = typeof component.calculateDissipatedPower === 'function' ?
+                                      component.calculateDissipatedPower(voltage, current) : 0;
+                if (component.voltageRating) {
+                    analysis.voltageStress = (Math.abs(voltage) / component.voltageRating) * 100;
+                }
                 break;
 
             case 'inductor':
                 analysis.stored = 0.5 * component.value * current * current;
-                analysis.dissipated = 0; // Inductor ideal
+                // Pérdidas en el devanado y en el núcleo (cero en inductor ideal)
+                if (typeof component.calculateDissipatedPower === 'function') {
+                    analysis.coreLoss = component.calculateCoreLoss(voltage, current);
+                    analysis.dissipated = component.calculateDissipatedPower(voltage, current);
+                    analysis.stored = component.calculateStoredEnergy(current);
+                } else {
+                    analysis.dissipated = 0;
+                }
+                if (component.saturationCurrent) {
+                    analysis.saturationRatio = (Math.abs(current) / component.saturationCurrent) * 100;
+                }
                 break;
 
             case 'voltage':
@@ -586,7 +605,8 @@ class OhmLawHelper {
 
         return value * fromFactor / toFactor;
     }
-}
+
+    /**
      * Calcula voltaje usando la Ley de Ohm: V = I × R
      */
     calculateVoltage(component, current) {
@@ -710,6 +730,10 @@ class OhmLawHelper {
                 };
             
             case 'capacitor':
+                // Modelo con ESR y fuga si el componente lo implementa
+                if (typeof component.calculateImpedance === 'function') {
+                    return component.calculateImpedance(frequency);
+                }
                 if (frequency === 0) {
                     return { real: Infinity, imaginary: 0 };
                 }
@@ -720,6 +744,10 @@ class OhmLawHelper {
                 };
             
             case 'inductor':
+                // Modelo con devanado y núcleo si el componente lo implementa
+                if (typeof component.calculateImpedance === 'function') {
+                    return component.calculateImpedance(frequency);
+                }
                 const XL = omega * component.value;
                 return {
                     real: 0,
@@ -855,6 +883,11 @@ class OhmLawHelper {
      * Cálculos específicos para diodos
      */
     calculateDiodeVoltage(diode, current) {
+        // Modelo de Shockley del componente, si está disponible
+        if (typeof diode.calculateVoltage === 'function') {
+            return diode.calculateVoltage(current);
+        }
+
         // Modelo simplificado del diodo: V = Vf + I × Rs
         const forwardVoltage = diode.forwardVoltage || 0.7; // Voltaje directo típico
         const seriesResistance = diode.forwardResistance || 0.1; // Resistencia serie
@@ -868,6 +901,10 @@ class OhmLawHelper {
     }
 
     calculateDiodeCurrent(diode, voltage) {
+        if (typeof diode.calculateCurrent === 'function') {
+            return diode.calculateCurrent(voltage);
+        }
+
         const forwardVoltage = diode.forwardVoltage || 0.7;
         const seriesResistance = diode.forwardResistance || 0.1;
         
@@ -885,6 +922,10 @@ class OhmLawHelper {
     }
 
     calculateDiodeImpedance(diode, frequency) {
+        if (typeof diode.calculateImpedance === 'function') {
+            return diode.calculateImpedance(frequency);
+        }
+
         // Modelo simplificado: resistencia dinámica
         const dynamicResistance = diode.forwardResistance || 0.1;
         return {
@@ -892,6 +933,4 @@ class OhmLawHelper {
             imaginary: 0
         };
     }
-
-    /**
-     *
\ No newline at end of file
+}
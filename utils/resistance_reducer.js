@@ -0,0 +1,387 @@
+/**
+ * Reducción serie/paralelo de redes resistivas
+ * Colapsa grupos en serie y en paralelo (y transformaciones Y-Δ cuando no queda otra) hasta
+ * una única resistencia equivalente entre dos terminales, guardando cada paso como instantánea
+ */
+class ResistanceReducer {
+    constructor() {
+        this.shortResistance = 1e-9; // Ω por debajo se trata como cortocircuito
+        this.maxSteps = 500;
+        this.minimumSpacing = 60; // px entre nodos al dibujar las instantáneas
+        this.debugMode = false;
+    }
+
+    /**
+     * Resistencia equivalente entre terminals.positive y terminals.negative (ids de nodo)
+     * terminals.excludedBranchId: rama que se retira (la fuente que "ve" la resistencia)
+     */
+    reduce(nodeAnalysis, terminals) {
+        if (terminals.positive === terminals.negative) {
+            return { isValid: false, error: 'Los terminales deben ser nodos distintos' };
+        }
+
+        const network = this.createNetwork(nodeAnalysis, terminals);
+        const snapshots = [this.createSnapshot(network, 'initial', 'Red resistiva inicial entre los terminales', [])];
+
+        console.log(`🧮 Reducción serie/paralelo: ${network.edges.length} resistencias`);
+
+        let step = null;
+        while ((step = this.nextStep(network)) !== null) {
+            snapshots.push(this.createSnapshot(network, step.kind, step.description, step.highlight));
+
+            if (snapshots.length > this.maxSteps) {
+                return { isValid: false, error: `La reducción superó ${this.maxSteps} pasos` };
+            }
+        }
+
+        const positive = this.findRoot(network, terminals.positive);
+        const negative = this.findRoot(network, terminals.negative);
+        const remaining = network.edges.filter(edge =>
+            (edge.a === positive && edge.b === negative) || (edge.a === negative && edge.b === positive));
+
+        let equivalentResistance;
+        if (positive === negative) {
+            equivalentResistance = 0;
+        } else if (remaining.length === 0) {
+            equivalentResistance = Infinity;
+            network.warnings.push('No hay camino resistivo entre los terminales: circuito abierto');
+        } else {
+            equivalentResistance = remaining[0].resistance;
+        }
+
+        console.log(`✅ R equivalente = ${this.formatResistance(equivalentResistance)}`);
+
+        return {
+            isValid: true,
+            analysisType: 'resistance_reduction',
+            timestamp: new Date(),
+            terminals: {
+                positive: network.names.get(terminals.positive),
+                negative: network.names.get(terminals.negative)
+            },
+            equivalentResistance: equivalentResistance,
+            snapshots: snapshots,
+            warnings: network.warnings
+        };
+    }
+
+    /**
+     * Grafo de resistencias: las fuentes de voltaje y bobinas se cortocircuitan,
+     * las fuentes de corriente, capacitores y dispositivos no lineales se abren
+     */
+    createNetwork(nodeAnalysis, terminals) {
+        const network = {
+            nodes: new Map(),
+            names: new Map(),
+            parent: new Map(),
+            edges: [],
+            terminals: new Set([terminals.positive, terminals.negative]),
+            nextEquivalent: 1,
+            warnings: []
+        };
+
+        let unnamed = 0;
+        const placed = [];
+        nodeAnalysis.nodes.forEach(node => {
+            const name = node.isGround ? 'GND' : ((node.netNames && node.netNames[0]) || `N${++unnamed}`);
+
+            // Los nodos unidos por etiquetas de red caen en su posición promedio: se separan si se solapan
+            const position = { x: node.x, y: node.y };
+            while (placed.some(other => Math.hypot(other.x - position.x, other.y - position.y) < this.minimumSpacing)) {
+                position.y += this.minimumSpacing;
+            }
+            placed.push(position);
+
+            network.nodes.set(node.id, { id: node.id, ...position });
+            network.names.set(node.id, name);
+            network.parent.set(node.id, node.id);
+        });
+
+        // Los cables son conexiones, no resistencias: sus extremos se unen antes de reducir
+        nodeAnalysis.branches.forEach(branch => {
+            if (branch.type !== 'wire' || branch.id === terminals.excludedBranchId) return;
+
+            const a = this.findRoot(network, branch.startNodeId);
+            const b = this.findRoot(network, branch.endNodeId);
+            if (a !== b) this.joinNodes(network, a, b);
+        });
+
+        const shorted = [];
+        const opened = [];
+
+        nodeAnalysis.branches.forEach(branch => {
+            if (branch.type === 'wire' || branch.id === terminals.excludedBranchId) return;
+
+            const component = branch.component;
+            const label = component ? component.label : branch.id;
+            const a = this.findRoot(network, branch.startNodeId);
+            const b = this.findRoot(network, branch.endNodeId);
+
+            if (branch.type === 'resistor') {
+                const resistance = branch.impedance.real;
+                network.edges.push({ id: branch.id, label, resistance, a, b });
+            } else if (branch.type === 'voltage' || branch.type === 'inductor') {
+                network.edges.push({ id: branch.id, label, resistance: 0, a, b });
+                shorted.push(label);
+            } else {
+                opened.push(label);
+            }
+        });
+
+        if (shorted.length > 0) {
+            network.warnings.push(`Reemplazados por cortocircuitos (fuentes de voltaje apagadas, bobinas en DC): ${shorted.join(', ')}`);
+        }
+        if (opened.length > 0) {
+            network.warnings.push(`Retirados como circuito abierto: ${opened.join(', ')}`);
+        }
+
+        return network;
+    }
+
+    /**
+     * Aplica la siguiente simplificación; null si ya no queda ninguna
+     */
+    nextStep(network) {
+        return this.removeShort(network) ||
+               this.removeSelfLoop(network) ||
+               this.removeDangling(network) ||
+               this.mergeParallel(network) ||
+               this.mergeSeries(network) ||
+               this.eliminateStar(network);
+    }
+
+    /**
+     * Cortocircuito: une los dos nodos de una rama de resistencia nula
+     */
+    removeShort(network) {
+        const edge = network.edges.find(candidate => candidate.resistance < this.shortResistance && candidate.a !== candidate.b);
+        if (!edge) return null;
+
+        const { keep, drop } = this.joinNodes(network, edge.a, edge.b);
+        network.edges.splice(network.edges.indexOf(edge), 1);
+
+        return {
+            kind: 'short',
+            description: `${edge.label} es un cortocircuito: ${network.names.get(drop)} se une con ${network.names.get(keep)}`,
+            highlight: []
+        };
+    }
+
+    /**
+     * Una resistencia con ambos extremos en el mismo nodo no conduce corriente
+     */
+    removeSelfLoop(network) {
+        const edge = network.edges.find(candidate => candidate.a === candidate.b);
+        if (!edge) return null;
+
+        network.edges.splice(network.edges.indexOf(edge), 1);
+        return {
+            kind: 'self_loop',
+            description: `${edge.label} queda cortocircuitada (ambos extremos en ${network.names.get(edge.a)}) y se elimina`,
+            highlight: []
+        };
+    }
+
+    /**
+     * Una rama que termina en un nodo sin más conexiones no lleva corriente
+     */
+    removeDangling(network) {
+        for (const edge of network.edges) {
+            const loose = [edge.a, edge.b].find(node => !network.terminals.has(node) && this.getDegree(network, node) === 1);
+            if (loose) {
+                network.edges.splice(network.edges.indexOf(edge), 1);
+                network.nodes.delete(loose);
+                return {
+                    kind: 'dangling',
+                    description: `${edge.label} queda colgando en ${network.names.get(loose)} (no circula corriente) y se elimina`,
+                    highlight: []
+                };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Resistencias entre el mismo par de nodos: 1/R = Σ 1/Ri
+     */
+    mergeParallel(network) {
+        for (const edge of network.edges) {
+            const group = network.edges.filter(candidate =>
+                (candidate.a === edge.a && candidate.b === edge.b) || (candidate.a === edge.b && candidate.b === edge.a));
+            if (group.length < 2) continue;
+
+            const resistance = 1 / group.reduce((sum, member) => sum + 1 / member.resistance, 0);
+            const merged = this.replaceEdges(network, group, [{ a: edge.a, b: edge.b, resistance }]);
+
+            return {
+                kind: 'parallel',
+                description: `${group.map(member => member.label).join(' ∥ ')} en paralelo: ` +
+                             `1/(${group.map(member => `1/${this.formatResistance(member.resistance)}`).join(' + ')}) = ` +
+                             `${merged[0].label} = ${this.formatResistance(resistance)}`,
+                highlight: merged.map(member => member.id)
+            };
+        }
+        return null;
+    }
+
+    /**
+     * Nodo interno con exactamente dos resistencias: R = R1 + R2
+     */
+    mergeSeries(network) {
+        for (const node of network.nodes.keys()) {
+            if (network.terminals.has(node)) continue;
+
+            const connected = network.edges.filter(edge => edge.a === node || edge.b === node);
+            if (connected.length !== 2) continue;
+
+            const [first, second] = connected;
+            const resistance = first.resistance + second.resistance;
+            const merged = this.replaceEdges(network, connected, [{
+                a: this.otherEnd(first, node),
+                b: this.otherEnd(second, node),
+                resistance
+            }]);
+            network.nodes.delete(node);
+
+            return {
+                kind: 'series',
+                description: `${first.label} y ${second.label} en serie (nodo ${network.names.get(node)}): ` +
+                             `${this.formatResistance(first.resistance)} + ${this.formatResistance(second.resistance)} = ` +
+                             `${merged[0].label} = ${this.formatResistance(resistance)}`,
+                highlight: merged.map(member => member.id)
+            };
+        }
+        return null;
+    }
+
+    /**
+     * Sin serie ni paralelo: transformación Y-Δ (estrella-malla si el nodo tiene más de tres ramas)
+     * R_ij = R_i · R_j · Σ(1/R_k)
+     */
+    eliminateStar(network) {
+        const candidates = Array.from(network.nodes.keys())
+            .filter(node => !network.terminals.has(node))
+            .map(node => ({ node, edges: network.edges.filter(edge => edge.a === node || edge.b === node) }))
+            .filter(candidate => candidate.edges.length >= 3)
+            .sort((first, second) => first.edges.length - second.edges.length);
+        if (candidates.length === 0) return null;
+
+        const { node, edges } = candidates[0];
+        const conductanceSum = edges.reduce((sum, edge) => sum + 1 / edge.resistance, 0);
+        const replacements = [];
+
+        for (let i = 0; i < edges.length; i++) {
+            for (let j = i + 1; j < edges.length; j++) {
+                replacements.push({
+                    a: this.otherEnd(edges[i], node),
+                    b: this.otherEnd(edges[j], node),
+                    resistance: edges[i].resistance * edges[j].resistance * conductanceSum
+                });
+            }
+        }
+
+        const merged = this.replaceEdges(network, edges, replacements);
+        network.nodes.delete(node);
+        const isDelta = edges.length === 3;
+
+        return {
+            kind: isDelta ? 'y_delta' : 'star_mesh',
+            description: `${isDelta ? 'Transformación Y-Δ' : 'Transformación estrella-malla'} en ${network.names.get(node)} ` +
+                         `(${edges.map(edge => edge.label).join(', ')}): ` +
+                         merged.map(member => `${member.label} = ${this.formatResistance(member.resistance)}`).join(', '),
+            highlight: merged.map(member => member.id)
+        };
+    }
+
+    /**
+     * Sustituye un grupo de ramas por equivalentes nuevos (Req1, Req2...)
+     */
+    replaceEdges(network, removed, replacements) {
+        network.edges = network.edges.filter(edge => !removed.includes(edge));
+
+        return replacements.map(replacement => {
+            const label = `Req${network.nextEquivalent++}`;
+            const edge = { id: `reduction_${label}`, label, ...replacement };
+            network.edges.push(edge);
+            return edge;
+        });
+    }
+
+    /**
+     * Une el nodo drop en keep (las ramas de drop pasan a keep)
+     */
+    mergeNodes(network, keep, drop) {
+        network.edges.forEach(edge => {
+            if (edge.a === drop) edge.a = keep;
+            if (edge.b === drop) edge.b = keep;
+        });
+        network.parent.set(drop, keep);
+        network.nodes.delete(drop);
+    }
+
+    /**
+     * Une dos nodos; el superviviente es un terminal si alguno lo es
+     */
+    joinNodes(network, a, b) {
+        const [keep, drop] = network.terminals.has(b) && !network.terminals.has(a) ? [b, a] : [a, b];
+
+        if (network.terminals.has(keep) && network.terminals.has(drop)) {
+            network.terminals.delete(drop);
+        }
+        this.mergeNodes(network, keep, drop);
+        return { keep, drop };
+    }
+
+    /**
+     * Nodo en el que terminó un nodo original tras las uniones por cortocircuito
+     */
+    findRoot(network, node) {
+        let current = node;
+        while (network.parent.get(current) !== current) {
+            current = network.parent.get(current);
+        }
+        return current;
+    }
+
+    /**
+     * Número de ramas conectadas a un nodo
+     */
+    getDegree(network, node) {
+        return network.edges.reduce((count, edge) => count + (edge.a === node) + (edge.b === node), 0);
+    }
+
+    /**
+     * Extremo opuesto de una rama
+     */
+    otherEnd(edge, node) {
+        return edge.a === node ? edge.b : edge.a;
+    }
+
+    /**
+     * Copia del estado de la red para recorrerla paso a paso
+     */
+    createSnapshot(network, kind, description, highlight) {
+        return {
+            kind: kind,
+            description: description,
+            highlight: highlight,
+            nodes: Array.from(network.nodes.values()).map(node => ({
+                ...node,
+                name: network.names.get(node.id),
+                isTerminal: network.terminals.has(node.id)
+            })),
+            edges: network.edges.map(edge => ({ ...edge }))
+        };
+    }
+
+    /**
+     * Resistencia con prefijo SI
+     */
+    formatResistance(resistance) {
+        if (!isFinite(resistance)) return '∞ Ω';
+        const magnitude = Math.abs(resistance);
+        if (magnitude >= 1e6) return `${parseFloat((resistance / 1e6).toPrecision(4))} MΩ`;
+        if (magnitude >= 1e3) return `${parseFloat((resistance / 1e3).toPrecision(4))} kΩ`;
+        return `${parseFloat(resistance.toPrecision(4))} Ω`;
+    }
+}
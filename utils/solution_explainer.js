@@ -0,0 +1,290 @@
+/**
+ * Explicación paso a paso de la solución DC
+ * Nodos, ecuaciones de Kirchhoff simbólicas, sistema MNA, eliminación gaussiana y corrientes de rama
+ */
+class SolutionExplainer {
+    constructor(nonlinearSolver, equationSolver) {
+        this.nonlinearSolver = nonlinearSolver || new NonlinearSolver();
+        this.equationSolver = equationSolver || this.nonlinearSolver.equationSolver;
+
+        this.maxSnapshotSize = 8; // Hasta este tamaño se muestra la matriz tras cada columna
+        this.debugMode = false;
+    }
+
+    /**
+     * Genera los pasos de la solución del punto de operación DC
+     */
+    explain(nodeAnalysis) {
+        const system = this.nonlinearSolver.createSystem(nodeAnalysis);
+        const isNonlinear = this.nonlinearSolver.hasNonlinearElements(system);
+        const warnings = [];
+
+        // Los dispositivos no lineales se explican con su modelo linealizado en la solución
+        let stamps;
+        if (isNonlinear) {
+            const point = this.nonlinearSolver.solveOperatingPoint(system);
+            if (!point.isValid) {
+                return { isValid: false, error: point.error };
+            }
+            stamps = point.stamps;
+            warnings.push(`Circuito no lineal: se muestra la última linealización de Newton-Raphson (${point.convergence.iterations} iteraciones)`);
+        } else {
+            stamps = system.elements.map(element => this.nonlinearSolver.getElementStamp(element, 0));
+        }
+
+        const names = this.createNames(system, nodeAnalysis);
+        const { A, b, rows } = this.nonlinearSolver.assembleLinear(system, stamps, 0);
+        const unknowns = [...names.nodeSymbols];
+        const equations = names.nodeNames.map(name => `LCK ${name}`);
+        system.elements.forEach((element, index) => {
+            if (rows[index] !== null) {
+                unknowns[rows[index]] = `I_${names.labels[index]}`;
+                equations[rows[index]] = `Rama ${names.labels[index]}`;
+            }
+        });
+
+        const trace = {};
+        const solution = this.equationSolver.gaussianElimination(A, b, trace);
+        if (!solution.isValid) {
+            return {
+                isValid: false,
+                error: `${solution.error}. Revise que ningún nodo quede flotante ni haya lazos de fuentes de voltaje`
+            };
+        }
+
+        console.log(`📝 Solución paso a paso: ${unknowns.length} incógnitas`);
+
+        return {
+            isValid: true,
+            analysisType: 'step_by_step',
+            timestamp: new Date(),
+            steps: [
+                this.describeNodes(system, nodeAnalysis, names),
+                this.describeKirchhoff(system, stamps, names),
+                {
+                    type: 'matrix',
+                    title: 'Sistema matricial A·x = b',
+                    unknowns: unknowns,
+                    equations: equations,
+                    matrix: A,
+                    rightHandSide: b
+                },
+                {
+                    type: 'elimination',
+                    title: 'Eliminación gaussiana con pivoteo parcial',
+                    unknowns: unknowns,
+                    showSnapshots: unknowns.length <= this.maxSnapshotSize,
+                    steps: trace.elimination
+                },
+                {
+                    type: 'substitution',
+                    title: 'Sustitución hacia atrás',
+                    lines: trace.substitution.map(step => this.describeSubstitution(step, unknowns))
+                },
+                this.describeBranchCurrents(system, stamps, names, solution.values, rows)
+            ],
+            warnings: warnings
+        };
+    }
+
+    /**
+     * Nombres de nodos (red o N1, N2...), símbolos de voltaje y etiquetas de los elementos
+     */
+    createNames(system, nodeAnalysis) {
+        let unnamed = 0;
+        const byId = new Map();
+
+        nodeAnalysis.nodes.forEach(node => {
+            const name = node.isGround ? 'GND' : ((node.netNames && node.netNames[0]) || `N${++unnamed}`);
+            byId.set(node.id, name);
+        });
+
+        const nodeNames = [];
+        system.nodeIndexMap.forEach((index, nodeId) => {
+            nodeNames[index] = byId.get(nodeId);
+        });
+
+        return {
+            byId: byId,
+            nodeNames: nodeNames,
+            nodeSymbols: nodeNames.map(name => `V_${name}`),
+            labels: system.elements.map(element => element.component ? element.component.label : element.branch.id)
+        };
+    }
+
+    /**
+     * Paso 1: nodos eléctricos, referencia y componentes conectados a cada uno
+     */
+    describeNodes(system, nodeAnalysis, names) {
+        const reference = nodeAnalysis.nodes.find(node => !system.nodeIndexMap.has(node.id));
+
+        return {
+            type: 'nodes',
+            title: 'Identificación de nodos',
+            reference: reference ? names.byId.get(reference.id) : null,
+            nodes: nodeAnalysis.nodes.map(node => ({
+                name: names.byId.get(node.id),
+                isReference: node === reference,
+                symbol: node === reference ? '0 V' : `V_${names.byId.get(node.id)}`,
+                components: system.elements
+                    .filter(element => element.branch.startNodeId === node.id || element.branch.endNodeId === node.id)
+                    .map(element => names.labels[system.elements.indexOf(element)])
+            }))
+        };
+    }
+
+    /**
+     * Paso 2: LCK en cada nodo (corrientes que salen = 0) y ecuación de cada rama con corriente incógnita
+     */
+    describeKirchhoff(system, stamps, names) {
+        const voltage = index => index === undefined ? null : names.nodeSymbols[index];
+        const difference = (from, to) => {
+            const a = voltage(from);
+            const b = voltage(to);
+            if (a && b) return `(${a} − ${b})`;
+            return a || `(−${b})`;
+        };
+
+        const definitions = [];
+        const currentTerms = system.elements.map((element, index) => {
+            const stamp = stamps[index];
+            const label = names.labels[index];
+
+            if (stamp.type === 'branch') {
+                const value = stamp.voltage !== 0 ? label : '0';
+                const drop = stamp.resistance ? ` + r_${label}·I_${label}` : '';
+                if (stamp.voltage !== 0) definitions.push(`${label} = ${this.formatNumber(stamp.voltage)} V`);
+                if (stamp.resistance) definitions.push(`r_${label} = ${this.formatNumber(stamp.resistance)} Ω`);
+                return { branch: `${difference(element.startIndex, element.endIndex)} = ${value}${drop}`, leaving: () => `I_${label}` };
+            }
+
+            if (stamp.conductance === 0 && stamp.current === 0) {
+                definitions.push(`${label}: circuito abierto en DC`);
+                return null;
+            }
+
+            // Corriente de inicio a fin: G·(V_inicio − V_fin) + I
+            let conductanceTerm = null;
+            if (stamp.conductance !== 0) {
+                if (element.kind === 'resistive') {
+                    definitions.push(`${label} = ${this.formatNumber(1 / stamp.conductance)} Ω`);
+                    conductanceTerm = (from, to) => `${difference(from, to)}/${label}`;
+                } else {
+                    definitions.push(`g_${label} = ${this.formatNumber(stamp.conductance)} S`);
+                    conductanceTerm = (from, to) => `g_${label}·${difference(from, to)}`;
+                }
+            }
+
+            const sourceName = element.kind === 'current' ? label : `i_${label}`;
+            if (stamp.current !== 0) {
+                definitions.push(`${sourceName} = ${this.formatNumber(stamp.current)} A`);
+            }
+
+            return {
+                leaving: isStart => {
+                    const from = isStart ? element.startIndex : element.endIndex;
+                    const to = isStart ? element.endIndex : element.startIndex;
+                    const parts = [];
+                    if (conductanceTerm) parts.push(conductanceTerm(from, to));
+                    if (stamp.current !== 0) parts.push(`${isStart ? '+' : '−'} ${sourceName}`);
+                    return parts.join(' ');
+                }
+            };
+        });
+
+        const nodeEquations = names.nodeNames.map((name, nodeIndex) => {
+            const terms = [];
+            system.elements.forEach((element, index) => {
+                const term = currentTerms[index];
+                if (!term || element.startIndex === element.endIndex) return;
+
+                const isStart = element.startIndex === nodeIndex;
+                if (!isStart && element.endIndex !== nodeIndex) return;
+
+                const text = stamps[index].type === 'branch' ?
+                             `${isStart ? '+' : '−'} ${term.leaving()}` :
+                             term.leaving(isStart);
+                terms.push(text);
+            });
+
+            const sum = terms.length > 0 ? terms.join(' + ').replace(/\+ ([+−])/g, '$1').replace(/^\+ /, '') : '0';
+            return { node: name, text: `${sum} = 0` };
+        });
+
+        return {
+            type: 'kirchhoff',
+            title: 'Ecuaciones de Kirchhoff',
+            nodeEquations: nodeEquations,
+            branchEquations: currentTerms
+                .map((term, index) => term && term.branch ? { element: names.labels[index], text: term.branch } : null)
+                .filter(Boolean),
+            definitions: definitions
+        };
+    }
+
+    /**
+     * Texto de una sustitución: x_i = (b_i − Σ a_ij·x_j) / a_ii
+     */
+    describeSubstitution(step, unknowns) {
+        const format = value => this.formatNumber(value);
+        const sum = step.terms.map(term => `${format(term.coefficient)}·${format(term.value)}`).join(' + ');
+        const numerator = sum ? `(${format(step.rightHandSide)} − (${sum}))` : format(step.rightHandSide);
+
+        return `${unknowns[step.index]} = ${numerator} / ${format(step.pivot)} = ${format(step.value)}`;
+    }
+
+    /**
+     * Paso final: corriente de cada rama a partir de los voltajes de nodo
+     */
+    describeBranchCurrents(system, stamps, names, x, rows) {
+        const voltageValue = index => index === undefined ? 0 : x[index];
+        const voltageSymbol = index => index === undefined ? '0' : names.nodeSymbols[index];
+        const signed = value => `${value < 0 ? '−' : '+'} ${this.formatNumber(Math.abs(value))}`;
+
+        return {
+            type: 'currents',
+            title: 'Corrientes de rama (de inicio a fin)',
+            currents: system.elements.map((element, index) => {
+                const stamp = stamps[index];
+                const label = names.labels[index];
+                const start = voltageValue(element.startIndex);
+                const end = voltageValue(element.endIndex);
+                const symbols = `(${voltageSymbol(element.startIndex)} − ${voltageSymbol(element.endIndex)})`;
+                const values = `(${this.formatNumber(start)} − ${this.formatNumber(end)})`;
+
+                if (stamp.type === 'branch') {
+                    return { element: label, text: `I_${label} = ${this.formatNumber(x[rows[index]])} A (incógnita del sistema)` };
+                }
+
+                const current = stamp.conductance * (start - end) + stamp.current;
+                let text;
+
+                if (stamp.conductance === 0) {
+                    text = stamp.current === 0 ?
+                           `I_${label} = 0 A (circuito abierto en DC)` :
+                           `I_${label} = ${element.kind === 'current' ? label : `i_${label}`} = ${this.formatNumber(current)} A`;
+                } else if (element.kind === 'resistive') {
+                    text = `I_${label} = ${symbols}/${label} = ${values}/${this.formatNumber(1 / stamp.conductance)} = ${this.formatNumber(current)} A`;
+                } else {
+                    const source = stamp.current === 0 ? '' : ` + ${element.kind === 'current' ? label : `i_${label}`}`;
+                    const sourceValue = stamp.current === 0 ? '' : ` ${signed(stamp.current)}`;
+                    text = `I_${label} = g_${label}·${symbols}${source} = ${this.formatNumber(stamp.conductance)}·${values}${sourceValue} = ${this.formatNumber(current)} A`;
+                }
+
+                return { element: label, text: text };
+            })
+        };
+    }
+
+    /**
+     * Número con 4 cifras significativas (notación científica fuera de [1e-3, 1e5))
+     */
+    formatNumber(value) {
+        if (value === 0 || !isFinite(value)) return String(value === 0 ? 0 : value);
+        const magnitude = Math.abs(value);
+        if (magnitude >= 1e-3 && magnitude < 1e5) {
+            return String(parseFloat(value.toPrecision(4)));
+        }
+        return value.toExponential(3);
+    }
+}
@@ -6,6 +6,8 @@ class CircuitAnalyzer {
     constructor() {
         this.tolerance = 1e-9;
         this.maxIterations = 1000;
+        this.maxSweepPoints = 2000;
+        this.kirchhoffTolerance = { current: 1e-9, voltage: 1e-6, relative: 1e-3 }; // A, V y fracción de la escala
         this.debugMode = false;
         
         // Instanciar módulos especializados
@@ -13,6 +15,13 @@ class CircuitAnalyzer {
         this.matrixBuilder = new CircuitMatrixBuilder();
         this.equationSolver = new EquationSolver();
         this.ohmLawHelper = new OhmLawHelper();
+        this.nonlinearSolver = new NonlinearSolver(this.matrixBuilder, this.equationSolver);
+        this.transientAnalyzer = new TransientAnalyzer(this.matrixBuilder, this.equationSolver, this.nonlinearSolver);
+        this.toleranceAnalyzer = new ToleranceAnalyzer(this.nodeAnalyzer, this.nonlinearSolver);
+        this.theveninAnalyzer = new TheveninAnalyzer(this.nodeAnalyzer, this.matrixBuilder, this.equationSolver, this.nonlinearSolver);
+        this.solutionExplainer = new SolutionExplainer(this.nonlinearSolver, this.equationSolver);
+        this.resistanceReducer = new ResistanceReducer();
+        this.electricalRulesChecker = new ElectricalRulesChecker(this.nodeAnalyzer);
         
         // Cache para optimización
         this.analysisCache = new Map();
@@ -21,11 +30,17 @@ class CircuitAnalyzer {
 
     /**
      * Método principal para analizar un circuito completo
+     * options.method: 'mna' (por defecto) o 'mesh' (corrientes de malla, solo circuitos lineales)
      */
-    async analyzeCircuit(circuit) {
+    async analyzeCircuit(circuit, options = {}) {
         try {
+            const method = options.method || 'mna';
+            if (!['mna', 'mesh'].includes(method)) {
+                return { isValid: false, error: `Método de análisis DC no soportado: ${method}` };
+            }
+
             // Generar hash del circuito para cache
-            const circuitHash = this.generateCircuitHash(circuit);
+            const circuitHash = `${this.generateCircuitHash(circuit)}:${method}`;
             
             // Verificar cache
             if (this.analysisCache.has(circuitHash)) {
@@ -47,48 +62,919 @@ class CircuitAnalyzer {
                 return { isValid: false, error: nodeAnalysis.error };
             }
 
-            // Paso 3: Determinar método de análisis óptimo
-            const analysisMethod = this.selectOptimalMethod(nodeAnalysis);
-            console.log(`⚡ Método seleccionado: ${analysisMethod}`);
+            // Punto de operación DC por MNA con signo; los dispositivos no lineales se re-linealizan
+            // en cada iteración y un circuito lineal se resuelve en la primera
+            const system = this.nonlinearSolver.createSystem(nodeAnalysis);
+            const results = method === 'mesh' ?
+                            this.solveMesh(circuit, nodeAnalysis, system) :
+                            this.solveOperatingPoint(circuit, nodeAnalysis, system);
+            if (!results.isValid) {
+                return results;
+            }
+            results.warnings.push(...(validation.warnings || []));
+
+            // Guardar en cache
+            this.analysisCache.set(circuitHash, results);
+            this.lastCircuitHash = circuitHash;
+
+            console.log('✅ Análisis completado exitosamente');
+            return results;
+
+        } catch (error) {
+            console.error('❌ Error en análisis de circuito:', error);
+            return {
+                isValid: false,
+                error: `Error interno del analizador: ${error.message}`,
+                stack: this.debugMode ? error.stack : undefined
+            };
+        }
+    }
+
+    /**
+     * Punto de operación DC por Newton-Raphson (válido también para circuitos lineales)
+     */
+    async analyzeOperatingPoint(circuit) {
+        try {
+            const validation = await this.validateCircuit(circuit);
+            if (!validation.isValid) {
+                return { isValid: false, error: validation.error, warnings: validation.warnings };
+            }
+
+            const nodeAnalysis = this.nodeAnalyzer.analyzeNodes(circuit);
+            if (!nodeAnalysis.isValid) {
+                return { isValid: false, error: nodeAnalysis.error };
+            }
+
+            const results = this.solveOperatingPoint(circuit, nodeAnalysis, this.nonlinearSolver.createSystem(nodeAnalysis));
+            if (results.isValid) {
+                results.warnings.push(...(validation.warnings || []));
+            }
+            return results;
+
+        } catch (error) {
+            console.error('❌ Error en punto de operación:', error);
+            return {
+                isValid: false,
+                error: `Error interno del analizador: ${error.message}`,
+                stack: this.debugMode ? error.stack : undefined
+            };
+        }
+    }
+
+    /**
+     * Resuelve el punto de operación y lo convierte en resultados
+     * Las fallas de convergencia se reportan en el resultado
+     */
+    solveOperatingPoint(circuit, nodeAnalysis, system) {
+        console.log('🔁 Resolviendo punto de operación por Newton-Raphson...');
+
+        const point = this.nonlinearSolver.solveOperatingPoint(system);
+        if (!point.isValid) {
+            return {
+                isValid: false,
+                error: point.error,
+                convergence: point.convergence
+            };
+        }
+
+        const results = this.processOperatingPointResults(point, circuit, nodeAnalysis);
+        if (!this.nonlinearSolver.hasNonlinearElements(system)) {
+            results.method = 'nodal_modified';
+        }
+        const validation = this.validateResults(results, circuit, nodeAnalysis);
+        results.warnings.push(...validation.warnings);
+        console.log(`✅ Punto de operación: ${point.convergence.iterations} iteraciones (${point.convergence.strategy})`);
+        return results;
+    }
+
+    /**
+     * Resuelve por corrientes de malla (Z·J = E, con supermallas) y contrasta el resultado con el MNA
+     */
+    solveMesh(circuit, nodeAnalysis, system) {
+        if (this.nonlinearSolver.hasNonlinearElements(system)) {
+            return { isValid: false, error: 'El análisis por mallas solo admite circuitos lineales: use el análisis DC (MNA) con diodos' };
+        }
+
+        console.log('🔄 Resolviendo por corrientes de malla...');
+
+        const matrices = this.matrixBuilder.buildSystemMatrices(circuit, nodeAnalysis, 'mesh');
+        if (!matrices.isValid) {
+            return { isValid: false, error: matrices.error };
+        }
+
+        const solution = this.equationSolver.solve(matrices);
+        if (!solution.isValid) {
+            return { isValid: false, error: solution.error };
+        }
+
+        // Voltaje de rama = V_inicio - V_fin, como en el punto de operación
+        const nodeIndex = new Map(nodeAnalysis.nodes.map((node, index) => [node.id, index]));
+        const point = {
+            nodeVoltages: solution.nodeVoltages,
+            branchValues: new Map(nodeAnalysis.branches.map(branch => [branch.id, {
+                voltage: solution.nodeVoltages[nodeIndex.get(branch.startNodeId)] - solution.nodeVoltages[nodeIndex.get(branch.endNodeId)],
+                current: solution.branchCurrents.get(branch.id)
+            }])),
+            convergence: null
+        };
+
+        const results = this.processOperatingPointResults(point, circuit, nodeAnalysis);
+        results.method = 'mesh';
+        results.meshAnalysis = {
+            meshCount: matrices.dimensions.meshCount,
+            meshCurrents: solution.values,
+            supermeshes: matrices.supermeshes,
+            check: this.compareWithOperatingPoint(point, nodeAnalysis, system)
+        };
+
+        const validation = this.validateResults(results, circuit, nodeAnalysis);
+        results.warnings.push(...validation.warnings);
+        if (!results.meshAnalysis.check.isValid) {
+            results.warnings.push(results.meshAnalysis.check.error ||
+                `Mallas y MNA no coinciden: ΔV ${results.meshAnalysis.check.voltageDifference.toExponential(3)} V, ΔI ${results.meshAnalysis.check.currentDifference.toExponential(3)} A`);
+        }
+
+        console.log(`✅ Mallas: ${matrices.dimensions.meshCount} mallas, ${matrices.supermeshes.length} supermallas`);
+        return results;
+    }
+
+    /**
+     * Diferencia máxima entre una solución y el punto de operación MNA
+     * Los voltajes se comparan respecto del primer nodo, por si la referencia elegida es otra
+     */
+    compareWithOperatingPoint(point, nodeAnalysis, system) {
+        const reference = this.nonlinearSolver.solveOperatingPoint(system);
+        if (!reference.isValid) {
+            return { isValid: false, error: `No se pudo contrastar con el MNA: ${reference.error}` };
+        }
+
+        const relative = voltages => voltages.map(voltage => voltage - voltages[0]);
+        const voltages = relative(point.nodeVoltages);
+        const referenceVoltages = relative(reference.nodeVoltages);
+        const currents = nodeAnalysis.branches.map(branch => [
+            point.branchValues.get(branch.id).current,
+            reference.branchValues.get(branch.id).current
+        ]);
+
+        const voltageDifference = Math.max(0, ...voltages.map((voltage, i) => Math.abs(voltage - referenceVoltages[i])));
+        const currentDifference = Math.max(0, ...currents.map(([current, expected]) => Math.abs(current - expected)));
+        const voltageScale = Math.max(0, ...referenceVoltages.map(Math.abs));
+        const currentScale = Math.max(0, ...currents.map(([, expected]) => Math.abs(expected)));
+        const tolerance = this.kirchhoffTolerance;
+
+        return {
+            isValid: voltageDifference <= tolerance.voltage + tolerance.relative * voltageScale &&
+                     currentDifference <= tolerance.current + tolerance.relative * currentScale,
+            voltageDifference: voltageDifference,
+            currentDifference: currentDifference
+        };
+    }
+
+    /**
+     * Convierte la solución (Newton-Raphson o mallas) en el formato de resultados DC
+     * Corrientes de rama en el sentido inicio → fin; potencia de fuentes positiva si entregan
+     */
+    processOperatingPointResults(point, circuit, nodeAnalysis) {
+        const results = {
+            isValid: true,
+            method: 'newton_raphson',
+            timestamp: new Date(),
+            nodeVoltages: {},
+            nodeLocations: {},
+            branchCurrents: {},
+            componentValues: {},
+            currentFlow: {},
+            voltageDrops: {},
+            powerAnalysis: {},
+            circuitType: nodeAnalysis.topology.description,
+            totalResistance: 0,
+            totalCurrent: 0,
+            totalPower: 0,
+            sourceVoltage: 0,
+            efficiency: 0,
+            convergence: point.convergence,
+            iterations: point.convergence ? point.convergence.iterations : 0,
+            warnings: []
+        };
+
+        nodeAnalysis.nodes.forEach((node, index) => {
+            results.nodeVoltages[node.id] = point.nodeVoltages[index];
+
+            const anchor = (node.points && node.points[0]) || node;
+            results.nodeLocations[node.id] = { x: anchor.x, y: anchor.y, isGround: node.isGround };
+        });
+
+        nodeAnalysis.branches.forEach(branch => {
+            const { voltage, current } = point.branchValues.get(branch.id);
+            results.branchCurrents[branch.id] = current;
+
+            if (branch.wireId) {
+                results.currentFlow[branch.wireId] = current;
+            }
+
+            const component = branch.component;
+            if (!component) return;
+
+            const power = this.getBranchPower(component, voltage, current);
+
+            results.componentValues[component.id] = {
+                current: current,
+                voltage: voltage,
+                power: power,
+                resistance: component.type === 'resistor' ? component.value : null,
+                impedance: this.getComponentImpedance(component)
+            };
+
+            component.current = current;
+            component.voltage = voltage;
+            component.power = power;
+
+            if (typeof component.setOperatingPoint === 'function') {
+                component.setOperatingPoint(voltage, current);
+            }
+        });
+
+        results.powerAnalysis = this.ohmLawHelper.calculatePowerAnalysis(results, circuit);
+        this.calculateTotalMetrics(results, circuit);
+
+        if (point.convergence && point.convergence.strategy !== 'newton') {
+            results.warnings.push(`Convergencia lograda con ${point.convergence.strategy === 'gmin_stepping' ? 'gmin stepping' : 'source stepping'}`);
+        }
+
+        return results;
+    }
+
+    /**
+     * Barrido DC de un parámetro de componente, con barrido anidado opcional
+     * options: { primary: { componentId, parameter, start, stop, step }, secondary: (igual) | null }
+     * Cada punto se resuelve por Newton-Raphson partiendo de la solución anterior
+     */
+    async dcSweep(circuit, options = {}) {
+        try {
+            const definitions = [];
+            for (const sweep of [options.primary, options.secondary].filter(Boolean)) {
+                const definition = this.createSweepDefinition(circuit, sweep);
+                if (definition.error) {
+                    return { isValid: false, error: definition.error };
+                }
+                definitions.push(definition);
+            }
+
+            const [primary, secondary] = definitions;
+            if (!primary) {
+                return { isValid: false, error: 'Seleccione el componente y el parámetro a barrer' };
+            }
+            if (secondary && secondary.component === primary.component && secondary.parameter === primary.parameter) {
+                return { isValid: false, error: 'El barrido anidado debe usar otro parámetro' };
+            }
+
+            const totalPoints = primary.values.length * (secondary ? secondary.values.length : 1);
+            if (totalPoints > this.maxSweepPoints) {
+                return { isValid: false, error: `Demasiados puntos (${totalPoints}); el máximo es ${this.maxSweepPoints}` };
+            }
+
+            console.log(`📈 Barrido DC: ${primary.label}.${primary.parameter} (${totalPoints} puntos)`);
+
+            const validation = await this.validateCircuit(circuit);
+            if (!validation.isValid) {
+                return { isValid: false, error: validation.error, warnings: validation.warnings };
+            }
+
+            const nodeAnalysis = this.nodeAnalyzer.analyzeNodes(circuit);
+            if (!nodeAnalysis.isValid) {
+                return { isValid: false, error: nodeAnalysis.error };
+            }
+
+            const system = this.nonlinearSolver.createSystem(nodeAnalysis);
+            const results = {
+                isValid: true,
+                analysisType: 'dc_sweep',
+                timestamp: new Date(),
+                primary: this.describeSweep(primary),
+                secondary: secondary ? this.describeSweep(secondary) : null,
+                nodeNames: {},
+                curves: [],
+                failures: [],
+                warnings: [...(validation.warnings || [])]
+            };
+
+            nodeAnalysis.nodes.forEach(node => {
+                results.nodeNames[node.id] = (node.netNames && node.netNames[0]) || node.id;
+            });
+
+            const originals = definitions.map(definition => definition.component[definition.parameter]);
+
+            try {
+                for (const outerValue of secondary ? secondary.values : [null]) {
+                    if (secondary) {
+                        this.setSweepParameter(secondary, outerValue);
+                    }
+
+                    const curve = { secondaryValue: outerValue, points: [] };
+                    let guess = null;
+
+                    for (const value of primary.values) {
+                        this.setSweepParameter(primary, value);
+                        this.refreshBranchImpedances(nodeAnalysis);
+
+                        const point = this.nonlinearSolver.solveOperatingPoint(system, { initialGuess: guess });
+                        if (!point.isValid) {
+                            results.failures.push({ value, secondaryValue: outerValue, error: point.error });
+                            continue;
+                        }
+
+                        guess = this.nonlinearSolver.getNonlinearVoltages(system, point);
+                        curve.points.push(this.collectSweepPoint(point, nodeAnalysis, value));
+                    }
+
+                    results.curves.push(curve);
+                }
+            } finally {
+                // Restaurar los valores originales del circuito
+                definitions.forEach((definition, index) => this.setSweepParameter(definition, originals[index]));
+            }
+
+            if (results.failures.length > 0) {
+                results.warnings.push(`${results.failures.length} puntos sin convergencia fueron omitidos`);
+            }
+
+            console.log('✅ Barrido DC completado');
+            return results;
+
+        } catch (error) {
+            console.error('❌ Error en barrido DC:', error);
+            return {
+                isValid: false,
+                error: `Error en barrido DC: ${error.message}`,
+                stack: this.debugMode ? error.stack : undefined
+            };
+        }
+    }
+
+    /**
+     * Valida un barrido y genera sus valores (extremos incluidos)
+     */
+    createSweepDefinition(circuit, sweep) {
+        const component = circuit.getComponentById(sweep.componentId);
+        if (!component) {
+            return { error: 'No se encontró el componente a barrer' };
+        }
+
+        const parameter = sweep.parameter || 'value';
+        if (typeof component[parameter] !== 'number') {
+            return { error: `${component.label} no tiene el parámetro numérico "${parameter}"` };
+        }
+
+        const start = Number(sweep.start);
+        const stop = Number(sweep.stop);
+        const step = Number(sweep.step);
+        if (!isFinite(start) || !isFinite(stop) || !isFinite(step) || step === 0) {
+            return { error: 'El barrido requiere inicio, fin y un paso distinto de cero' };
+        }
+        if ((stop - start) / step < 0) {
+            return { error: 'El signo del paso no lleva del inicio al fin' };
+        }
+
+        const count = Math.floor((stop - start) / step + 1e-9) + 1;
+        if (count > this.maxSweepPoints) {
+            return { error: `Demasiados puntos (${count}); el máximo es ${this.maxSweepPoints}` };
+        }
 
-            // Paso 4: Construir matrices del sistema
-            const matrices = this.matrixBuilder.buildSystemMatrices(circuit, nodeAnalysis, analysisMethod);
-            if (!matrices.isValid) {
-                return { isValid: false, error: matrices.error };
+        const values = Array.from({ length: count }, (_, i) => start + i * step);
+        if (Math.abs(values[count - 1] - stop) > Math.abs(step) * 1e-9) {
+            values.push(stop);
+        }
+
+        return { component, parameter, label: component.label, values };
+    }
+
+    /**
+     * Descripción serializable de un barrido
+     */
+    describeSweep(definition) {
+        return {
+            componentId: definition.component.id,
+            label: definition.label,
+            parameter: definition.parameter,
+            unit: definition.parameter === 'value' ? definition.component.unit : '',
+            values: definition.values
+        };
+    }
+
+    /**
+     * Asigna el parámetro barrido sin disparar eventos de edición del circuito
+     */
+    setSweepParameter(definition, value) {
+        const component = definition.component;
+        component[definition.parameter] = value;
+        if (typeof component.calculateImpedance === 'function') {
+            component.impedance = component.calculateImpedance();
+        }
+    }
+
+    /**
+     * Recalcula las impedancias DC de las ramas tras cambiar un parámetro
+     */
+    refreshBranchImpedances(nodeAnalysis) {
+        nodeAnalysis.branches.forEach(branch => {
+            if (branch.component) {
+                branch.impedance = this.nodeAnalyzer.getComponentImpedance(branch.component, 0);
+            }
+        });
+    }
+
+    /**
+     * Valores de un punto del barrido: voltajes de nodo y V, I, P de cada componente
+     */
+    collectSweepPoint(point, nodeAnalysis, value) {
+        const sweepPoint = {
+            value: value,
+            nodeVoltages: {},
+            componentValues: {},
+            iterations: point.convergence.iterations,
+            strategy: point.convergence.strategy
+        };
+
+        nodeAnalysis.nodes.forEach((node, index) => {
+            sweepPoint.nodeVoltages[node.id] = point.nodeVoltages[index];
+        });
+
+        nodeAnalysis.branches.forEach(branch => {
+            if (!branch.component) return;
+            const { voltage, current } = point.branchValues.get(branch.id);
+            sweepPoint.componentValues[branch.component.id] = {
+                voltage: voltage,
+                current: current,
+                power: this.getBranchPower(branch.component, voltage, current)
+            };
+        });
+
+        return sweepPoint;
+    }
+
+    /**
+     * Potencia de un componente: entregada si es fuente, absorbida en otro caso
+     */
+    getBranchPower(component, voltage, current) {
+        const isSource = component.type === 'voltage' || component.type === 'current';
+        return isSource ? -voltage * current : voltage * current;
+    }
+
+    /**
+     * Análisis de Monte Carlo de tolerancias sobre el punto de operación DC
+     * measurements: [{ type: 'node' | 'current', target (red, id de nodo, id o etiqueta de componente), min, max }]
+     * options: { runs, distribution: 'uniform' | 'gaussian', bins, seed }
+     */
+    async monteCarloAnalysis(circuit, measurements = [], options = {}) {
+        try {
+            const validation = await this.validateCircuit(circuit);
+            if (!validation.isValid) {
+                return { isValid: false, error: validation.error, warnings: validation.warnings };
+            }
+
+            const nodeAnalysis = this.nodeAnalyzer.analyzeNodes(circuit);
+            if (!nodeAnalysis.isValid) {
+                return { isValid: false, error: nodeAnalysis.error };
+            }
+
+            const resolved = this.resolveMeasurements(circuit, nodeAnalysis, measurements);
+            if (resolved.error) {
+                return { isValid: false, error: resolved.error };
+            }
+
+            const results = this.toleranceAnalyzer.monteCarlo(circuit, nodeAnalysis, resolved.measurements, options);
+            if (results.isValid) {
+                results.warnings.push(...(validation.warnings || []));
+            }
+            return results;
+
+        } catch (error) {
+            console.error('❌ Error en análisis de Monte Carlo:', error);
+            return {
+                isValid: false,
+                error: `Error en análisis de Monte Carlo: ${error.message}`,
+                stack: this.debugMode ? error.stack : undefined
+            };
+        }
+    }
+
+    /**
+     * Sensibilidades (absolutas y normalizadas) de las mediciones respecto de cada componente
+     * y peor caso en las esquinas de tolerancia
+     * measurements: [{ type: 'node' | 'current', target, min, max }]
+     * options: { relativeStep }
+     */
+    async sensitivityAnalysis(circuit, measurements = [], options = {}) {
+        try {
+            const validation = await this.validateCircuit(circuit);
+            if (!validation.isValid) {
+                return { isValid: false, error: validation.error, warnings: validation.warnings };
+            }
+
+            const nodeAnalysis = this.nodeAnalyzer.analyzeNodes(circuit);
+            if (!nodeAnalysis.isValid) {
+                return { isValid: false, error: nodeAnalysis.error };
+            }
+
+            const resolved = this.resolveMeasurements(circuit, nodeAnalysis, measurements);
+            if (resolved.error) {
+                return { isValid: false, error: resolved.error };
+            }
+
+            const results = this.toleranceAnalyzer.sensitivity(circuit, nodeAnalysis, resolved.measurements, options);
+            if (results.isValid) {
+                results.warnings.push(...(validation.warnings || []));
+            }
+            return results;
+
+        } catch (error) {
+            console.error('❌ Error en análisis de sensibilidad:', error);
+            return {
+                isValid: false,
+                error: `Error en análisis de sensibilidad: ${error.message}`,
+                stack: this.debugMode ? error.stack : undefined
+            };
+        }
+    }
+
+    /**
+     * Solución DC explicada paso a paso (nodos, LCK, matriz, eliminación y corrientes)
+     */
+    async explainSolution(circuit) {
+        try {
+            const validation = await this.validateCircuit(circuit);
+            if (!validation.isValid) {
+                return { isValid: false, error: validation.error, warnings: validation.warnings };
+            }
+
+            const nodeAnalysis = this.nodeAnalyzer.analyzeNodes(circuit);
+            if (!nodeAnalysis.isValid) {
+                return { isValid: false, error: nodeAnalysis.error };
+            }
+
+            const results = this.solutionExplainer.explain(nodeAnalysis);
+            if (results.isValid) {
+                results.warnings.push(...(validation.warnings || []));
+            }
+            return results;
+
+        } catch (error) {
+            console.error('❌ Error generando la solución paso a paso:', error);
+            return {
+                isValid: false,
+                error: `Error generando la solución paso a paso: ${error.message}`,
+                stack: this.debugMode ? error.stack : undefined
+            };
+        }
+    }
+
+    /**
+     * Equivalentes de Thévenin y Norton entre dos nodos o en los terminales de un componente retirado
+     * options: { positive, negative (red o id de nodo, GND por defecto), componentId, frequency (0 = DC) }
+     */
+    async theveninEquivalent(circuit, options = {}) {
+        try {
+            const validation = await this.validateCircuit(circuit);
+            if (!validation.isValid) {
+                return { isValid: false, error: validation.error, warnings: validation.warnings };
+            }
+
+            const nodeAnalysis = this.nodeAnalyzer.analyzeNodes(circuit);
+            if (!nodeAnalysis.isValid) {
+                return { isValid: false, error: nodeAnalysis.error };
+            }
+
+            let terminals;
+            let load = null;
+
+            if (options.componentId) {
+                load = circuit.getComponentById(options.componentId);
+                const branch = load ? nodeAnalysis.branches.find(candidate => candidate.componentId === load.id) : null;
+                if (!branch) {
+                    return { isValid: false, error: 'El componente elegido no forma parte de ninguna rama del circuito' };
+                }
+                terminals = { positive: branch.startNodeId, negative: branch.endNodeId, removedBranchId: branch.id };
+            } else {
+                const negativeProbe = options.negative || 'GND';
+                terminals = {
+                    positive: this.resolveProbe(nodeAnalysis, options.positive),
+                    negative: this.resolveProbe(nodeAnalysis, negativeProbe)
+                };
+                if (!terminals.positive) {
+                    return { isValid: false, error: `No se encontró el nodo "${options.positive || ''}"` };
+                }
+                if (!terminals.negative) {
+                    return { isValid: false, error: `No se encontró el nodo "${negativeProbe}"` };
+                }
+            }
+
+            const results = this.theveninAnalyzer.extract(circuit, nodeAnalysis, terminals, options);
+            if (!results.isValid) {
+                return results;
+            }
+
+            results.removedComponent = load ? { id: load.id, label: load.label } : null;
+            results.equivalentCircuit = this.theveninAnalyzer.buildEquivalentCircuit(results, load);
+            results.warnings.push(...(validation.warnings || []));
+            return results;
+
+        } catch (error) {
+            console.error('❌ Error calculando el equivalente de Thévenin:', error);
+            return {
+                isValid: false,
+                error: `Error calculando el equivalente de Thévenin: ${error.message}`,
+                stack: this.debugMode ? error.stack : undefined
+            };
+        }
+    }
+
+    /**
+     * Resistencia equivalente por reducción serie/paralelo y Y-Δ, con una instantánea por paso
+     * options: { positive, negative (red o id de nodo, GND por defecto) }; sin positive se usa
+     * la resistencia que ve la primera fuente
+     */
+    async reduceResistance(circuit, options = {}) {
+        try {
+            const nodeAnalysis = this.nodeAnalyzer.analyzeNodes(circuit);
+            if (!nodeAnalysis.isValid) {
+                return { isValid: false, error: nodeAnalysis.error };
+            }
+
+            let terminals;
+
+            if (options.positive) {
+                const negativeProbe = options.negative || 'GND';
+                terminals = {
+                    positive: this.resolveProbe(nodeAnalysis, options.positive),
+                    negative: this.resolveProbe(nodeAnalysis, negativeProbe)
+                };
+                if (!terminals.positive) {
+                    return { isValid: false, error: `No se encontró el nodo "${options.positive}"` };
+                }
+                if (!terminals.negative) {
+                    return { isValid: false, error: `No se encontró el nodo "${negativeProbe}"` };
+                }
+            } else {
+                const source = this.findDrivingSource(nodeAnalysis);
+                if (!source) {
+                    return { isValid: false, error: 'Indique los terminales: el circuito no tiene fuentes' };
+                }
+                terminals = { positive: source.startNodeId, negative: source.endNodeId, excludedBranchId: source.id };
+            }
+
+            return this.resistanceReducer.reduce(nodeAnalysis, terminals);
+
+        } catch (error) {
+            console.error('❌ Error reduciendo la red resistiva:', error);
+            return {
+                isValid: false,
+                error: `Error reduciendo la red resistiva: ${error.message}`,
+                stack: this.debugMode ? error.stack : undefined
+            };
+        }
+    }
+
+    /**
+     * Verificación de reglas eléctricas: hallazgos con los componentes implicados
+     */
+    async checkElectricalRules(circuit) {
+        try {
+            if (!circuit || !circuit.components || !circuit.wires) {
+                return { isValid: false, error: 'Estructura de circuito inválida', findings: [] };
+            }
+
+            return this.electricalRulesChecker.check(circuit);
+
+        } catch (error) {
+            console.error('❌ Error verificando las reglas eléctricas:', error);
+            return {
+                isValid: false,
+                error: `Error verificando las reglas eléctricas: ${error.message}`,
+                findings: [],
+                stack: this.debugMode ? error.stack : undefined
+            };
+        }
+    }
+
+    /**
+     * Resuelve los objetivos de las mediciones a nodos y componentes del análisis
+     */
+    resolveMeasurements(circuit, nodeAnalysis, measurements) {
+        const resolved = [];
+
+        for (const measurement of measurements) {
+            if (measurement.type === 'node') {
+                const nodeId = this.resolveProbe(nodeAnalysis, measurement.target);
+                if (!nodeId) {
+                    return { error: `No se encontró el nodo "${measurement.target}"` };
+                }
+                resolved.push({ ...measurement, nodeId, label: `V(${measurement.target})`, unit: 'V' });
+            } else {
+                const target = String(measurement.target || '').trim().toLowerCase();
+                const component = circuit.getComponentById(measurement.target) ||
+                                  circuit.components.find(candidate => String(candidate.label).toLowerCase() === target);
+                if (!component || !nodeAnalysis.branches.some(branch => branch.componentId === component.id)) {
+                    return { error: `No se encontró el componente "${measurement.target}"` };
+                }
+                resolved.push({ ...measurement, type: 'current', componentId: component.id, label: `I(${component.label})`, unit: 'A' });
+            }
+        }
+
+        return { measurements: resolved };
+    }
+
+    /**
+     * Análisis AC en estado estacionario (MNA fasorial) a una frecuencia
+     */
+    async analyzeAC(circuit, frequency) {
+        try {
+            if (!(frequency > 0)) {
+                return { isValid: false, error: 'La frecuencia de análisis debe ser mayor que cero' };
+            }
+
+            console.log(`🌊 Iniciando análisis AC a ${frequency} Hz...`);
+
+            const validation = await this.validateCircuit(circuit);
+            if (!validation.isValid) {
+                return { isValid: false, error: validation.error, warnings: validation.warnings };
+            }
+
+            const nodeAnalysis = this.nodeAnalyzer.analyzeNodes(circuit);
+            if (!nodeAnalysis.isValid) {
+                return { isValid: false, error: nodeAnalysis.error };
+            }
+
+            const results = this.solveACPoint(circuit, nodeAnalysis, frequency);
+            if (!results.isValid) {
+                return results;
+            }
+
+            results.warnings.push(...(validation.warnings || []));
+
+            console.log('✅ Análisis AC completado exitosamente');
+            return results;
+
+        } catch (error) {
+            console.error('❌ Error en análisis AC:', error);
+            return {
+                isValid: false,
+                error: `Error interno del analizador AC: ${error.message}`,
+                stack: this.debugMode ? error.stack : undefined
+            };
+        }
+    }
+
+    /**
+     * Resuelve el sistema fasorial a una frecuencia sobre un análisis de nodos ya hecho
+     * options: { sweep } (en un barrido las fuentes actúan como estímulo)
+     */
+    solveACPoint(circuit, nodeAnalysis, frequency, options = {}) {
+        // Impedancias complejas a la frecuencia de análisis
+        nodeAnalysis.branches.forEach(branch => {
+            if (branch.component) {
+                branch.impedance = this.nodeAnalyzer.getComponentImpedance(branch.component, frequency);
+            }
+        });
+
+        const matrices = this.matrixBuilder.buildACMatrices(circuit, nodeAnalysis, frequency, options);
+        if (!matrices.isValid) {
+            return { isValid: false, error: matrices.error };
+        }
+
+        const solution = this.equationSolver.solveComplex(matrices);
+        if (!solution.isValid) {
+            return { isValid: false, error: solution.error };
+        }
+
+        return this.processACResults(solution, nodeAnalysis, matrices);
+    }
+
+    /**
+     * Análisis transitorio en el dominio del tiempo
+     * options: { stopTime (s), timeStep (s), method, useInitialConditions }
+     */
+    async analyzeTransient(circuit, options = {}) {
+        try {
+            console.log('⏱️ Iniciando análisis transitorio...');
+
+            const validation = await this.validateCircuit(circuit);
+            if (!validation.isValid) {
+                return { isValid: false, error: validation.error, warnings: validation.warnings };
             }
 
-            // Paso 5: Resolver sistema de ecuaciones
-            const solution = this.equationSolver.solve(matrices);
-            if (!solution.isValid) {
-                return { isValid: false, error: solution.error };
+            const nodeAnalysis = this.nodeAnalyzer.analyzeNodes(circuit);
+            if (!nodeAnalysis.isValid) {
+                return { isValid: false, error: nodeAnalysis.error };
             }
 
-            // Paso 6: Procesar y calcular valores finales
-            const results = this.processResults(solution, circuit, nodeAnalysis, analysisMethod);
-
-            // Paso 7: Validar resultados físicos
-            const validation2 = this.validateResults(results, circuit);
-            if (!validation2.isValid) {
-                results.warnings = [...(results.warnings || []), ...validation2.warnings];
+            const results = this.transientAnalyzer.simulate(nodeAnalysis, options);
+            if (results.isValid) {
+                results.warnings.push(...(validation.warnings || []));
             }
 
-            // Guardar en cache
-            this.analysisCache.set(circuitHash, results);
-            this.lastCircuitHash = circuitHash;
-
-            console.log('✅ Análisis completado exitosamente');
             return results;
 
         } catch (error) {
-            console.error('❌ Error en análisis de circuito:', error);
+            console.error('❌ Error en análisis transitorio:', error);
             return {
                 isValid: false,
-                error: `Error interno del analizador: ${error.message}`,
+                error: `Error interno del analizador transitorio: ${error.message}`,
                 stack: this.debugMode ? error.stack : undefined
             };
         }
     }
 
+    /**
+     * Convierte la solución fasorial en voltajes, corrientes y potencias por nodo y rama
+     * Corrientes de rama en el sentido inicio → fin; amplitudes pico
+     */
+    processACResults(solution, nodeAnalysis, matrices) {
+        const x = solution.values;
+        const results = {
+            isValid: true,
+            analysisType: 'ac',
+            method: 'mna_ac',
+            frequency: matrices.frequency,
+            omega: matrices.omega,
+            timestamp: new Date(),
+            nodeVoltages: {},
+            nodePhasors: {},
+            nodeLocations: {},
+            nodeNames: {},
+            branchCurrents: {},
+            branchPhasors: {},
+            componentValues: {},
+            currentFlow: {},
+            solverMethod: solution.solverMethod,
+            residual: solution.residual,
+            warnings: [...matrices.warnings, ...solution.warnings]
+        };
+
+        const nodePhasor = nodeId => {
+            const index = matrices.nodeIndexMap.get(nodeId);
+            return index === undefined ? Complex.create() : x[index];
+        };
+
+        nodeAnalysis.nodes.forEach(node => {
+            const phasor = Complex.toPhasor(nodePhasor(node.id));
+            const anchor = (node.points && node.points[0]) || node;
+
+            results.nodePhasors[node.id] = phasor;
+            results.nodeVoltages[node.id] = phasor.magnitude;
+            results.nodeLocations[node.id] = { x: anchor.x, y: anchor.y, isGround: node.isGround };
+            results.nodeNames[node.id] = (node.netNames && node.netNames[0]) || node.id;
+        });
+
+        nodeAnalysis.branches.forEach(branch => {
+            const voltage = Complex.subtract(nodePhasor(branch.startNodeId), nodePhasor(branch.endNodeId));
+            let current;
+
+            if (matrices.branchCurrentIndex.has(branch.id)) {
+                current = x[matrices.branchCurrentIndex.get(branch.id)];
+            } else {
+                const admittance = matrices.branchAdmittances.get(branch.id);
+                current = Complex.multiply(admittance, voltage);
+
+                const source = matrices.sourcePhasors.get(branch.id);
+                if (branch.type === 'current') {
+                    current = Complex.add(current, source);
+                } else if (branch.type === 'voltage') {
+                    current = Complex.subtract(current, Complex.multiply(admittance, source));
+                }
+            }
+
+            // Potencia compleja con amplitudes pico: S = ½·V·I*
+            const power = Complex.scale(Complex.multiply(voltage, Complex.conjugate(current)), 0.5);
+            const voltagePhasor = Complex.toPhasor(voltage);
+            const currentPhasor = Complex.toPhasor(current);
+            const apparentPower = Complex.magnitude(power);
+
+            results.branchPhasors[branch.id] = { voltage: voltagePhasor, current: currentPhasor };
+            results.branchCurrents[branch.id] = currentPhasor.magnitude;
+
+            if (branch.componentId) {
+                results.componentValues[branch.componentId] = {
+                    current: currentPhasor.magnitude,
+                    voltage: voltagePhasor.magnitude,
+                    power: power.real,
+                    currentPhasor: currentPhasor,
+                    voltagePhasor: voltagePhasor,
+                    impedance: branch.impedance,
+                    activePower: power.real,
+                    reactivePower: power.imaginary,
+                    apparentPower: apparentPower,
+                    powerFactor: apparentPower > 0 ? Math.abs(power.real) / apparentPower : 1
+                };
+            }
+
+            if (branch.wireId) {
+                results.currentFlow[branch.wireId] = currentPhasor.magnitude;
+            }
+        });
+
+        return results;
+    }
+
     /**
      * Valida la estructura básica del circuito
      */
@@ -102,6 +988,12 @@ class CircuitAnalyzer {
             return { isValid: false, error: errors.join('; ') };
         }
 
+        // Reglas eléctricas antes de resolver: lazos de fuentes, cortes, nodos flotantes...
+        const erc = this.electricalRulesChecker.check(circuit);
+        erc.findings.forEach(finding => {
+            (finding.severity === 'error' ? errors : warnings).push(finding.message);
+        });
+
         if (circuit.components.length === 0) {
             errors.push('El circuito no contiene componentes');
         }
@@ -110,7 +1002,8 @@ class CircuitAnalyzer {
         const voltageSources = circuit.components.filter(c => c.type === 'voltage');
         const currentSources = circuit.components.filter(c => c.type === 'current');
         const resistors = circuit.components.filter(c => c.type === 'resistor');
-        const grounds = circuit.components.filter(c => c.type === 'ground');
+        const grounds = circuit.components.filter(c => this.nodeAnalyzer.isReferenceComponent(c));
+        const referenceNets = new Set(grounds.map(g => g.netName || 'GND'));
 
         if (voltageSources.length === 0 && currentSources.length === 0) {
             errors.push('El circuito debe tener al menos una fuente de voltaje o corriente');
@@ -120,12 +1013,9 @@ class CircuitAnalyzer {
             warnings.push('Circuito sin resistencias: puede tener comportamiento inestable');
         }
 
-        if (grounds.length === 0) {
-            warnings.push('No se encontró referencia a tierra: se asignará automáticamente');
-        }
-
-        if (grounds.length > 1) {
-            warnings.push('Múltiples referencias a tierra detectadas');
+        // Todas las tierras forman un único nodo de referencia, aunque sus redes se llamen distinto
+        if (referenceNets.size > 1) {
+            warnings.push(`Referencias con distinto nombre de red unidas en un solo nodo de 0 V: ${Array.from(referenceNets).join(', ')}`);
         }
 
         // Validar valores de componentes
@@ -147,6 +1037,7 @@ class CircuitAnalyzer {
             isValid: errors.length === 0,
             error: errors.join('; '),
             warnings: warnings.filter(w => w && w.length > 0),
+            findings: erc.findings,
             componentCounts: {
                 voltageSources: voltageSources.length,
                 currentSources: currentSources.length,
@@ -215,145 +1106,10 @@ class CircuitAnalyzer {
         };
     }
 
-    /**
-     * Selecciona el método de análisis más eficiente
-     */
-    selectOptimalMethod(nodeAnalysis) {
-        const nodeCount = nodeAnalysis.nodeCount;
-        const branchCount = nodeAnalysis.branchCount;
-        const voltageSourceCount = nodeAnalysis.voltageSourceCount;
-        const currentSourceCount = nodeAnalysis.currentSourceCount;
-
-        // Detectar configuraciones especiales
-        if (nodeAnalysis.topology.isSeriesCircuit) {
-            return 'series';
-        }
-
-        if (nodeAnalysis.topology.isParallelCircuit) {
-            return 'parallel';
-        }
-
-        if (nodeAnalysis.topology.isLadderCircuit) {
-            return 'ladder';
-        }
-
-        // Para circuitos generales, elegir entre nodal y mallas
-        const nodalEquations = nodeCount - 1; // Excluyendo ground
-        const meshEquations = branchCount - nodeCount + 1; // Número de mallas independientes
-
-        // Considerar fuentes de voltaje (complican análisis nodal)
-        const adjustedNodalComplexity = nodalEquations + voltageSourceCount * 2;
-        const adjustedMeshComplexity = meshEquations + currentSourceCount * 2;
-
-        if (adjustedNodalComplexity <= adjustedMeshComplexity) {
-            return voltageSourceCount > 0 ? 'nodal_modified' : 'nodal';
-        } else {
-            return currentSourceCount > 0 ? 'mesh_modified' : 'mesh';
-        }
-    }
-
-    /**
-     * Procesa los resultados de la solución
-     */
-    processResults(solution, circuit, nodeAnalysis, method) {
-        console.log('🔄 Procesando resultados de la simulación...');
-
-        const results = {
-            isValid: true,
-            method: method,
-            timestamp: new Date(),
-            nodeVoltages: {},
-            branchCurrents: {},
-            componentValues: {},
-            currentFlow: {},
-            voltageDrops: {},
-            powerAnalysis: {},
-            circuitType: nodeAnalysis.topology.description,
-            totalResistance: 0,
-            totalCurrent: 0,
-            totalPower: 0,
-            sourceVoltage: 0,
-            efficiency: 0,
-            warnings: []
-        };
-
-        // Procesar voltajes de nodo
-        if (solution.nodeVoltages) {
-            nodeAnalysis.nodes.forEach((node, index) => {
-                results.nodeVoltages[node.id] = solution.nodeVoltages[index] || 0;
-            });
-        }
-
-        // Procesar corrientes de rama
-        if (solution.branchCurrents) {
-            nodeAnalysis.branches.forEach((branch, index) => {
-                const current = solution.branchCurrents[index] || 0;
-                results.branchCurrents[branch.id] = current;
-
-                // Asignar corrientes a componentes y cables
-                if (branch.componentId) {
-                    this.assignCurrentToComponent(branch.componentId, current, circuit, results);
-                }
-
-                if (branch.wireId) {
-                    results.currentFlow[branch.wireId] = current;
-                }
-            });
-        }
-
-        // Calcular potencias usando OhmLawHelper
-        results.powerAnalysis = this.ohmLawHelper.calculatePowerAnalysis(results, circuit);
-
-        // Calcular métricas totales
-        this.calculateTotalMetrics(results, circuit);
-
-        // Validar balance de potencia
-        const powerBalance = this.ohmLawHelper.validatePowerBalance(results.powerAnalysis);
-        if (Math.abs(powerBalance.error) > 0.01) {
-            results.warnings.push(`Desbalance de potencia: ${powerBalance.error.toFixed(3)}W`);
-        }
-
-        return results;
-    }
-
-    /**
-     * Asigna corriente calculada a un componente
-     */
-    assignCurrentToComponent(componentId, current, circuit, results) {
-        const component = circuit.components.find(c => c.id === componentId);
-        if (!component) return;
-
-        // Calcular voltaje usando ley de Ohm
-        const voltage = this.ohmLawHelper.calculateVoltage(component, current);
-        const power = this.ohmLawHelper.calculatePower(voltage, current);
-
-        results.componentValues[componentId] = {
-            current: current,
-            voltage: voltage,
-            power: power,
-            resistance: component.type === 'resistor' ? component.value : null,
-            impedance: this.getComponentImpedance(component)
-        };
-
-        // Actualizar propiedades del componente para visualización
-        component.current = current;
-        component.voltage = voltage;
-        component.power = power;
-    }
-
     /**
      * Calcula métricas totales del circuito
      */
     calculateTotalMetrics(results, circuit) {
-        // Resistencia total equivalente
-        const resistors = circuit.components.filter(c => c.type === 'resistor');
-        if (resistors.length > 0 && results.method === 'series') {
-            results.totalResistance = resistors.reduce((sum, r) => sum + r.value, 0);
-        } else if (resistors.length > 0 && results.method === 'parallel') {
-            const totalAdmittance = resistors.reduce((sum, r) => sum + (1 / r.value), 0);
-            results.totalResistance = totalAdmittance > 0 ? 1 / totalAdmittance : Infinity;
-        }
-
         // Corriente y voltaje total
         const voltageSources = circuit.components.filter(c => c.type === 'voltage');
         if (voltageSources.length > 0) {
@@ -365,6 +1121,11 @@ class CircuitAnalyzer {
             if (sourceValues) {
                 results.totalCurrent = Math.abs(sourceValues.current);
             }
+
+            // Resistencia equivalente vista por la fuente principal
+            if (results.totalCurrent > 0) {
+                results.totalResistance = Math.abs(mainSource.value) / results.totalCurrent;
+            }
         }
 
         // Potencia total
@@ -380,7 +1141,7 @@ class CircuitAnalyzer {
     /**
      * Valida que los resultados sean físicamente razonables
      */
-    validateResults(results, circuit) {
+    validateResults(results, circuit, nodeAnalysis) {
         const warnings = [];
 
         // Verificar valores extremos
@@ -398,11 +1159,21 @@ class CircuitAnalyzer {
             }
         });
 
-        // Verificar ley de Kirchhoff de corrientes en nodos
-        const currentBalance = this.verifyKirchhoffCurrentLaw(results, circuit);
-        if (!currentBalance.isValid) {
-            warnings.push('Posible violación de la ley de Kirchhoff de corrientes');
-        }
+        // Verificar las leyes de Kirchhoff en cada nodo y en cada malla
+        const currentLaw = this.verifyKirchhoffCurrentLaw(results, nodeAnalysis);
+        const voltageLaw = this.verifyKirchhoffVoltageLaw(results, nodeAnalysis);
+        results.kirchhoff = {
+            isValid: currentLaw.isValid && voltageLaw.isValid,
+            currentLaw: currentLaw,
+            voltageLaw: voltageLaw
+        };
+
+        currentLaw.nodes.filter(node => !node.isValid).forEach(node => {
+            warnings.push(`Violación de la LCK en ${node.name}: residuo ${node.residual.toExponential(3)} A`);
+        });
+        voltageLaw.meshes.filter(mesh => !mesh.isValid).forEach(mesh => {
+            warnings.push(`Violación de la LVK en la malla ${mesh.path}: residuo ${mesh.residual.toExponential(3)} V`);
+        });
 
         return {
             isValid: warnings.length === 0,
@@ -411,12 +1182,110 @@ class CircuitAnalyzer {
     }
 
     /**
-     * Verifica la ley de Kirchhoff de corrientes
+     * Verifica la ley de Kirchhoff de corrientes: la suma de las corrientes que salen de cada nodo es cero
+     * El residuo se compara con la suma de los módulos de las corrientes del nodo
+     */
+    verifyKirchhoffCurrentLaw(results, nodeAnalysis) {
+        const names = this.getNodeNames(nodeAnalysis);
+
+        const nodes = nodeAnalysis.nodes.map(node => {
+            let residual = 0;
+            let scale = 0;
+
+            nodeAnalysis.branches.forEach(branch => {
+                if (branch.startNodeId === branch.endNodeId) return;
+
+                const current = results.branchCurrents[branch.id] || 0;
+                if (branch.startNodeId === node.id) {
+                    residual += current;
+                    scale += Math.abs(current);
+                } else if (branch.endNodeId === node.id) {
+                    residual -= current;
+                    scale += Math.abs(current);
+                }
+            });
+
+            const location = (results.nodeLocations && results.nodeLocations[node.id]) || node;
+            return {
+                id: node.id,
+                name: names.get(node.id),
+                x: location.x,
+                y: location.y,
+                residual: residual,
+                isValid: Math.abs(residual) <= this.kirchhoffTolerance.current + this.kirchhoffTolerance.relative * scale
+            };
+        });
+
+        return {
+            isValid: nodes.every(node => node.isValid),
+            maxResidual: nodes.reduce((max, node) => Math.max(max, Math.abs(node.residual)), 0),
+            nodes: nodes
+        };
+    }
+
+    /**
+     * Verifica la ley de Kirchhoff de voltajes en cada malla de la topología
+     * Usa los voltajes reportados de cada elemento con el signo de su orientación en la malla
+     */
+    verifyKirchhoffVoltageLaw(results, nodeAnalysis) {
+        const names = this.getNodeNames(nodeAnalysis);
+
+        const meshes = nodeAnalysis.topology.meshes.map(mesh => {
+            let residual = 0;
+            let scale = 0;
+
+            mesh.branches.forEach((branch, index) => {
+                const voltage = this.getReportedBranchVoltage(branch, results);
+                residual += mesh.orientations[index] * voltage;
+                scale += Math.abs(voltage);
+            });
+
+            return {
+                id: mesh.id,
+                nodeIds: mesh.nodes,
+                path: [...mesh.nodes, mesh.nodes[0]].map(nodeId => names.get(nodeId)).join(' → '),
+                elements: mesh.branches.map(branch => branch.component ? branch.component.label : branch.id),
+                residual: residual,
+                isValid: Math.abs(residual) <= this.kirchhoffTolerance.voltage + this.kirchhoffTolerance.relative * scale
+            };
+        });
+
+        return {
+            isValid: meshes.every(mesh => mesh.isValid),
+            maxResidual: meshes.reduce((max, mesh) => Math.max(max, Math.abs(mesh.residual)), 0),
+            meshes: meshes
+        };
+    }
+
+    /**
+     * Voltaje de inicio a fin que el análisis reporta para una rama
+     * Las fuentes de corriente y los capacitores en DC no fijan su voltaje: se toma de los nodos
+     */
+    getReportedBranchVoltage(branch, results) {
+        if (branch.wire) {
+            return (results.branchCurrents[branch.id] || 0) * branch.wire.resistance;
+        }
+
+        const values = branch.component ? results.componentValues[branch.component.id] : null;
+        if (values && !['current', 'capacitor'].includes(branch.type)) {
+            return values.voltage;
+        }
+
+        return (results.nodeVoltages[branch.startNodeId] || 0) - (results.nodeVoltages[branch.endNodeId] || 0);
+    }
+
+    /**
+     * Nombre legible de cada nodo: red, GND o N1, N2...
      */
-    verifyKirchhoffCurrentLaw(results, circuit) {
-        // Implementación simplificada
-        // En una implementación completa, verificaríamos que la suma de corrientes en cada nodo sea cero
-        return { isValid: true };
+    getNodeNames(nodeAnalysis) {
+        const names = new Map();
+        let unnamed = 0;
+
+        nodeAnalysis.nodes.forEach(node => {
+            names.set(node.id, node.isGround ? 'GND' : ((node.netNames && node.netNames[0]) || `N${++unnamed}`));
+        });
+
+        return names;
     }
 
     /**
@@ -434,7 +1303,8 @@ class CircuitAnalyzer {
             components: circuit.components.map(c => ({
                 type: c.type,
                 value: c.value,
-                id: c.id
+                id: c.id,
+                parameters: this.getHashParameters(c)
             })),
             wires: circuit.wires.map(w => ({
                 start: w.startComponent,
@@ -446,6 +1316,28 @@ class CircuitAnalyzer {
         return this.simpleHash(JSON.stringify(circuitData));
     }
 
+    /**
+     * Parámetros propios de cada tipo que también cambian la solución
+     */
+    getHashParameters(component) {
+        switch (component.type) {
+            case 'inductor':
+                return [component.dcResistance, component.initialCurrent, component.coreLossResistance];
+            case 'capacitor':
+                return [component.esr, component.leakageResistance, component.initialVoltage];
+            case 'ground':
+                return [component.variant, component.netName];
+            case 'diode':
+                return [
+                    component.variant, component.ledColor, component.saturationCurrent,
+                    component.emissionCoefficient, component.seriesResistance,
+                    component.breakdownVoltage, component.breakdownCurrent, component.temperature
+                ];
+            default:
+                return null;
+        }
+    }
+
     /**
      * Función hash simple
      */
@@ -461,30 +1353,62 @@ class CircuitAnalyzer {
 
     /**
      * Análisis en dominio de frecuencia
+     * Calcula la transferencia V(salida)/V(entrada) en cada frecuencia
+     * probes: { input, output } (nombre de red o id de nodo; entrada vacía = nodo de la fuente)
      */
-    async frequencyAnalysis(circuit, frequencies) {
+    async frequencyAnalysis(circuit, frequencies, probes = {}) {
         console.log('🌊 Iniciando análisis en frecuencia...');
-        
+
+        const validation = await this.validateCircuit(circuit);
+        if (!validation.isValid) {
+            return { isValid: false, error: validation.error, warnings: validation.warnings };
+        }
+
+        const nodeAnalysis = this.nodeAnalyzer.analyzeNodes(circuit);
+        if (!nodeAnalysis.isValid) {
+            return { isValid: false, error: nodeAnalysis.error };
+        }
+
+        const drivingSource = this.findDrivingSource(nodeAnalysis);
+        const inputNodeId = probes.input ?
+                            this.resolveProbe(nodeAnalysis, probes.input) :
+                            this.getSourceOutputNode(drivingSource);
+        const outputNodeId = this.resolveProbe(nodeAnalysis, probes.output);
+
+        if (!inputNodeId) {
+            return { isValid: false, error: probes.input ? `No se encontró el nodo de entrada "${probes.input}"` : 'No hay fuente que excite el circuito' };
+        }
+        if (!outputNodeId) {
+            return { isValid: false, error: probes.output ? `No se encontró el nodo de salida "${probes.output}"` : 'Indique el nodo de salida' };
+        }
+
         const results = {
             frequencies: frequencies,
             responses: [],
-            isValid: true
+            inputNodeId: inputNodeId,
+            outputNodeId: outputNodeId,
+            sourceId: drivingSource ? drivingSource.componentId : null,
+            isValid: true,
+            warnings: []
         };
+        const warnings = new Set(validation.warnings || []);
 
         for (const freq of frequencies) {
             try {
-                // Crear copia del circuito con impedancias para esta frecuencia
-                const freqCircuit = this.createFrequencyCircuit(circuit, freq);
-                
-                // Analizar con impedancias complejas
-                const analysis = await this.analyzeCircuit(freqCircuit);
-                
+                const analysis = this.solveACPoint(circuit, nodeAnalysis, freq, { sweep: true });
+
                 if (analysis.isValid) {
+                    analysis.warnings.forEach(warning => warnings.add(warning));
+                    results.inputName = analysis.nodeNames[inputNodeId];
+                    results.outputName = analysis.nodeNames[outputNodeId];
+
+                    const magnitude = this.calculateMagnitudeResponse(analysis, inputNodeId, outputNodeId);
                     results.responses.push({
                         frequency: freq,
-                        magnitude: this.calculateMagnitudeResponse(analysis),
-                        phase: this.calculatePhaseResponse(analysis),
-                        impedance: this.calculateTotalImpedance(analysis)
+                        magnitude: magnitude,
+                        gainDb: magnitude > 0 ? 20 * Math.log10(magnitude) : -Infinity,
+                        phase: this.calculatePhaseResponse(analysis, inputNodeId, outputNodeId),
+                        impedance: this.calculateTotalImpedance(analysis, results.sourceId)
                     });
                 }
             } catch (error) {
@@ -492,60 +1416,268 @@ class CircuitAnalyzer {
                 results.responses.push({
                     frequency: freq,
                     magnitude: 0,
+                    gainDb: -Infinity,
                     phase: 0,
                     impedance: { real: Infinity, imaginary: 0 }
                 });
             }
         }
 
+        results.warnings = [...warnings];
         return results;
     }
 
     /**
-     * Crea circuito modificado para análisis en frecuencia
+     * Barrido en frecuencia lineal, por décadas u octavas con ganancia, fase y retardo de grupo
+     * options: { startFrequency, stopFrequency, sweepType: 'linear' | 'decade' | 'octave',
+     *            points (totales en lineal, por década u octava en logarítmico), inputProbe, outputProbe }
      */
-    createFrequencyCircuit(circuit, frequency) {
-        // Crear copia profunda del circuito
-        const freqCircuit = JSON.parse(JSON.stringify(circuit));
-        
-        // Actualizar valores de componentes reactivos
-        freqCircuit.components.forEach(component => {
-            if (component.type === 'capacitor') {
-                // Para capacitores, la impedancia es -j/(ωC)
-                component.impedance = this.ohmLawHelper.calculateImpedance(component, frequency);
-            } else if (component.type === 'inductor') {
-                // Para inductores, la impedancia es jωL
-                component.impedance = this.ohmLawHelper.calculateImpedance(component, frequency);
+    async frequencySweep(circuit, options = {}) {
+        try {
+            const frequencies = this.generateSweepFrequencies(options);
+            if (frequencies.error) {
+                return { isValid: false, error: frequencies.error };
+            }
+
+            const sweep = await this.frequencyAnalysis(circuit, frequencies, {
+                input: options.inputProbe,
+                output: options.outputProbe
+            });
+            if (!sweep.isValid) {
+                return sweep;
+            }
+            if (sweep.responses.length < 2) {
+                return { isValid: false, error: 'El barrido no produjo suficientes puntos válidos' };
             }
+
+            sweep.analysisType = 'frequency_sweep';
+            sweep.sweepType = options.sweepType || 'decade';
+
+            this.unwrapPhase(sweep.responses);
+            this.calculateGroupDelay(sweep.responses);
+            sweep.markers = this.findBodeMarkers(sweep.responses, sweep.sweepType !== 'linear');
+
+            console.log(`✅ Barrido completado: ${sweep.responses.length} frecuencias`);
+            return sweep;
+
+        } catch (error) {
+            console.error('❌ Error en barrido de frecuencia:', error);
+            return {
+                isValid: false,
+                error: `Error en barrido de frecuencia: ${error.message}`
+            };
+        }
+    }
+
+    /**
+     * Genera las frecuencias de un barrido (extremos incluidos)
+     */
+    generateSweepFrequencies(options) {
+        const start = Number(options.startFrequency);
+        const stop = Number(options.stopFrequency);
+        const points = Math.round(Number(options.points));
+        const sweepType = options.sweepType || 'decade';
+
+        if (!(start > 0) || !(stop > start)) {
+            return { error: 'El barrido requiere 0 < frecuencia inicial < frecuencia final' };
+        }
+        if (!(points >= 1)) {
+            return { error: 'El número de puntos debe ser al menos 1' };
+        }
+
+        let count;
+        if (sweepType === 'linear') {
+            count = Math.max(2, points);
+        } else {
+            const span = sweepType === 'octave' ? Math.log2(stop / start) : Math.log10(stop / start);
+            count = Math.max(2, Math.ceil(points * span) + 1);
+        }
+
+        if (count > this.maxSweepPoints) {
+            return { error: `Demasiados puntos (${count}); el máximo es ${this.maxSweepPoints}` };
+        }
+
+        return Array.from({ length: count }, (_, i) => {
+            const fraction = i / (count - 1);
+            return sweepType === 'linear' ?
+                   start + (stop - start) * fraction :
+                   start * Math.pow(stop / start, fraction);
         });
+    }
+
+    /**
+     * Busca un nodo por id o por nombre de red (GND = referencia)
+     */
+    resolveProbe(nodeAnalysis, probe) {
+        if (probe === undefined || probe === null || String(probe).trim() === '') return null;
+
+        const name = String(probe).trim().replace(/\s+/g, '_').toUpperCase();
+        const node = nodeAnalysis.nodes.find(candidate =>
+            candidate.id === probe ||
+            (candidate.netNames || []).includes(name) ||
+            (name === 'GND' && candidate.isGround)
+        );
 
-        return freqCircuit;
+        return node ? node.id : null;
     }
 
     /**
-     * Calcula respuesta en magnitud
+     * Fuente que excita el barrido: la primera AC o, si no hay, la primera fuente
      */
-    calculateMagnitudeResponse(analysis) {
-        // Implementación simplificada
-        return analysis.totalCurrent || 0;
+    findDrivingSource(nodeAnalysis) {
+        const sources = nodeAnalysis.branches.filter(branch => branch.type === 'voltage' || branch.type === 'current');
+        return sources.find(branch => this.matrixBuilder.isACSource(branch.component)) || sources[0] || null;
     }
 
     /**
-     * Calcula respuesta en fase
+     * Nodo por el que la fuente entrega la señal (+ de la fuente de voltaje, salida de la de corriente)
      */
-    calculatePhaseResponse(analysis) {
-        // Implementación simplificada para análisis DC
-        return 0;
+    getSourceOutputNode(sourceBranch) {
+        if (!sourceBranch) return null;
+        return sourceBranch.type === 'voltage' ? sourceBranch.startNodeId : sourceBranch.endNodeId;
     }
 
     /**
-     * Calcula impedancia total
+     * Función de transferencia compleja V(salida)/V(entrada)
      */
-    calculateTotalImpedance(analysis) {
-        return {
-            real: analysis.totalResistance || 0,
-            imaginary: 0
-        };
+    calculateTransferFunction(analysis, inputNodeId, outputNodeId) {
+        const input = analysis.nodePhasors[inputNodeId];
+        const output = analysis.nodePhasors[outputNodeId];
+        if (!input || !output || Complex.magnitude(input) < 1e-15) {
+            return null;
+        }
+        return Complex.divide(output, input);
+    }
+
+    /**
+     * Calcula respuesta en magnitud |V(salida)/V(entrada)|
+     */
+    calculateMagnitudeResponse(analysis, inputNodeId, outputNodeId) {
+        const transfer = this.calculateTransferFunction(analysis, inputNodeId, outputNodeId);
+        return transfer ? Complex.magnitude(transfer) : 0;
+    }
+
+    /**
+     * Calcula respuesta en fase (grados, entre -180 y 180)
+     */
+    calculatePhaseResponse(analysis, inputNodeId, outputNodeId) {
+        const transfer = this.calculateTransferFunction(analysis, inputNodeId, outputNodeId);
+        return transfer ? Complex.phase(transfer) * 180 / Math.PI : 0;
+    }
+
+    /**
+     * Calcula la impedancia vista por la fuente
+     */
+    calculateTotalImpedance(analysis, sourceId) {
+        const values = sourceId ? analysis.componentValues[sourceId] : null;
+        if (!values || values.currentPhasor.magnitude < 1e-15) {
+            return { real: Infinity, imaginary: 0 };
+        }
+
+        // La corriente de rama va de inicio a fin; la entregada por la fuente es la opuesta
+        return Complex.divide(values.voltagePhasor, Complex.negate(values.currentPhasor));
+    }
+
+    /**
+     * Desenvuelve la fase para que no salte ±360° entre puntos consecutivos
+     */
+    unwrapPhase(responses) {
+        for (let i = 1; i < responses.length; i++) {
+            let phase = responses[i].phase;
+            const previous = responses[i - 1].phase;
+            while (phase - previous > 180) phase -= 360;
+            while (phase - previous < -180) phase += 360;
+            responses[i].phase = phase;
+        }
+    }
+
+    /**
+     * Retardo de grupo τ = -dφ/dω (diferencias centradas; segundos)
+     */
+    calculateGroupDelay(responses) {
+        const last = responses.length - 1;
+        const radians = response => response.phase * Math.PI / 180;
+        const omega = response => 2 * Math.PI * response.frequency;
+
+        responses.forEach((response, i) => {
+            const before = responses[Math.max(0, i - 1)];
+            const after = responses[Math.min(last, i + 1)];
+            response.groupDelay = -(radians(after) - radians(before)) / (omega(after) - omega(before));
+        });
+    }
+
+    /**
+     * Marcadores del diagrama de Bode: -3 dB respecto a la ganancia máxima,
+     * cruce de ganancia (0 dB) y cruce de fase (-180°)
+     */
+    findBodeMarkers(responses, logScale) {
+        const finiteGains = responses.map(response => response.gainDb).filter(gain => isFinite(gain));
+        const referenceGainDb = finiteGains.length > 0 ? Math.max(...finiteGains) : 0;
+
+        const cutoff = this.findCrossings(responses, 'gainDb', referenceGainDb - 3, logScale);
+        const gainCrossover = this.findCrossings(responses, 'gainDb', 0, logScale);
+        const phaseCrossover = this.findCrossings(responses, 'phase', -180, logScale);
+
+        // Márgenes de estabilidad en los cruces (null si la magnitud no está definida allí)
+        gainCrossover.forEach(marker => {
+            const phase = this.interpolateAt(responses, 'phase', marker.frequency, logScale);
+            marker.phaseMargin = phase === null ? null : 180 + phase;
+        });
+        phaseCrossover.forEach(marker => {
+            const gainDb = this.interpolateAt(responses, 'gainDb', marker.frequency, logScale);
+            marker.gainMargin = gainDb === null ? null : -gainDb;
+        });
+
+        return { referenceGainDb, cutoff, gainCrossover, phaseCrossover };
+    }
+
+    /**
+     * Frecuencias (interpoladas) donde una magnitud cruza un nivel
+     */
+    findCrossings(responses, key, level, logScale) {
+        const crossings = [];
+        const position = frequency => logScale ? Math.log10(frequency) : frequency;
+
+        for (let i = 1; i < responses.length; i++) {
+            const a = responses[i - 1][key] - level;
+            const b = responses[i][key] - level;
+            if (!isFinite(a) || !isFinite(b) || a === 0 || Math.sign(a) === Math.sign(b)) continue;
+
+            const fraction = a / (a - b);
+            const x = position(responses[i - 1].frequency) +
+                      fraction * (position(responses[i].frequency) - position(responses[i - 1].frequency));
+
+            crossings.push({
+                frequency: logScale ? Math.pow(10, x) : x,
+                direction: b > a ? 'rising' : 'falling'
+            });
+        }
+
+        return crossings;
+    }
+
+    /**
+     * Interpola una magnitud de la respuesta en una frecuencia
+     * Fuera del barrido toma el extremo más cercano; devuelve null si el valor no es finito
+     */
+    interpolateAt(responses, key, frequency, logScale) {
+        if (responses.length === 0) return null;
+
+        const position = f => logScale ? Math.log10(f) : f;
+        const index = responses.findIndex(response => response.frequency >= frequency);
+        let value;
+        if (index === -1) {
+            value = responses[responses.length - 1][key];
+        } else if (index === 0) {
+            value = responses[0][key];
+        } else {
+            const a = responses[index - 1];
+            const b = responses[index];
+            const fraction = (position(frequency) - position(a.frequency)) / (position(b.frequency) - position(a.frequency));
+            value = a[key] + fraction * (b[key] - a[key]);
+        }
+
+        return isFinite(value) ? value : null;
     }
 
     /**
@@ -596,6 +1728,13 @@ class CircuitAnalyzer {
         this.matrixBuilder = null;
         this.equationSolver = null;
         this.ohmLawHelper = null;
+        this.nonlinearSolver = null;
+        this.transientAnalyzer = null;
+        this.toleranceAnalyzer = null;
+        this.theveninAnalyzer = null;
+        this.solutionExplainer = null;
+        this.resistanceReducer = null;
+        this.electricalRulesChecker = null;
         console.log('🔌 Analizador de circuitos desconectado');
     }
 }
\ No newline at end of file
@@ -0,0 +1,284 @@
+/**
+ * Equivalentes de Thévenin y Norton entre dos nodos
+ * Resuelve el circuito en vacío y en cortocircuito (DC por Newton-Raphson o fasorial a una frecuencia)
+ */
+class TheveninAnalyzer {
+    constructor(nodeAnalyzer, matrixBuilder, equationSolver, nonlinearSolver) {
+        this.nodeAnalyzer = nodeAnalyzer || new NodeAnalyzer();
+        this.matrixBuilder = matrixBuilder || new CircuitMatrixBuilder();
+        this.equationSolver = equationSolver || new EquationSolver();
+        this.nonlinearSolver = nonlinearSolver || new NonlinearSolver(this.matrixBuilder, this.equationSolver);
+
+        this.testCurrent = 1e-3; // Corriente de prueba (A) cuando V_oc / I_sc no está definido
+        this.minimumSignal = 1e-12;
+        this.idealSourceImpedance = 1e-9; // |Z| por debajo: fuente de voltaje ideal
+        this.openImpedance = 1e9; // |Z| por encima: fuente de corriente ideal (gmin deja los nodos flotantes en ~1 TΩ)
+        this.debugMode = false;
+    }
+
+    /**
+     * Equivalente visto entre terminals.positive y terminals.negative (ids de nodo)
+     * terminals.removedBranchId: rama que se quita antes de resolver (la carga)
+     * options: { frequency } (0 o ausente = DC)
+     */
+    extract(circuit, nodeAnalysis, terminals, options = {}) {
+        const frequency = Number(options.frequency) > 0 ? Number(options.frequency) : 0;
+
+        if (terminals.positive === terminals.negative) {
+            return { isValid: false, error: 'Los terminales del equivalente deben ser nodos distintos' };
+        }
+
+        console.log(`🔌 Equivalente de Thévenin ${frequency > 0 ? `a ${frequency} Hz` : 'DC'}...`);
+
+        const branches = nodeAnalysis.branches.filter(branch => branch.id !== terminals.removedBranchId);
+        const solve = extraBranch => this.solveTerminals(circuit, {
+            ...nodeAnalysis,
+            branches: extraBranch ? [...branches, extraBranch] : branches
+        }, terminals, extraBranch, frequency);
+
+        const open = solve(null);
+        if (!open.isValid) {
+            return { isValid: false, error: `No se pudo resolver el circuito abierto: ${open.error}` };
+        }
+        const short = solve(this.createShortBranch(terminals));
+
+        const warnings = [];
+        let impedance;
+        let method;
+
+        if (short.isValid && Complex.magnitude(open.voltage) > this.minimumSignal &&
+            Complex.magnitude(short.current) > this.minimumSignal) {
+            impedance = Complex.divide(open.voltage, short.current);
+            method = 'open_short';
+        } else {
+            // Sin V_oc o sin I_sc: Z = ΔV / I_prueba con las mismas fuentes activas
+            const loaded = solve(this.createTestSourceBranch(terminals, this.testCurrent, frequency));
+            const reference = solve(this.createTestSourceBranch(terminals, 0, frequency));
+            if (!loaded.isValid || !reference.isValid) {
+                return { isValid: false, error: `No se pudo determinar la impedancia equivalente: ${(loaded.error || reference.error)}` };
+            }
+            impedance = Complex.scale(Complex.subtract(loaded.voltage, reference.voltage), 1 / this.testCurrent);
+            method = 'test_source';
+        }
+
+        const impedanceMagnitude = Complex.magnitude(impedance);
+        let nortonCurrent = short.isValid ? short.current : null;
+
+        if (impedanceMagnitude < this.idealSourceImpedance) {
+            impedance = Complex.create();
+            nortonCurrent = null;
+            warnings.push('Z_th ≈ 0: los terminales están sobre una fuente de voltaje ideal y no existe equivalente de Norton');
+        } else if (impedanceMagnitude > this.openImpedance) {
+            warnings.push('Z_th muy grande: los terminales ven una fuente de corriente ideal o un nodo flotante');
+        } else if (!nortonCurrent) {
+            nortonCurrent = Complex.divide(open.voltage, impedance);
+        }
+
+        if (frequency === 0 && this.nonlinearSolver.hasNonlinearElements(this.nonlinearSolver.createSystem(nodeAnalysis))) {
+            warnings.push('Circuito no lineal: el equivalente reproduce solo los puntos de vacío y cortocircuito');
+        }
+
+        const nodeName = nodeId => {
+            const node = nodeAnalysis.nodes.find(candidate => candidate.id === nodeId);
+            return node ? ((node.netNames && node.netNames[0]) || (node.isGround ? 'GND' : node.id)) : nodeId;
+        };
+
+        console.log(`✅ V_th = ${Complex.format(open.voltage)} V, Z_th = ${Complex.format(impedance)} Ω`);
+
+        return {
+            isValid: true,
+            analysisType: 'thevenin',
+            timestamp: new Date(),
+            frequency: frequency,
+            method: method,
+            terminals: {
+                positive: { id: terminals.positive, name: nodeName(terminals.positive) },
+                negative: { id: terminals.negative, name: nodeName(terminals.negative) }
+            },
+            thevenin: {
+                voltage: open.voltage,
+                impedance: impedance
+            },
+            norton: {
+                current: nortonCurrent,
+                admittance: impedanceMagnitude < this.idealSourceImpedance ? null : Complex.reciprocal(impedance)
+            },
+            openCircuitVoltage: open.voltage,
+            shortCircuitCurrent: short.isValid ? short.current : null,
+            warnings: warnings
+        };
+    }
+
+    /**
+     * Resuelve una variante del circuito y devuelve V(+) - V(-) y la corriente de la rama añadida
+     */
+    solveTerminals(circuit, nodeAnalysis, terminals, extraBranch, frequency) {
+        if (frequency > 0) {
+            nodeAnalysis.branches.forEach(branch => {
+                if (branch.component && branch !== extraBranch) {
+                    branch.impedance = this.nodeAnalyzer.getComponentImpedance(branch.component, frequency);
+                }
+            });
+
+            const matrices = this.matrixBuilder.buildACMatrices(circuit, nodeAnalysis, frequency, { sweep: true });
+            if (!matrices.isValid) {
+                return { isValid: false, error: matrices.error };
+            }
+
+            const solution = this.equationSolver.solveComplex(matrices);
+            if (!solution.isValid) {
+                return { isValid: false, error: solution.error };
+            }
+
+            const phasorAt = nodeId => {
+                const index = matrices.nodeIndexMap.get(nodeId);
+                return index === undefined ? Complex.create() : solution.values[index];
+            };
+            const row = extraBranch ? matrices.branchCurrentIndex.get(extraBranch.id) : undefined;
+
+            return {
+                isValid: true,
+                voltage: Complex.subtract(phasorAt(terminals.positive), phasorAt(terminals.negative)),
+                current: row === undefined ? Complex.create() : solution.values[row]
+            };
+        }
+
+        const system = this.nonlinearSolver.createSystem(nodeAnalysis);
+        const point = this.nonlinearSolver.solveOperatingPoint(system);
+        if (!point.isValid) {
+            return { isValid: false, error: point.error || 'Sistema singular' };
+        }
+
+        const voltageAt = nodeId => {
+            const index = system.nodes.findIndex(node => node.id === nodeId);
+            return index >= 0 ? point.nodeVoltages[index] : 0;
+        };
+
+        return {
+            isValid: true,
+            voltage: Complex.create(voltageAt(terminals.positive) - voltageAt(terminals.negative), 0),
+            current: Complex.create(extraBranch ? point.branchValues.get(extraBranch.id).current : 0, 0)
+        };
+    }
+
+    /**
+     * Cortocircuito ideal entre los terminales (su corriente circula de + a - por fuera del circuito)
+     */
+    createShortBranch(terminals) {
+        return {
+            id: 'thevenin_short',
+            type: 'short',
+            component: null,
+            componentId: null,
+            startNodeId: terminals.positive,
+            endNodeId: terminals.negative,
+            impedance: { real: 0, imaginary: 0 }
+        };
+    }
+
+    /**
+     * Fuente de corriente de prueba que inyecta current en el terminal positivo
+     */
+    createTestSourceBranch(terminals, current, frequency) {
+        return {
+            id: 'thevenin_test',
+            type: 'current',
+            component: {
+                id: 'thevenin_test',
+                type: 'current',
+                label: 'I_prueba',
+                value: current,
+                sourceType: frequency > 0 ? 'ac' : 'dc',
+                amplitude: current,
+                phase: 0,
+                frequency: frequency
+            },
+            componentId: null,
+            startNodeId: terminals.negative,
+            endNodeId: terminals.positive,
+            impedance: { real: Infinity, imaginary: 0 }
+        };
+    }
+
+    /**
+     * Dibuja el equivalente de Thévenin como circuito editable: fuente, Z_th en serie y terminales
+     * load: componente retirado, que se vuelve a conectar entre los terminales
+     */
+    buildEquivalentCircuit(result, load = null) {
+        const circuit = new Circuit({
+            name: `Equivalente de Thévenin ${result.terminals.positive.name}-${result.terminals.negative.name}`,
+            description: result.frequency > 0 ? `Equivalente a ${result.frequency} Hz` : 'Equivalente DC'
+        });
+        const voltage = result.thevenin.voltage;
+        const impedance = result.thevenin.impedance;
+        const omega = 2 * Math.PI * result.frequency;
+
+        const source = new VoltageSource(100, 200, result.frequency > 0 ? {
+            label: 'Vth',
+            value: Complex.magnitude(voltage),
+            sourceType: 'ac',
+            amplitude: Complex.magnitude(voltage),
+            phase: Complex.phase(voltage),
+            frequency: result.frequency
+        } : {
+            label: 'Vth',
+            value: voltage.real
+        });
+        source.rotation = Math.PI / 2; // + arriba
+        circuit.addComponent(source);
+
+        const [top, bottom] = source.getConnectionPoints();
+        circuit.addComponent(new Ground(bottom.x, bottom.y + 20));
+
+        // Z_th en serie: resistencia y la reactancia como bobina o capacitor a la frecuencia del análisis
+        const series = [];
+        if (impedance.real > this.idealSourceImpedance) {
+            series.push(new Resistor(0, 0, { label: 'Rth', value: impedance.real }));
+        }
+        if (omega > 0 && impedance.imaginary > this.idealSourceImpedance) {
+            series.push(new Inductor(0, 0, { label: 'Lth', value: impedance.imaginary / omega }));
+        } else if (omega > 0 && impedance.imaginary < -this.idealSourceImpedance) {
+            series.push(new Capacitor(0, 0, { label: 'Cth', value: -1 / (omega * impedance.imaginary) }));
+        }
+
+        // Cables de terminal a terminal en escalera hacia la derecha del + de la fuente
+        const connect = (from, to) => circuit.addWire(new Wire(from, to, { orthogonal: true }));
+        let previous = top;
+        let x = top.x + 40;
+        const railY = top.y - 40;
+
+        series.forEach(component => {
+            const [left, right] = component.getConnectionPoints();
+            component.x = x - left.x;
+            component.y = railY - left.y;
+            circuit.addComponent(component);
+
+            const [placedLeft, placedRight] = component.getConnectionPoints();
+            connect(previous, placedLeft);
+            previous = placedRight;
+            x = placedRight.x + 40;
+        });
+
+        const label = new Ground(x, railY + 20, {
+            variant: 'net',
+            netName: result.terminals.positive.name
+        });
+        circuit.addComponent(label);
+        const [terminal] = label.getConnectionPoints();
+        connect(previous, terminal);
+
+        if (load) {
+            const component = Circuit.createComponentFromJSON({ ...load.toJSON(), rotation: Math.PI / 2 });
+            const [loadTop] = component.getConnectionPoints();
+            component.x += terminal.x + 60 - loadTop.x;
+            component.y += terminal.y - loadTop.y;
+            circuit.addComponent(component);
+
+            const [placedTop, placedBottom] = component.getConnectionPoints();
+            connect(terminal, placedTop);
+            circuit.addComponent(new Ground(placedBottom.x, placedBottom.y + 20));
+        }
+
+        return circuit;
+    }
+}
@@ -0,0 +1,409 @@
+/**
+ * Análisis de tolerancias
+ * Varía los valores de los componentes según su tolerancia y re-resuelve el punto de operación DC
+ */
+class ToleranceAnalyzer {
+    constructor(nodeAnalyzer, nonlinearSolver) {
+        this.nodeAnalyzer = nodeAnalyzer || new NodeAnalyzer();
+        this.nonlinearSolver = nonlinearSolver || new NonlinearSolver();
+
+        this.maxRuns = 5000;
+        this.defaultBins = 20;
+        this.relativeStep = 1e-4; // Perturbación relativa para las diferencias finitas
+        this.debugMode = false;
+    }
+
+    /**
+     * Monte Carlo: N corridas con valores aleatorios dentro de la tolerancia de cada componente
+     * options: { runs, distribution: 'uniform' | 'gaussian', bins, seed }
+     * measurements: [{ type: 'node' | 'current', label, nodeId | componentId, min, max }]
+     */
+    monteCarlo(circuit, nodeAnalysis, measurements, options = {}) {
+        const runs = Math.round(Number(options.runs));
+        const distribution = options.distribution === 'gaussian' ? 'gaussian' : 'uniform';
+
+        if (!(runs >= 1) || runs > this.maxRuns) {
+            return { isValid: false, error: `El número de corridas debe estar entre 1 y ${this.maxRuns}` };
+        }
+        if (measurements.length === 0) {
+            return { isValid: false, error: 'Indique al menos una medición (voltaje de nodo o corriente)' };
+        }
+
+        const toleranced = this.getTolerancedComponents(circuit);
+        if (toleranced.length === 0) {
+            return { isValid: false, error: 'Ningún componente tiene tolerancia definida' };
+        }
+
+        console.log(`🎲 Monte Carlo: ${runs} corridas (${distribution}) sobre ${toleranced.length} componentes`);
+
+        const system = this.nonlinearSolver.createSystem(nodeAnalysis);
+        const random = this.createRandom(options.seed === undefined ? Date.now() : options.seed);
+        const nominalValues = toleranced.map(component => component.value);
+        const samples = measurements.map(() => []);
+        const results = {
+            isValid: true,
+            analysisType: 'monte_carlo',
+            timestamp: new Date(),
+            runs: runs,
+            distribution: distribution,
+            components: toleranced.map(component => ({
+                id: component.id,
+                label: component.label,
+                nominal: component.value,
+                tolerance: component.tolerance
+            })),
+            nominal: null,
+            measurements: [],
+            passed: 0,
+            failedRuns: 0,
+            yield: 0,
+            warnings: []
+        };
+
+        try {
+            // Corrida nominal como referencia
+            const nominalPoint = this.solveWithValues(system, nodeAnalysis, toleranced, nominalValues);
+            results.nominal = nominalPoint.isValid ?
+                              measurements.map(measurement => this.measure(measurement, nominalPoint, nodeAnalysis)) :
+                              null;
+
+            let guess = nominalPoint.isValid ? this.nonlinearSolver.getNonlinearVoltages(system, nominalPoint) : null;
+
+            for (let run = 0; run < runs; run++) {
+                const values = toleranced.map((component, index) =>
+                    nominalValues[index] * (1 + component.tolerance / 100 * this.drawDeviation(random, distribution))
+                );
+                const point = this.solveWithValues(system, nodeAnalysis, toleranced, values, guess);
+
+                if (!point.isValid) {
+                    results.failedRuns++;
+                    continue;
+                }
+
+                let passes = true;
+                measurements.forEach((measurement, index) => {
+                    const value = this.measure(measurement, point, nodeAnalysis);
+                    samples[index].push(value);
+                    if (!this.withinLimits(measurement, value)) {
+                        passes = false;
+                    }
+                });
+
+                if (passes) {
+                    results.passed++;
+                }
+                guess = this.nonlinearSolver.getNonlinearVoltages(system, point);
+            }
+        } finally {
+            this.applyValues(toleranced, nominalValues);
+            this.refreshBranchImpedances(nodeAnalysis);
+        }
+
+        const bins = Math.max(1, Math.round(Number(options.bins) || this.defaultBins));
+        results.measurements = measurements.map((measurement, index) => ({
+            ...measurement,
+            nominal: results.nominal ? results.nominal[index] : null,
+            statistics: this.calculateStatistics(samples[index]),
+            histogram: this.buildHistogram(samples[index], bins),
+            passRate: samples[index].length > 0 ?
+                      samples[index].filter(value => this.withinLimits(measurement, value)).length / runs : 0
+        }));
+        results.yield = results.passed / runs;
+
+        if (results.failedRuns > 0) {
+            results.warnings.push(`${results.failedRuns} corridas sin convergencia (cuentan como rechazadas)`);
+        }
+
+        console.log(`✅ Monte Carlo completado: rendimiento ${(results.yield * 100).toFixed(1)}%`);
+        return results;
+    }
+
+    /**
+     * Sensibilidades por diferencias finitas centrales y peor caso en las esquinas de tolerancia
+     * options: { relativeStep }
+     */
+    sensitivity(circuit, nodeAnalysis, measurements, options = {}) {
+        if (measurements.length === 0) {
+            return { isValid: false, error: 'Indique al menos una medición (voltaje de nodo o corriente)' };
+        }
+
+        const components = this.getSensitivityComponents(circuit, nodeAnalysis);
+        if (components.length === 0) {
+            return { isValid: false, error: 'No hay componentes con valor numérico para analizar' };
+        }
+
+        console.log(`🎯 Sensibilidad: ${measurements.length} mediciones, ${components.length} componentes`);
+
+        const relativeStep = Number(options.relativeStep) > 0 ? Number(options.relativeStep) : this.relativeStep;
+        const system = this.nonlinearSolver.createSystem(nodeAnalysis);
+        const nominalValues = components.map(component => component.value);
+        const sensitivities = measurements.map(() => []);
+        const results = {
+            isValid: true,
+            analysisType: 'sensitivity',
+            timestamp: new Date(),
+            relativeStep: relativeStep,
+            measurements: [],
+            warnings: []
+        };
+
+        try {
+            const nominalPoint = this.solveWithValues(system, nodeAnalysis, components, nominalValues);
+            if (!nominalPoint.isValid) {
+                return { isValid: false, error: `El punto de operación nominal no converge: ${nominalPoint.error}` };
+            }
+
+            const guess = this.nonlinearSolver.getNonlinearVoltages(system, nominalPoint);
+            const nominal = measurements.map(measurement => this.measure(measurement, nominalPoint, nodeAnalysis));
+
+            components.forEach((component, index) => {
+                const delta = nominalValues[index] * relativeStep;
+                const perturbed = sign => nominalValues.map((value, other) => other === index ? value + sign * delta : value);
+                const upper = this.solveWithValues(system, nodeAnalysis, components, perturbed(1), guess);
+                const lower = this.solveWithValues(system, nodeAnalysis, components, perturbed(-1), guess);
+
+                if (!upper.isValid || !lower.isValid) {
+                    results.warnings.push(`Sin convergencia al perturbar ${component.label}; se omite`);
+                    return;
+                }
+
+                measurements.forEach((measurement, measurementIndex) => {
+                    const derivative = (this.measure(measurement, upper, nodeAnalysis) -
+                                        this.measure(measurement, lower, nodeAnalysis)) / (2 * delta);
+                    const output = nominal[measurementIndex];
+
+                    sensitivities[measurementIndex].push({
+                        componentId: component.id,
+                        label: component.label,
+                        value: nominalValues[index],
+                        unit: component.unit || '',
+                        tolerance: this.getTolerance(component),
+                        absolute: derivative,
+                        normalized: output !== 0 ? derivative * nominalValues[index] / output : null
+                    });
+                });
+            });
+
+            results.measurements = measurements.map((measurement, index) => ({
+                ...measurement,
+                nominal: nominal[index],
+                sensitivities: sensitivities[index],
+                worstCase: this.findWorstCase(system, nodeAnalysis, components, nominalValues,
+                                              measurement, sensitivities[index], guess)
+            }));
+        } finally {
+            this.applyValues(components, nominalValues);
+            this.refreshBranchImpedances(nodeAnalysis);
+        }
+
+        if (results.measurements.every(measurement => measurement.worstCase.corners === 0)) {
+            results.warnings.push('Ningún componente tiene tolerancia definida: el peor caso coincide con el nominal');
+        }
+
+        console.log('✅ Análisis de sensibilidad completado');
+        return results;
+    }
+
+    /**
+     * Peor caso: cada componente con tolerancia va al extremo que empuja la salida en la misma dirección
+     * (signo de la sensibilidad); las dos esquinas se re-resuelven con el modelo completo
+     */
+    findWorstCase(system, nodeAnalysis, components, nominalValues, measurement, sensitivities, guess) {
+        const byId = new Map(sensitivities.map(entry => [entry.componentId, entry]));
+        const corner = direction => {
+            const deviations = components.map(component => {
+                const entry = byId.get(component.id);
+                const tolerance = this.getTolerance(component);
+                return entry && tolerance > 0 ? Math.sign(entry.absolute) * direction * tolerance / 100 : 0;
+            });
+            const values = nominalValues.map((value, index) => value * (1 + deviations[index]));
+            const point = this.solveWithValues(system, nodeAnalysis, components, values, guess);
+
+            return {
+                value: point.isValid ? this.measure(measurement, point, nodeAnalysis) : null,
+                converged: point.isValid,
+                corner: components
+                    .map((component, index) => ({ componentId: component.id, label: component.label, deviation: deviations[index], value: values[index] }))
+                    .filter(entry => entry.deviation !== 0)
+            };
+        };
+
+        const low = corner(-1);
+        const high = corner(1);
+        const converged = [low, high].filter(entry => entry.converged);
+        const min = converged.length > 0 ? converged.reduce((best, entry) => entry.value < best.value ? entry : best) : low;
+        const max = converged.length > 0 ? converged.reduce((best, entry) => entry.value > best.value ? entry : best) : high;
+
+        return {
+            min: min,
+            max: max,
+            corners: high.corner.length,
+            withinLimits: min.converged && max.converged &&
+                          this.withinLimits(measurement, min.value) && this.withinLimits(measurement, max.value)
+        };
+    }
+
+    /**
+     * Componentes de rama con valor numérico distinto de cero (los modelos no lineales se excluyen)
+     */
+    getSensitivityComponents(circuit, nodeAnalysis) {
+        const inBranches = new Set(nodeAnalysis.branches.map(branch => branch.componentId));
+        return circuit.components.filter(component =>
+            inBranches.has(component.id) &&
+            typeof component.getCompanionModel !== 'function' &&
+            typeof component.value === 'number' && isFinite(component.value) && component.value !== 0
+        );
+    }
+
+    /**
+     * Tolerancia (%) del componente, 0 si no tiene
+     */
+    getTolerance(component) {
+        return typeof component.tolerance === 'number' && component.tolerance > 0 ? component.tolerance : 0;
+    }
+
+    /**
+     * Componentes con valor y tolerancia (%) definidos
+     */
+    getTolerancedComponents(circuit) {
+        return circuit.components.filter(component =>
+            typeof component.tolerance === 'number' && component.tolerance > 0 &&
+            typeof component.value === 'number' && isFinite(component.value)
+        );
+    }
+
+    /**
+     * Aplica valores a los componentes y resuelve el punto de operación
+     */
+    solveWithValues(system, nodeAnalysis, components, values, initialGuess = null) {
+        this.applyValues(components, values);
+        this.refreshBranchImpedances(nodeAnalysis);
+        return this.nonlinearSolver.solveOperatingPoint(system, { initialGuess });
+    }
+
+    /**
+     * Asigna valores sin disparar eventos de edición del circuito
+     */
+    applyValues(components, values) {
+        components.forEach((component, index) => {
+            component.value = values[index];
+            if (typeof component.calculateImpedance === 'function') {
+                component.impedance = component.calculateImpedance();
+            }
+        });
+    }
+
+    /**
+     * Recalcula las impedancias DC de las ramas
+     */
+    refreshBranchImpedances(nodeAnalysis) {
+        nodeAnalysis.branches.forEach(branch => {
+            if (branch.component) {
+                branch.impedance = this.nodeAnalyzer.getComponentImpedance(branch.component, 0);
+            }
+        });
+    }
+
+    /**
+     * Valor de una medición en una solución
+     */
+    measure(measurement, point, nodeAnalysis) {
+        if (measurement.type === 'node') {
+            const index = nodeAnalysis.nodes.findIndex(node => node.id === measurement.nodeId);
+            return index >= 0 ? point.nodeVoltages[index] : 0;
+        }
+
+        const branch = nodeAnalysis.branches.find(candidate => candidate.componentId === measurement.componentId);
+        return branch ? point.branchValues.get(branch.id).current : 0;
+    }
+
+    /**
+     * Indica si un valor cumple los límites de la medición (límites opcionales)
+     */
+    withinLimits(measurement, value) {
+        const aboveMin = measurement.min === undefined || measurement.min === null || value >= measurement.min;
+        const belowMax = measurement.max === undefined || measurement.max === null || value <= measurement.max;
+        return aboveMin && belowMax;
+    }
+
+    /**
+     * Desviación normalizada en [-1, 1]
+     * Gaussiana: la tolerancia corresponde a 3σ y se recorta a ±1
+     */
+    drawDeviation(random, distribution) {
+        if (distribution === 'gaussian') {
+            // Box-Muller
+            const u1 = Math.max(random(), Number.EPSILON);
+            const u2 = random();
+            const normal = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+            return Math.max(-1, Math.min(1, normal / 3));
+        }
+        return 2 * random() - 1;
+    }
+
+    /**
+     * Generador pseudoaleatorio con semilla (mulberry32) para corridas reproducibles
+     */
+    createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Media, desviación estándar (muestral), mínimo y máximo
+     */
+    calculateStatistics(values) {
+        const count = values.length;
+        if (count === 0) {
+            return { count: 0, mean: 0, stdDev: 0, min: 0, max: 0 };
+        }
+
+        const mean = values.reduce((sum, value) => sum + value, 0) / count;
+        const variance = count > 1 ?
+                         values.reduce((sum, value) => sum + (value - mean) * (value - mean), 0) / (count - 1) :
+                         0;
+
+        return {
+            count: count,
+            mean: mean,
+            stdDev: Math.sqrt(variance),
+            min: Math.min(...values),
+            max: Math.max(...values)
+        };
+    }
+
+    /**
+     * Histograma de bins de igual ancho entre el mínimo y el máximo
+     */
+    buildHistogram(values, binCount) {
+        if (values.length === 0) {
+            return { bins: [], binWidth: 0 };
+        }
+
+        const min = Math.min(...values);
+        const max = Math.max(...values);
+        const span = max - min;
+        const binWidth = span > 0 ? span / binCount : 1;
+        const counts = new Array(span > 0 ? binCount : 1).fill(0);
+
+        values.forEach(value => {
+            const index = span > 0 ? Math.min(binCount - 1, Math.floor((value - min) / binWidth)) : 0;
+            counts[index]++;
+        });
+
+        return {
+            binWidth: binWidth,
+            bins: counts.map((count, index) => ({
+                from: min + index * binWidth,
+                to: min + (index + 1) * binWidth,
+                count: count
+            }))
+        };
+    }
+}
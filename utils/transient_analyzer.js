@@ -0,0 +1,362 @@
+/**
+ * Motor de análisis transitorio
+ * Integra el circuito en el tiempo con modelos compañeros (Euler implícito o trapezoidal)
+ * para capacitores e inductores y devuelve formas de onda por nodo y por rama
+ */
+class TransientAnalyzer {
+    constructor(matrixBuilder, equationSolver, nonlinearSolver) {
+        this.matrixBuilder = matrixBuilder || new CircuitMatrixBuilder();
+        this.equationSolver = equationSolver || new EquationSolver();
+        this.nonlinearSolver = nonlinearSolver || new NonlinearSolver(this.matrixBuilder, this.equationSolver);
+
+        this.maxSteps = 20000;
+        this.maxStoredPoints = 2000; // Puntos guardados por forma de onda
+        this.debugMode = false;
+    }
+
+    /**
+     * Simula el circuito desde t = 0 hasta stopTime
+     * options: { stopTime (s), timeStep (s), method: 'trapezoidal' | 'backward_euler', useInitialConditions }
+     */
+    simulate(nodeAnalysis, options = {}) {
+        try {
+            const settings = this.normalizeOptions(options);
+            if (settings.error) {
+                return { isValid: false, error: settings.error };
+            }
+
+            console.log(`⏱️ Análisis transitorio: ${settings.steps} pasos de ${settings.timeStep}s (${settings.method})`);
+
+            const system = this.nonlinearSolver.createSystem(nodeAnalysis);
+            const warnings = [];
+
+            // Punto inicial: condiciones iniciales de los componentes o punto de operación DC
+            let point = this.solvePoint(system, null, {
+                mode: settings.useInitialConditions ? 'ic' : 'op',
+                time: 0
+            });
+            if (!point.isValid) {
+                return { isValid: false, error: `Punto inicial: ${point.error}` };
+            }
+
+            const recorder = this.createRecorder(system, settings);
+            this.record(recorder, system, 0, point);
+
+            let previousTime = 0;
+            let totalIterations = point.iterations;
+
+            for (let step = 1; step <= settings.steps; step++) {
+                const time = Math.min(step * settings.timeStep, settings.stopTime);
+                const dt = time - previousTime;
+
+                // El trapezoidal arranca con un paso de Euler para no arrastrar discontinuidades en t = 0
+                const method = settings.method === 'trapezoidal' && step === 1 ? 'backward_euler' : settings.method;
+
+                point = this.solvePoint(system, point.state, { mode: 'transient', time, dt, method });
+                if (!point.isValid) {
+                    return { isValid: false, error: `Paso ${step} (t = ${time.toExponential(3)}s): ${point.error}` };
+                }
+
+                if (!point.converged) {
+                    warnings.push(`Sin convergencia no lineal en t = ${time.toExponential(3)}s`);
+                }
+
+                totalIterations += point.iterations;
+                this.record(recorder, system, time, point, step === settings.steps);
+                previousTime = time;
+            }
+
+            const results = this.buildResults(system, recorder, point, settings);
+            results.iterations = totalIterations;
+            results.warnings.push(...warnings.slice(0, 10));
+            if (warnings.length > 10) {
+                results.warnings.push(`... y ${warnings.length - 10} pasos más sin convergencia`);
+            }
+
+            console.log(`✅ Análisis transitorio completado: ${recorder.time.length} puntos guardados`);
+            return results;
+
+        } catch (error) {
+            console.error('❌ Error en análisis transitorio:', error);
+            return {
+                isValid: false,
+                error: `Error en análisis transitorio: ${error.message}`
+            };
+        }
+    }
+
+    /**
+     * Valida y completa las opciones de simulación
+     */
+    normalizeOptions(options) {
+        const stopTime = Number(options.stopTime);
+        const timeStep = Number(options.timeStep);
+        const method = options.method ?? 'trapezoidal';
+
+        if (!['backward_euler', 'trapezoidal'].includes(method)) {
+            return { error: `Método de integración no soportado: ${method} (use 'trapezoidal' o 'backward_euler')` };
+        }
+
+        if (!(stopTime > 0)) {
+            return { error: 'El tiempo final debe ser mayor que cero' };
+        }
+        if (!(timeStep > 0) || timeStep > stopTime) {
+            return { error: 'El paso de tiempo debe ser positivo y menor que el tiempo final' };
+        }
+
+        const steps = Math.ceil(stopTime / timeStep - 1e-9);
+        if (steps > this.maxSteps) {
+            return { error: `Demasiados pasos (${steps}); el máximo es ${this.maxSteps}. Aumente el paso de tiempo` };
+        }
+
+        return {
+            stopTime,
+            timeStep,
+            method,
+            steps,
+            useInitialConditions: !!options.useInitialConditions
+        };
+    }
+
+    /**
+     * Resuelve un punto de tiempo con Newton-Raphson (los diodos se re-linealizan en cada iteración)
+     * mode: 'op' (punto de operación DC), 'ic' (condiciones iniciales) o 'transient'
+     */
+    solvePoint(system, previousState, context) {
+        const initialGuess = previousState ? this.getVoltageMap(previousState) : null;
+
+        const point = context.mode === 'op' ?
+            this.nonlinearSolver.solveOperatingPoint(system, { time: context.time, initialGuess }) :
+            this.nonlinearSolver.iterate(
+                system,
+                (element, voltage) => this.getElementStamp(element, voltage, previousState, context),
+                { initialGuess }
+            );
+
+        if (!point.branchValues || (context.mode === 'op' && !point.isValid)) {
+            return { isValid: false, error: point.error };
+        }
+
+        const state = new Map();
+        system.elements.forEach((element, index) => {
+            const { voltage, current } = point.branchValues.get(element.branch.id);
+            state.set(element.branch.id, this.updateElementState(element, point.stamps[index], voltage, current, context));
+        });
+
+        return {
+            isValid: true,
+            converged: point.converged,
+            iterations: point.iterations,
+            nodeVoltages: point.nodeVoltages,
+            state: state
+        };
+    }
+
+    /**
+     * Voltajes de rama de un estado (punto inicial de Newton para el siguiente paso)
+     */
+    getVoltageMap(state) {
+        const voltages = new Map();
+        state.forEach((values, id) => voltages.set(id, values.voltage));
+        return voltages;
+    }
+
+    /**
+     * Modelo lineal de un elemento en el punto actual: compañeros para C y L, DC para el resto
+     */
+    getElementStamp(element, voltage, previousState, context) {
+        const previous = previousState ? previousState.get(element.branch.id) : null;
+
+        if (element.kind === 'capacitor') {
+            return this.getCapacitorStamp(element.component, previous, context);
+        }
+        if (element.kind === 'inductor') {
+            return this.getInductorStamp(element.component, previous, context);
+        }
+
+        return this.nonlinearSolver.getElementStamp(element, voltage, { time: context.time });
+    }
+
+    /**
+     * Modelo compañero del capacitor: C ideal ∥ R_fuga, en serie con la ESR
+     */
+    getCapacitorStamp(capacitor, previous, context) {
+        const esr = capacitor.esr || 0;
+        const leakage = isFinite(capacitor.leakageResistance) && capacitor.leakageResistance > 0 ?
+                        1 / capacitor.leakageResistance : 0;
+
+        // Condición inicial: el capacitor se comporta como una fuente de voltaje
+        if (context.mode === 'ic') {
+            return { type: 'branch', voltage: capacitor.initialVoltage || 0, resistance: esr, idealConductance: 0, history: 0 };
+        }
+
+        const C = capacitor.value;
+        const vC = previous ? previous.internalVoltage : 0;
+        const iC = previous ? previous.internalCurrent : 0;
+        const trapezoidal = context.method === 'trapezoidal';
+
+        // Euler implícito: i = C/h·(v - v₀) | Trapezoidal: i = 2C/h·(v - v₀) - i₀
+        const idealConductance = trapezoidal ? 2 * C / context.dt : C / context.dt;
+        const history = trapezoidal ? -idealConductance * vC - iC : -idealConductance * vC;
+
+        return this.nonlinearSolver.seriesNorton(idealConductance + leakage, history, esr, { idealConductance, history });
+    }
+
+    /**
+     * Modelo compañero del inductor: L ideal ∥ R_núcleo, en serie con la resistencia del devanado
+     */
+    getInductorStamp(inductor, previous, context) {
+        const dcr = inductor.dcResistance || 0;
+        const coreConductance = isFinite(inductor.coreLossResistance) && inductor.coreLossResistance > 0 ?
+                                1 / inductor.coreLossResistance : 0;
+
+        // Condición inicial: el inductor se comporta como una fuente de corriente
+        if (context.mode === 'ic') {
+            const initialCurrent = inductor.initialCurrent || 0;
+            return { type: 'norton', conductance: 0, current: initialCurrent, idealConductance: 0, history: initialCurrent };
+        }
+
+        const iL = previous ? previous.internalCurrent : 0;
+        const vL = previous ? previous.internalVoltage : 0;
+        const L = typeof inductor.getEffectiveInductance === 'function' ?
+                  inductor.getEffectiveInductance(iL) : inductor.value;
+        const trapezoidal = context.method === 'trapezoidal';
+
+        // Euler implícito: i = i₀ + h/L·v | Trapezoidal: i = i₀ + h/2L·(v + v₀)
+        const idealConductance = trapezoidal ? context.dt / (2 * L) : context.dt / L;
+        const history = trapezoidal ? iL + idealConductance * vL : iL;
+
+        return this.nonlinearSolver.seriesNorton(idealConductance + coreConductance, history, dcr, { idealConductance, history });
+    }
+
+    /**
+     * Calcula el estado interno (parte ideal) de un elemento tras resolver el punto
+     */
+    updateElementState(element, stamp, voltage, current, context) {
+        const state = { voltage, current, internalVoltage: voltage, internalCurrent: current };
+
+        if (element.kind === 'capacitor') {
+            const esr = element.component.esr || 0;
+            state.internalVoltage = voltage - esr * current;
+            state.internalCurrent = context.mode === 'op' ? 0 :
+                context.mode === 'ic' ?
+                    current - this.getLeakageCurrent(element.component, state.internalVoltage) :
+                    stamp.idealConductance * state.internalVoltage + stamp.history;
+        } else if (element.kind === 'inductor') {
+            const dcr = element.component.dcResistance || 0;
+            state.internalVoltage = context.mode === 'op' ? 0 : voltage - dcr * current;
+            state.internalCurrent = context.mode === 'transient' ?
+                stamp.idealConductance * state.internalVoltage + stamp.history :
+                current;
+        }
+
+        return state;
+    }
+
+    /**
+     * Corriente por la resistencia de fuga del capacitor
+     */
+    getLeakageCurrent(capacitor, voltage) {
+        return isFinite(capacitor.leakageResistance) && capacitor.leakageResistance > 0 ?
+               voltage / capacitor.leakageResistance : 0;
+    }
+
+    /**
+     * Crea el almacenamiento de formas de onda (con diezmado)
+     */
+    createRecorder(system, settings) {
+        const recorder = {
+            stride: Math.max(1, Math.ceil(settings.steps / this.maxStoredPoints)),
+            counter: 0,
+            time: [],
+            nodes: {},
+            branches: {}
+        };
+
+        system.nodes.forEach(node => {
+            recorder.nodes[node.id] = [];
+        });
+        system.elements.forEach(element => {
+            recorder.branches[element.branch.id] = { voltage: [], current: [] };
+        });
+
+        return recorder;
+    }
+
+    /**
+     * Guarda un punto si corresponde según el diezmado
+     */
+    record(recorder, system, time, point, force = false) {
+        if (!force && recorder.counter++ % recorder.stride !== 0) return;
+        if (force && recorder.time[recorder.time.length - 1] === time) return;
+
+        recorder.time.push(time);
+        system.nodes.forEach((node, index) => {
+            recorder.nodes[node.id].push(point.nodeVoltages[index]);
+        });
+        system.elements.forEach(element => {
+            const state = point.state.get(element.branch.id);
+            recorder.branches[element.branch.id].voltage.push(state.voltage);
+            recorder.branches[element.branch.id].current.push(state.current);
+        });
+    }
+
+    /**
+     * Arma el resultado: formas de onda y valores finales (para visualización)
+     */
+    buildResults(system, recorder, finalPoint, settings) {
+        const results = {
+            isValid: true,
+            analysisType: 'transient',
+            method: settings.method,
+            timeStep: settings.timeStep,
+            stopTime: settings.stopTime,
+            steps: settings.steps,
+            useInitialConditions: settings.useInitialConditions,
+            timestamp: new Date(),
+            waveforms: {
+                time: recorder.time,
+                nodes: recorder.nodes,
+                branches: recorder.branches,
+                components: {}
+            },
+            nodeVoltages: {},
+            nodeLocations: {},
+            nodeNames: {},
+            branchCurrents: {},
+            componentValues: {},
+            currentFlow: {},
+            warnings: []
+        };
+
+        system.nodes.forEach((node, index) => {
+            const anchor = (node.points && node.points[0]) || node;
+            results.nodeVoltages[node.id] = finalPoint.nodeVoltages[index];
+            results.nodeLocations[node.id] = { x: anchor.x, y: anchor.y, isGround: node.isGround };
+            results.nodeNames[node.id] = (node.netNames && node.netNames[0]) || node.id;
+        });
+
+        system.elements.forEach(element => {
+            const branch = element.branch;
+            const state = finalPoint.state.get(branch.id);
+            results.branchCurrents[branch.id] = state.current;
+
+            if (branch.componentId) {
+                results.waveforms.components[branch.componentId] = recorder.branches[branch.id];
+                results.componentValues[branch.componentId] = {
+                    voltage: state.voltage,
+                    current: state.current,
+                    power: state.voltage * state.current,
+                    internalVoltage: state.internalVoltage,
+                    internalCurrent: state.internalCurrent
+                };
+            }
+
+            if (branch.wireId) {
+                results.currentFlow[branch.wireId] = state.current;
+            }
+        });
+
+        return results;
+    }
+}
@@ -0,0 +1,335 @@
+/**
+ * Enrutador automático de cables
+ * Búsqueda A* sobre la cuadrícula: rutas ortogonales que rodean los componentes
+ * y minimizan longitud, codos y cruces con otros cables
+ */
+class WireRouter {
+    constructor(options = {}) {
+        this.gridSize = options.gridSize || 20;
+        this.clearance = 5; // px alrededor del cuerpo de cada componente
+        this.searchMargin = 6; // celdas alrededor del circuito donde se busca
+        this.bendCost = 3; // en celdas
+        this.crossingCost = 4;
+        this.overlapCost = 25; // correr encima de otro cable los uniría visualmente
+        this.maxExpanded = 40000;
+        this.debugMode = false;
+    }
+
+    /**
+     * Reordena los cables indicados (todos por defecto), uno tras otro
+     * Cada cable ve a los ya enrutados como cables existentes
+     */
+    rerouteWires(circuit, wires = circuit.wires) {
+        const routed = [];
+        const failed = [];
+
+        wires.forEach(wire => {
+            const path = this.route(circuit, wire);
+            if (path) {
+                wire.setPath(path);
+                routed.push(wire);
+            } else {
+                failed.push(wire);
+            }
+        });
+
+        console.log(`🧭 Cables reordenados: ${routed.length}, sin ruta: ${failed.length}`);
+        return { routed, failed };
+    }
+
+    /**
+     * Ruta ortogonal para un cable (puntos desde start hasta end) o null si no existe
+     */
+    route(circuit, wire) {
+        const size = this.gridSize;
+        const key = (x, y) => `${x},${y}`;
+
+        const startDirection = this.getExitDirection(circuit, wire.startComponent, wire.start);
+        const endDirection = this.getExitDirection(circuit, wire.endComponent, wire.end);
+        const startCell = this.getTerminalCell(wire.start, startDirection);
+        const endCell = this.getTerminalCell(wire.end, endDirection);
+
+        const blocked = this.buildObstacles(circuit, wire, size);
+        const occupancy = this.buildOccupancy(circuit, wire, size);
+        [startCell, endCell].forEach(cell => {
+            blocked.delete(key(cell.x, cell.y));
+            occupancy.delete(key(cell.x, cell.y));
+        });
+
+        const area = this.getSearchArea(circuit, [startCell, endCell], size);
+        const cells = this.search(startCell, endCell, startDirection, endDirection, blocked, occupancy, area);
+        if (!cells) return null;
+
+        // Tramos del terminal real (puede no estar en la cuadrícula) a la primera y última celda
+        const gridPoints = cells.map(cell => ({ x: cell.x * size, y: cell.y * size }));
+        const points = [
+            { x: wire.start.x, y: wire.start.y },
+            ...this.connectOrthogonally(wire.start, gridPoints[0], startDirection),
+            ...gridPoints,
+            ...this.connectOrthogonally(wire.end, gridPoints[gridPoints.length - 1], endDirection).reverse(),
+            { x: wire.end.x, y: wire.end.y }
+        ];
+
+        return this.simplifyPath(points);
+    }
+
+    /**
+     * A* con estado (celda, dirección de llegada): los codos y cruces suman al costo
+     */
+    search(start, goal, startDirection, goalDirection, blocked, occupancy, area) {
+        const directions = [{ x: 1, y: 0 }, { x: 0, y: 1 }, { x: -1, y: 0 }, { x: 0, y: -1 }];
+        const heuristic = cell => Math.abs(cell.x - goal.x) + Math.abs(cell.y - goal.y);
+        const stateKey = (x, y, direction) => `${x},${y},${direction}`;
+
+        // La llegada ideal al destino es opuesta a la salida de su terminal
+        const arrival = goalDirection === null ? null : (goalDirection + 2) % 4;
+
+        const open = [];
+        const best = new Map();
+        const previous = new Map();
+        const startKey = stateKey(start.x, start.y, startDirection === null ? 'none' : startDirection);
+
+        best.set(startKey, 0);
+        this.heapPush(open, { key: startKey, x: start.x, y: start.y, direction: startDirection, cost: 0, priority: heuristic(start) });
+
+        let expanded = 0;
+        while (open.length > 0 && expanded < this.maxExpanded) {
+            const state = this.heapPop(open);
+            if (state.cost > best.get(state.key)) continue;
+
+            if (state.isGoal) {
+                return this.reconstruct(previous, state.key);
+            }
+            expanded++;
+
+            if (state.x === goal.x && state.y === goal.y) {
+                const penalty = arrival !== null && state.direction !== null && state.direction !== arrival ? this.bendCost : 0;
+                const goalKey = 'goal';
+                const cost = state.cost + penalty;
+                if (!best.has(goalKey) || cost < best.get(goalKey)) {
+                    best.set(goalKey, cost);
+                    previous.set(goalKey, state.key);
+                    this.heapPush(open, { key: goalKey, isGoal: true, cost, priority: cost });
+                }
+                continue;
+            }
+
+            directions.forEach((step, direction) => {
+                // Sin vueltas en U
+                if (state.direction !== null && direction === (state.direction + 2) % 4) return;
+
+                const x = state.x + step.x;
+                const y = state.y + step.y;
+                const cellKey = `${x},${y}`;
+                if (x < area.minX || x > area.maxX || y < area.minY || y > area.maxY || blocked.has(cellKey)) return;
+
+                let cost = state.cost + 1;
+                if (state.direction !== null && direction !== state.direction) cost += this.bendCost;
+
+                const axis = direction % 2 === 0 ? 'h' : 'v';
+                const used = occupancy.get(cellKey);
+                if (used) {
+                    cost += used.has(axis) ? this.overlapCost : this.crossingCost;
+                }
+
+                const key = stateKey(x, y, direction);
+                if (best.has(key) && best.get(key) <= cost) return;
+
+                best.set(key, cost);
+                previous.set(key, state.key);
+                this.heapPush(open, { key, x, y, direction, cost, priority: cost + heuristic({ x, y }) });
+            });
+        }
+
+        if (this.debugMode) {
+            console.warn(`Sin ruta tras expandir ${expanded} estados`);
+        }
+        return null;
+    }
+
+    /**
+     * Celdas de la ruta a partir de los predecesores
+     */
+    reconstruct(previous, goalKey) {
+        const cells = [];
+        for (let key = previous.get(goalKey); key; key = previous.get(key)) {
+            const [x, y] = key.split(',').map(Number);
+            cells.unshift({ x, y });
+        }
+        return cells;
+    }
+
+    /**
+     * Celdas ocupadas por el cuerpo de los componentes (con holgura) y por terminales ajenos al cable
+     */
+    buildObstacles(circuit, wire, size) {
+        const blocked = new Set();
+
+        circuit.components.forEach(component => {
+            // Caja del cuerpo rotado
+            const cos = Math.abs(Math.cos(component.rotation));
+            const sin = Math.abs(Math.sin(component.rotation));
+            const halfWidth = (component.width * cos + component.height * sin) / 2 + this.clearance;
+            const halfHeight = (component.width * sin + component.height * cos) / 2 + this.clearance;
+
+            for (let x = Math.ceil((component.x - halfWidth) / size); x * size <= component.x + halfWidth; x++) {
+                for (let y = Math.ceil((component.y - halfHeight) / size); y * size <= component.y + halfHeight; y++) {
+                    blocked.add(`${x},${y}`);
+                }
+            }
+
+            // Pasar por un terminal lo conectaría
+            component.getConnectionPoints().forEach(point => {
+                if (this.samePoint(point, wire.start) || this.samePoint(point, wire.end)) return;
+                blocked.add(`${Math.round(point.x / size)},${Math.round(point.y / size)}`);
+            });
+        });
+
+        return blocked;
+    }
+
+    /**
+     * Celdas recorridas por los demás cables y el eje (h/v) con el que pasan
+     */
+    buildOccupancy(circuit, wire, size) {
+        const occupancy = new Map();
+        const mark = (x, y, axis) => {
+            const key = `${x},${y}`;
+            if (!occupancy.has(key)) occupancy.set(key, new Set());
+            occupancy.get(key).add(axis);
+        };
+
+        circuit.wires.forEach(other => {
+            if (other === wire) return;
+
+            for (let i = 0; i < other.path.length - 1; i++) {
+                const a = other.path[i];
+                const b = other.path[i + 1];
+
+                // Solo los tramos sobre líneas de la cuadrícula
+                if (a.y === b.y && a.y % size === 0) {
+                    const y = a.y / size;
+                    for (let x = Math.ceil(Math.min(a.x, b.x) / size); x * size <= Math.max(a.x, b.x); x++) mark(x, y, 'h');
+                } else if (a.x === b.x && a.x % size === 0) {
+                    const x = a.x / size;
+                    for (let y = Math.ceil(Math.min(a.y, b.y) / size); y * size <= Math.max(a.y, b.y); y++) mark(x, y, 'v');
+                }
+            }
+        });
+
+        return occupancy;
+    }
+
+    /**
+     * Rectángulo de celdas donde buscar: el circuito y los extremos con un margen
+     */
+    getSearchArea(circuit, cells, size) {
+        const bounds = circuit.getBounds();
+        const xs = cells.map(cell => cell.x);
+        const ys = cells.map(cell => cell.y);
+
+        if (bounds) {
+            xs.push(Math.floor(bounds.x / size), Math.ceil((bounds.x + bounds.width) / size));
+            ys.push(Math.floor(bounds.y / size), Math.ceil((bounds.y + bounds.height) / size));
+        }
+
+        return {
+            minX: Math.min(...xs) - this.searchMargin,
+            maxX: Math.max(...xs) + this.searchMargin,
+            minY: Math.min(...ys) - this.searchMargin,
+            maxY: Math.max(...ys) + this.searchMargin
+        };
+    }
+
+    /**
+     * Dirección (0 →, 1 ↓, 2 ←, 3 ↑) en la que el cable sale del terminal, alejándose del componente
+     */
+    getExitDirection(circuit, componentId, point) {
+        const component = componentId ? circuit.getComponentById(componentId) : null;
+        if (!component) return null;
+
+        const dx = point.x - component.x;
+        const dy = point.y - component.y;
+        if (Math.abs(dx) >= Math.abs(dy)) {
+            return dx >= 0 ? 0 : 2;
+        }
+        return dy >= 0 ? 1 : 3;
+    }
+
+    /**
+     * Celda de arranque de un terminal: si no cae en la cuadrícula se redondea hacia afuera,
+     * para no entrar en el cuerpo del componente
+     */
+    getTerminalCell(point, direction) {
+        const x = point.x / this.gridSize;
+        const y = point.y / this.gridSize;
+
+        return {
+            x: direction === 0 ? Math.ceil(x) : direction === 2 ? Math.floor(x) : Math.round(x),
+            y: direction === 1 ? Math.ceil(y) : direction === 3 ? Math.floor(y) : Math.round(y)
+        };
+    }
+
+    /**
+     * Codo entre un terminal fuera de la cuadrícula y su celda, empezando por el eje de salida
+     */
+    connectOrthogonally(from, to, direction) {
+        if (from.x === to.x || from.y === to.y) return [];
+
+        const horizontalFirst = direction === null || direction % 2 === 0;
+        return [horizontalFirst ? { x: to.x, y: from.y } : { x: from.x, y: to.y }];
+    }
+
+    /**
+     * Quita puntos repetidos y puntos intermedios de tramos rectos
+     */
+    simplifyPath(points) {
+        const unique = points.filter((point, index) => index === 0 || !this.samePoint(point, points[index - 1]));
+
+        return unique.filter((point, index) => {
+            if (index === 0 || index === unique.length - 1) return true;
+            const before = unique[index - 1];
+            const after = unique[index + 1];
+            return !((before.x === point.x && point.x === after.x) || (before.y === point.y && point.y === after.y));
+        });
+    }
+
+    samePoint(a, b) {
+        return Math.abs(a.x - b.x) < 0.5 && Math.abs(a.y - b.y) < 0.5;
+    }
+
+    /**
+     * Cola de prioridad (montículo binario por priority)
+     */
+    heapPush(heap, item) {
+        heap.push(item);
+        let index = heap.length - 1;
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (heap[parent].priority <= item.priority) break;
+            heap[index] = heap[parent];
+            index = parent;
+        }
+        heap[index] = item;
+    }
+
+    heapPop(heap) {
+        const top = heap[0];
+        const last = heap.pop();
+        if (heap.length > 0) {
+            let index = 0;
+            while (true) {
+                const left = 2 * index + 1;
+                const right = left + 1;
+                let smallest = left;
+                if (left >= heap.length) break;
+                if (right < heap.length && heap[right].priority < heap[left].priority) smallest = right;
+                if (heap[smallest].priority >= last.priority) break;
+                heap[index] = heap[smallest];
+                index = smallest;
+            }
+            heap[index] = last;
+        }
+        return top;
+    }
+}